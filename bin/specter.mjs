@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * @description Launches the Specter CLI (`cli/index.js`) in a Node process with the
+ * harness registered, so the plugin source runs as it does under `npm test`.
+ */
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// `npx` and global installs link to this file; resolve the link to find the package
+const root = path.resolve(path.dirname(fs.realpathSync(process.argv[1])), '..');
+
+const { status } = spawnSync(process.execPath, [
+  '--import',
+  pathToFileURL(path.join(root, 'harness', 'register.mjs')).href,
+  path.join(root, 'cli', 'run.js'),
+  ...process.argv.slice(2),
+], { stdio: 'inherit' });
+
+process.exitCode = (status === null) ? 1 : status;
@@ -0,0 +1,839 @@
+/**
+ * @description Reads and writes `.sketch` files (a zip of JSON documents) using the headless
+ * harness DOM. Layers read from a file remember their original JSON so that anything the
+ * harness does not model is written back untouched; layers created by the plugin are
+ * serialized from scratch.
+ */
+import fs from 'fs';
+import JSZip from 'jszip';
+import {
+  Artboard,
+  Document,
+  Group,
+  Image,
+  Layer,
+  normalizeColor,
+  Page,
+  Shape,
+  ShapePath,
+  SymbolInstance,
+  SymbolMaster,
+  Text,
+} from '../harness/dom';
+
+/**
+ * @description The keys Sketch uses for class names and file references. Kept as constants
+ * because of their leading underscores.
+ *
+ * @kind constant
+ * @name KEYS
+ * @type {Object}
+ * @private
+ */
+const KEYS = {
+  class: '_class',
+  ref: '_ref',
+};
+
+/**
+ * @description Maps Sketch file-format classes to harness layer classes.
+ *
+ * @kind constant
+ * @name LAYER_CLASSES
+ * @type {Object}
+ * @private
+ */
+const LAYER_CLASSES = {
+  artboard: Artboard,
+  bitmap: Image,
+  group: Group,
+  oval: ShapePath,
+  page: Page,
+  polygon: ShapePath,
+  rectangle: ShapePath,
+  shapeGroup: Shape,
+  shapePath: ShapePath,
+  star: ShapePath,
+  symbolInstance: SymbolInstance,
+  symbolMaster: SymbolMaster,
+  text: Text,
+  triangle: ShapePath,
+};
+
+/**
+ * @description Maps harness layer types to Sketch file-format classes (for new layers).
+ *
+ * @kind constant
+ * @name FILE_CLASSES
+ * @type {Object}
+ * @private
+ */
+const FILE_CLASSES = {
+  Artboard: 'artboard',
+  Group: 'group',
+  Image: 'bitmap',
+  Shape: 'shapeGroup',
+  ShapePath: 'rectangle',
+  SymbolInstance: 'symbolInstance',
+  SymbolMaster: 'symbolMaster',
+  Text: 'text',
+};
+
+/**
+ * @description Text alignments, in the order of Sketch’s `NSTextAlignment` values.
+ *
+ * @kind constant
+ * @name ALIGNMENTS
+ * @type {Array}
+ * @private
+ */
+const ALIGNMENTS = ['left', 'right', 'center', 'justified'];
+
+/**
+ * @description Border positions, in the order of Sketch’s file-format values.
+ *
+ * @kind constant
+ * @name BORDER_POSITIONS
+ * @type {Array}
+ * @private
+ */
+const BORDER_POSITIONS = ['Center', 'Inside', 'Outside'];
+
+/**
+ * @description Fill types, in the order of Sketch’s file-format values.
+ *
+ * @kind constant
+ * @name FILL_TYPES
+ * @type {Array}
+ * @private
+ */
+const FILL_TYPES = ['Color', 'Gradient', null, null, 'Pattern'];
+
+/**
+ * @description Font weight names (as found at the end of PostScript names) and their Sketch
+ * JS API `fontWeight` values.
+ *
+ * @kind constant
+ * @name FONT_WEIGHTS
+ * @type {Object}
+ * @private
+ */
+const FONT_WEIGHTS = {
+  Thin: 2,
+  Light: 3,
+  Regular: 5,
+  Medium: 6,
+  Semibold: 8,
+  Bold: 9,
+  Heavy: 10,
+  Black: 11,
+};
+
+/**
+ * @description Keeps the original file JSON for every layer read from a file.
+ *
+ * @kind constant
+ * @name sources
+ * @type {WeakMap}
+ * @private
+ */
+const sources = new WeakMap();
+
+/**
+ * @description Keeps a snapshot of each imported layer’s style so that the style is only
+ * written back when it changed.
+ *
+ * @kind constant
+ * @name styleSnapshots
+ * @type {WeakMap}
+ * @private
+ */
+const styleSnapshots = new WeakMap();
+
+/**
+ * @description The properties of fills, borders, and shadows that the harness models. When
+ * a changed style is written back over a layer from the file, only these are replaced, so
+ * gradients, patterns, and blend modes the harness does not read are kept.
+ *
+ * @kind constant
+ * @name STYLE_ITEM_KEYS
+ * @type {Object}
+ * @private
+ */
+const STYLE_ITEM_KEYS = {
+  borders: ['color', 'isEnabled', 'position', 'thickness'],
+  fills: ['color', 'isEnabled'],
+  shadows: ['blurRadius', 'color', 'isEnabled', 'offsetX', 'offsetY', 'spread'],
+};
+
+// --- converters between the file format and the harness DOM
+
+/**
+ * @description Converts a file-format color into a `#rrggbbaa` hex string.
+ *
+ * @kind function
+ * @name colorFromJSON
+ * @param {Object} color The file-format color (`red`, `green`, `blue`, `alpha` from 0 to 1).
+ * @returns {string} The hex color.
+ * @private
+ */
+const colorFromJSON = (color) => {
+  if (!color) {
+    return '#000000ff';
+  }
+
+  const toHex = value => Math.round(value * 255).toString(16).padStart(2, '0');
+  const {
+    red,
+    green,
+    blue,
+    alpha,
+  } = color;
+  return `#${toHex(red)}${toHex(green)}${toHex(blue)}${toHex(alpha)}`;
+};
+
+/**
+ * @description Converts a hex color into a file-format color.
+ *
+ * @kind function
+ * @name colorToJSON
+ * @param {string} hex The hex color.
+ * @returns {Object} The file-format color.
+ * @private
+ */
+const colorToJSON = (hex) => {
+  const channels = normalizeColor(hex).replace('#', '').match(/.{2}/g).map(
+    channel => parseInt(channel, 16) / 255,
+  );
+  return {
+    [KEYS.class]: 'color',
+    alpha: channels[3],
+    blue: channels[2],
+    green: channels[1],
+    red: channels[0],
+  };
+};
+
+/**
+ * @description Splits a PostScript font name (i.e. `HelveticaNeue-Bold`) into a family and
+ * a JS API font weight.
+ *
+ * @kind function
+ * @name parseFontName
+ * @param {string} postscriptName The PostScript name of the font.
+ * @returns {Object} The `fontFamily` and `fontWeight`.
+ * @private
+ */
+const parseFontName = (postscriptName = 'Helvetica') => {
+  const [family, variant] = postscriptName.split('-');
+  let fontWeight = 5;
+  Object.keys(FONT_WEIGHTS).forEach((weightName) => {
+    if (variant && variant.includes(weightName)) {
+      fontWeight = FONT_WEIGHTS[weightName];
+    }
+  });
+
+  return {
+    fontFamily: family.replace(/([a-z])([A-Z])/g, '$1 $2'),
+    fontWeight,
+  };
+};
+
+/**
+ * @description Builds a PostScript font name from a font family and JS API font weight.
+ *
+ * @kind function
+ * @name buildFontName
+ * @param {Object} style The harness text style (`fontFamily`, `fontWeight`).
+ * @returns {string} The PostScript name.
+ * @private
+ */
+const buildFontName = (style) => {
+  const family = `${style.fontFamily}`.replace(/\s/g, '');
+  let weightName = null;
+  Object.keys(FONT_WEIGHTS).forEach((name) => {
+    if (FONT_WEIGHTS[name] <= style.fontWeight) {
+      weightName = name;
+    }
+  });
+
+  if (!weightName || weightName === 'Regular') {
+    return family;
+  }
+  return `${family}-${weightName}`;
+};
+
+/**
+ * @description Reads the text attributes of a file-format text style into harness
+ * style properties.
+ *
+ * @kind function
+ * @name readTextAttributes
+ * @param {Object} encodedAttributes The file-format `encodedAttributes` object.
+ * @returns {Object} Harness text style properties.
+ * @private
+ */
+const readTextAttributes = (encodedAttributes = {}) => {
+  const fontAttribute = encodedAttributes.MSAttributedStringFontAttribute;
+  const fontDetails = fontAttribute ? fontAttribute.attributes : {};
+  const paragraphStyle = encodedAttributes.paragraphStyle || {};
+  const textTransforms = ['none', 'uppercase', 'lowercase'];
+
+  return {
+    ...parseFontName(fontDetails.name),
+    alignment: ALIGNMENTS[paragraphStyle.alignment || 0],
+    fontSize: fontDetails.size || 12,
+    kerning: encodedAttributes.kerning || null,
+    lineHeight: paragraphStyle.minimumLineHeight || null,
+    textColor: colorFromJSON(encodedAttributes.MSAttributedStringColorAttribute),
+    textTransform: textTransforms[encodedAttributes.MSAttributedStringTextTransformAttribute || 0],
+  };
+};
+
+/**
+ * @description Builds file-format text attributes from a harness style.
+ *
+ * @kind function
+ * @name writeTextAttributes
+ * @param {Object} style The harness text style.
+ * @returns {Object} The file-format `encodedAttributes` object.
+ * @private
+ */
+const writeTextAttributes = style => ({
+  MSAttributedStringColorAttribute: colorToJSON(style.textColor),
+  MSAttributedStringFontAttribute: {
+    [KEYS.class]: 'fontDescriptor',
+    attributes: {
+      name: buildFontName(style),
+      size: style.fontSize,
+    },
+  },
+  kerning: style.kerning || 0,
+  paragraphStyle: {
+    [KEYS.class]: 'paragraphStyle',
+    alignment: Math.max(0, ALIGNMENTS.indexOf(style.alignment)),
+    maximumLineHeight: style.lineHeight,
+    minimumLineHeight: style.lineHeight,
+  },
+  textStyleVerticalAlignmentKey: 0,
+});
+
+/**
+ * @description Reads a file-format style into harness style properties.
+ *
+ * @kind function
+ * @name readStyle
+ * @param {Object} style The file-format style.
+ * @returns {Object} Harness style properties.
+ * @private
+ */
+const readStyle = (style = {}) => {
+  const readFill = fill => ({
+    color: colorFromJSON(fill.color),
+    enabled: fill.isEnabled,
+    fillType: FILL_TYPES[fill.fillType] || 'Color',
+  });
+
+  const styleProps = {
+    borders: (style.borders || []).map(border => ({
+      ...readFill(border),
+      position: BORDER_POSITIONS[border.position] || 'Center',
+      thickness: border.thickness,
+    })),
+    fills: (style.fills || []).map(readFill),
+    opacity: style.contextSettings ? style.contextSettings.opacity : 1,
+    shadows: (style.shadows || []).map(shadow => ({
+      blur: shadow.blurRadius,
+      color: colorFromJSON(shadow.color),
+      enabled: shadow.isEnabled,
+      spread: shadow.spread,
+      x: shadow.offsetX,
+      y: shadow.offsetY,
+    })),
+  };
+
+  if (style.borderOptions) {
+    styleProps.borderOptions = {
+      dashPattern: style.borderOptions.dashPattern || [],
+    };
+  }
+
+  if (style.textStyle) {
+    Object.assign(styleProps, readTextAttributes(style.textStyle.encodedAttributes));
+  }
+
+  return styleProps;
+};
+
+/**
+ * @description Builds a file-format fill (or border) from a harness fill.
+ *
+ * @kind function
+ * @name writeFill
+ * @param {Object} fill The harness fill.
+ * @param {string} fileClass The file-format class (`fill` or `border`).
+ * @returns {Object} The file-format fill.
+ * @private
+ */
+const writeFill = (fill, fileClass = 'fill') => ({
+  [KEYS.class]: fileClass,
+  color: colorToJSON(fill.color),
+  contextSettings: {
+    [KEYS.class]: 'graphicsContextSettings',
+    blendMode: 0,
+    opacity: 1,
+  },
+  fillType: 0,
+  gradient: {
+    [KEYS.class]: 'gradient',
+    elipseLength: 0,
+    from: '{0.5, 0}',
+    gradientType: 0,
+    stops: [],
+    to: '{0.5, 1}',
+  },
+  isEnabled: fill.enabled !== false,
+  noiseIndex: 0,
+  noiseIntensity: 0,
+  patternFillType: 1,
+  patternTileScale: 1,
+});
+
+/**
+ * @description Builds a file-format style from a harness layer’s style.
+ *
+ * @kind function
+ * @name writeStyle
+ * @param {Object} layer The harness layer.
+ * @returns {Object} The file-format style.
+ * @private
+ */
+const writeStyle = (layer) => {
+  const { style } = layer;
+  const fileStyle = {
+    [KEYS.class]: 'style',
+    borderOptions: {
+      [KEYS.class]: 'borderOptions',
+      dashPattern: (style.borderOptions && style.borderOptions.dashPattern) || [],
+      isEnabled: true,
+      lineCapStyle: 0,
+      lineJoinStyle: 0,
+    },
+    borders: style.borders.map(border => ({
+      ...writeFill(border, 'border'),
+      position: Math.max(0, BORDER_POSITIONS.indexOf(border.position)),
+      thickness: border.thickness,
+    })),
+    colorControls: {
+      [KEYS.class]: 'colorControls',
+      brightness: 0,
+      contrast: 1,
+      hue: 0,
+      isEnabled: false,
+      saturation: 1,
+    },
+    contextSettings: {
+      [KEYS.class]: 'graphicsContextSettings',
+      blendMode: 0,
+      opacity: style.opacity,
+    },
+    endMarkerType: 0,
+    fills: style.fills.map(fill => writeFill(fill)),
+    innerShadows: [],
+    miterLimit: 10,
+    shadows: style.shadows.map(shadow => ({
+      [KEYS.class]: 'shadow',
+      blurRadius: shadow.blur,
+      color: colorToJSON(shadow.color),
+      contextSettings: {
+        [KEYS.class]: 'graphicsContextSettings',
+        blendMode: 0,
+        opacity: 1,
+      },
+      isEnabled: shadow.enabled !== false,
+      offsetX: shadow.x,
+      offsetY: shadow.y,
+      spread: shadow.spread,
+    })),
+    startMarkerType: 0,
+    windingRule: 1,
+  };
+
+  if (layer.type === 'Text') {
+    fileStyle.textStyle = {
+      [KEYS.class]: 'textStyle',
+      encodedAttributes: writeTextAttributes(style),
+      verticalAlignment: 0,
+    };
+  }
+
+  return fileStyle;
+};
+
+/**
+ * @description Takes a snapshot of a harness layer’s style (the normalized fills, borders,
+ * and shadows are not own properties, so they are added explicitly).
+ *
+ * @kind function
+ * @name snapshotStyle
+ * @param {Object} style The harness style.
+ * @returns {string} The snapshot.
+ * @private
+ */
+const snapshotStyle = style => JSON.stringify({
+  ...style,
+  borders: style.borders,
+  fills: style.fills,
+  shadows: style.shadows,
+});
+
+/**
+ * @description Writes a harness layer’s style over the file-format style it was read from.
+ * Fills, borders, shadows, opacity, border dashes, and text attributes are written back;
+ * anything the harness does not model is kept from the original.
+ *
+ * @kind function
+ * @name mergeStyle
+ * @param {Object} sourceStyle The original file-format style.
+ * @param {Object} layer The harness layer.
+ * @returns {Object} The file-format style.
+ * @private
+ */
+const mergeStyle = (sourceStyle = {}, layer) => {
+  const fileStyle = writeStyle(layer);
+  const mergedStyle = { ...fileStyle, ...sourceStyle };
+
+  Object.keys(STYLE_ITEM_KEYS).forEach((key) => {
+    const sourceItems = sourceStyle[key] || [];
+    mergedStyle[key] = fileStyle[key].map((item, index) => {
+      if (!sourceItems[index]) {
+        return item;
+      }
+      const mergedItem = { ...sourceItems[index] };
+      STYLE_ITEM_KEYS[key].forEach((property) => {
+        mergedItem[property] = item[property];
+      });
+      return mergedItem;
+    });
+  });
+
+  mergedStyle.contextSettings = {
+    ...fileStyle.contextSettings,
+    ...sourceStyle.contextSettings,
+    opacity: fileStyle.contextSettings.opacity,
+  };
+  mergedStyle.borderOptions = {
+    ...fileStyle.borderOptions,
+    ...sourceStyle.borderOptions,
+    dashPattern: fileStyle.borderOptions.dashPattern,
+  };
+
+  if (fileStyle.textStyle) {
+    const sourceTextStyle = sourceStyle.textStyle || {};
+    mergedStyle.textStyle = {
+      ...fileStyle.textStyle,
+      ...sourceTextStyle,
+      encodedAttributes: {
+        ...sourceTextStyle.encodedAttributes,
+        ...fileStyle.textStyle.encodedAttributes,
+      },
+    };
+  }
+
+  return mergedStyle;
+};
+
+/**
+ * @description Builds a file-format attributed string for a text layer.
+ *
+ * @kind function
+ * @name writeAttributedString
+ * @param {Object} layer The harness text layer.
+ * @returns {Object} The file-format attributed string.
+ * @private
+ */
+const writeAttributedString = layer => ({
+  [KEYS.class]: 'attributedString',
+  attributes: [{
+    [KEYS.class]: 'stringAttribute',
+    attributes: writeTextAttributes(layer.style),
+    length: layer.text.length,
+    location: 0,
+  }],
+  string: layer.text,
+});
+
+/**
+ * @description Builds the file-format JSON for a layer created by the plugin (one that
+ * did not exist in the original file).
+ *
+ * @kind function
+ * @name buildLayerJSON
+ * @param {Object} layer The harness layer.
+ * @returns {Object} The file-format layer (without children).
+ * @private
+ */
+const buildLayerJSON = (layer) => {
+  const layerJSON = {
+    [KEYS.class]: FILE_CLASSES[layer.type] || 'group',
+    booleanOperation: -1,
+    clippingMaskMode: 0,
+    exportOptions: {
+      [KEYS.class]: 'exportOptions',
+      exportFormats: [],
+      includedLayerIds: [],
+      layerOptions: 0,
+      shouldTrim: false,
+    },
+    hasClippingMask: false,
+    isFixedToViewport: false,
+    isFlippedHorizontal: !!layer.transform.flippedHorizontally,
+    isFlippedVertical: !!layer.transform.flippedVertically,
+    layerListExpandedType: 0,
+    nameIsFixed: false,
+    resizingConstraint: 63,
+    resizingType: 0,
+    rotation: layer.transform.rotation,
+    shouldBreakMaskChain: false,
+    style: writeStyle(layer),
+  };
+
+  switch (layer.type) {
+    case 'ShapePath':
+      Object.assign(layerJSON, {
+        edited: false,
+        fixedRadius: layer.points[0].cornerRadius,
+        hasConvertedToNewRoundCorners: true,
+        isClosed: true,
+        needsConvertionToNewRoundCorners: false,
+        pointRadiusBehaviour: 1,
+        points: layer.points.map(({ cornerRadius, point }) => ({
+          [KEYS.class]: 'curvePoint',
+          cornerRadius,
+          curveFrom: `{${point.x}, ${point.y}}`,
+          curveMode: 1,
+          curveTo: `{${point.x}, ${point.y}}`,
+          hasCurveFrom: false,
+          hasCurveTo: false,
+          point: `{${point.x}, ${point.y}}`,
+        })),
+      });
+      break;
+    case 'Text':
+      Object.assign(layerJSON, {
+        attributedString: writeAttributedString(layer),
+        automaticallyDrawOnUnderlyingPath: false,
+        dontSynchroniseWithSymbol: false,
+        glyphBounds: `{{0, 0}, {${layer.frame.width}, ${layer.frame.height}}}`,
+        lineSpacingBehaviour: 2,
+        textBehaviour: layer.fixedWidth ? 1 : 0,
+      });
+      break;
+    default:
+      Object.assign(layerJSON, {
+        groupLayout: {
+          [KEYS.class]: 'MSImmutableFreeformGroupLayout',
+        },
+        hasClickThrough: false,
+      });
+  }
+
+  return layerJSON;
+};
+
+/**
+ * @description Reads a file-format layer (and its children) into the harness DOM.
+ *
+ * @kind function
+ * @name readLayer
+ * @param {Object} layerJSON The file-format layer.
+ * @param {Object} parent The harness parent to add the layer to (optional).
+ * @returns {Object} The harness layer.
+ * @private
+ */
+const readLayer = (layerJSON, parent = null) => {
+  const LayerClass = LAYER_CLASSES[layerJSON[KEYS.class]] || Layer;
+  const props = {
+    frame: layerJSON.frame,
+    hidden: layerJSON.isVisible === false,
+    id: layerJSON.do_objectID,
+    locked: !!layerJSON.isLocked,
+    name: layerJSON.name,
+    sharedStyleId: layerJSON.sharedStyleID,
+    style: readStyle(layerJSON.style),
+    transform: {
+      flippedHorizontally: !!layerJSON.isFlippedHorizontal,
+      flippedVertically: !!layerJSON.isFlippedVertical,
+      rotation: layerJSON.rotation || 0,
+    },
+    userInfo: layerJSON.userInfo || {},
+  };
+
+  if (parent) {
+    props.parent = parent;
+  }
+
+  switch (layerJSON[KEYS.class]) {
+    case 'artboard':
+    case 'symbolMaster':
+      props.background = {
+        color: colorFromJSON(layerJSON.backgroundColor),
+        enabled: !!layerJSON.hasBackgroundColor,
+      };
+      props.symbolId = layerJSON.symbolID;
+      break;
+    case 'symbolInstance':
+      props.symbolId = layerJSON.symbolID;
+      props.overrides = (layerJSON.overrideValues || []).map(({ overrideName, value }) => ({
+        id: overrideName,
+        path: overrideName.split('_')[0],
+        property: overrideName.split('_').pop(),
+        value,
+      }));
+      break;
+    case 'text':
+      props.text = layerJSON.attributedString ? layerJSON.attributedString.string : '';
+      props.fixedWidth = layerJSON.textBehaviour === 1;
+      break;
+    default:
+      break;
+  }
+
+  const layer = new LayerClass(props);
+  sources.set(layer, layerJSON);
+  styleSnapshots.set(layer, snapshotStyle(layer.style));
+
+  (layerJSON.layers || []).forEach(innerLayerJSON => readLayer(innerLayerJSON, layer));
+
+  return layer;
+};
+
+/**
+ * @description Builds the file-format JSON for a harness layer (and its children). Layers
+ * that came from the file start from their original JSON.
+ *
+ * @kind function
+ * @name writeLayer
+ * @param {Object} layer The harness layer.
+ * @returns {Object} The file-format layer.
+ * @private
+ */
+const writeLayer = (layer) => {
+  const source = sources.get(layer);
+  const layerJSON = source ? { ...source } : buildLayerJSON(layer);
+
+  layerJSON.do_objectID = layer.id;
+  layerJSON.name = layer.name;
+  layerJSON.isLocked = layer.locked;
+  layerJSON.isVisible = !layer.hidden;
+  layerJSON.frame = {
+    [KEYS.class]: 'rect',
+    constrainProportions: false,
+    ...layerJSON.frame,
+    height: layer.frame.height,
+    width: layer.frame.width,
+    x: layer.frame.x,
+    y: layer.frame.y,
+  };
+
+  if (Object.keys(layer.userInfo).length > 0) {
+    layerJSON.userInfo = layer.userInfo;
+  }
+
+  const styleChanged = source && (styleSnapshots.get(layer) !== snapshotStyle(layer.style));
+  if (styleChanged) {
+    layerJSON.style = mergeStyle(source.style, layer);
+  }
+
+  if (source && (layer.type === 'Text')) {
+    const sourceText = source.attributedString ? source.attributedString.string : '';
+    if (styleChanged || (sourceText !== layer.text)) {
+      layerJSON.attributedString = writeAttributedString(layer);
+    }
+  }
+
+  if (layer.layers) {
+    layerJSON.layers = layer.layers.map(writeLayer);
+  }
+
+  return layerJSON;
+};
+
+// --- public functions
+
+/**
+ * @description Reads a `.sketch` file into a harness `Document`. Pages, shared styles, and
+ * the document `userInfo` (including Lingo storage and plugin settings) are loaded.
+ *
+ * @kind function
+ * @name readSketchFile
+ * @param {string} path The path to the `.sketch` file.
+ * @returns {Object} A promise resolving to the `document`, plus the `zip` and `documentJSON`
+ * needed to write the file back out.
+ */
+const readSketchFile = async (path) => {
+  const zip = await JSZip.loadAsync(fs.readFileSync(path));
+  const documentJSON = JSON.parse(await zip.file('document.json').async('string'));
+
+  const pageFiles = documentJSON.pages.map(pageReference => `${pageReference[KEYS.ref]}.json`);
+  const pagesJSON = await Promise.all(
+    pageFiles.map(async pageFile => JSON.parse(await zip.file(pageFile).async('string'))),
+  );
+  const readSharedStyles = sharedStyles => ((sharedStyles && sharedStyles.objects) || []).map(
+    sharedStyle => ({
+      id: sharedStyle.do_objectID,
+      name: sharedStyle.name,
+      style: readStyle(sharedStyle.value),
+    }),
+  );
+
+  const document = new Document({
+    id: documentJSON.do_objectID,
+    name: path.split('/').pop().replace(/\.sketch$/, ''),
+    pages: pagesJSON.map(pageJSON => readLayer(pageJSON)),
+    path,
+    sharedLayerStyles: readSharedStyles(documentJSON.layerStyles),
+    sharedTextStyles: readSharedStyles(documentJSON.layerTextStyles),
+    userInfo: documentJSON.userInfo || {},
+  });
+
+  return {
+    document,
+    documentJSON,
+    zip,
+  };
+};
+
+/**
+ * @description Writes a harness `Document` (read with `readSketchFile`) back out as a
+ * `.sketch` file. Entries the harness does not touch (previews, images, meta) are kept.
+ *
+ * @kind function
+ * @name writeSketchFile
+ * @param {Object} sketchFile The object returned by `readSketchFile`.
+ * @param {string} path The path to write to.
+ * @returns {Object} A promise resolving once the file is written.
+ */
+const writeSketchFile = async (sketchFile, path) => {
+  const { document, documentJSON, zip } = sketchFile;
+
+  documentJSON.userInfo = document.userInfo;
+  zip.file('document.json', JSON.stringify(documentJSON));
+
+  document.pages.forEach((page) => {
+    zip.file(`pages/${page.id}.json`, JSON.stringify(writeLayer(page)));
+  });
+
+  const contents = await zip.generateAsync({
+    compression: 'DEFLATE',
+    type: 'nodebuffer',
+  });
+  fs.writeFileSync(path, contents);
+
+  return null;
+};
+
+export {
+  readSketchFile,
+  writeSketchFile,
+};
@@ -0,0 +1,246 @@
+/**
+ * @description The Specter command-line interface. It opens a `.sketch` file with the
+ * headless harness, runs the plugin’s own commands (`annotateLayer` and
+ * `annotateMeasurement`) against the requested artboards, and writes the file back.
+ */
+import { Settings } from '../harness/sketch';
+import { select, state } from '../harness/index';
+import Housekeeper from '../src/Housekeeper';
+import Messenger from '../src/Messenger';
+import { annotateLayer, annotateMeasurement } from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { readSketchFile, writeSketchFile } from './file';
+
+/**
+ * @description The help text printed for `--help` (or invalid usage).
+ *
+ * @kind constant
+ * @name USAGE
+ * @type {string}
+ */
+const USAGE = `Usage: specter <command> <file.sketch> [options]
+
+Commands:
+  annotate    Annotate every layer on the artboard(s) (same as “Annotate”)
+  measure     Annotate dimensions of each layer, or the spacing between
+              exactly two \`--layer\` layers (same as “Set Spacing / Dimensions”)
+
+Options:
+  --artboard <name|id>  Only use this artboard (repeatable; default: all artboards)
+  --layer <name|id>     Only use this layer (repeatable; default: all top-level layers)
+  --output <path>       Write to a new file instead of overwriting the original
+  --verbose             Print the full plugin log
+  --help                Show this message`;
+
+/**
+ * @description Parses the command-line arguments.
+ *
+ * @kind function
+ * @name parseArguments
+ * @param {Array} args The arguments (without `node` and the script path).
+ * @returns {Object} The `command`, `file`, and `options` (`artboards`, `layers`,
+ * `output`, `verbose`, `help`).
+ * @private
+ */
+const parseArguments = (args) => {
+  const positional = [];
+  const options = {
+    artboards: [],
+    help: false,
+    layers: [],
+    output: null,
+    verbose: false,
+  };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    switch (arg) {
+      case '--artboard':
+        index += 1;
+        options.artboards.push(args[index]);
+        break;
+      case '--layer':
+        index += 1;
+        options.layers.push(args[index]);
+        break;
+      case '--output':
+        index += 1;
+        options.output = args[index];
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        positional.push(arg);
+    }
+  }
+
+  return {
+    command: positional[0],
+    file: positional[1],
+    options,
+  };
+};
+
+/**
+ * @description Finds every layer below a parent that matches a name or ID.
+ *
+ * @kind function
+ * @name findLayers
+ * @param {Array} layers The layers to search (recursively).
+ * @param {Array} identifiers The names or IDs to match.
+ * @returns {Array} The matching layers.
+ * @private
+ */
+const findLayers = (layers, identifiers) => {
+  const foundLayers = [];
+  layers.forEach((layer) => {
+    if (identifiers.includes(layer.name) || identifiers.includes(layer.id)) {
+      foundLayers.push(layer);
+    }
+    if (layer.layers) {
+      foundLayers.push(...findLayers(layer.layers, identifiers));
+    }
+  });
+  return foundLayers;
+};
+
+/**
+ * @description Sets up the layers to work on for an artboard: either the requested layers
+ * or every top-level layer, skipping the plugin’s own annotation container groups.
+ *
+ * @kind function
+ * @name setTargetLayers
+ * @param {Object} artboard The artboard.
+ * @param {Object} document The document containing the artboard.
+ * @param {Array} layerIdentifiers The requested layer names or IDs (optional).
+ * @returns {Array} The layers.
+ * @private
+ */
+const setTargetLayers = (artboard, document, layerIdentifiers) => {
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  const containerGroupIds = [];
+  if (documentSettings && documentSettings.containerGroups) {
+    documentSettings.containerGroups.forEach(
+      containerGroup => containerGroupIds.push(containerGroup.id),
+    );
+  }
+
+  const candidateLayers = artboard.layers.filter(
+    layer => !containerGroupIds.includes(layer.id),
+  );
+
+  if (layerIdentifiers.length > 0) {
+    return findLayers(candidateLayers, layerIdentifiers);
+  }
+  return candidateLayers;
+};
+
+/**
+ * @description Prints everything the plugin surfaced while running (alerts, Toasts,
+ * and, optionally, the log).
+ *
+ * @kind function
+ * @name report
+ * @param {boolean} verbose Whether or not to print the full log.
+ * @private
+ */
+const report = (verbose) => {
+  /* eslint-disable no-console */
+  if (verbose) {
+    state.logs.forEach((message) => { console.log(message); });
+  }
+  state.messages.forEach((message) => { console.log(message); });
+  state.alerts.forEach(({ title, text }) => { console.error(`${title}: ${text}`); });
+  /* eslint-enable no-console */
+};
+
+/**
+ * @description Runs the CLI.
+ *
+ * @kind function
+ * @name run
+ * @param {Array} args The arguments (without `node` and the script path).
+ * @returns {number} A promise resolving to the exit code: `0` on success, `1` if the
+ * arguments or file are invalid or the plugin raised an alert.
+ */
+const run = async (args) => {
+  const { command, file, options } = parseArguments(args);
+
+  if (options.help) {
+    console.log(USAGE); // eslint-disable-line no-console
+    return 0;
+  }
+
+  if (!['annotate', 'measure'].includes(command) || !file) {
+    console.error(USAGE); // eslint-disable-line no-console
+    return 1;
+  }
+
+  // the file may already contain layers from earlier runs; avoid re-using their IDs
+  state.sequentialIds = false;
+
+  let sketchFile = null;
+  try {
+    sketchFile = await readSketchFile(file);
+  } catch (error) {
+    console.error(`Could not read “${file}”: ${error.message}`); // eslint-disable-line no-console
+    return 1;
+  }
+
+  const { document } = sketchFile;
+  const messenger = new Messenger({ for: { action: 'CLI' }, in: document });
+  const housekeeper = new Housekeeper({ in: document, messenger });
+
+  // bring older files up-to-date, like opening the document in Sketch does
+  housekeeper.runMigrations();
+
+  // find the artboards to work on
+  let artboards = [];
+  document.pages.forEach((page) => {
+    artboards.push(...page.layers.filter(layer => layer.type === 'Artboard'));
+  });
+  if (options.artboards.length > 0) {
+    artboards = artboards.filter(artboard => (
+      options.artboards.includes(artboard.name) || options.artboards.includes(artboard.id)
+    ));
+  }
+
+  if (artboards.length < 1) {
+    console.error('No matching artboards were found'); // eslint-disable-line no-console
+    return 1;
+  }
+
+  // run the plugin commands against each artboard
+  artboards.forEach((artboard) => {
+    const layers = setTargetLayers(artboard, document, options.layers);
+
+    if (layers.length < 1) {
+      messenger.log(`No layers to use on “${artboard.name}”`, 'error');
+      return null;
+    }
+
+    if (command === 'annotate') {
+      annotateLayer(select(document, layers));
+    } else if (options.layers.length === 2 && layers.length === 2) {
+      annotateMeasurement(select(document, layers));
+    } else {
+      layers.forEach(layer => annotateMeasurement(select(document, [layer])));
+    }
+
+    messenger.log(`Ran “${command}” on “${artboard.name}”`);
+    return null;
+  });
+
+  await writeSketchFile(sketchFile, options.output || file);
+  messenger.log(`Saved “${options.output || file}”`);
+
+  report(options.verbose);
+  return state.alerts.length > 0 ? 1 : 0;
+};
+
+export default run;
@@ -0,0 +1,9 @@
+/**
+ * @description Runs the CLI with the process arguments. Started by `bin/specter.mjs` once the
+ * harness is registered.
+ */
+import run from './index';
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,902 @@
+/**
+ * @description An in-memory stand-in for the `sketch/dom` module. It models the subset of
+ * the Sketch JS API the plugin relies on: documents, pages, artboards, groups, shapes,
+ * text, symbol masters/instances, and shared styles. Every object carries a
+ * `sketchObject` (see `native.js`) so native-style calls keep working.
+ */
+import { generateId, state } from './state';
+import {
+  fromNative,
+  NativeDocument,
+  NativeLayer,
+} from './native';
+
+/**
+ * @description Keeps track of each object’s parent (layer → group/page, page → document).
+ *
+ * @kind constant
+ * @name parents
+ * @type {WeakMap}
+ * @private
+ */
+const parents = new WeakMap();
+
+/**
+ * @description Keeps track of each document’s selected layers.
+ *
+ * @kind constant
+ * @name selections
+ * @type {WeakMap}
+ * @private
+ */
+const selections = new WeakMap();
+
+/**
+ * @description Keeps track of the normalized fills, borders, and shadows on a style.
+ *
+ * @kind constant
+ * @name styleStores
+ * @type {WeakMap}
+ * @private
+ */
+const styleStores = new WeakMap();
+
+/**
+ * @description Normalizes a hex color into Sketch’s `#rrggbbaa` format.
+ *
+ * @kind function
+ * @name normalizeColor
+ * @param {string} color A hex color (`#rgb`, `#rrggbb`, or `#rrggbbaa`).
+ * @returns {string} The color as `#rrggbbaa`.
+ */
+const normalizeColor = (color = '#000000') => {
+  let hex = `${color}`.replace('#', '').toLowerCase();
+  if (hex.length === 3) {
+    hex = hex.split('').map(character => `${character}${character}`).join('');
+  }
+  if (hex.length === 6) {
+    hex = `${hex}ff`;
+  }
+  return `#${hex}`;
+};
+
+/**
+ * @description Normalizes a fill (or border) definition the way Sketch does: a bare color
+ * string becomes a `Color` fill object.
+ *
+ * @kind function
+ * @name normalizeFill
+ * @param {Object|string} fill A hex color string or a fill object.
+ * @param {Object} defaults Any default properties for the fill type.
+ * @returns {Object} The normalized fill object.
+ * @private
+ */
+const normalizeFill = (fill, defaults = {}) => {
+  const fillObject = (typeof fill === 'string') ? { color: fill } : fill;
+  return {
+    fillType: 'Color',
+    enabled: true,
+    ...defaults,
+    ...fillObject,
+    color: normalizeColor(fillObject.color || defaults.color),
+  };
+};
+
+/**
+ * @description Walks every layer below a list of layers (depth-first).
+ *
+ * @kind function
+ * @name walkLayers
+ * @param {Array} layers The layers to start with.
+ * @param {Function} callback The function to call with each layer.
+ * @private
+ */
+const walkLayers = (layers, callback) => {
+  layers.forEach((layer) => {
+    callback(layer);
+    if (layer.layers) {
+      walkLayers(layer.layers, callback);
+    }
+  });
+};
+
+/**
+ * @description Returns the array a given parent uses to hold its children.
+ *
+ * @kind function
+ * @name childListFor
+ * @param {Object} parent A document, page, or group.
+ * @returns {Array} The array of children.
+ * @private
+ */
+const childListFor = parent => (parent.type === 'Document' ? parent.pages : parent.layers);
+
+/**
+ * @description A simple frame object (`x`, `y`, `width`, `height`). Accepts either four
+ * numbers or an object with the same keys.
+ *
+ * @class
+ * @name Rectangle
+ */
+class Rectangle {
+  constructor(x = 0, y = 0, width = 0, height = 0) {
+    const frame = (x !== null && typeof x === 'object') ? x : {
+      x,
+      y,
+      width,
+      height,
+    };
+    this.x = frame.x || 0;
+    this.y = frame.y || 0;
+    this.width = frame.width || 0;
+    this.height = frame.height || 0;
+  }
+
+  /**
+   * @description Moves the rectangle.
+   *
+   * @kind function
+   * @name offset
+   * @param {number} x The amount to move on `x`.
+   * @param {number} y The amount to move on `y`.
+   * @returns {Object} The rectangle.
+   */
+  offset(x, y) {
+    this.x += x;
+    this.y += y;
+    return this;
+  }
+}
+
+/**
+ * @description A layer style. Fills, borders, and shadows are normalized when they are set;
+ * any other properties (text attributes, `opacity`, `borderOptions`) are kept as-is.
+ *
+ * @class
+ * @name Style
+ */
+class Style {
+  constructor(props = {}) {
+    const {
+      borders,
+      fills,
+      shadows,
+      ...otherProps
+    } = props;
+
+    styleStores.set(this, {});
+    this.opacity = 1;
+    Object.assign(this, otherProps);
+    this.borders = borders || [];
+    this.fills = fills || [];
+    this.shadows = shadows || [];
+  }
+
+  get fills() { return styleStores.get(this).fills; }
+
+  set fills(fills) {
+    styleStores.get(this).fills = fills.map(fill => normalizeFill(fill));
+  }
+
+  get borders() { return styleStores.get(this).borders; }
+
+  set borders(borders) {
+    styleStores.get(this).borders = borders.map(border => normalizeFill(border, {
+      position: 'Center',
+      thickness: 1,
+    }));
+  }
+
+  get shadows() { return styleStores.get(this).shadows; }
+
+  set shadows(shadows) {
+    styleStores.get(this).shadows = shadows.map(shadow => normalizeFill(shadow, {
+      blur: 4,
+      color: '#00000080',
+      spread: 0,
+      x: 0,
+      y: 2,
+    }));
+  }
+}
+
+/**
+ * @description The base for every layer (and page) in the harness.
+ *
+ * @class
+ * @name Layer
+ *
+ * @constructor
+ *
+ * @property props The layer properties (`id`, `name`, `frame`, `parent`, `style`, …).
+ */
+class Layer {
+  constructor(props = {}) {
+    this.id = props.id || generateId();
+    this.name = props.name || this.type;
+    this.frame = new Rectangle(props.frame || {
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+    });
+    this.hidden = !!props.hidden;
+    this.locked = !!props.locked;
+    this.style = new Style(props.style);
+    this.transform = {
+      rotation: 0,
+      flippedHorizontally: false,
+      flippedVertically: false,
+      ...props.transform,
+    };
+    this.sharedStyleId = props.sharedStyleId || null;
+    this.userInfo = props.userInfo || {};
+    this.sketchObject = new NativeLayer(this);
+
+    if (props.parent) {
+      this.parent = props.parent;
+    }
+  }
+
+  static get type() { return 'Layer'; }
+
+  get type() { return this.constructor.type; }
+
+  get parent() {
+    return parents.get(this);
+  }
+
+  set parent(newParent) {
+    const currentParent = parents.get(this);
+    const targetParent = fromNative(newParent);
+
+    if (currentParent) {
+      const siblings = childListFor(currentParent);
+      siblings.splice(siblings.indexOf(this), 1);
+      parents.delete(this);
+    }
+
+    if (targetParent) {
+      childListFor(targetParent).push(this);
+      parents.set(this, targetParent);
+    }
+  }
+
+  get index() {
+    const { parent } = this;
+    return parent ? childListFor(parent).indexOf(this) : -1;
+  }
+
+  set index(newIndex) {
+    const { parent } = this;
+    if (!parent) {
+      return;
+    }
+
+    const siblings = childListFor(parent);
+    siblings.splice(siblings.indexOf(this), 1);
+    const clampedIndex = Math.max(0, Math.min(newIndex, siblings.length));
+    siblings.splice(clampedIndex, 0, this);
+  }
+
+  get selected() {
+    const document = this.getDocument();
+    return document ? selections.get(document).includes(this) : false;
+  }
+
+  set selected(isSelected) {
+    const document = this.getDocument();
+    if (!document) {
+      return;
+    }
+
+    const selection = selections.get(document).filter(layer => layer !== this);
+    if (isSelected) {
+      selection.push(this);
+    }
+    selections.set(document, selection);
+  }
+
+  get sharedStyle() {
+    const document = this.getDocument();
+    if (!document || !this.sharedStyleId) {
+      return null;
+    }
+    return document.getSharedStyleWithID(this.sharedStyleId);
+  }
+
+  moveToFront() {
+    this.index = Number.MAX_SAFE_INTEGER;
+    return this;
+  }
+
+  moveForward() {
+    this.index += 1;
+    return this;
+  }
+
+  moveToBack() {
+    this.index = 0;
+    return this;
+  }
+
+  moveBackward() {
+    this.index = Math.max(0, this.index - 1);
+    return this;
+  }
+
+  remove() {
+    this.selected = false;
+    this.parent = null;
+    return this;
+  }
+
+  /**
+   * @description Walks up the parents to find the document containing the layer.
+   *
+   * @kind function
+   * @name getDocument
+   * @returns {Object} The document, or `undefined`.
+   */
+  getDocument() {
+    let { parent } = this;
+    while (parent && parent.type !== 'Document') {
+      parent = parent.parent; // eslint-disable-line prefer-destructuring
+    }
+    return parent;
+  }
+
+  /**
+   * @description Walks up the parents to find the artboard (or symbol master) containing the
+   * layer. Artboards return themselves.
+   *
+   * @kind function
+   * @name getParentArtboard
+   * @returns {Object} The artboard, or `undefined`.
+   */
+  getParentArtboard() {
+    let layer = this;
+    while (layer && layer.type !== 'Artboard' && layer.type !== 'SymbolMaster') {
+      layer = layer.parent;
+    }
+    return (layer && layer.type !== 'Document') ? layer : undefined;
+  }
+
+  /**
+   * @description Walks up the parents to find the page containing the layer.
+   *
+   * @kind function
+   * @name getParentPage
+   * @returns {Object} The page, or `undefined`.
+   */
+  getParentPage() {
+    let layer = this;
+    while (layer && layer.type !== 'Page') {
+      layer = layer.parent;
+    }
+    return layer;
+  }
+}
+
+/**
+ * @description A group of layers.
+ *
+ * @class
+ * @name Group
+ */
+class Group extends Layer {
+  constructor(props = {}) {
+    super(props);
+    this.layers = [];
+    (props.layers || []).forEach((layer) => {
+      fromNative(layer).parent = this; // eslint-disable-line no-param-reassign
+    });
+  }
+
+  static get type() { return 'Group'; }
+
+  /**
+   * @description Resizes the group to fit its children, keeping the children in the same
+   * place (relative to the group’s parent).
+   *
+   * @kind function
+   * @name adjustToFit
+   * @returns {Object} The group.
+   */
+  adjustToFit() {
+    if (this.layers.length < 1) {
+      return this;
+    }
+
+    const minX = Math.min(...this.layers.map(layer => layer.frame.x));
+    const minY = Math.min(...this.layers.map(layer => layer.frame.y));
+    const maxX = Math.max(...this.layers.map(layer => layer.frame.x + layer.frame.width));
+    const maxY = Math.max(...this.layers.map(layer => layer.frame.y + layer.frame.height));
+
+    this.layers.forEach((layer) => {
+      layer.frame.offset(-minX, -minY);
+    });
+    this.frame.x += minX;
+    this.frame.y += minY;
+    this.frame.width = maxX - minX;
+    this.frame.height = maxY - minY;
+
+    return this;
+  }
+}
+
+/**
+ * @description An artboard. Unlike groups, artboards keep their size when `adjustToFit`
+ * is called.
+ *
+ * @class
+ * @name Artboard
+ */
+class Artboard extends Group {
+  constructor(props = {}) {
+    super(props);
+    this.background = {
+      enabled: false,
+      includedInExport: true,
+      color: '#ffffffff',
+      ...props.background,
+    };
+  }
+
+  static get type() { return 'Artboard'; }
+
+  adjustToFit() {
+    return this;
+  }
+}
+
+/**
+ * @description A symbol master. Behaves like an artboard and is looked up by `symbolId`.
+ *
+ * @class
+ * @name SymbolMaster
+ */
+class SymbolMaster extends Artboard {
+  constructor(props = {}) {
+    super(props);
+    this.symbolId = props.symbolId || generateId();
+  }
+
+  static get type() { return 'SymbolMaster'; }
+
+  /**
+   * @description Creates a new (un-parented) instance of the master.
+   *
+   * @kind function
+   * @name createNewInstance
+   * @returns {Object} A `SymbolInstance`.
+   */
+  createNewInstance() {
+    return new SymbolInstance({ // eslint-disable-line no-use-before-define
+      name: this.name,
+      symbolId: this.symbolId,
+      frame: {
+        x: 0,
+        y: 0,
+        width: this.frame.width,
+        height: this.frame.height,
+      },
+    });
+  }
+}
+
+/**
+ * @description A page. Pages sit directly inside a document and never resize.
+ *
+ * @class
+ * @name Page
+ */
+class Page extends Group {
+  constructor(props = {}) {
+    super({
+      frame: {
+        x: 0,
+        y: 0,
+        width: 0,
+        height: 0,
+      },
+      ...props,
+    });
+  }
+
+  static get type() { return 'Page'; }
+
+  adjustToFit() {
+    return this;
+  }
+}
+
+/**
+ * @description An instance of a symbol master. `overrides` are normalized to the shape the
+ * JS API exposes (`id`, `path`, `property`, `value`, `isDefault`, `editable`).
+ *
+ * @class
+ * @name SymbolInstance
+ */
+class SymbolInstance extends Layer {
+  constructor(props = {}) {
+    super(props);
+    this.symbolId = props.symbolId || null;
+    this.overrides = (props.overrides || []).map(override => ({
+      editable: true,
+      isDefault: false,
+      property: 'symbolID',
+      ...override,
+      id: override.id || `${override.path}_${override.property || 'symbolID'}`,
+    }));
+  }
+
+  static get type() { return 'SymbolInstance'; }
+
+  get master() {
+    const document = this.getDocument();
+    return document ? document.getSymbolMasterWithID(this.symbolId) : undefined;
+  }
+}
+
+/**
+ * @description A shape path. Only rectangles are modelled, with their four corner points.
+ *
+ * @class
+ * @name ShapePath
+ */
+class ShapePath extends Layer {
+  constructor(props = {}) {
+    super(props);
+    this.shapeType = props.shapeType || 'Rectangle';
+    this.closed = true;
+    this.points = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([x, y]) => ({
+      type: 'CurvePoint',
+      pointType: 'Straight',
+      cornerRadius: props.cornerRadius || 0,
+      point: { x, y },
+      curveFrom: { x, y },
+      curveTo: { x, y },
+    }));
+  }
+
+  static get type() { return 'ShapePath'; }
+}
+
+/**
+ * @description A shape (a group of shape paths combined with boolean operations).
+ *
+ * @class
+ * @name Shape
+ */
+class Shape extends Group {
+  static get type() { return 'Shape'; }
+}
+
+/**
+ * @description An image (bitmap) layer.
+ *
+ * @class
+ * @name Image
+ */
+class Image extends Layer {
+  static get type() { return 'Image'; }
+}
+
+/**
+ * @description A text layer. `adjustToFit` approximates text metrics from the character count
+ * and font size so that layout code gets stable, predictable sizes.
+ *
+ * @class
+ * @name Text
+ */
+class Text extends Layer {
+  constructor(props = {}) {
+    super({
+      ...props,
+      style: {
+        alignment: 'left',
+        fontFamily: 'Helvetica',
+        fontSize: 12,
+        fontWeight: 5,
+        kerning: null,
+        lineHeight: null,
+        textColor: '#000000ff',
+        textTransform: 'none',
+        verticalAlignment: 'top',
+        ...props.style,
+      },
+    });
+    this.text = (props.text !== undefined) ? `${props.text}` : 'Text';
+    this.fixedWidth = !!props.fixedWidth;
+  }
+
+  static get type() { return 'Text'; }
+
+  /**
+   * @description Resizes the text frame to (approximately) fit its contents.
+   *
+   * @kind function
+   * @name adjustToFit
+   * @returns {Object} The text layer.
+   */
+  adjustToFit() {
+    const lines = this.text.split('\n');
+    const fontSize = this.style.fontSize || 12;
+    const lineHeight = this.style.lineHeight || Math.round(fontSize * 1.2);
+    const longestLine = Math.max(...lines.map(line => line.length));
+
+    this.frame.width = Math.ceil(longestLine * fontSize * 0.6);
+    this.frame.height = lines.length * lineHeight;
+    return this;
+  }
+}
+
+Text.Alignment = {
+  left: 'left',
+  right: 'right',
+  center: 'center',
+  justify: 'justified',
+};
+
+/**
+ * @description A shared layer or text style.
+ *
+ * @class
+ * @name SharedStyle
+ *
+ * @constructor
+ *
+ * @property props The shared style properties (`id`, `name`, `styleType`, `style`).
+ */
+class SharedStyle {
+  constructor(props = {}) {
+    this.id = props.id || generateId();
+    this.name = props.name || 'Style';
+    this.styleType = props.styleType || 'Layer';
+    this.style = new Style(props.style);
+  }
+
+  static get type() { return 'SharedStyle'; }
+
+  get type() { return this.constructor.type; }
+}
+
+/**
+ * @description The current selection of a document.
+ *
+ * @class
+ * @name Selection
+ *
+ * @constructor
+ *
+ * @property document The document the selection belongs to.
+ */
+class Selection {
+  constructor(document) {
+    this.layers = [...selections.get(document)];
+  }
+
+  get length() { return this.layers.length; }
+
+  get isEmpty() { return this.layers.length === 0; }
+
+  forEach(callback) { return this.layers.forEach(callback); }
+
+  map(callback) { return this.layers.map(callback); }
+}
+
+/**
+ * @description A Sketch document. `userInfo` holds document-level metadata, exactly like
+ * `documentData().userInfo()` in Sketch (e.g. `com.lingoapp.lingo` and plugin settings).
+ *
+ * @class
+ * @name Document
+ *
+ * @constructor
+ *
+ * @property props The document properties (`id`, `name`, `path`, `pages`, `userInfo`,
+ * `sharedLayerStyles`, `sharedTextStyles`).
+ */
+class Document {
+  constructor(props = {}) {
+    this.id = props.id || generateId();
+    this.name = props.name || 'Untitled';
+    this.path = props.path || null;
+    this.pages = [];
+    this.userInfo = props.userInfo || {};
+    this.sharedLayerStyles = (props.sharedLayerStyles || []).map(
+      sharedStyle => new SharedStyle({ styleType: 'Layer', ...sharedStyle }),
+    );
+    this.sharedTextStyles = (props.sharedTextStyles || []).map(
+      sharedStyle => new SharedStyle({ styleType: 'Text', ...sharedStyle }),
+    );
+    selections.set(this, []);
+    this.sketchObject = new NativeDocument(this);
+
+    const pages = props.pages || [new Page({ name: 'Page 1' })];
+    pages.forEach((page) => {
+      fromNative(page).parent = this; // eslint-disable-line no-param-reassign
+    });
+    [this.selectedPage] = this.pages;
+
+    state.documents.push(this);
+    state.currentDocument = this;
+  }
+
+  static get type() { return 'Document'; }
+
+  get type() { return this.constructor.type; }
+
+  get selectedLayers() {
+    return new Selection(this);
+  }
+
+  set selectedLayers(layers) {
+    selections.set(this, (layers.layers || layers).map(layer => fromNative(layer)));
+  }
+
+  /**
+   * @description Finds a layer (or page) anywhere in the document.
+   *
+   * @kind function
+   * @name getLayerWithID
+   * @param {string} layerId The ID of the layer.
+   * @returns {Object} The layer, or `undefined`.
+   */
+  getLayerWithID(layerId) {
+    if (!layerId) {
+      return undefined;
+    }
+
+    let foundLayer;
+    walkLayers(this.pages, (layer) => {
+      if (!foundLayer && layer.id === layerId) {
+        foundLayer = layer;
+      }
+    });
+    return foundLayer;
+  }
+
+  /**
+   * @description Finds every layer in the document with a given name.
+   *
+   * @kind function
+   * @name getLayersNamed
+   * @param {string} name The name to look for.
+   * @returns {Array} The matching layers.
+   */
+  getLayersNamed(name) {
+    const foundLayers = [];
+    walkLayers(this.pages, (layer) => {
+      if (layer.name === name) {
+        foundLayers.push(layer);
+      }
+    });
+    return foundLayers;
+  }
+
+  /**
+   * @description Returns every symbol master in the document.
+   *
+   * @kind function
+   * @name getSymbols
+   * @returns {Array} The symbol masters.
+   */
+  getSymbols() {
+    const masters = [];
+    walkLayers(this.pages, (layer) => {
+      if (layer.type === 'SymbolMaster') {
+        masters.push(layer);
+      }
+    });
+    return masters;
+  }
+
+  /**
+   * @description Finds a symbol master by its `symbolId`.
+   *
+   * @kind function
+   * @name getSymbolMasterWithID
+   * @param {string} symbolId The `symbolId` of the master.
+   * @returns {Object} The symbol master, or `undefined`.
+   */
+  getSymbolMasterWithID(symbolId) {
+    return this.getSymbols().find(master => master.symbolId === symbolId);
+  }
+
+  /**
+   * @description Finds a shared layer or text style by ID.
+   *
+   * @kind function
+   * @name getSharedStyleWithID
+   * @param {string} sharedStyleId The ID of the shared style.
+   * @returns {Object} The shared style, or `null`.
+   */
+  getSharedStyleWithID(sharedStyleId) {
+    return [
+      ...this.sharedLayerStyles,
+      ...this.sharedTextStyles,
+    ].find(sharedStyle => sharedStyle.id === sharedStyleId) || null;
+  }
+
+  static getSelectedDocument() {
+    return state.currentDocument;
+  }
+
+  static getDocuments() {
+    return [...state.documents];
+  }
+}
+
+/**
+ * @description Returns the document currently “in front”.
+ *
+ * @kind function
+ * @name getSelectedDocument
+ * @returns {Object} The current document.
+ */
+const getSelectedDocument = () => Document.getSelectedDocument();
+
+/**
+ * @description Returns every open document.
+ *
+ * @kind function
+ * @name getDocuments
+ * @returns {Array} The open documents.
+ */
+const getDocuments = () => Document.getDocuments();
+
+/**
+ * @description A transparent 1×1 PNG. Nothing can be rendered outside of Sketch, so
+ * exports return this placeholder image.
+ *
+ * @kind constant
+ * @name PLACEHOLDER_PNG
+ * @type {string}
+ * @private
+ */
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * @description Simulates `sketch.export`. The request is recorded in `state.exports` and,
+ * when `output` is `false`, a placeholder PNG is returned the way Sketch returns a `Buffer`.
+ * Files are never written.
+ *
+ * @kind function
+ * @name exportObject
+ * @param {Object} object The layer (or layers) to export.
+ * @param {Object} options The export options (`formats`, `output`, `scales`, etc.).
+ * @returns {Object} A `Buffer` with the placeholder image if `output` is `false`.
+ */
+const exportObject = (object, options = {}) => {
+  state.exports.push({ object, options });
+
+  if (options.output === false) {
+    return Buffer.from(PLACEHOLDER_PNG, 'base64');
+  }
+  return undefined;
+};
+
+export {
+  Artboard,
+  Document,
+  exportObject as export,
+  fromNative,
+  getDocuments,
+  getSelectedDocument,
+  Group,
+  Image,
+  Layer,
+  normalizeColor,
+  Page,
+  Rectangle,
+  Selection,
+  Shape,
+  ShapePath,
+  SharedStyle,
+  Style,
+  SymbolInstance,
+  SymbolMaster,
+  Text,
+};
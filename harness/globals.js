@@ -0,0 +1,70 @@
+/**
+ * @description Installs the globals Sketch exposes to plugin code (`log` and the handful of
+ * Cocoa classes the plugin touches) so that modules in `src/` can run in Node.
+ */
+import fs from 'fs';
+import { toNativeArray } from './native';
+import { state } from './state';
+
+/**
+ * @description Formats a date the way `NSDate` prints itself (`2019-05-16 17:28:59 +0000`).
+ *
+ * @kind function
+ * @name formatNSDate
+ * @param {Date} date The date to format.
+ * @returns {string} The formatted date.
+ * @private
+ */
+const formatNSDate = date => `${date.toISOString().split('.')[0].replace('T', ' ')} +0000`;
+
+global.log = (message) => {
+  state.logs.push(`${message}`);
+};
+
+global.nil = null;
+
+global.NSFontManager = {
+  sharedFontManager: () => ({
+    availableFontFamilies: () => toNativeArray(state.fontFamilies),
+  }),
+};
+
+global.NSDocumentController = {
+  sharedDocumentController: () => ({
+    currentDocument: () => (
+      state.currentDocument ? state.currentDocument.sketchObject : null
+    ),
+  }),
+};
+
+global.NSFileManager = {
+  defaultManager: () => ({
+    attributesOfItemAtPath_error_: path => ({ // eslint-disable-line camelcase
+      fileCreationDate: () => formatNSDate(fs.statSync(path).birthtime),
+    }),
+  }),
+};
+
+global.NSUTF8StringEncoding = 4;
+
+// Sketch’s `Buffer` can hand its bytes to Cocoa for writing
+Buffer.prototype.toNSData = function toNSData() { // eslint-disable-line no-extend-native
+  return {
+    writeToFile_atomically: (path) => { // eslint-disable-line camelcase
+      fs.writeFileSync(path, this);
+      return true;
+    },
+  };
+};
+
+global.NSString = {
+  stringWithString: string => ({
+    writeToFile_atomically_encoding_error: (path) => { // eslint-disable-line camelcase
+      fs.writeFileSync(path, `${string}`, 'utf8');
+      return true;
+    },
+  }),
+  stringWithContentsOfFile_encoding_error: path => ( // eslint-disable-line camelcase
+    fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : null
+  ),
+};
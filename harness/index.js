@@ -0,0 +1,76 @@
+/**
+ * @description Helpers for driving plugin code against the in-memory Sketch stand-in.
+ * Run scripts (or the Node test runner) with `node --import ./harness/register.mjs` so that
+ * `sketch`, `sketch/dom`, and `sketch/ui` imports in `src/` resolve to the harness.
+ */
+import { resetState, state } from './state';
+
+/**
+ * @description Builds a context object like the one Sketch passes to plugin commands.
+ *
+ * @kind function
+ * @name contextFor
+ * @param {Object} document The harness document the command runs against.
+ * @param {string} action An optional action name (i.e. `OpenDocument`). Actions receive
+ * the document through `actionContext`, like Sketch action handlers.
+ * @returns {Object} The context object.
+ */
+const contextFor = (document, action = null) => {
+  const context = {
+    document: document.sketchObject,
+  };
+
+  if (action) {
+    context.action = action;
+    context.actionContext = {
+      document: document.sketchObject,
+    };
+  }
+
+  return context;
+};
+
+/**
+ * @description Selects a set of layers in a document and returns a matching command context.
+ *
+ * @kind function
+ * @name select
+ * @param {Object} document The harness document.
+ * @param {Array} layers The layers to select.
+ * @returns {Object} The context object.
+ */
+const select = (document, layers = []) => {
+  document.selectedLayers = layers; // eslint-disable-line no-param-reassign
+  return contextFor(document);
+};
+
+/**
+ * @description Queues a response for the next `getInputFromUser` dialog.
+ *
+ * @kind function
+ * @name queueInput
+ * @param {string} value The value the “user” enters.
+ * @param {Object} error An optional error, used to simulate the user canceling.
+ */
+const queueInput = (value, error = null) => {
+  state.inputQueue.push({ error, value });
+};
+
+/**
+ * @description Clears all recorded Toasts, alerts, logs, queued input, plugin settings,
+ * and open documents.
+ *
+ * @kind function
+ * @name resetHarness
+ */
+const resetHarness = () => {
+  resetState();
+};
+
+export {
+  contextFor,
+  queueInput,
+  resetHarness,
+  select,
+  state,
+};
@@ -0,0 +1,52 @@
+/**
+ * @description Node module hooks that let the plugin source run outside of Sketch: the
+ * `sketch` modules (and Sketch’s `util` polyfill) resolve to the harness stand-ins,
+ * extension-less relative imports resolve to `.js` files, and project files are loaded
+ * as ES modules (the way skpm bundles them).
+ */
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const harnessDirectory = path.dirname(fileURLToPath(import.meta.url));
+const rootURL = pathToFileURL(`${path.dirname(harnessDirectory)}/`).href;
+
+const aliases = {
+  sketch: 'sketch.js',
+  'sketch/dom': 'dom.js',
+  'sketch/settings': 'settings.js',
+  'sketch/ui': 'ui.js',
+  util: 'util.js',
+};
+
+const isProjectFile = url => (
+  !!url
+  && url.startsWith(rootURL)
+  && !url.includes('/node_modules/')
+);
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (aliases[specifier] && isProjectFile(context.parentURL)) {
+    return {
+      shortCircuit: true,
+      url: pathToFileURL(path.join(harnessDirectory, aliases[specifier])).href,
+    };
+  }
+
+  if (
+    specifier.startsWith('.')
+    && !path.extname(specifier)
+    && isProjectFile(context.parentURL)
+  ) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (isProjectFile(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+
+  return nextLoad(url, context);
+};
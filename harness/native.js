@@ -0,0 +1,357 @@
+/**
+ * @description Stand-ins for the Objective-C (“native”) objects that Sketch hands to plugins.
+ * Each native object is a thin adapter over a harness DOM object: calls like
+ * `layer.frame().width()` or `documentData.userInfo()` read straight through to the
+ * in-memory document, so the plugin code can mix native and JS API calls the same way
+ * it does inside Sketch.
+ */
+
+/**
+ * @description Maps each native adapter to the harness DOM object it represents.
+ *
+ * @kind constant
+ * @name wrappers
+ * @type {WeakMap}
+ * @private
+ */
+const wrappers = new WeakMap();
+
+/**
+ * @description Sketch’s class names for each harness layer type.
+ *
+ * @kind constant
+ * @name CLASS_NAMES
+ * @type {Object}
+ * @private
+ */
+const CLASS_NAMES = {
+  Artboard: 'MSArtboardGroup',
+  Group: 'MSLayerGroup',
+  Image: 'MSBitmapLayer',
+  Page: 'MSPage',
+  Shape: 'MSShapeGroup',
+  ShapePath: 'MSRectangleShape',
+  SymbolInstance: 'MSSymbolInstance',
+  SymbolMaster: 'MSSymbolMaster',
+  Text: 'MSTextLayer',
+};
+
+/**
+ * @description Converts a native object back into its JS API representation. Objects
+ * that are already JS API objects (or plain values) are returned untouched.
+ *
+ * @kind function
+ * @name fromNative
+ * @param {Object} object The native object to convert.
+ * @returns {Object} The JS API object.
+ */
+const fromNative = (object) => {
+  if (object && wrappers.has(object)) {
+    return wrappers.get(object);
+  }
+  return object;
+};
+
+/**
+ * @description Simulates `NSArray` so that `.count()` and index lookups work alongside
+ * regular javascript Array functions.
+ *
+ * @class
+ * @name NativeArray
+ */
+class NativeArray extends Array {
+  /**
+   * @description Returns the number of items in the array.
+   *
+   * @kind function
+   * @name count
+   * @returns {number} The number of items.
+   */
+  count() {
+    return this.length;
+  }
+
+  /**
+   * @description Returns the item at a given index.
+   *
+   * @kind function
+   * @name objectAtIndex
+   * @param {number} index The index of the item.
+   * @returns {Object} The item (or `undefined`).
+   */
+  objectAtIndex(index) {
+    return this[index];
+  }
+}
+
+/**
+ * @description Builds a `NativeArray` from any list of items.
+ *
+ * @kind function
+ * @name toNativeArray
+ * @param {Array} items The items to include.
+ * @returns {Array} A `NativeArray` instance.
+ */
+const toNativeArray = (items = []) => {
+  const nativeArray = new NativeArray();
+  items.forEach(item => nativeArray.push(item));
+  return nativeArray;
+};
+
+/**
+ * @description Simulates `MSRect`, reading and writing through to the layer’s `frame`.
+ *
+ * @class
+ * @name NativeRect
+ *
+ * @constructor
+ *
+ * @property layer The harness layer that owns the frame.
+ */
+class NativeRect {
+  constructor(layer) {
+    this.layer = layer;
+  }
+
+  x() { return this.layer.frame.x; }
+
+  y() { return this.layer.frame.y; }
+
+  width() { return this.layer.frame.width; }
+
+  height() { return this.layer.frame.height; }
+
+  setX(x) { this.layer.frame.x = x; }
+
+  setY(y) { this.layer.frame.y = y; }
+
+  setWidth(width) { this.layer.frame.width = width; }
+
+  setHeight(height) { this.layer.frame.height = height; }
+}
+
+/**
+ * @description Simulates the `MSLayer` family of native layers.
+ *
+ * @class
+ * @name NativeLayer
+ *
+ * @constructor
+ *
+ * @property layer The harness layer this native object represents.
+ */
+class NativeLayer {
+  constructor(layer) {
+    wrappers.set(this, layer);
+  }
+
+  frame() {
+    return new NativeRect(wrappers.get(this));
+  }
+
+  name() {
+    return wrappers.get(this).name;
+  }
+
+  setName(name) {
+    wrappers.get(this).name = name;
+  }
+
+  objectID() {
+    return wrappers.get(this).id;
+  }
+
+  className() {
+    return CLASS_NAMES[wrappers.get(this).type] || 'MSLayer';
+  }
+
+  isLocked() {
+    return wrappers.get(this).locked;
+  }
+
+  isVisible() {
+    return !wrappers.get(this).hidden;
+  }
+
+  userInfo() {
+    return wrappers.get(this).userInfo;
+  }
+
+  /**
+   * @description Finds the closest parent group (or page) of the layer.
+   *
+   * @kind function
+   * @name parentGroup
+   * @returns {Object} The native parent, or `null`.
+   */
+  parentGroup() {
+    const { parent } = wrappers.get(this);
+    return (parent && parent.sketchObject) ? parent.sketchObject : null;
+  }
+
+  /**
+   * @description Finds the artboard (or symbol master) that contains the layer. Artboards
+   * return themselves.
+   *
+   * @kind function
+   * @name parentArtboard
+   * @returns {Object} The native artboard, or `null` if the layer is not on one.
+   */
+  parentArtboard() {
+    const artboard = wrappers.get(this).getParentArtboard();
+    return artboard ? artboard.sketchObject : null;
+  }
+
+  /**
+   * @description Finds the page that contains the layer.
+   *
+   * @kind function
+   * @name parentPage
+   * @returns {Object} The native page, or `null`.
+   */
+  parentPage() {
+    const page = wrappers.get(this).getParentPage();
+    return page ? page.sketchObject : null;
+  }
+
+  /**
+   * @description Like Sketch, returns a flat list of the layer itself followed by all of
+   * its descendants.
+   *
+   * @kind function
+   * @name children
+   * @returns {Array} A `NativeArray` of native layers.
+   */
+  children() {
+    const allChildren = [];
+    const collect = (layer) => {
+      allChildren.push(layer.sketchObject);
+      if (layer.layers) {
+        layer.layers.forEach(innerLayer => collect(innerLayer));
+      }
+    };
+    collect(wrappers.get(this));
+    return toNativeArray(allChildren);
+  }
+
+  /**
+   * @description Returns the immediate child layers of a group.
+   *
+   * @kind function
+   * @name layers
+   * @returns {Array} A `NativeArray` of native layers.
+   */
+  layers() {
+    const layer = wrappers.get(this);
+    return toNativeArray((layer.layers || []).map(innerLayer => innerLayer.sketchObject));
+  }
+}
+
+/**
+ * @description Simulates `MSDocumentData`, which holds the document-level `userInfo`
+ * (where Lingo and plugin settings live) and the symbol masters.
+ *
+ * @class
+ * @name NativeDocumentData
+ *
+ * @constructor
+ *
+ * @property document The harness document this data belongs to.
+ */
+class NativeDocumentData {
+  constructor(document) {
+    wrappers.set(this, document);
+  }
+
+  userInfo() {
+    return wrappers.get(this).userInfo;
+  }
+
+  /**
+   * @description Finds a symbol master based on its `symbolId`.
+   *
+   * @kind function
+   * @name symbolWithID
+   * @param {string} symbolId The `symbolId` of the master.
+   * @returns {Object} The native symbol master, or `null`.
+   */
+  symbolWithID(symbolId) {
+    const master = wrappers.get(this).getSymbolMasterWithID(symbolId);
+    return master ? master.sketchObject : null;
+  }
+
+  allSymbols() {
+    return toNativeArray(wrappers.get(this).getSymbols().map(master => master.sketchObject));
+  }
+
+  pages() {
+    return toNativeArray(wrappers.get(this).pages.map(page => page.sketchObject));
+  }
+}
+
+/**
+ * @description Simulates `MSDocument`.
+ *
+ * @class
+ * @name NativeDocument
+ *
+ * @constructor
+ *
+ * @property document The harness document this native object represents.
+ */
+class NativeDocument {
+  constructor(document) {
+    wrappers.set(this, document);
+    this.data = new NativeDocumentData(document);
+  }
+
+  documentData() {
+    return this.data;
+  }
+
+  displayName() {
+    return wrappers.get(this).name;
+  }
+
+  currentPage() {
+    const { selectedPage } = wrappers.get(this);
+    return selectedPage ? selectedPage.sketchObject : null;
+  }
+
+  /**
+   * @description Returns an object mirroring `MSLayerArray` for the current selection.
+   *
+   * @kind function
+   * @name selectedLayers
+   * @returns {Object} An object with a `layers` function.
+   */
+  selectedLayers() {
+    const { selectedLayers } = wrappers.get(this);
+    return {
+      layers: () => toNativeArray(selectedLayers.layers.map(layer => layer.sketchObject)),
+    };
+  }
+
+  /**
+   * @description Returns an object mirroring `NSURL` if the document has been saved.
+   *
+   * @kind function
+   * @name fileURL
+   * @returns {Object} An object with a `path` function, or `null` for un-saved documents.
+   */
+  fileURL() {
+    const { path } = wrappers.get(this);
+    if (!path) {
+      return null;
+    }
+    return { path: () => path };
+  }
+}
+
+export {
+  fromNative,
+  NativeArray,
+  NativeDocument,
+  NativeLayer,
+  toNativeArray,
+};
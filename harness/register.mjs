@@ -0,0 +1,9 @@
+/**
+ * @description Entry point for running plugin code in Node:
+ * `node --import ./harness/register.mjs <script>`.
+ */
+import { register } from 'module';
+
+register('./loader.mjs', import.meta.url);
+
+await import('./globals.js');
@@ -0,0 +1,77 @@
+/**
+ * @description An in-memory stand-in for the `sketch/settings` module. Layer and document
+ * settings are stored the way Sketch stores them: JSON-encoded, inside the object’s
+ * `userInfo` under the plugin identifier. Plugin-level settings and session variables
+ * live in the shared harness `state`.
+ */
+import { fromNative } from './native';
+import { state } from './state';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+
+/**
+ * @description Reads a JSON-encoded value from an object’s `userInfo`.
+ *
+ * @kind function
+ * @name readUserInfo
+ * @param {Object} target The layer or document holding the value.
+ * @param {string} key The settings key.
+ * @returns {Object} The decoded value, or `undefined`.
+ * @private
+ */
+const readUserInfo = (target, key) => {
+  const { userInfo } = fromNative(target);
+  const pluginInfo = userInfo[PLUGIN_IDENTIFIER];
+  if (!pluginInfo || pluginInfo[key] === undefined) {
+    return undefined;
+  }
+  return JSON.parse(pluginInfo[key]);
+};
+
+/**
+ * @description Writes a value to an object’s `userInfo` as JSON. Setting `undefined`
+ * removes the key.
+ *
+ * @kind function
+ * @name writeUserInfo
+ * @param {Object} target The layer or document receiving the value.
+ * @param {string} key The settings key.
+ * @param {Object} value The value to store.
+ * @private
+ */
+const writeUserInfo = (target, key, value) => {
+  const { userInfo } = fromNative(target);
+  if (!userInfo[PLUGIN_IDENTIFIER]) {
+    userInfo[PLUGIN_IDENTIFIER] = {};
+  }
+
+  if (value === undefined) {
+    delete userInfo[PLUGIN_IDENTIFIER][key];
+  } else {
+    userInfo[PLUGIN_IDENTIFIER][key] = JSON.stringify(value);
+  }
+};
+
+const settingForKey = key => (
+  (state.pluginSettings[key] !== undefined) ? JSON.parse(state.pluginSettings[key]) : undefined
+);
+
+const setSettingForKey = (key, value) => {
+  state.pluginSettings[key] = JSON.stringify(value);
+};
+
+const layerSettingForKey = (layer, key) => readUserInfo(layer, key);
+
+const setLayerSettingForKey = (layer, key, value) => writeUserInfo(layer, key, value);
+
+const documentSettingForKey = (document, key) => readUserInfo(document, key);
+
+const setDocumentSettingForKey = (document, key, value) => writeUserInfo(document, key, value);
+
+export {
+  documentSettingForKey,
+  layerSettingForKey,
+  setDocumentSettingForKey,
+  setLayerSettingForKey,
+  setSettingForKey,
+  settingForKey,
+};
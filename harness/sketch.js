@@ -0,0 +1,55 @@
+/**
+ * @description An in-memory stand-in for the `sketch` module. It re-exposes the harness
+ * DOM, settings, and UI the same way the real module does.
+ */
+import * as dom from './dom';
+import * as Settings from './settings';
+import * as UI from './ui';
+
+const {
+  Artboard,
+  Document,
+  export: exportObject,
+  fromNative,
+  getDocuments,
+  getSelectedDocument,
+  Group,
+  Image,
+  Page,
+  Rectangle,
+  Shape,
+  ShapePath,
+  SharedStyle,
+  Style,
+  SymbolInstance,
+  SymbolMaster,
+  Text,
+} = dom;
+
+export {
+  Artboard,
+  Document,
+  exportObject as export,
+  fromNative,
+  getDocuments,
+  getSelectedDocument,
+  Group,
+  Image,
+  Page,
+  Rectangle,
+  Settings,
+  Shape,
+  ShapePath,
+  SharedStyle,
+  Style,
+  SymbolInstance,
+  SymbolMaster,
+  Text,
+  UI,
+};
+
+export default {
+  ...dom,
+  Settings,
+  UI,
+};
@@ -0,0 +1,83 @@
+/**
+ * @description Shared, resettable state for the headless stand-in of the Sketch API. Anything
+ * that Sketch would normally keep outside of a document (plugin-level settings, Toasts,
+ * alerts, the log, queued user input) is recorded here so that it can be inspected
+ * (and cleared) between runs.
+ */
+import { randomUUID } from 'crypto';
+
+/**
+ * @description A counter used to generate predictable layer/document IDs.
+ *
+ * @kind variable
+ * @name idCounter
+ * @type {number}
+ * @private
+ */
+let idCounter = 0;
+
+/**
+ * @description The mutable state object shared by every harness module.
+ *
+ * @kind constant
+ * @name state
+ * @type {Object}
+ */
+const state = {
+  alerts: [],
+  currentDocument: null,
+  documents: [],
+  exports: [],
+  fontFamilies: ['Helvetica Neue'],
+  inputQueue: [],
+  logs: [],
+  messages: [],
+  pluginSettings: {},
+  sequentialIds: true,
+};
+
+/**
+ * @description Generates a new unique ID in the same UUID format Sketch uses for layers.
+ * IDs are sequential so that repeated runs produce the same output, unless
+ * `state.sequentialIds` is turned off (e.g. when working with documents read from disk,
+ * which already contain IDs from earlier runs).
+ *
+ * @kind function
+ * @name generateId
+ * @returns {string} A new UUID-formatted string.
+ */
+const generateId = () => {
+  if (!state.sequentialIds) {
+    return randomUUID().toUpperCase();
+  }
+
+  idCounter += 1;
+  const suffix = `${idCounter}`.padStart(12, '0');
+  return `00000000-0000-4000-8000-${suffix}`;
+};
+
+/**
+ * @description Clears everything recorded in `state` and restarts ID generation.
+ *
+ * @kind function
+ * @name resetState
+ */
+const resetState = () => {
+  idCounter = 0;
+  state.alerts = [];
+  state.currentDocument = null;
+  state.documents = [];
+  state.exports = [];
+  state.fontFamilies = ['Helvetica Neue'];
+  state.inputQueue = [];
+  state.logs = [];
+  state.messages = [];
+  state.pluginSettings = {};
+  state.sequentialIds = true;
+};
+
+export {
+  generateId,
+  resetState,
+  state,
+};
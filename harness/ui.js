@@ -0,0 +1,77 @@
+/**
+ * @description An in-memory stand-in for the `sketch/ui` module. Toasts and alerts are
+ * recorded in the shared harness `state`, and `getInputFromUser` answers with queued
+ * responses (or accepts the initial value when nothing is queued).
+ */
+import { state } from './state';
+
+/**
+ * @description The input types accepted by `getInputFromUser`.
+ *
+ * @kind constant
+ * @name INPUT_TYPE
+ * @type {Object}
+ */
+const INPUT_TYPE = {
+  number: 'number',
+  selection: 'selection',
+  slider: 'slider',
+  string: 'string',
+};
+
+/**
+ * @description Records a Toast message.
+ *
+ * @kind function
+ * @name message
+ * @param {string} text The message to display.
+ */
+const message = (text) => {
+  state.messages.push(`${text}`);
+};
+
+/**
+ * @description Records an alert dialog.
+ *
+ * @kind function
+ * @name alert
+ * @param {string} title The title of the alert.
+ * @param {string} text The body of the alert.
+ */
+const alert = (title, text) => {
+  state.alerts.push({ title, text });
+};
+
+/**
+ * @description Answers an input dialog with the next queued response. If nothing is queued,
+ * the user is assumed to have accepted the initial (or first possible) value.
+ *
+ * @kind function
+ * @name getInputFromUser
+ * @param {string} messageText The dialog prompt.
+ * @param {Object} options The dialog options (`type`, `initialValue`, `possibleValues`).
+ * @param {Function} callback Called with `(error, value)`.
+ */
+const getInputFromUser = (messageText, options = {}, callback) => {
+  const settings = (typeof options === 'function') ? {} : options;
+  const respond = (typeof options === 'function') ? options : callback;
+  const queuedResponse = state.inputQueue.shift();
+
+  if (queuedResponse) {
+    respond(queuedResponse.error, queuedResponse.value);
+    return;
+  }
+
+  let defaultValue = settings.initialValue;
+  if ((defaultValue === undefined) && settings.possibleValues) {
+    [defaultValue] = settings.possibleValues;
+  }
+  respond(null, defaultValue);
+};
+
+export {
+  alert,
+  getInputFromUser,
+  INPUT_TYPE,
+  message,
+};
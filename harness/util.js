@@ -0,0 +1,16 @@
+/**
+ * @description A stand-in for the `util` polyfill Sketch provides to plugins, which adds
+ * `toArray` for converting `NSArray` objects.
+ */
+
+/**
+ * @description Converts an array-like object into a javascript Array.
+ *
+ * @kind function
+ * @name toArray
+ * @param {Object} object The array-like object.
+ * @returns {Array} Javascript Array.
+ */
+const toArray = object => Array.from(object || []);
+
+export { toArray }; // eslint-disable-line import/prefer-default-export
@@ -1,10 +1,149 @@
 import { fromNative } from 'sketch';
 import {
+  getFrameOnArtboard,
   getPositionOnArtboard,
   getRelativeIndex,
   setArray,
 } from './Tools';
 
+// --- private functions
+/**
+ * @description Works out the four areas between an outer layer (`layerA`) and an inner
+ * layer (`layerB`) that sits inside of it: the space above, below, to the right, and to the
+ * left of the inner layer. Coordinates are relative to the artboard, even if the layers are
+ * grouped.
+ *
+ * @kind function
+ * @name setOverlapFrames
+ * @param {Object} layerA The outer layer (or artboard).
+ * @param {Object} layerB The inner layer.
+ * @returns {Object} The `top`, `bottom`, `right`, and `left` frames. Each frame
+ * contains `x`, `y` coordinates, `width`, `height`, and `orientation`.
+ * The object also includes layer IDs (`layerAId` and `layerBId`).
+ * @private
+ */
+const setOverlapFrames = (layerA, layerB) => {
+  // set shorthand for `getPositionOnArtboard`
+  const aPos = getPositionOnArtboard;
+
+  // -------- set frames - essentially defining rectangles in the overapped spaces
+  // between the two layers
+  // top
+  const topWidth = layerB.frame().width();
+  const topHeight = aPos(layerB).y - aPos(layerA).y;
+  const topX = aPos(layerB).x;
+  const topY = aPos(layerA).y;
+  // bottom
+  const bottomWidth = layerB.frame().width();
+  const bottomHeight = layerA.frame().height() - topHeight - layerB.frame().height();
+  const bottomX = aPos(layerB).x;
+  const bottomY = aPos(layerA).y + topHeight + layerB.frame().height();
+  // left
+  const leftWidth = aPos(layerB).x - aPos(layerA).x;
+  const leftHeight = layerB.frame().height();
+  const leftX = aPos(layerA).x;
+  const leftY = aPos(layerB).y;
+  // right
+  const rightWidth = layerA.frame().width() - layerB.frame().width() - leftWidth;
+  const rightHeight = layerB.frame().height();
+  const rightX = aPos(layerB).x + layerB.frame().width();
+  const rightY = aPos(layerB).y;
+
+  // set the frames
+  const theFrames = {
+    top: {
+      x: topX,
+      y: topY,
+      width: topWidth,
+      height: topHeight,
+      orientation: 'horizontal',
+    },
+    bottom: {
+      x: bottomX,
+      y: bottomY,
+      width: bottomWidth,
+      height: bottomHeight,
+      orientation: 'horizontal',
+    },
+    right: {
+      x: rightX,
+      y: rightY,
+      width: rightWidth,
+      height: rightHeight,
+      orientation: 'vertical',
+    },
+    left: {
+      x: leftX,
+      y: leftY,
+      width: leftWidth,
+      height: leftHeight,
+      orientation: 'vertical',
+    },
+    layerAId: fromNative(layerA).id,
+    layerBId: fromNative(layerB).id,
+  };
+
+  return theFrames;
+};
+
+/**
+ * @description The edges compared when checking alignments, with the orientation of the guide
+ * drawn for each and a function that reads the edge from a layer’s `frame` (relative to the
+ * artboard, plus its `baseline`).
+ *
+ * @kind constant
+ * @name ALIGNMENT_EDGES
+ * @type {Object}
+ * @private
+ */
+const ALIGNMENT_EDGES = {
+  left: {
+    orientation: 'vertical',
+    read: frame => frame.x,
+  },
+  center: {
+    orientation: 'vertical',
+    read: frame => frame.x + (frame.width / 2),
+  },
+  right: {
+    orientation: 'vertical',
+    read: frame => frame.x + frame.width,
+  },
+  top: {
+    orientation: 'horizontal',
+    read: frame => frame.y,
+  },
+  baseline: {
+    orientation: 'horizontal',
+    read: frame => frame.baseline,
+  },
+};
+
+/**
+ * @description Reads the baseline of a layer, relative to the artboard: the baseline of the
+ * first line of a text layer, or the bottom edge of any other layer (or of a text layer whose
+ * lines cannot be read).
+ *
+ * @kind function
+ * @name readBaseline
+ * @param {Object} layer The layer.
+ * @returns {number} The `y` coordinate of the baseline.
+ * @private
+ */
+const readBaseline = (layer) => {
+  const layerPosition = getPositionOnArtboard(layer);
+  const layerObject = fromNative(layer);
+
+  // a line fragment’s baseline offset is measured up from the bottom of the line
+  if ((layerObject.type === 'Text') && layerObject.fragments && layerObject.fragments[0]) {
+    const { rect, baselineOffset } = layerObject.fragments[0];
+    return layerPosition.y + rect.y + rect.height - baselineOffset;
+  }
+
+  return layerPosition.y + layer.frame().height();
+};
+
+// --- main Crawler class function
 /**
  * @description A class to handle traversing an array of selected items and return useful items
  * (parent layer, artboard, document, etc). It will also find items based on ID (or timestamp).
@@ -66,6 +205,27 @@ export default class Crawler {
     return flatSelection;
   }
 
+  /**
+   * @description Looks up the artboard for each item in the array (artboards count as their
+   * own artboard) and returns each artboard once, in selection order.
+   *
+   * @kind function
+   * @name artboards
+   * @returns {Array} The unique artboards as a javascript array.
+   */
+  artboards() {
+    const artboards = [];
+    const artboardIds = [];
+    setArray(this.array).forEach((layer) => {
+      const artboard = layer.parentArtboard();
+      if (artboard && !artboardIds.includes(fromNative(artboard).id)) {
+        artboardIds.push(fromNative(artboard).id);
+        artboards.push(artboard);
+      }
+    });
+    return artboards;
+  }
+
   /**
    * @description Simulates Sketch’s frame() object, but for an entire selection,
    * and keeps the coordinates relative to the artboard, ignoring if some of the items
@@ -344,6 +504,53 @@ export default class Crawler {
     return theFrame;
   }
 
+  /**
+   * @description Sorts a selection of two or more layers along an axis (left to right for a
+   * row, top to bottom for a column) and creates the gap frame (see `gapFrame`) between each
+   * pair of neighbouring layers. If an `axis` is not supplied, the axis along which the layers
+   * are spread out the most is used.
+   *
+   * @kind function
+   * @name gapFrames
+   * @param {string} axis The axis to sort along (`horizontal` for a row or `vertical` for a
+   * column).
+   * @returns {Array} The gap frames, in order. Neighbouring layers that overlap (no gap
+   * exists) are skipped.
+   */
+  gapFrames(axis = null) {
+    const selection = setArray(this.array);
+
+    // set shorthand for `getPositionOnArtboard`
+    const aPos = getPositionOnArtboard;
+
+    // compare the spread of the layers’ mid-points in each direction
+    const spread = (key, size) => {
+      const midPoints = selection.map(layer => aPos(layer)[key] + (layer.frame()[size]() / 2));
+      return Math.max(...midPoints) - Math.min(...midPoints);
+    };
+    const sortAxis = axis || (
+      (spread('x', 'width') >= spread('y', 'height')) ? 'horizontal' : 'vertical'
+    );
+    const key = sortAxis === 'horizontal' ? 'x' : 'y';
+    const sortedLayers = [...selection].sort((layerA, layerB) => (
+      aPos(layerA)[key] - aPos(layerB)[key]
+    ));
+
+    // measure each neighbouring pair on its own
+    const theFrames = [];
+    sortedLayers.forEach((layer, index) => {
+      if (index > 0) {
+        const pairCrawler = new Crawler({ for: [sortedLayers[index - 1], layer] });
+        const gapFrame = pairCrawler.gapFrame();
+        if (gapFrame) {
+          theFrames.push(gapFrame);
+        }
+      }
+    });
+
+    return theFrames;
+  }
+
   /**
    * @description Creates four separate frames for the spaces around two overlapping
    * selected layers. It keeps the coordinates relative to the artboard, ignoring
@@ -370,9 +577,6 @@ export default class Crawler {
     // set the selection
     const selection = setArray(this.array);
 
-    // set shorthand for `getPositionOnArtboard`
-    const aPos = getPositionOnArtboard;
-
     // set the layers to a default for comparisons
     let layerA = selection[0];
     let layerB = selection[selection.length - 1];
@@ -404,64 +608,170 @@ export default class Crawler {
       return null;
     }
 
-    // -------- set frames - essentially defining rectangles in the overapped spaces
-    // between the two layers
-    // top
-    const topWidth = layerB.frame().width();
-    const topHeight = aPos(layerB).y - aPos(layerA).y;
-    const topX = aPos(layerB).x;
-    const topY = aPos(layerA).y;
-    // bottom
-    const bottomWidth = layerB.frame().width();
-    const bottomHeight = layerA.frame().height() - topHeight - layerB.frame().height();
-    const bottomX = aPos(layerB).x;
-    const bottomY = aPos(layerA).y + topHeight + layerB.frame().height();
-    // left
-    const leftWidth = aPos(layerB).x - aPos(layerA).x;
-    const leftHeight = layerB.frame().height();
-    const leftX = aPos(layerA).x;
-    const leftY = aPos(layerB).y;
-    // right
-    const rightWidth = layerA.frame().width() - layerB.frame().width() - leftWidth;
-    const rightHeight = layerB.frame().height();
-    const rightX = aPos(layerB).x + layerB.frame().width();
-    const rightY = aPos(layerB).y;
-
-    // set the frames
-    const theFrames = {
-      top: {
-        x: topX,
-        y: topY,
-        width: topWidth,
-        height: topHeight,
-        orientation: 'horizontal',
-      },
-      bottom: {
-        x: bottomX,
-        y: bottomY,
-        width: bottomWidth,
-        height: bottomHeight,
-        orientation: 'horizontal',
-      },
-      right: {
-        x: rightX,
-        y: rightY,
-        width: rightWidth,
-        height: rightHeight,
-        orientation: 'vertical',
-      },
-      left: {
-        x: leftX,
-        y: leftY,
-        width: leftWidth,
-        height: leftHeight,
-        orientation: 'vertical',
-      },
-      layerAId: fromNative(layerA).id,
-      layerBId: fromNative(layerB).id,
+    // deliver the result
+    return setOverlapFrames(layerA, layerB);
+  }
+
+  /**
+   * @description Compares the edges of every layer in the selection (see `all`) to find the
+   * layers that share an alignment: `left`, `center`, `right`, `top`, or `baseline` (see
+   * `readBaseline`). Layers that are within `tolerance` of an alignment, but not exactly on
+   * it, are near-misses. When no position is shared exactly, the most common (or, if tied,
+   * the lowest) position in a cluster is used as the alignment. Hidden layers and layers on
+   * a different artboard than the first layer are ignored.
+   *
+   * @kind function
+   * @name alignments
+   * @param {number} tolerance The largest misalignment (in px) that counts as a near-miss
+   * (defaults to 3).
+   * @returns {Array} The alignments found. Each has an `edge`, a `position` (relative to the
+   * artboard), an `orientation` for its guide (`vertical` or `horizontal`), and its `layers`.
+   * Each layer has an `id`, a `frame` (relative to the artboard), and an `offset` (in px)
+   * from the alignment; aligned layers have an `offset` of `0`.
+   */
+  alignments(tolerance = 3) {
+    const selection = this.all().filter(layer => !fromNative(layer).hidden);
+    if (selection.length < 2) {
+      return [];
+    }
+
+    // set shorthand for `getPositionOnArtboard`
+    const aPos = getPositionOnArtboard;
+
+    // only compare layers on the same artboard
+    const artboardOf = (layer) => {
+      const artboard = layer.parentArtboard();
+      return artboard ? fromNative(artboard).id : null;
+    };
+    const artboardId = artboardOf(selection[0]);
+    const measuredLayers = selection
+      .filter(layer => artboardOf(layer) === artboardId)
+      .map(layer => ({
+        id: fromNative(layer).id,
+        frame: {
+          x: aPos(layer).x,
+          y: aPos(layer).y,
+          width: layer.frame().width(),
+          height: layer.frame().height(),
+          baseline: readBaseline(layer),
+        },
+      }));
+
+    const theAlignments = [];
+    Object.keys(ALIGNMENT_EDGES).forEach((edge) => {
+      const { orientation, read } = ALIGNMENT_EDGES[edge];
+
+      // group layers whose edges are within `tolerance` of each other
+      const clusters = [];
+      measuredLayers
+        .map(measuredLayer => ({ ...measuredLayer, value: read(measuredLayer.frame) }))
+        .sort((layerA, layerB) => layerA.value - layerB.value)
+        .forEach((measuredLayer) => {
+          const cluster = clusters[clusters.length - 1];
+          if (cluster && ((measuredLayer.value - cluster[0].value) <= tolerance)) {
+            cluster.push(measuredLayer);
+          } else {
+            clusters.push([measuredLayer]);
+          }
+        });
+
+      clusters.filter(cluster => cluster.length > 1).forEach((cluster) => {
+        // the alignment is the most common position in the cluster
+        const countAt = value => cluster.filter(
+          measuredLayer => Math.round(Math.abs(measuredLayer.value - value)) === 0,
+        ).length;
+        const position = cluster.reduce((bestValue, measuredLayer) => (
+          (countAt(measuredLayer.value) > countAt(bestValue)) ? measuredLayer.value : bestValue
+        ), cluster[0].value);
+
+        const layers = cluster.map(({ id, frame, value }) => ({
+          id,
+          frame,
+          offset: Math.round(value - position),
+        }));
+        theAlignments.push({
+          edge,
+          position,
+          orientation,
+          layers,
+        });
+      });
+    });
+
+    return theAlignments;
+  }
+
+  /**
+   * @description Finds the container around the first layer in the selection: a background
+   * shape (a shape below the layer, in the same group, that encloses it), the group the layer
+   * is in, or the artboard, whichever is closest. Containers that are exactly the same size
+   * as the layer (i.e. a group with a single layer) are skipped.
+   *
+   * @kind function
+   * @name container
+   * @returns {Object} The container layer (or artboard), or `null` if there is none.
+   */
+  container() {
+    const layer = this.first();
+    if (!layer) {
+      return null;
+    }
+
+    const layerFrame = getFrameOnArtboard(layer);
+    const enclosesLayer = (candidate) => {
+      const frame = getFrameOnArtboard(candidate.sketchObject);
+      const isEnclosing = (frame.x <= layerFrame.x)
+        && (frame.y <= layerFrame.y)
+        && ((frame.x + frame.width) >= (layerFrame.x + layerFrame.width))
+        && ((frame.y + frame.height) >= (layerFrame.y + layerFrame.height));
+      const isSameSize = (frame.width === layerFrame.width)
+        && (frame.height === layerFrame.height);
+      return isEnclosing && !isSameSize;
     };
 
-    // deliver the result
-    return theFrames;
+    // walk up from the layer until something encloses it
+    let currentLayer = fromNative(layer);
+    while (currentLayer.parent && (currentLayer.type !== 'Artboard')) {
+      const { parent } = currentLayer;
+      const { index } = currentLayer;
+      const backgroundShape = parent.layers.filter(sibling => (
+        (sibling.index < index)
+        && !sibling.hidden
+        && ((sibling.type === 'ShapePath') || (sibling.type === 'Shape'))
+        && enclosesLayer(sibling)
+      )).pop();
+
+      if (backgroundShape) {
+        return backgroundShape.sketchObject;
+      }
+
+      if (((parent.type === 'Group') || (parent.type === 'Artboard')) && enclosesLayer(parent)) {
+        return parent.sketchObject;
+      }
+
+      currentLayer = parent;
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Creates the four inset (padding) frames between the first layer in the
+   * selection and its container (see `container`), in the same format as `overlapFrames`.
+   *
+   * @kind function
+   * @name paddingFrames
+   * @returns {Object} The `top`, `bottom`, `right`, and `left` frames. Each frame
+   * contains `x`, `y` coordinates, `width`, `height`, and `orientation`.
+   * The object also includes layer IDs (`layerAId` for the container and `layerBId` for the
+   * layer). If the layer does not have a container, `null` is returned.
+   */
+  paddingFrames() {
+    const container = this.container();
+    if (!container) {
+      return null;
+    }
+
+    return setOverlapFrames(container, this.first());
   }
 }
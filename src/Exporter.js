@@ -0,0 +1,695 @@
+import path from 'path';
+import { export as exportLayer, fromNative, Settings } from 'sketch';
+import {
+  Group,
+  Rectangle,
+  ShapePath,
+  Text,
+} from 'sketch/dom';
+import { setGroupName } from './Painter';
+import Preferences from './Preferences';
+import { getPositionOnArtboard, writeFile } from './Tools';
+import { readDocumentSettings } from './Validator';
+import { PLUGIN_IDENTIFIER, PLUGIN_NAME } from './constants';
+
+/**
+ * @description The sections of a spec sheet, in order. Each section is keyed by the
+ * annotation type `setGroupName` uses for its name and lists the table columns.
+ *
+ * @kind constant
+ * @name SHEET_SECTIONS
+ * @type {Array}
+ * @private
+ */
+const SHEET_SECTIONS = [
+  {
+    type: 'component',
+    columns: ['#', 'Layer', 'Annotation', 'Overrides', 'Position', 'Size'],
+  },
+  {
+    type: 'style',
+    columns: ['#', 'Layer', 'Annotation', 'Overrides', 'Position', 'Size'],
+  },
+  {
+    type: 'spacing',
+    columns: ['#', 'Layers', 'Direction', 'Spacing'],
+  },
+  {
+    type: 'dimension',
+    columns: ['#', 'Layer', 'Width', 'Height'],
+  },
+];
+
+// --- private functions
+/**
+ * @description Reads the label text drawn inside of an annotation group (the first
+ * `Text` layer built by `buildAnnotation`).
+ *
+ * @kind function
+ * @name readAnnotationText
+ * @param {Object} annotationGroup The annotation group layer.
+ * @returns {string} The label text (or `null` if it cannot be found).
+ * @private
+ */
+const readAnnotationText = (annotationGroup) => {
+  let annotationText = null;
+  fromNative(annotationGroup).layers.forEach((layer) => {
+    if (!annotationText && layer.type === 'Text') {
+      annotationText = layer.text;
+    }
+  });
+  return annotationText;
+};
+
+/**
+ * @description Sets up the details shared by every layer referenced in a spec: the ID, name,
+ * size, and position relative to the artboard.
+ *
+ * @kind function
+ * @name setLayerDetails
+ * @param {Object} layer The Sketch layer object.
+ * @returns {Object} The `id`, `name`, `x`, `y`, `width`, and `height` of the layer.
+ * @private
+ */
+const setLayerDetails = (layer) => {
+  const jsLayer = fromNative(layer);
+  const coordinates = getPositionOnArtboard(jsLayer.sketchObject);
+
+  return {
+    id: jsLayer.id,
+    name: jsLayer.name,
+    x: coordinates.x,
+    y: coordinates.y,
+    width: jsLayer.frame.width,
+    height: jsLayer.frame.height,
+  };
+};
+
+/**
+ * @description Draws a numbered marker (a filled circle with a white number) so that rows in
+ * a spec sheet can be matched to the exported image.
+ *
+ * @kind function
+ * @name drawMarker
+ * @param {number} number The number to display.
+ * @param {Object} position The `x` and `y` coordinates for the center of the marker.
+ * @param {string} colorHex The fill color of the marker.
+ * @param {Object} parent The group to draw within.
+ * @returns {Object} The marker group layer.
+ * @private
+ */
+const drawMarker = (number, position, colorHex, parent) => {
+  const markerSize = 16;
+  const marker = new Group({
+    frame: new Rectangle(
+      position.x - (markerSize / 2),
+      position.y - (markerSize / 2),
+      markerSize,
+      markerSize,
+    ),
+    name: `Marker ${number}`,
+    parent,
+  });
+
+  const circle = new ShapePath({
+    frame: new Rectangle(0, 0, markerSize, markerSize),
+    parent: marker,
+    style: {
+      borders: [{
+        color: '#ffffffff',
+        enabled: true,
+        thickness: 1,
+      }],
+      fills: [`${colorHex}ff`],
+    },
+  });
+  circle.points.forEach((point) => {
+    point.cornerRadius = markerSize / 2; // eslint-disable-line no-param-reassign
+    return null;
+  });
+
+  const text = new Text({
+    frame: {
+      x: 0,
+      y: 0,
+      height: markerSize,
+      width: markerSize,
+    },
+    parent: marker,
+    text: `${number}`,
+    style: {
+      alignment: Text.Alignment.center,
+      fontSize: 10,
+      fontWeight: 8,
+      lineHeight: markerSize,
+      textColor: '#ffffffff',
+    },
+  });
+  text.adjustToFit();
+  text.frame.x = (markerSize - text.frame.width) / 2;
+
+  return marker;
+};
+
+/**
+ * @description Escapes the characters that would break a Markdown table cell.
+ *
+ * @kind function
+ * @name escapeMarkdown
+ * @param {string} text The cell text.
+ * @returns {string} The escaped text.
+ * @private
+ */
+const escapeMarkdown = text => `${text}`.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+
+/**
+ * @description Escapes text for use in HTML.
+ *
+ * @kind function
+ * @name escapeHTML
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ * @private
+ */
+const escapeHTML = text => `${text}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\n/g, '<br>');
+
+/**
+ * @description Renders a spec sheet as Markdown: one section per artboard with the image
+ * and a table for each annotation category.
+ *
+ * @kind function
+ * @name renderMarkdown
+ * @param {string} title The title of the spec sheet.
+ * @param {Array} sheets Each artboard’s sheet (from `collectSheet`) and `imageFileName`.
+ * @returns {string} The Markdown document.
+ * @private
+ */
+const renderMarkdown = (title, sheets) => {
+  const lines = [`# ${title}`, ''];
+
+  sheets.forEach(({ imageFileName, sheet }) => {
+    lines.push(`## ${sheet.artboard.name}`, '');
+
+    if (imageFileName) {
+      lines.push(`![${sheet.artboard.name}](${encodeURI(imageFileName)})`, '');
+    }
+
+    if (sheet.sections.length === 0) {
+      lines.push('_No annotations on this artboard._', '');
+    }
+
+    sheet.sections.forEach((section) => {
+      lines.push(`### ${section.title}`, '');
+      lines.push(`| ${section.columns.join(' | ')} |`);
+      lines.push(`| ${section.columns.map(() => '---').join(' | ')} |`);
+      section.rows.forEach((row) => {
+        const cells = [row.number, ...row.cells].map(escapeMarkdown);
+        lines.push(`| ${cells.join(' | ')} |`);
+      });
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * @description Renders a spec sheet as a self-contained HTML page (styles are inline and
+ * images are embedded as data URLs).
+ *
+ * @kind function
+ * @name renderHTML
+ * @param {string} title The title of the spec sheet.
+ * @param {Array} sheets Each artboard’s sheet (from `collectSheet`) and `image` buffer.
+ * @returns {string} The HTML document.
+ * @private
+ */
+const renderHTML = (title, sheets) => {
+  const body = [];
+
+  sheets.forEach(({ image, sheet }) => {
+    body.push(`<h2>${escapeHTML(sheet.artboard.name)}</h2>`);
+
+    if (image) {
+      body.push(`<img alt="${escapeHTML(sheet.artboard.name)}" src="data:image/png;base64,${image.toString('base64')}">`);
+    }
+
+    if (sheet.sections.length === 0) {
+      body.push('<p><em>No annotations on this artboard.</em></p>');
+    }
+
+    sheet.sections.forEach((section) => {
+      body.push(`<h3>${escapeHTML(section.title)}</h3>`);
+      body.push('<table>');
+      body.push(`<tr>${section.columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr>`);
+      section.rows.forEach((row) => {
+        const marker = `<td><span class="marker" style="background:${row.colorHex}">${row.number}</span></td>`;
+        const cells = row.cells.map(cell => `<td>${escapeHTML(cell)}</td>`).join('');
+        body.push(`<tr>${marker}${cells}</tr>`);
+      });
+      body.push('</table>');
+    });
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+body { color: #333; font-family: -apple-system, "Helvetica Neue", sans-serif; font-size: 14px; margin: 32px; }
+img { border: 1px solid #ddd; display: block; margin-bottom: 16px; max-width: 100%; }
+table { border-collapse: collapse; margin-bottom: 24px; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: 6px 12px; text-align: left; vertical-align: top; }
+.marker { border-radius: 10px; color: #fff; display: inline-block; font-size: 11px; font-weight: bold; line-height: 20px; min-width: 20px; text-align: center; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+${body.join('\n')}
+</body>
+</html>
+`;
+};
+
+// --- main Exporter class function
+/**
+ * @description A class to read the annotations drawn on an artboard back out of the
+ * Sketch file and export them as a spec.
+ *
+ * @class
+ * @name Exporter
+ *
+ * @constructor
+ *
+ * @property artboard The artboard in the Sketch file that we want to export a spec for.
+ * @property document The Sketch file containing the artboard.
+ */
+export default class Exporter {
+  constructor({ for: artboard, in: document }) {
+    this.artboard = artboard;
+    this.document = document;
+  }
+
+  /**
+   * @description Walks the document settings for the annotations, spacing, dimensions,
+   * and bounding boxes that belong to the artboard and collects them into a single object.
+   * Records whose layers can no longer be found are left out.
+   *
+   * @kind function
+   * @name collectSpec
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * with the `spec`: `document` and `artboard` details, plus `annotations`, `spacings`,
+   * `dimensions`, and `boundingBoxes` arrays.
+   */
+  collectSpec() {
+    const artboardJS = fromNative(this.artboard);
+
+    // a spec is only as good as the records it is built from
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    const documentSettings = readResult.documentSettings || {};
+    const spec = {
+      generator: PLUGIN_NAME,
+      document: {
+        id: this.document.id,
+        name: this.document.name || null,
+      },
+      artboard: {
+        id: artboardJS.id,
+        name: artboardJS.name,
+        width: artboardJS.frame.width,
+        height: artboardJS.frame.height,
+      },
+      annotations: [],
+      spacings: [],
+      dimensions: [],
+      boundingBoxes: [],
+    };
+
+    // find the container group(s) drawn on this artboard
+    const containerGroups = (documentSettings.containerGroups || []).filter(
+      containerGroup => containerGroup.artboardId === artboardJS.id,
+    );
+    const containerGroupIds = containerGroups.map(containerGroup => containerGroup.id);
+    const onArtboard = layerSet => containerGroupIds.includes(layerSet.containerGroupId);
+
+    // component, foundation, and custom annotations
+    (documentSettings.annotatedLayers || []).filter(onArtboard).forEach((layerSet) => {
+      const originalLayer = this.document.getLayerWithID(layerSet.originalId);
+      const annotationGroup = this.document.getLayerWithID(layerSet.id);
+
+      if (originalLayer && annotationGroup) {
+        const layerSettings = Settings.layerSettingForKey(
+          originalLayer,
+          PLUGIN_IDENTIFIER,
+        ) || {};
+
+        spec.annotations.push({
+          id: layerSet.id,
+          type: layerSettings.annotationType || null,
+          name: layerSettings.annotationText || readAnnotationText(annotationGroup),
+          overrideText: layerSettings.annotationSecondaryText || null,
+          layer: setLayerDetails(originalLayer),
+        });
+      }
+    });
+
+    // spacing annotations (read the label, i.e. `IS-X`, from the drawn annotation)
+    (documentSettings.annotatedSpacings || []).filter(onArtboard).forEach((layerSet) => {
+      const annotationGroup = this.document.getLayerWithID(layerSet.id);
+      const layerA = this.document.getLayerWithID(layerSet.layerAId);
+      const layerB = this.document.getLayerWithID(layerSet.layerBId);
+
+      if (annotationGroup && layerA && layerB) {
+        spec.spacings.push({
+          id: layerSet.id,
+          direction: layerSet.direction,
+          sides: layerSet.sides || null,
+          repeatCount: layerSet.repeatCount || null,
+          label: readAnnotationText(annotationGroup),
+          measurement: layerSet.measurement !== undefined ? layerSet.measurement : null,
+          spacingScale: layerSet.spacingScale || null,
+          isOffScale: !!layerSet.isOffScale,
+          isOffGrid: !!layerSet.isOffGrid,
+          layers: [setLayerDetails(layerA), setLayerDetails(layerB)],
+        });
+      }
+    });
+
+    // dimension annotations (width and height are stored as separate annotations)
+    const dimensionsByLayer = {};
+    (documentSettings.annotatedDimensions || []).filter(onArtboard).forEach((layerSet) => {
+      const originalLayer = this.document.getLayerWithID(layerSet.originalId);
+      const annotationGroup = this.document.getLayerWithID(layerSet.id);
+
+      if (originalLayer && annotationGroup) {
+        if (!dimensionsByLayer[layerSet.originalId]) {
+          dimensionsByLayer[layerSet.originalId] = {
+            ids: [],
+            layer: setLayerDetails(originalLayer),
+            unit: 'dp',
+            width: null,
+            height: null,
+            labels: {
+              width: null,
+              height: null,
+            },
+          };
+          spec.dimensions.push(dimensionsByLayer[layerSet.originalId]);
+        }
+
+        const dimension = dimensionsByLayer[layerSet.originalId];
+        const labelText = readAnnotationText(annotationGroup);
+
+        // older annotations only have the measurement in their (dp) label
+        const measurement = layerSet.measurement !== undefined
+          ? layerSet.measurement
+          : parseFloat(labelText);
+        const key = layerSet.dimension
+          || (fromNative(annotationGroup).name.startsWith('Dimension Height') ? 'height' : 'width');
+
+        dimension.ids.push(layerSet.id);
+        dimension[key] = Number.isNaN(measurement) ? null : measurement;
+        dimension.labels[key] = labelText;
+      }
+    });
+
+    // bounding boxes are not tracked individually; read them from their inner group(s)
+    containerGroups.forEach((containerGroup) => {
+      const boundingGroup = this.document.getLayerWithID(containerGroup.boundingInnerGroupId);
+
+      if (boundingGroup) {
+        fromNative(boundingGroup).layers.forEach((boundingBox) => {
+          const { name, ...boundingBoxDetails } = setLayerDetails(boundingBox);
+          spec.boundingBoxes.push(boundingBoxDetails);
+        });
+      }
+    });
+
+    return {
+      status: 'success',
+      messages: readResult.messages,
+      spec,
+    };
+  }
+
+  /**
+   * @description Arranges the artboard’s spec into the numbered rows of a spec sheet,
+   * grouped into the same categories as the annotation groups (see `setGroupName`). Each row
+   * also includes where its marker belongs on the artboard (at the drawn annotation).
+   *
+   * @kind function
+   * @name collectSheet
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * with the `sheet`: the `artboard` details and the `sections` that have rows, in order.
+   */
+  collectSheet() {
+    const specResult = this.collectSpec();
+    if (specResult.status === 'error') {
+      return specResult;
+    }
+
+    const { spec } = specResult;
+    const { colors } = new Preferences({ for: this.document }).theme();
+    const sections = SHEET_SECTIONS.map(section => ({
+      ...section,
+      title: setGroupName(section.type),
+      rows: [],
+    }));
+    const findSection = type => sections.find(section => section.title === setGroupName(type));
+    const labelPosition = (labelId) => {
+      const label = this.document.getLayerWithID(labelId);
+      return label ? getPositionOnArtboard(fromNative(label).sketchObject) : { x: 0, y: 0 };
+    };
+
+    spec.annotations.forEach((annotation) => {
+      findSection(annotation.type).rows.push({
+        cells: [
+          annotation.layer.name,
+          annotation.name,
+          annotation.overrideText || '–',
+          `${annotation.layer.x}, ${annotation.layer.y}`,
+          `${annotation.layer.width} × ${annotation.layer.height}dp`,
+        ],
+        colorHex: colors[annotation.type] || colors.component,
+        position: labelPosition(annotation.id),
+      });
+    });
+
+    spec.spacings.forEach((spacing) => {
+      findSection('spacing').rows.push({
+        cells: [
+          spacing.layers.map(layer => layer.name).join(' ↔ '),
+          spacing.direction,
+          (spacing.isOffScale || spacing.isOffGrid) ? `${spacing.label} ⚠️` : spacing.label,
+        ],
+        colorHex: colors.spacing,
+        position: labelPosition(spacing.id),
+      });
+    });
+
+    spec.dimensions.forEach((dimension) => {
+      findSection('dimension').rows.push({
+        cells: [
+          dimension.layer.name,
+          dimension.labels.width || '–',
+          dimension.labels.height || '–',
+        ],
+        colorHex: colors.dimension,
+        position: labelPosition(dimension.ids[0]),
+      });
+    });
+
+    // number the rows in the order they will be listed
+    const usedSections = sections.filter(section => section.rows.length > 0);
+    let number = 0;
+    usedSections.forEach((section) => {
+      section.rows.forEach((row) => {
+        number += 1;
+        row.number = number; // eslint-disable-line no-param-reassign
+      });
+    });
+
+    return {
+      status: 'success',
+      messages: specResult.messages,
+      sheet: {
+        artboard: spec.artboard,
+        sections: usedSections,
+      },
+    };
+  }
+
+  /**
+   * @description Exports the artboard as a PNG with a numbered marker for each row in the
+   * sheet. The markers are temporary and removed once the image is exported.
+   *
+   * @kind function
+   * @name exportImage
+   * @param {Object} sheet The sheet (from `collectSheet`) to draw markers for.
+   * @returns {Object} A `Buffer` containing the PNG data.
+   */
+  exportImage(sheet) {
+    const artboardJS = fromNative(this.artboard);
+    const markersGroup = new Group({
+      frame: new Rectangle(0, 0, artboardJS.frame.width, artboardJS.frame.height),
+      name: `${PLUGIN_NAME} Markers`,
+      parent: artboardJS,
+    });
+
+    sheet.sections.forEach((section) => {
+      section.rows.forEach(row => drawMarker(
+        row.number,
+        row.position,
+        row.colorHex,
+        markersGroup,
+      ));
+    });
+    markersGroup.moveToFront();
+
+    const image = exportLayer(artboardJS, {
+      formats: 'png',
+      output: false,
+      scales: '2',
+    });
+
+    markersGroup.remove();
+    return image;
+  }
+
+  /**
+   * @description Collects the spec for the artboard and saves it as a JSON file next to the
+   * Sketch file (named after the artboard).
+   *
+   * @kind function
+   * @name exportJSON
+   * @returns {Object} A result object container success/error status and log/toast messages.
+   */
+  exportJSON() {
+    const result = {
+      status: null,
+      messages: {
+        alert: null,
+        toast: null,
+        log: null,
+      },
+    };
+    const artboardName = fromNative(this.artboard).name;
+
+    // the spec is saved alongside the Sketch file, so it needs a location
+    if (!this.document.path) {
+      result.status = 'error';
+      result.messages.log = 'Document has not been saved';
+      result.messages.alert = 'Please save your document before exporting a spec';
+      return result;
+    }
+
+    const specResult = this.collectSpec();
+    if (specResult.status === 'error') {
+      return specResult;
+    }
+
+    const { spec } = specResult;
+    const fileName = `${artboardName.replace(/[/\\:]/g, '-')} Spec.json`;
+    const filePath = path.join(path.dirname(this.document.path), fileName);
+
+    if (!writeFile(filePath, JSON.stringify(spec, null, 2))) {
+      result.status = 'error';
+      result.messages.log = `Failed to write “${filePath}”`;
+      result.messages.toast = 'Hmm… an error occured saving that spec 😬';
+      return result;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Spec for “${artboardName}” exported to “${filePath}”`;
+    result.messages.toast = `📐 Spec saved as “${fileName}”`;
+    return result;
+  }
+}
+
+/**
+ * @description Builds a spec sheet for a set of artboards and saves it next to the Sketch
+ * file as Markdown (with a marked-up PNG for each artboard) and as a self-contained HTML page.
+ *
+ * @kind function
+ * @name saveSpecSheet
+ * @param {Array} artboards The artboards to include.
+ * @param {Object} document The Sketch file containing the artboards.
+ * @returns {Object} A result object container success/error status and log/toast messages.
+ */
+export const saveSpecSheet = (artboards, document) => {
+  const result = {
+    status: null,
+    messages: {
+      alert: null,
+      toast: null,
+      log: null,
+    },
+  };
+
+  // the sheet is saved alongside the Sketch file, so it needs a location
+  if (!document.path) {
+    result.status = 'error';
+    result.messages.log = 'Document has not been saved';
+    result.messages.alert = 'Please save your document before exporting a spec sheet';
+    return result;
+  }
+
+  // a spec sheet is only as good as the records it is built from
+  const readResult = readDocumentSettings(document);
+  if (readResult.status === 'error') {
+    return readResult;
+  }
+
+  const directory = path.dirname(document.path);
+  const documentName = path.basename(document.path, '.sketch');
+  const title = `${documentName} Spec`;
+  const filesWritten = [];
+  const writeSheetFile = (fileName, contents) => {
+    if (writeFile(path.join(directory, fileName), contents)) {
+      filesWritten.push(fileName);
+      return fileName;
+    }
+    return null;
+  };
+
+  const sheets = artboards.map((artboard) => {
+    const exporter = new Exporter({ for: artboard, in: document });
+    const { sheet } = exporter.collectSheet();
+    const image = exporter.exportImage(sheet);
+    const imageFileName = image ? writeSheetFile(
+      `${title} - ${sheet.artboard.name.replace(/[/\\:]/g, '-')}.png`,
+      image,
+    ) : null;
+
+    return {
+      image,
+      imageFileName,
+      sheet,
+    };
+  });
+
+  writeSheetFile(`${title}.md`, renderMarkdown(title, sheets));
+  writeSheetFile(`${title}.html`, renderHTML(title, sheets));
+
+  if (filesWritten.length === 0) {
+    result.status = 'error';
+    result.messages.log = `Failed to write the spec sheet to “${directory}”`;
+    result.messages.toast = 'Hmm… an error occured saving that spec sheet 😬';
+    return result;
+  }
+
+  result.status = 'success';
+  result.messages.log = `Spec sheet exported to “${directory}”: ${filesWritten.join(', ')}`;
+  result.messages.toast = `📐 Spec sheet saved as “${title}.md” and “${title}.html”`;
+  return result;
+};
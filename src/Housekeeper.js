@@ -1,60 +1,328 @@
 import { fromNative, Settings } from 'sketch';
-import { updateArray } from './Tools';
-import { createInnerGroup } from './Painter';
-import { COLORS, PLUGIN_IDENTIFIER } from './constants';
+import Crawler from './Crawler';
+import Identifier from './Identifier';
+import Painter, {
+  createInnerGroup,
+  layoutLabels,
+  setFontFamily,
+  setGroupName,
+  setSpacingText,
+  setStaleBadge,
+  updateAnnotationText,
+} from './Painter';
+import Preferences from './Preferences';
+import {
+  findContrastColors,
+  getFrameOnArtboard,
+  getPositionOnArtboard,
+  readBackgroundColor,
+  toHexOpacity,
+  updateArray,
+} from './Tools';
+import { commitDocumentSettings, readDocumentSettings } from './Validator';
+import {
+  COLORS,
+  PLUGIN_IDENTIFIER,
+  PLUGIN_NAME,
+  SCHEMA_VERSION,
+  SPACING_SCALES,
+  THEME_VARIANTS,
+} from './constants';
 
 /**
- * @description A list of the unique keys that match to a migration function.
- * The keys are timestamps. To generate a new key: `new Date().getTime();`
+ * @description The registry of migrations, oldest to newest. Each migration has a unique
+ * `id` that matches a `migration<id>` function, a short `name` for the migration history,
+ * and the `schemaVersion` that documents are in once it has run. Documents already stamped
+ * with that `schemaVersion` (or newer) do not need the migration. The IDs are timestamps;
+ * to generate a new one: `new Date().getTime();`
  *
  * @kind constant
- * @name migrationKeys
+ * @name MIGRATIONS
  * @type {Array}
+ * @private
  */
-const migrationKeys = [
-  1566025200026,
-  1566025200012,
-  1566025200002,
-  1563951600000,
-  1561504830674,
-  1561503084281,
+const MIGRATIONS = [
+  { id: 1561503084281, name: 'move container groups', schemaVersion: 1 },
+  { id: 1561504830674, name: 'move labeled layers', schemaVersion: 1 },
+  { id: 1563951600000, name: 'update color palette', schemaVersion: 1 },
+  { id: 1566025200002, name: 'separate measurement types', schemaVersion: 1 },
+  { id: 1566025200012, name: 'separate dimensions from spacing', schemaVersion: 1 },
+  { id: 1566025200026, name: 'remove keystone layers', schemaVersion: 1 },
 ];
 
 /**
- * @description A helper function to extract the file creation date from a Sketch
- * file. If no creation date can be found, it assumes a new temp (un-saved) file
- * and assigns the creation date to the current date/time.
+ * @description Takes a copy of the document settings (without the migration history), so
+ * that they can be restored if a migration needs to be rolled back. The plugin settings are
+ * shared by every open document, so they are left out.
+ *
+ * @kind function
+ * @name takeSettingsSnapshot
+ *
+ * @param {Object} document The Sketch document to take the snapshot of.
+ * @returns {Object} The `documentSettings` snapshot.
+ * @private
+ */
+const takeSettingsSnapshot = (document) => {
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER) || {};
+  const snapshot = JSON.parse(JSON.stringify({ documentSettings }));
+
+  delete snapshot.documentSettings.migrationHistory;
+  return snapshot;
+};
+
+/**
+ * @description Checks whether a document has anything for the migrations to work on:
+ * annotation records in its document settings, or records for its layers still in the
+ * plugin settings (where early versions of the plugin kept them).
+ *
+ * @kind function
+ * @name hasMigratableRecords
+ *
+ * @param {Object} document The Sketch document to check.
+ * @param {Object} documentSettings The document settings.
+ * @returns {boolean} Whether or not the migrations might have anything to change.
+ * @private
+ */
+const hasMigratableRecords = (document, documentSettings) => {
+  if (documentSettings.containerGroups || documentSettings.annotatedLayers) {
+    return true;
+  }
+
+  const pluginSettings = Settings.settingForKey(PLUGIN_IDENTIFIER) || {};
+  return ['containerGroups', 'labeledLayers'].some(key => (pluginSettings[key] || []).some(
+    layerIdSet => !!document.getLayerWithID(layerIdSet.id),
+  ));
+};
+
+/**
+ * @description Describes the changes a migration made (or would make) for the logs.
+ *
+ * @kind function
+ * @name describeMigrationChanges
+ *
+ * @param {Object} changes The `settings` keys and `layers` (names) the migration touches.
+ * @returns {string} A short description of the changes.
+ * @private
+ */
+const describeMigrationChanges = ({ settings, layers }) => {
+  const descriptions = [];
+  if (settings.length > 0) {
+    descriptions.push(`settings ${settings.join(', ')}`);
+  }
+  if (layers.length > 0) {
+    descriptions.push(`layers ${layers.map(layerName => `“${layerName}”`).join(', ')}`);
+  }
+  return descriptions.length > 0 ? descriptions.join('; ') : 'no changes';
+};
+
+/**
+ * @description Reads the text and position of a drawn annotation so that it can be compared
+ * with the annotation after it has been redrawn.
+ *
+ * @kind function
+ * @name readAnnotationSnapshot
+ *
+ * @param {Object} document The Sketch document that contains the annotation.
+ * @param {string} annotationId The ID of the annotation group layer.
+ * @returns {string} A string with the annotation’s text(s) and frame (or null if the
+ * annotation layer does not exist).
+ * @private
+ */
+const readAnnotationSnapshot = (document, annotationId) => {
+  const annotationGroup = document.getLayerWithID(annotationId);
+  if (!annotationGroup) {
+    return null;
+  }
+
+  const texts = [];
+  annotationGroup.sketchObject.children().forEach((nativeLayer) => {
+    const layer = fromNative(nativeLayer);
+    if (layer.type === 'Text') {
+      texts.push(layer.text);
+    }
+  });
+
+  const { frame } = annotationGroup;
+  return `${texts.join(' / ')} @ ${frame.x},${frame.y} ${frame.width}×${frame.height}`;
+};
+
+/**
+ * @description Compares the name and geometry stored with an annotation record against the
+ * current state of its original layer.
  *
  * @kind function
- * @name documentCreationTimestamp
+ * @name checkOriginalLayer
  *
- * @param {Object} document The Sketch document to extract the creation date from.
- * @returns {string} Returns a string with the creation date/time as a timestamp.
+ * @param {Object} layerSet The annotation record (with `originalName` and `originalFrame`).
+ * @param {Object} originalLayer The original layer (or null if it no longer exists).
+ * @returns {Array} The reasons the annotation is stale (`deleted`, `moved`, `resized`,
+ * and/or `renamed`); empty if it is up-to-date.
  * @private
  */
-const documentCreationTimestamp = (document) => {
-  // assume brand new file
-  let creationTimestamp = new Date().getTime();
+const checkOriginalLayer = (layerSet, originalLayer) => {
+  const staleReasons = [];
+  const differs = (a, b) => Math.abs(a - b) > 0.01;
+
+  if (!originalLayer) {
+    staleReasons.push('deleted');
+    return staleReasons;
+  }
 
-  // if the file has been saved before, it will have a `fileURL`
-  const fileURLObj = document.sketchObject.fileURL();
+  // records drawn before names and geometry were stored cannot be compared
+  if (layerSet.originalFrame) {
+    const originalFrame = getFrameOnArtboard(originalLayer.sketchObject);
 
-  // file is not brand new, get its creation date
-  if (fileURLObj) {
-    const fileManager = NSFileManager.defaultManager(); // eslint-disable-line no-undef
+    if (
+      differs(originalFrame.x, layerSet.originalFrame.x)
+      || differs(originalFrame.y, layerSet.originalFrame.y)
+    ) {
+      staleReasons.push('moved');
+    }
+
+    if (
+      differs(originalFrame.width, layerSet.originalFrame.width)
+      || differs(originalFrame.height, layerSet.originalFrame.height)
+    ) {
+      staleReasons.push('resized');
+    }
+  }
+
+  if (layerSet.originalName && (originalLayer.name !== layerSet.originalName)) {
+    staleReasons.push('renamed');
+  }
+
+  return staleReasons;
+};
 
-    // get the file attributes from macOS and then the creation date
-    const attributes = fileManager.attributesOfItemAtPath_error_(fileURLObj.path(), nil); // eslint-disable-line no-underscore-dangle, no-undef, max-len
-    const fileCreationDate = attributes.fileCreationDate();
+/**
+ * @description The keys used in a container group record for each inner container group,
+ * matched to the type of element drawn inside of it.
+ *
+ * @kind constant
+ * @name INNER_GROUP_TYPES
+ * @type {Object}
+ * @private
+ */
+const INNER_GROUP_TYPES = {
+  alignmentInnerGroupId: 'alignment',
+  boundingInnerGroupId: 'boundingBox',
+  componentInnerGroupId: 'component',
+  dimensionInnerGroupId: 'dimension',
+  spacingInnerGroupId: 'spacing',
+  styleInnerGroupId: 'style',
+};
+
+/**
+ * @description Works out the type (`component`, `custom`, or `style`) of a drawn annotation
+ * from its original layer’s settings or, if the original layer is gone, the type stored in
+ * its record (or, for records from before the type was stored, the inner container group it
+ * was drawn in).
+ *
+ * @kind function
+ * @name readAnnotationType
+ *
+ * @param {Object} document The Sketch document that contains the annotation.
+ * @param {Object} layerSet The annotation record.
+ * @param {Object} containerGroup The container group record the annotation belongs to.
+ * @returns {string} The type of annotation.
+ * @private
+ */
+const readAnnotationType = (document, layerSet, containerGroup) => {
+  const originalLayer = document.getLayerWithID(layerSet.originalId);
+  if (originalLayer) {
+    const layerSettings = Settings.layerSettingForKey(
+      originalLayer.sketchObject,
+      PLUGIN_IDENTIFIER,
+    );
+    if (layerSettings && layerSettings.annotationType) {
+      return layerSettings.annotationType;
+    }
+  }
 
-    // take '2019-05-16 17:28:59 +0000' and format as '2019-05-16T17:28:59'
-    const dateForParsing = fileCreationDate.toString().split(' +')[0].split(' ').join('T');
+  if (layerSet.annotationType) {
+    return layerSet.annotationType;
+  }
 
-    // i.e. 1558027739000
-    creationTimestamp = Date.parse(dateForParsing);
+  const annotationGroup = document.getLayerWithID(layerSet.id);
+  if (
+    annotationGroup
+    && containerGroup
+    && annotationGroup.parent
+    && (annotationGroup.parent.id === containerGroup.styleInnerGroupId)
+  ) {
+    return 'style';
   }
+  return 'component';
+};
+
+/**
+ * @description Checks whether or not the frame of one layer fully contains another.
+ *
+ * @kind function
+ * @name frameContains
+ *
+ * @param {Object} outerFrame The (larger) frame.
+ * @param {Object} innerFrame The frame that should fit inside.
+ * @returns {boolean} Whether or not `innerFrame` is inside of `outerFrame`.
+ * @private
+ */
+const frameContains = (outerFrame, innerFrame) => (
+  (innerFrame.x >= outerFrame.x - 0.01)
+  && (innerFrame.y >= outerFrame.y - 0.01)
+  && (innerFrame.x + innerFrame.width <= outerFrame.x + outerFrame.width + 0.01)
+  && (innerFrame.y + innerFrame.height <= outerFrame.y + outerFrame.height + 0.01)
+);
+
+/**
+ * @description Moves a layer into a new parent group without changing where it sits on
+ * the artboard.
+ *
+ * @kind function
+ * @name moveLayerInPlace
+ *
+ * @param {Object} layer The layer to move.
+ * @param {Object} newParent The group to move the layer into.
+ * @returns {null}
+ * @private
+ */
+const moveLayerInPlace = (layer, newParent) => {
+  const layerToMove = layer;
+  const originalPosition = getPositionOnArtboard(layerToMove.sketchObject);
+
+  layerToMove.parent = newParent;
+
+  const newPosition = getPositionOnArtboard(layerToMove.sketchObject);
+  layerToMove.frame.x += originalPosition.x - newPosition.x;
+  layerToMove.frame.y += originalPosition.y - newPosition.y;
+  return null;
+};
+
+/**
+ * @description Finds every layer with a given name inside of a parent layer (including
+ * layers inside of groups), skipping the plugin’s own container groups.
+ *
+ * @kind function
+ * @name findLayersByName
+ *
+ * @param {Object} parent The artboard or group to search.
+ * @param {string} name The layer name to look for.
+ * @returns {Array} The matching layers.
+ * @private
+ */
+const findLayersByName = (parent, name) => {
+  const foundLayers = [];
+  (parent.layers || []).forEach((layer) => {
+    if (layer.name === `+++ ${PLUGIN_NAME} +++`) {
+      return null;
+    }
 
-  return creationTimestamp;
+    if (layer.name === name) {
+      foundLayers.push(layer);
+    }
+    foundLayers.push(...findLayersByName(layer, name));
+    return null;
+  });
+  return foundLayers;
 };
 
 /**
@@ -68,201 +336,1883 @@ const documentCreationTimestamp = (document) => {
  * @param {Object} layer The Sketch layer to modify.
  * @param {string} document Hex value for the new color.
  * @param {string} opacity Optional hex value for opacity.
+ * @param {boolean} isDryRun When `true`, the color is only checked, not updated.
  *
  * @returns {boolean} Returns a boolean to indicate whether or not the color was updated.
  * @private
  */
 // helper function to update the color of any layer fills
-const updateColor = (layer, newColor, opacity = 'ff') => {
+const updateColor = (layer, newColor, opacity = 'ff', isDryRun = false) => {
   let colorUpdated = false;
   if (layer.style && layer.style.fills) {
     layer.style.fills.forEach((fill) => {
       if (fill.color) {
-        const currentColor = fill.color.match(/.{1,7}/g)[0];
-        if (currentColor !== newColor) {
-          fill.color = `${newColor}${opacity}`; // eslint-disable-line no-param-reassign
+        if (fill.color !== `${newColor}${opacity}`) {
+          if (!isDryRun) {
+            fill.color = `${newColor}${opacity}`; // eslint-disable-line no-param-reassign
+          }
           colorUpdated = true;
         }
       }
       return null;
     });
-  }
+  }
+
+  return colorUpdated;
+};
+
+/**
+ * @description Restyles a drawn annotation in place to match a theme. Fills are recolored
+ * (leader lines and callout badges stay opaque; warning and stale badges keep their own
+ * colors), the label’s corners are re-rounded, and its text is set in the theme’s font. The
+ * colors are adjusted for contrast against the background (see `findContrastColors`). If
+ * the text changes width, the label grows or shrinks around its center so that it still
+ * points at the same spot.
+ *
+ * @kind function
+ * @name restyleAnnotation
+ *
+ * @param {Object} group The layer group of the annotation.
+ * @param {string} themeColorHex The hex color for the annotation, from the theme.
+ * @param {Object} theme The theme to apply (see `DEFAULT_THEME`).
+ * @param {string} backgroundHex The color underneath the annotation.
+ *
+ * @returns {boolean} Returns a boolean to indicate whether or not anything was restyled.
+ * @private
+ */
+const restyleAnnotation = (group, themeColorHex, theme, backgroundHex) => {
+  const opacity = toHexOpacity(theme.opacity);
+  const { colorHex, textColorHex } = findContrastColors(themeColorHex, backgroundHex);
+  let restyled = false;
+
+  // helper function to recolor the shapes in a group (and its sub-groups)
+  const recolorChildren = (parent, childOpacity) => {
+    parent.layers.forEach((layer) => {
+      if (layer.type === 'Group') {
+        if (layer.name === 'Warning' || layer.name.startsWith('Stale')) {
+          return null;
+        }
+
+        const isOpaque = (layer.name === 'Leader Line') || (layer.name === 'Callout');
+        recolorChildren(layer, isOpaque ? 'ff' : childOpacity);
+      } else if ((layer.type === 'ShapePath') && updateColor(layer, colorHex, childOpacity)) {
+        restyled = true;
+      }
+      return null;
+    });
+  };
+  recolorChildren(group, opacity);
+
+  const rectangle = group.layers.find(
+    layer => (layer.type === 'ShapePath') && (layer.name !== 'Diamond'),
+  );
+  const text = group.layers.find(layer => layer.type === 'Text');
+  if (!rectangle || !text) {
+    return restyled;
+  }
+
+  rectangle.points.forEach((point) => {
+    point.cornerRadius = theme.cornerRadius; // eslint-disable-line no-param-reassign
+    return null;
+  });
+
+  if (text.style.textColor !== `${textColorHex}ff`) {
+    text.style.textColor = `${textColorHex}ff`;
+    restyled = true;
+  }
+
+  // set the new font and keep the label centered on its old mid-point
+  const fontFamily = setFontFamily(theme);
+  const { style } = text;
+  if (
+    (style.fontFamily !== fontFamily)
+    || (style.fontSize !== theme.fontSize)
+    || (style.fontWeight !== theme.fontWeight)
+  ) {
+    const textWidth = text.frame.width;
+    style.fontFamily = fontFamily;
+    style.fontSize = theme.fontSize;
+    style.fontWeight = theme.fontWeight;
+    text.adjustToFit();
+
+    const widthChange = text.frame.width - textWidth;
+    rectangle.frame.width += widthChange;
+    rectangle.frame.x -= widthChange / 2;
+    text.frame.x -= widthChange / 2;
+    group.adjustToFit();
+    restyled = true;
+  }
+
+  return restyled;
+};
+
+/**
+ * @description A class to handle housekeeping tasks on Sketch, plugin, document, or
+ * layer Settings objects.
+ *
+ * @class
+ * @name Housekeeper
+ *
+ * @constructor
+ *
+ * @property document The Sketch document that contains the layer.
+ * @property messenger An instance of the Messenger class.
+ */
+export default class Housekeeper {
+  constructor({ in: document, messenger }) {
+    this.document = document;
+    this.messenger = messenger;
+  }
+
+  /**
+   * @description Used to move plugin settings to document-level settings based on a set of
+   * keys used for comparisons.
+   *
+   * @kind function
+   * @name fromPluginToDocument
+   *
+   * @param {Object} comparisonKeys An object containing a `mainKey` and `secondaryKey` used.
+   * @param {Object} pluginSettings An object containing the plugin settings.
+   * @param {Object} documentSettings An object containing the document settings.
+   *
+   * @returns {Object} Returns an object containing (potentially) updated `documentSettings` and
+   * `pluginSettings` objects, and a `changed` flag indicating updates.
+   */
+  fromPluginToDocument(comparisonKeys, pluginSettings, documentSettings = {}) {
+    const { mainKey, secondaryKey, newMainKey } = comparisonKeys;
+    const mainKeyToUse = newMainKey || mainKey;
+    const newDocumentSettings = documentSettings;
+    let newPluginSettings = pluginSettings;
+    let settingsChanged = false;
+
+    // set up placeholder in `documentSettings` for the main key
+    if (!newDocumentSettings[mainKey]) {
+      newDocumentSettings[mainKey] = [];
+    }
+
+    // iterate through each `mainKey`
+    pluginSettings[mainKey].forEach((layerIdSet) => {
+      const { id } = layerIdSet;
+      const secondaryId = layerIdSet[secondaryKey];
+
+      // make sure the primary `id` layer actually exists
+      const primaryLayer = this.document.getLayerWithID(id);
+
+      // make sure the `secondaryKey` paired layer actually exists
+      const pairedLayer = this.document.getLayerWithID(secondaryId);
+
+      if (primaryLayer && pairedLayer) {
+        // check if this `primaryLayer` has already been migrated
+        const existingItemIndex = newDocumentSettings[mainKeyToUse].findIndex(
+          foundItem => (foundItem.id === id),
+        );
+        if (existingItemIndex < 0) {
+          // add the `layerIdSet` to the document settings
+          newDocumentSettings[mainKeyToUse].push(layerIdSet);
+
+          // remove the `layerIdSet` from the plugin settings
+          newPluginSettings = updateArray(
+            mainKey,
+            layerIdSet,
+            newPluginSettings,
+            'remove',
+          );
+
+          // set the `changed` flag
+          settingsChanged = true;
+        }
+      }
+    });
+    return {
+      documentSettings: newDocumentSettings,
+      pluginSettings: newPluginSettings,
+      changed: settingsChanged,
+    };
+  }
+
+  /**
+   * @description A helper function to set up the `documentSettings` structure for migrations.
+   *
+   * @kind function
+   * @name initializeMigrationsSchema
+   */
+  initializeMigrationsSchema() {
+    let documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+
+    if (!documentSettings) {
+      documentSettings = {};
+    }
+
+    if (!documentSettings.migrations) {
+      documentSettings.migrations = [];
+
+      Settings.setDocumentSettingForKey(
+        this.document,
+        PLUGIN_IDENTIFIER,
+        documentSettings,
+      );
+    }
+    return null;
+  }
+
+  /**
+   * @description Adds an entry to the migration history in the document settings.
+   *
+   * @kind function
+   * @name recordMigration
+   *
+   * @param {Object} migration The migration from `MIGRATIONS`.
+   * @param {string} status The outcome: `applied`, `baseline` (not needed, or nothing to
+   * change), `failed`, or `rolledBack`.
+   * @param {Object} snapshot The settings snapshot taken before the migration ran, if any.
+   * @returns {null}
+   */
+  recordMigration(migration, status, snapshot = null) {
+    const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+
+    if (!documentSettings.migrationHistory) {
+      documentSettings.migrationHistory = [];
+    }
+
+    // applied (or unnecessary) migrations are listed as run so that they do not run twice
+    const isRun = (status === 'applied') || (status === 'baseline');
+    if (isRun && !documentSettings.migrations.includes(migration.id)) {
+      documentSettings.migrations.push(migration.id);
+    }
+
+    documentSettings.migrationHistory.push({
+      id: migration.id,
+      name: migration.name,
+      status,
+      date: new Date().toISOString(),
+      snapshot,
+    });
+
+    Settings.setDocumentSettingForKey(
+      this.document,
+      PLUGIN_IDENTIFIER,
+      documentSettings,
+    );
+    return null;
+  }
+
+  /**
+   * @description Runs the migrations from `MIGRATIONS` that have not been applied to the
+   * document yet (according to the IDs stored in the document settings), in order. Migrations
+   * are not needed if the settings are already stamped with their `schemaVersion`, so they
+   * are recorded as a `baseline` without running. New (or empty) documents have nothing to
+   * migrate and start at the current `schemaVersion`. The settings are snapshotted before
+   * each migration runs; if a migration fails, the snapshot is restored and no further
+   * migrations are run. Migrations that run without changing anything are recorded as a
+   * `baseline` as well. Finally, the settings are validated and stamped with the current
+   * `schemaVersion`.
+   *
+   * @kind function
+   * @name runMigrations
+   *
+   * @param {boolean} isDryRun When `true`, nothing is run or saved; the result only reports
+   * which migrations would run and the settings and layers each would change (each migration
+   * is checked against the document as it is now).
+   * @returns {Object} A result object containing success/error status and log messages,
+   * plus the `pending` migrations and, for a dry run, their `changes`.
+   */
+  runMigrations(isDryRun = false) {
+    const result = {
+      status: null,
+      pending: [],
+      changes: [],
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER) || {};
+    const appliedIds = documentSettings.migrations || [];
+    let { schemaVersion } = documentSettings;
+
+    // new (or empty) documents are already in the current shape; they are stamped below
+    if (
+      (schemaVersion === undefined)
+      && !hasMigratableRecords(this.document, documentSettings)
+    ) {
+      schemaVersion = SCHEMA_VERSION;
+    }
+
+    result.pending = MIGRATIONS.filter(migration => !appliedIds.includes(migration.id));
+
+    if (isDryRun) {
+      result.changes = result.pending.map((migration) => {
+        const changes = {
+          id: migration.id,
+          name: migration.name,
+          isNeeded: schemaVersion === undefined || schemaVersion < migration.schemaVersion,
+          settings: [],
+          layers: [],
+          error: null,
+        };
+        if (!changes.isNeeded) {
+          return changes;
+        }
+
+        try {
+          const previewResult = this[`migration${migration.id}`](true);
+          changes.settings = previewResult.changes.settings;
+          changes.layers = previewResult.changes.layers.filter(
+            (layerName, index, layerNames) => layerNames.indexOf(layerName) === index,
+          );
+        } catch (error) {
+          changes.error = error.message;
+        }
+        return changes;
+      });
+
+      const pendingNames = result.changes.map((changes) => {
+        let description = describeMigrationChanges(changes);
+        if (!changes.isNeeded) {
+          description = 'not needed';
+        } else if (changes.error) {
+          description = `would fail: ${changes.error}`;
+        }
+        return `${changes.id} (${changes.name}: ${description})`;
+      });
+      result.status = 'success';
+      result.messages.log = pendingNames.length > 0
+        ? `Migration dry run: would run ${pendingNames.join(', ')}`
+        : 'Migration dry run: nothing to run';
+      return result;
+    }
+
+    this.initializeMigrationsSchema();
+
+    // run the pending migrations, oldest to newest; stop at the first failure
+    let failedMigration = null;
+    const appliedNames = [];
+    result.pending.forEach((migration) => {
+      if (failedMigration) {
+        return null;
+      }
+
+      // the settings are already in the shape this migration produces
+      if (schemaVersion >= migration.schemaVersion) {
+        this.recordMigration(migration, 'baseline');
+        return null;
+      }
+
+      // run the migration (with a snapshot to fall back on)
+      const snapshot = takeSettingsSnapshot(this.document);
+      let migrationResult = null;
+      try {
+        migrationResult = this[`migration${migration.id}`]();
+      } catch (error) {
+        migrationResult = {
+          status: 'error',
+          messages: {
+            log: `Migration: ${migration.id} (${migration.name}) failed: ${error.message}`,
+          },
+        };
+      }
+
+      // log any output
+      if (migrationResult.messages.log) {
+        const logType = migrationResult.status === 'success' ? null : 'error';
+        this.messenger.log(migrationResult.messages.log, logType);
+      }
+
+      // only mark the migration as run if successful; otherwise put the settings back
+      if (migrationResult.status === 'success') {
+        const { settings, layers } = migrationResult.changes;
+        if ((settings.length > 0) || (layers.length > 0)) {
+          this.recordMigration(migration, 'applied', snapshot);
+          appliedNames.push(migration.name);
+        } else {
+          this.recordMigration(migration, 'baseline');
+        }
+      } else {
+        this.restoreSettingsSnapshot(snapshot);
+        this.recordMigration(migration, 'failed');
+        failedMigration = migration;
+      }
+      return null;
+    });
+
+    // stamp the (migrated) settings with the current `schemaVersion`, if they are valid
+    if (!failedMigration) {
+      const commitResult = commitDocumentSettings(
+        this.document,
+        Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER),
+      );
+      if (commitResult.status === 'error') {
+        this.messenger.log(commitResult.messages.log, 'error');
+      }
+    }
+
+    if (failedMigration) {
+      result.status = 'error';
+      result.messages.log = `Migrations: “${failedMigration.name}” (${failedMigration.id}) failed and was rolled back`;
+      return result;
+    }
+
+    result.status = 'success';
+    result.messages.log = appliedNames.length > 0
+      ? `Migrations: applied ${appliedNames.join(', ')}`
+      : 'Migrations: nothing to run';
+    return result;
+  }
+
+  /**
+   * @description Puts a settings snapshot (from `takeSettingsSnapshot`) back in place. The
+   * migration history itself is kept. Only the document settings are restored; snapshots
+   * taken by earlier versions may include the plugin settings, but those are ignored.
+   *
+   * @kind function
+   * @name restoreSettingsSnapshot
+   *
+   * @param {Object} snapshot The `documentSettings` to restore.
+   * @returns {null}
+   */
+  restoreSettingsSnapshot(snapshot) {
+    const currentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER) || {};
+    const restoredSettings = JSON.parse(JSON.stringify(snapshot.documentSettings));
+
+    restoredSettings.migrationHistory = currentSettings.migrationHistory || [];
+    if (!restoredSettings.migrations) {
+      restoredSettings.migrations = [];
+    }
+
+    Settings.setDocumentSettingForKey(
+      this.document,
+      PLUGIN_IDENTIFIER,
+      restoredSettings,
+    );
+    return null;
+  }
+
+  /**
+   * @description Rolls the document settings back to the snapshot taken before a migration
+   * was applied. Migrations applied after it are rolled back as well (their changes were
+   * made on top of it). Only document settings are restored; layers changed by a migration
+   * (and plugin settings, which are shared by every open document) are not.
+   * Rolled-back migrations are pending again and will re-run when the document is next
+   * opened.
+   *
+   * @kind function
+   * @name rollbackMigration
+   *
+   * @param {number} migrationId The ID of the migration to roll back.
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  rollbackMigration(migrationId) {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER) || {};
+    const history = documentSettings.migrationHistory || [];
+    const appliedIndex = history.map(entry => (
+      (entry.id === migrationId) && (entry.status === 'applied') && !!entry.snapshot
+    )).lastIndexOf(true);
+
+    // only applied migrations (with a snapshot) can be rolled back
+    if (appliedIndex < 0 || !(documentSettings.migrations || []).includes(migrationId)) {
+      result.status = 'error';
+      result.messages.log = `Migration ${migrationId} has no snapshot to roll back to`;
+      result.messages.toast = 'That migration cannot be rolled back';
+      return result;
+    }
+
+    // roll back the migration and every migration applied after it
+    const appliedEntries = history.slice(appliedIndex).filter((entry, index, entries) => (
+      (entry.status === 'applied')
+      && documentSettings.migrations.includes(entry.id)
+      && (entries.findIndex(otherEntry => otherEntry.id === entry.id) === index)
+    ));
+    this.restoreSettingsSnapshot(history[appliedIndex].snapshot);
+    appliedEntries.reverse().forEach((entry) => {
+      this.recordMigration(entry, 'rolledBack');
+    });
+
+    result.status = 'success';
+    result.messages.log = `Rolled back migration(s) ${appliedEntries.map(entry => entry.id).join(', ')}`;
+    result.messages.toast = `⏪ Rolled back ${appliedEntries.map(entry => `“${entry.name}”`).join(', ')}`;
+    return result;
+  }
+
+  /**
+   * @description Reads the migration history of the document, along with the migrations that
+   * would run the next time the document is opened (a dry run).
+   *
+   * @kind function
+   * @name readMigrationHistory
+   *
+   * @returns {Object} A result object containing success status and log messages, plus the
+   * `history` entries (newest first; without snapshots) and the `pending` migrations.
+   */
+  readMigrationHistory() {
+    const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER) || {};
+    const dryRunResult = this.runMigrations(true);
+    const history = (documentSettings.migrationHistory || []).map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      status: entry.status,
+      date: entry.date,
+      canRollBack: (entry.status === 'applied')
+        && !!entry.snapshot
+        && (documentSettings.migrations || []).includes(entry.id),
+    })).reverse();
+
+    return {
+      status: 'success',
+      history,
+      pending: dryRunResult.pending,
+      messages: {
+        toast: null,
+        log: `Migration history: ${history.length} entries; ${dryRunResult.messages.log}`,
+      },
+    };
+  }
+
+  /**
+   * @description Removes inner container groups that no longer hold any annotations (and
+   * outer container groups left without any inner groups, unless their gutter still holds
+   * labels), and updates the matching container group records. Empty gutters are removed as
+   * well. Remaining container groups are re-sized to fit.
+   *
+   * @kind function
+   * @name removeEmptyContainerGroups
+   *
+   * @param {Object} documentSettings The document settings to update.
+   * @param {Array} containerGroupIds The IDs of the container groups to check.
+   * @returns {Object} The updated document settings.
+   */
+  removeEmptyContainerGroups(documentSettings, containerGroupIds) {
+    let newDocumentSettings = documentSettings;
+
+    containerGroupIds.forEach((containerGroupId) => {
+      const containerGroup = (newDocumentSettings.containerGroups || []).find(
+        containerGroupSet => containerGroupSet.id === containerGroupId,
+      );
+      if (!containerGroup) {
+        return null;
+      }
+
+      const updatedContainerGroup = containerGroup;
+      Object.keys(INNER_GROUP_TYPES).forEach((groupKey) => {
+        const innerGroup = this.document.getLayerWithID(containerGroup[groupKey]);
+        if (innerGroup && innerGroup.layers.length === 0) {
+          innerGroup.remove();
+          delete updatedContainerGroup[groupKey];
+        } else if (innerGroup) {
+          innerGroup.adjustToFit();
+        }
+      });
+
+      // the gutter (if any) is a separate group on the page, beside the artboard; the rows of
+      // a callout legend are cleared, they are redrawn from whatever callouts remain
+      const gutterGroup = this.document.getLayerWithID(containerGroup.gutterGroupId);
+      if (gutterGroup) {
+        gutterGroup.layers
+          .filter(layer => layer.name === 'Legend Row')
+          .forEach(layer => layer.remove());
+      }
+      if (gutterGroup && gutterGroup.layers.length === 0) {
+        gutterGroup.remove();
+        delete updatedContainerGroup.gutterGroupId;
+      }
+      const hasGutterLabels = gutterGroup && gutterGroup.layers.length > 0;
+
+      const outerGroup = this.document.getLayerWithID(containerGroupId);
+      if (outerGroup && outerGroup.layers.length === 0 && !hasGutterLabels) {
+        outerGroup.remove();
+        newDocumentSettings = updateArray(
+          'containerGroups',
+          { id: containerGroupId },
+          newDocumentSettings,
+          'remove',
+        );
+      } else if (outerGroup) {
+        outerGroup.adjustToFit();
+      }
+      return null;
+    });
+
+    return newDocumentSettings;
+  }
+
+  /**
+   * @description Removes annotations (and their records in the document settings) from the
+   * whole document or, if a `scope` is set, only those drawn for specific layers or on
+   * specific artboards. The removal can be limited to a single type of annotation. Container
+   * groups left empty are cleaned up.
+   *
+   * @kind function
+   * @name removeAnnotations
+   *
+   * @param {Object} scope An optional object with `layerIds` (annotations drawn for those
+   * layers) or `artboardIds` (annotations drawn on those artboards).
+   * @param {string} annotationType An optional type of annotation to remove (`component`,
+   * `custom`, `style`, `spacing`, `dimension`, `boundingBox`, or `alignment`). The default is
+   * all types.
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  removeAnnotations(scope = {}, annotationType = null) {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const { artboardIds, layerIds } = scope;
+    const readResult = readDocumentSettings(this.document);
+    let newDocumentSettings = readResult.documentSettings;
+    let removedCount = 0;
+
+    // the document settings must be valid before records can be removed
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // this document does not have any annotations; no further work needed
+    if (!newDocumentSettings || !newDocumentSettings.containerGroups) {
+      result.status = 'error';
+      result.messages.log = 'No annotations to remove';
+      result.messages.toast = 'There are no annotations to remove';
+      return result;
+    }
+
+    const containerGroups = newDocumentSettings.containerGroups.filter(containerGroup => (
+      !artboardIds || artboardIds.includes(containerGroup.artboardId)
+    ));
+    const containerGroupIds = containerGroups.map(containerGroup => containerGroup.id);
+    const touchedContainerGroupIds = [];
+
+    // helper to check a record against the scope
+    const isInScope = (layerSet, originalIds) => {
+      if (layerIds) {
+        return originalIds.some(originalId => layerIds.includes(originalId));
+      }
+      return containerGroupIds.includes(layerSet.containerGroupId);
+    };
+
+    // helper to remove matching annotations and their records
+    const removeRecords = (key, originalIdKeys, readType) => {
+      const records = newDocumentSettings[key] || [];
+      records.forEach((layerSet) => {
+        const originalIds = originalIdKeys.map(originalIdKey => layerSet[originalIdKey]);
+        if (
+          !isInScope(layerSet, originalIds)
+          || (annotationType && (readType(layerSet) !== annotationType))
+        ) {
+          return null;
+        }
+
+        const annotationGroup = this.document.getLayerWithID(layerSet.id);
+        if (annotationGroup) {
+          annotationGroup.remove();
+        }
+
+        newDocumentSettings = updateArray(
+          key,
+          { id: layerSet.id },
+          newDocumentSettings,
+          'remove',
+        );
+        touchedContainerGroupIds.push(layerSet.containerGroupId);
+        removedCount += 1;
+        return null;
+      });
+    };
+
+    removeRecords('annotatedLayers', ['originalId'], (layerSet) => {
+      const containerGroup = newDocumentSettings.containerGroups.find(
+        containerGroupSet => containerGroupSet.id === layerSet.containerGroupId,
+      );
+      return readAnnotationType(this.document, layerSet, containerGroup);
+    });
+    removeRecords('annotatedDimensions', ['originalId'], () => 'dimension');
+    removeRecords('annotatedSpacings', ['layerAId', 'layerBId'], () => 'spacing');
+
+    // bounding boxes are not tracked individually; read them from their inner group(s)
+    if (!annotationType || (annotationType === 'boundingBox')) {
+      // when removing for specific layers, only remove the boxes drawn around them
+      const layerFrames = (layerIds || []).map((layerId) => {
+        const layer = this.document.getLayerWithID(layerId);
+        const artboard = layer ? layer.sketchObject.parentArtboard() : null;
+        if (!artboard) {
+          return null;
+        }
+        return {
+          artboardId: fromNative(artboard).id,
+          frame: getFrameOnArtboard(layer.sketchObject),
+        };
+      }).filter(layerFrame => layerFrame !== null);
+
+      containerGroups.forEach((containerGroup) => {
+        const boundingGroup = this.document.getLayerWithID(containerGroup.boundingInnerGroupId);
+        if (!boundingGroup) {
+          return null;
+        }
+
+        boundingGroup.layers.forEach((boundingBox) => {
+          const boxFrame = getFrameOnArtboard(boundingBox.sketchObject);
+          if (
+            !layerIds
+            || layerFrames.some(layerFrame => (
+              (layerFrame.artboardId === containerGroup.artboardId)
+              && frameContains(boxFrame, layerFrame.frame)
+            ))
+          ) {
+            boundingBox.remove();
+            touchedContainerGroupIds.push(containerGroup.id);
+            removedCount += 1;
+          }
+        });
+        return null;
+      });
+    }
+
+    // alignment guides are not tracked in the document settings either; each guide (or
+    // marker) records the layers it was drawn for
+    if (!annotationType || (annotationType === 'alignment')) {
+      containerGroups.forEach((containerGroup) => {
+        const alignmentGroup = this.document.getLayerWithID(
+          containerGroup.alignmentInnerGroupId,
+        );
+        if (!alignmentGroup) {
+          return null;
+        }
+
+        [...alignmentGroup.layers].forEach((guideGroup) => {
+          const guideSettings = Settings.layerSettingForKey(guideGroup, PLUGIN_IDENTIFIER);
+          if (
+            !layerIds
+            || (guideSettings && (guideSettings.layerIds || []).some(
+              layerId => layerIds.includes(layerId),
+            ))
+          ) {
+            guideGroup.remove();
+            touchedContainerGroupIds.push(containerGroup.id);
+            removedCount += 1;
+          }
+        });
+        return null;
+      });
+    }
+
+    // clean up container groups left empty
+    newDocumentSettings = this.removeEmptyContainerGroups(
+      newDocumentSettings,
+      touchedContainerGroupIds.filter(
+        (id, index) => touchedContainerGroupIds.indexOf(id) === index,
+      ),
+    );
+
+    // commit the `Settings` update
+    const commitResult = commitDocumentSettings(this.document, newDocumentSettings);
+    if (commitResult.status === 'error') {
+      return commitResult;
+    }
+
+    // close up the gaps left in any gutters (and re-number any callouts)
+    let layoutError = null;
+    newDocumentSettings.containerGroups
+      .filter(containerGroup => touchedContainerGroupIds.includes(containerGroup.id))
+      .forEach((containerGroup) => {
+        const artboard = this.document.getLayerWithID(containerGroup.artboardId);
+        if (artboard) {
+          layoutError = layoutLabels(artboard.sketchObject, this.document) || layoutError;
+        }
+      });
+    if (layoutError) {
+      return layoutError;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Removed ${removedCount} annotation(s)${annotationType ? ` (${annotationType})` : ''}`;
+    result.messages.toast = removedCount > 0
+      ? `🗑 Removed ${removedCount} annotation(s)`
+      : 'No matching annotations were found';
+    return result;
+  }
+
+  /**
+   * @description Lays the labels (component, style, and custom annotations) out again after
+   * the document’s `placement` preference has changed: labels are moved into (or re-flowed
+   * within) each artboard’s gutter, drawn as numbered callouts with a legend, or, when
+   * placing labels on the artboard again, redrawn next to their layers. Callouts are redrawn
+   * as full labels before they are moved anywhere else.
+   *
+   * @kind function
+   * @name relayoutAnnotations
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  relayoutAnnotations() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const readResult = readDocumentSettings(this.document);
+    const { documentSettings } = readResult;
+    const placement = new Preferences({ for: this.document }).get('placement');
+    let redrawnCount = 0;
+
+    // the document settings must be valid before anything is moved
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // this document does not have any annotations; no further work needed
+    if (!documentSettings || !documentSettings.containerGroups) {
+      result.status = 'success';
+      result.messages.log = 'No labels to lay out';
+      return result;
+    }
+
+    const annotatedLayers = documentSettings.annotatedLayers || [];
+    let layoutError = null;
+    documentSettings.containerGroups.forEach((containerGroup) => {
+      const artboard = this.document.getLayerWithID(containerGroup.artboardId);
+      if (!artboard) {
+        return null;
+      }
+
+      // labels leaving the gutter are redrawn next to their layers, and callouts are redrawn
+      // as labels
+      if (placement !== 'callouts') {
+        annotatedLayers.forEach((layerSet) => {
+          const annotationGroup = this.document.getLayerWithID(layerSet.id);
+          const originalLayer = this.document.getLayerWithID(layerSet.originalId);
+          if (
+            !annotationGroup
+            || !originalLayer
+            || (layerSet.containerGroupId !== containerGroup.id)
+          ) {
+            return null;
+          }
+
+          const isInGutter = annotationGroup.parent.id === containerGroup.gutterGroupId;
+          const isCallout = !!annotationGroup.layers.find(layer => layer.name === 'Callout');
+          if (!isCallout && !(placement === 'inline' && isInGutter)) {
+            return null;
+          }
+
+          const painter = new Painter({ for: originalLayer.sketchObject, in: this.document });
+          const paintResult = painter.addAnnotation();
+          if (paintResult.status === 'success') {
+            redrawnCount += 1;
+          } else {
+            this.messenger.log(paintResult.messages.log, 'error');
+          }
+          return null;
+        });
+      }
+
+      layoutError = layoutLabels(artboard.sketchObject, this.document) || layoutError;
+      return null;
+    });
+    if (layoutError) {
+      return layoutError;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Labels laid out for “${placement}” placement${redrawnCount > 0 ? ` (${redrawnCount} redrawn)` : ''}`;
+    return result;
+  }
+
+  /**
+   * @description Restyles the annotations already drawn in the document after its theme (or
+   * the plugin’s default theme) has changed, re-flowing any gutters or legends afterwards.
+   * Bounding boxes take the theme’s style color and `boundingBoxOpacity`; off-grid spacing
+   * stays in the warning color. Colors are checked for contrast against the artboard
+   * background or, if the document samples under labels, against whatever is underneath
+   * each annotation.
+   *
+   * @kind function
+   * @name restyleAnnotations
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  restyleAnnotations() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const readResult = readDocumentSettings(this.document);
+    const { documentSettings } = readResult;
+    const preferences = new Preferences({ for: this.document });
+    const theme = preferences.theme();
+    const sampleUnderLabels = preferences.get('sampleUnderLabels');
+    let restyledCount = 0;
+
+    // the document settings must be valid before anything is restyled
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // this document does not have any annotations; no further work needed
+    if (!documentSettings || !documentSettings.containerGroups) {
+      result.status = 'success';
+      result.messages.log = 'No annotations to restyle';
+      return result;
+    }
+
+    let layoutError = null;
+    documentSettings.containerGroups.forEach((containerGroup) => {
+      const belongsToContainer = layerSet => layerSet.containerGroupId === containerGroup.id;
+      const artboard = this.document.getLayerWithID(containerGroup.artboardId);
+      if (!artboard) {
+        return null;
+      }
+
+      // helper function to restyle an annotation and keep count
+      const restyle = (annotationGroup, colorHex) => {
+        if (!annotationGroup) {
+          return null;
+        }
+
+        const backgroundHex = readBackgroundColor(
+          artboard.sketchObject,
+          sampleUnderLabels ? getFrameOnArtboard(annotationGroup.sketchObject) : null,
+        );
+        if (restyleAnnotation(annotationGroup, colorHex, theme, backgroundHex)) {
+          restyledCount += 1;
+        }
+        return null;
+      };
+
+      (documentSettings.annotatedLayers || []).filter(belongsToContainer).forEach((layerSet) => {
+        const annotationType = readAnnotationType(this.document, layerSet, containerGroup);
+        restyle(
+          this.document.getLayerWithID(layerSet.id),
+          theme.colors[annotationType] || theme.colors.component,
+        );
+      });
+
+      (documentSettings.annotatedDimensions || []).filter(belongsToContainer).forEach(
+        layerSet => restyle(this.document.getLayerWithID(layerSet.id), theme.colors.dimension),
+      );
+
+      (documentSettings.annotatedSpacings || []).filter(belongsToContainer).forEach(
+        layerSet => restyle(
+          this.document.getLayerWithID(layerSet.id),
+          layerSet.isOffGrid ? COLORS.warning : theme.colors.spacing,
+        ),
+      );
+
+      // bounding boxes are not recorded individually; restyle everything in their group
+      const boundingInnerGroup = this.document.getLayerWithID(
+        containerGroup.boundingInnerGroupId,
+      );
+      if (boundingInnerGroup) {
+        boundingInnerGroup.layers.forEach((boundingBox) => {
+          const opacity = toHexOpacity(theme.boundingBoxOpacity);
+          if (updateColor(boundingBox, theme.colors.style, opacity)) {
+            restyledCount += 1;
+          }
+        });
+      }
+
+      // labels may have changed width; re-flow the gutter (or legend)
+      layoutError = layoutLabels(artboard.sketchObject, this.document) || layoutError;
+      return null;
+    });
+    if (layoutError) {
+      return layoutError;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Restyled ${restyledCount} annotation(s) with the current theme`;
+    result.messages.toast = restyledCount > 0
+      ? `🎨 Restyled ${restyledCount} annotation(s)`
+      : null;
+    return result;
+  }
+
+  /**
+   * @description Applies one of the ready-made theme variants (see `THEME_VARIANTS`, i.e.
+   * the dark theme) to the document, replacing any theme settings made for the document
+   * alone, and restyles the annotations already drawn.
+   *
+   * @kind function
+   * @name applyThemeVariant
+   *
+   * @param {string} variantId The key of the variant in `THEME_VARIANTS`.
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  applyThemeVariant(variantId) {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const variant = THEME_VARIANTS[variantId];
+
+    if (!variant) {
+      result.status = 'error';
+      result.messages.log = `Theme variant “${variantId}” does not exist`;
+      return result;
+    }
+
+    // the document settings must be valid before the theme is changed
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    const setResult = new Preferences({ for: this.document }).set('theme', variant.theme);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    const restyleResult = this.restyleAnnotations();
+    if (restyleResult.status === 'error') {
+      return restyleResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Theme variant “${variantId}” applied; ${restyleResult.messages.log}`;
+    result.messages.toast = `🌓 Theme set to “${variant.name}”`;
+    return result;
+  }
+
+  /**
+   * @description Scans the document settings and the layer tree and repairs the differences
+   * between them (i.e. after artboards have been copied between files): container groups
+   * that no longer exist are forgotten, untracked container groups are adopted, duplicate
+   * container groups on the same artboard are merged, records for missing annotations (or
+   * annotations whose original layers are gone) are removed, “Annotation for …” groups
+   * that lost their record are re-linked to their original layer by name, and dimension and
+   * spacing records are rebuilt from the copy kept on each annotation group (older dimension
+   * annotations are matched to their original layer by name).
+   *
+   * @kind function
+   * @name repairDocument
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  repairDocument() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const outerGroupName = `+++ ${PLUGIN_NAME} +++`;
+    const report = {
+      containersAdopted: 0,
+      containersMerged: 0,
+      containersRemoved: 0,
+      innerGroupsRelinked: 0,
+      orphansRemoved: 0,
+      recordsCorrected: 0,
+      recordsRemoved: 0,
+      relinked: 0,
+      unlinked: [],
+    };
+    let newDocumentSettings = Settings.documentSettingForKey(
+      this.document,
+      PLUGIN_IDENTIFIER,
+    ) || {};
+    if (!newDocumentSettings.containerGroups) {
+      newDocumentSettings.containerGroups = [];
+    }
+
+    // --- container groups
+    // forget container group records whose layers no longer exist (or are duplicated)
+    const { containerGroups } = newDocumentSettings;
+    newDocumentSettings.containerGroups = containerGroups.filter((containerGroup, index) => {
+      const isFirst = containerGroups.findIndex(
+        containerGroupSet => containerGroupSet.id === containerGroup.id,
+      ) === index;
+      const isValid = isFirst && !!this.document.getLayerWithID(containerGroup.id);
+
+      if (!isValid) {
+        report.containersRemoved += 1;
+      }
+      return isValid;
+    });
+
+    // match every container group layer on every artboard to a record
+    this.document.pages.forEach((page) => {
+      page.layers.filter(layer => layer.type === 'Artboard').forEach((artboard) => {
+        const outerGroups = artboard.layers.filter(layer => layer.name === outerGroupName);
+
+        // adopt container groups without a record (i.e. pasted along with an artboard)
+        const containerGroupSets = outerGroups.map((outerGroup) => {
+          let containerGroup = newDocumentSettings.containerGroups.find(
+            containerGroupSet => containerGroupSet.id === outerGroup.id,
+          );
+          if (!containerGroup) {
+            containerGroup = { id: outerGroup.id };
+            newDocumentSettings = updateArray(
+              'containerGroups',
+              containerGroup,
+              newDocumentSettings,
+              'add',
+            );
+            report.containersAdopted += 1;
+          }
+          containerGroup.artboardId = artboard.id;
+
+          // re-link inner container groups by name
+          Object.keys(INNER_GROUP_TYPES).forEach((groupKey) => {
+            if (this.document.getLayerWithID(containerGroup[groupKey])) {
+              return null;
+            }
+
+            const innerGroupName = setGroupName(INNER_GROUP_TYPES[groupKey]);
+            const innerGroup = outerGroup.layers.find(layer => (
+              (layer.name === innerGroupName)
+              && !Object.keys(INNER_GROUP_TYPES).some(key => containerGroup[key] === layer.id)
+            ));
+            if (innerGroup) {
+              containerGroup[groupKey] = innerGroup.id;
+              report.innerGroupsRelinked += 1;
+            } else {
+              delete containerGroup[groupKey];
+            }
+            return null;
+          });
+
+          return {
+            containerGroup,
+            outerGroup,
+          };
+        });
+
+        // merge duplicate container groups into the first one
+        const primary = containerGroupSets[0];
+        containerGroupSets.slice(1).forEach(({ containerGroup, outerGroup }) => {
+          Object.keys(INNER_GROUP_TYPES).forEach((groupKey) => {
+            const innerGroup = this.document.getLayerWithID(containerGroup[groupKey]);
+            if (!innerGroup) {
+              return null;
+            }
+
+            const primaryInnerGroup = this.document.getLayerWithID(
+              primary.containerGroup[groupKey],
+            );
+            if (primaryInnerGroup) {
+              [...innerGroup.layers].forEach(layer => moveLayerInPlace(layer, primaryInnerGroup));
+            } else {
+              moveLayerInPlace(innerGroup, primary.outerGroup);
+              primary.containerGroup[groupKey] = innerGroup.id;
+            }
+            return null;
+          });
+
+          outerGroup.remove();
+          newDocumentSettings = updateArray(
+            'containerGroups',
+            { id: containerGroup.id },
+            newDocumentSettings,
+            'remove',
+          );
+          report.containersMerged += 1;
+        });
+      });
+    });
+
+    // helper to find the container group an annotation is drawn in
+    const readContainerGroupId = (annotationGroup) => {
+      let { parent } = annotationGroup;
+      while (parent && parent.name !== outerGroupName && parent.type !== 'Artboard') {
+        parent = parent.parent; // eslint-disable-line prefer-destructuring
+      }
+      return (parent && parent.name === outerGroupName) ? parent.id : null;
+    };
+
+    // --- annotation records
+    [
+      { key: 'annotatedLayers', originalIdKeys: ['originalId'] },
+      { key: 'annotatedDimensions', originalIdKeys: ['originalId'] },
+      { key: 'annotatedSpacings', originalIdKeys: ['layerAId', 'layerBId'] },
+    ].forEach(({ key, originalIdKeys }) => {
+      (newDocumentSettings[key] || []).forEach((layerSet) => {
+        const annotationGroup = this.document.getLayerWithID(layerSet.id);
+        const hasOriginals = originalIdKeys.every(originalIdKey => (
+          this.document.getLayerWithID(layerSet[originalIdKey])
+        ));
+
+        if (annotationGroup && hasOriginals) {
+          // make sure the record points to the (possibly merged) container group
+          const layerSetToUpdate = layerSet;
+          const containerGroupId = readContainerGroupId(annotationGroup)
+            || layerSet.containerGroupId;
+          if (containerGroupId !== layerSet.containerGroupId) {
+            layerSetToUpdate.containerGroupId = containerGroupId;
+            report.recordsCorrected += 1;
+          }
+          return null;
+        }
+
+        // the annotation belongs to a layer that no longer exists
+        if (annotationGroup) {
+          annotationGroup.remove();
+          report.orphansRemoved += 1;
+        } else {
+          report.recordsRemoved += 1;
+        }
+
+        newDocumentSettings = updateArray(
+          key,
+          { id: layerSet.id },
+          newDocumentSettings,
+          'remove',
+        );
+        return null;
+      });
+    });
+
+    // --- re-link annotations that lost their record
+    const annotationPrefix = 'Annotation for ';
+    newDocumentSettings.containerGroups.forEach((containerGroup) => {
+      const artboard = this.document.getLayerWithID(containerGroup.artboardId);
+      ['componentInnerGroupId', 'styleInnerGroupId'].forEach((groupKey) => {
+        const innerGroup = this.document.getLayerWithID(containerGroup[groupKey]);
+        if (!innerGroup || !artboard) {
+          return null;
+        }
+
+        innerGroup.layers.forEach((annotationGroup) => {
+          const isTracked = (newDocumentSettings.annotatedLayers || []).some(
+            layerSet => layerSet.id === annotationGroup.id,
+          );
+          if (isTracked || !annotationGroup.name.startsWith(annotationPrefix)) {
+            return null;
+          }
+
+          // the original layer needs a unique name on the artboard to be matched
+          const layerName = annotationGroup.name.slice(annotationPrefix.length);
+          const originalLayers = findLayersByName(artboard, layerName);
+          if (originalLayers.length !== 1) {
+            report.unlinked.push(`“${annotationGroup.name}” on “${artboard.name}”`);
+            return null;
+          }
+
+          const [originalLayer] = originalLayers;
+          newDocumentSettings = updateArray(
+            'annotatedLayers',
+            {
+              containerGroupId: containerGroup.id,
+              id: annotationGroup.id,
+              originalId: originalLayer.id,
+              originalName: originalLayer.name,
+              originalFrame: getFrameOnArtboard(originalLayer.sketchObject),
+            },
+            newDocumentSettings,
+            'add',
+          );
+          report.relinked += 1;
+          return null;
+        });
+        return null;
+      });
+    });
+
+    // --- rebuild dimension and spacing records that were lost
+    const dimensionPrefixes = {
+      width: 'Dimension Width for layer ',
+      height: 'Dimension Height for layer ',
+    };
+
+    // helper to match an older dimension annotation (drawn without a copy of its record)
+    // to its original layer by name
+    const readDimensionRecord = (annotationGroup, artboard) => {
+      const dimension = Object.keys(dimensionPrefixes).find(key => (
+        annotationGroup.name.startsWith(dimensionPrefixes[key])
+      ));
+      if (!dimension) {
+        return null;
+      }
+
+      const layerName = annotationGroup.name.slice(dimensionPrefixes[dimension].length);
+      const originalLayers = findLayersByName(artboard, layerName);
+      if (originalLayers.length !== 1) {
+        return null;
+      }
+
+      const [originalLayer] = originalLayers;
+      return {
+        originalId: originalLayer.id,
+        originalName: originalLayer.name,
+        originalFrame: getFrameOnArtboard(originalLayer.sketchObject),
+        dimension,
+      };
+    };
+
+    newDocumentSettings.containerGroups.forEach((containerGroup) => {
+      const artboard = this.document.getLayerWithID(containerGroup.artboardId);
+      [
+        {
+          groupKey: 'dimensionInnerGroupId',
+          key: 'annotatedDimensions',
+          originalIdKeys: ['originalId'],
+        },
+        {
+          groupKey: 'spacingInnerGroupId',
+          key: 'annotatedSpacings',
+          originalIdKeys: ['layerAId', 'layerBId'],
+        },
+      ].forEach(({ groupKey, key, originalIdKeys }) => {
+        const innerGroup = this.document.getLayerWithID(containerGroup[groupKey]);
+        if (!innerGroup || !artboard) {
+          return null;
+        }
+
+        innerGroup.layers.forEach((annotationGroup) => {
+          const isTracked = (newDocumentSettings[key] || []).some(
+            layerSet => layerSet.id === annotationGroup.id,
+          );
+          if (isTracked) {
+            return null;
+          }
+
+          let record = Settings.layerSettingForKey(annotationGroup, PLUGIN_IDENTIFIER);
+          if (!record && (key === 'annotatedDimensions')) {
+            record = readDimensionRecord(annotationGroup, artboard);
+          }
+
+          // the original layer(s) need to exist to rebuild the record
+          if (
+            !record
+            || !originalIdKeys.every(originalIdKey => (
+              this.document.getLayerWithID(record[originalIdKey])
+            ))
+          ) {
+            report.unlinked.push(`“${annotationGroup.name}” on “${artboard.name}”`);
+            return null;
+          }
+
+          newDocumentSettings = updateArray(
+            key,
+            {
+              ...record,
+              containerGroupId: containerGroup.id,
+              id: annotationGroup.id,
+            },
+            newDocumentSettings,
+            'add',
+          );
+          report.relinked += 1;
+          return null;
+        });
+        return null;
+      });
+    });
+
+    // clean up container groups left empty
+    newDocumentSettings = this.removeEmptyContainerGroups(
+      newDocumentSettings,
+      newDocumentSettings.containerGroups.map(containerGroup => containerGroup.id),
+    );
+
+    // commit the `Settings` update; repairs are always saved (even if some records are still
+    // invalid) so that they can be built upon
+    const commitResult = commitDocumentSettings(
+      this.document,
+      newDocumentSettings,
+      { saveInvalid: true },
+    );
+
+    // report back
+    const reportLines = [
+      [report.recordsRemoved, 'record(s) for missing annotations removed'],
+      [report.recordsCorrected, 'record(s) re-linked to their container group'],
+      [report.orphansRemoved, 'annotation(s) for deleted layers removed'],
+      [report.relinked, 'annotation(s) re-linked'],
+      [report.containersRemoved, 'missing container group record(s) removed'],
+      [report.containersAdopted, 'untracked container group(s) adopted'],
+      [report.containersMerged, 'duplicate container group(s) merged'],
+      [report.innerGroupsRelinked, 'inner container group(s) re-linked'],
+    ].filter(([count]) => count > 0).map(([count, text]) => `${count} ${text}`);
+
+    if (report.unlinked.length > 0) {
+      this.messenger.log(`Repair: could not re-link ${report.unlinked.join('; ')}`, 'error');
+    }
+    if (commitResult.status === 'error') {
+      this.messenger.log(`Repair: still invalid: ${commitResult.errors.join('; ')}`, 'error');
+    }
+
+    result.status = 'success';
+    if (reportLines.length === 0) {
+      result.messages.log = 'Repair: no problems found';
+      result.messages.toast = '🩺 No problems found';
+    } else {
+      result.messages.log = `Repair: ${reportLines.join('; ')}`;
+      result.messages.toast = `🩺 Repaired: ${reportLines.join(', ')}`;
+    }
+    if (report.unlinked.length > 0) {
+      result.messages.toast = `${result.messages.toast} (${report.unlinked.length} annotation(s) could not be re-linked)`;
+    }
+    if (commitResult.status === 'error') {
+      result.status = 'error';
+      result.messages.toast = `${result.messages.toast}; ${commitResult.errors.length} problem(s) could not be repaired`;
+    }
+    return result;
+  }
+
+  /**
+   * @description A quick integrity check, run when a document is opened: each annotation is
+   * compared against its original layer(s). Annotations whose original layer has moved, been
+   * resized, renamed, or deleted are flagged with a “Stale” badge (and badges are removed
+   * from annotations that are up-to-date again).
+   *
+   * @kind function
+   * @name findStaleAnnotations
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  findStaleAnnotations() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const readResult = readDocumentSettings(this.document);
+    const { documentSettings } = readResult;
+    const reasonCounts = {};
+    let staleCount = 0;
+
+    // damaged settings are reported without interrupting the opening of the document
+    if (readResult.status === 'error') {
+      result.status = 'error';
+      result.messages.log = readResult.messages.log;
+      result.messages.toast = readResult.messages.alert;
+      return result;
+    }
+
+    // this document does not have any annotations; no further work needed
+    if (!documentSettings) {
+      result.status = 'success';
+      result.messages.log = 'No annotations to check';
+      return result;
+    }
+
+    // helper to badge (or un-badge) an annotation and tally the reasons
+    const flagAnnotation = (annotationId, staleReasons) => {
+      const annotationGroup = this.document.getLayerWithID(annotationId);
+      if (!annotationGroup) {
+        return null;
+      }
+
+      setStaleBadge(annotationGroup, staleReasons);
+      if (staleReasons.length > 0) {
+        staleCount += 1;
+        staleReasons.forEach((reason) => {
+          reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+        });
+      }
+      return null;
+    };
+
+    // annotations and dimensions both point to a single `originalId` layer
+    [
+      ...(documentSettings.annotatedLayers || []),
+      ...(documentSettings.annotatedDimensions || []),
+    ].forEach((layerSet) => {
+      const originalLayer = this.document.getLayerWithID(layerSet.originalId);
+      flagAnnotation(layerSet.id, checkOriginalLayer(layerSet, originalLayer));
+    });
 
-  return colorUpdated;
-};
+    // spacing points to a pair of layers; flag it if either has changed (or is gone)
+    (documentSettings.annotatedSpacings || []).forEach((spacingSet) => {
+      const layerA = this.document.getLayerWithID(spacingSet.layerAId);
+      const layerB = this.document.getLayerWithID(spacingSet.layerBId);
+      const staleReasons = [
+        ...checkOriginalLayer({ originalFrame: spacingSet.layerAFrame }, layerA),
+        ...checkOriginalLayer({ originalFrame: spacingSet.layerBFrame }, layerB),
+      ];
+      flagAnnotation(
+        spacingSet.id,
+        staleReasons.filter((reason, index) => staleReasons.indexOf(reason) === index),
+      );
+    });
 
-/**
- * @description A class to handle housekeeping tasks on Sketch, plugin, document, or
- * layer Settings objects.
- *
- * @class
- * @name Housekeeper
- *
- * @constructor
- *
- * @property document The Sketch document that contains the layer.
- * @property messenger An instance of the Messenger class.
- */
-export default class Housekeeper {
-  constructor({ in: document, messenger }) {
-    this.document = document;
-    this.messenger = messenger;
+    const reasonsText = Object.keys(reasonCounts)
+      .map(reason => `${reasonCounts[reason]} ${reason}`)
+      .join(', ');
+
+    result.status = 'success';
+    result.messages.log = `Integrity check: ${staleCount} stale annotation(s)${reasonsText ? ` (${reasonsText})` : ''}`;
+    if (staleCount > 0) {
+      result.messages.toast = `🕸 ${staleCount} annotation(s) are out of date (${reasonsText}); use “Re-annotate Everything” to refresh them`;
+    }
+    return result;
   }
 
   /**
-   * @description Used to move plugin settings to document-level settings based on a set of
-   * keys used for comparisons.
+   * @description Refreshes every annotation recorded in the document settings: annotation
+   * names are re-resolved (custom text or the document’s name resolvers), dimensions and
+   * spacing are re-measured, and each annotation is redrawn in place. Annotations whose
+   * original layers have been deleted, or that can no longer be resolved, are left as-is and
+   * reported.
    *
    * @kind function
-   * @name fromPluginToDocument
-   *
-   * @param {Object} comparisonKeys An object containing a `mainKey` and `secondaryKey` used.
-   * @param {Object} pluginSettings An object containing the plugin settings.
-   * @param {Object} documentSettings An object containing the document settings.
+   * @name reannotateAll
    *
-   * @returns {Object} Returns an object containing (potentially) updated `documentSettings` and
-   * `pluginSettings` objects, and a `changed` flag indicating updates.
+   * @returns {Object} A result object containing success/error status and log/toast messages.
    */
-  fromPluginToDocument(comparisonKeys, pluginSettings, documentSettings = {}) {
-    const { mainKey, secondaryKey, newMainKey } = comparisonKeys;
-    const mainKeyToUse = newMainKey || mainKey;
-    const newDocumentSettings = documentSettings;
-    let newPluginSettings = pluginSettings;
-    let settingsChanged = false;
+  reannotateAll() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const readResult = readDocumentSettings(this.document);
+    const { documentSettings } = readResult;
+    const documentData = this.document.sketchObject.documentData();
+    const report = {
+      changed: [],
+      deleted: [],
+      unchanged: [],
+      unresolved: [],
+    };
 
-    // set up placeholder in `documentSettings` for the main key
-    if (!newDocumentSettings[mainKey]) {
-      newDocumentSettings[mainKey] = [];
+    // the document settings must be valid before anything is redrawn
+    if (readResult.status === 'error') {
+      return readResult;
     }
 
-    // iterate through each `mainKey`
-    pluginSettings[mainKey].forEach((layerIdSet) => {
-      const { id } = layerIdSet;
-      const secondaryId = layerIdSet[secondaryKey];
+    // this document does not have any annotations; no further work needed
+    if (!documentSettings) {
+      result.status = 'error';
+      result.messages.log = 'No annotations to refresh';
+      result.messages.toast = 'This document does not have any annotations yet';
+      return result;
+    }
 
-      // make sure the primary `id` layer actually exists
-      const primaryLayer = this.document.getLayerWithID(id);
+    // helper to read the latest records of a type (drawing updates the document settings)
+    const readRecords = (key) => {
+      const latestSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+      return (latestSettings && latestSettings[key]) ? latestSettings[key] : [];
+    };
 
-      // make sure the `secondaryKey` paired layer actually exists
-      const pairedLayer = this.document.getLayerWithID(secondaryId);
+    // helper to snapshot the annotation(s) before redrawing; the returned function
+    // files the annotation in the report based on its snapshot after redrawing
+    const compareSnapshots = (label, oldIds) => {
+      const oldSnapshot = oldIds.map(id => readAnnotationSnapshot(this.document, id)).join('\n');
+      return (newSnapshot) => {
+        if (newSnapshot === null) {
+          report.unresolved.push(label);
+        } else if (newSnapshot !== oldSnapshot) {
+          report.changed.push(label);
+        } else {
+          report.unchanged.push(label);
+        }
+        return null;
+      };
+    };
 
-      if (primaryLayer && pairedLayer) {
-        // check if this `primaryLayer` has already been migrated
-        const existingItemIndex = newDocumentSettings[mainKeyToUse].findIndex(
-          foundItem => (foundItem.id === id),
-        );
-        if (existingItemIndex < 0) {
-          // add the `layerIdSet` to the document settings
-          newDocumentSettings[mainKeyToUse].push(layerIdSet);
+    // helper to name an annotation in the report (the original layer may be gone)
+    const describeAnnotation = (annotationId) => {
+      const annotationGroup = this.document.getLayerWithID(annotationId);
+      return annotationGroup ? `“${annotationGroup.name}”` : annotationId;
+    };
 
-          // remove the `layerIdSet` from the plugin settings
-          newPluginSettings = updateArray(
-            mainKey,
-            layerIdSet,
-            newPluginSettings,
-            'remove',
-          );
+    // helper to read the new annotation(s) after redrawing
+    const readNewSnapshot = (ids) => {
+      if (ids.length === 0) {
+        return null;
+      }
+      return ids.map(id => readAnnotationSnapshot(this.document, id)).join('\n');
+    };
 
-          // set the `changed` flag
-          settingsChanged = true;
+    // annotations: re-resolve the names and redraw
+    (documentSettings.annotatedLayers || []).forEach((layerSet) => {
+      const originalLayer = this.document.getLayerWithID(layerSet.originalId);
+      if (!originalLayer) {
+        report.deleted.push(describeAnnotation(layerSet.id));
+        return null;
+      }
+
+      const label = `“${originalLayer.name}”`;
+      const settle = compareSnapshots(label, [layerSet.id]);
+      const identifier = new Identifier({
+        for: originalLayer.sketchObject,
+        document: this.document,
+        documentData,
+        messenger: this.messenger,
+      });
+
+      // specs are read again; custom text does not need to be looked up again
+      if (identifier.hasSpec().status === 'success') {
+        const getSpecResult = identifier.getSpec();
+        this.messenger.log(getSpecResult.messages.log);
+
+        if (getSpecResult.status === 'error') {
+          report.unresolved.push(label);
+          return null;
+        }
+      } else if (identifier.hasCustomText().status === 'error') {
+        const getNameResult = identifier.getName();
+        this.messenger.log(getNameResult.messages.log);
+
+        if (getNameResult.status === 'error') {
+          report.unresolved.push(label);
+          return null;
         }
       }
+
+      const painter = new Painter({ for: originalLayer.sketchObject, in: this.document });
+      const paintResult = painter.addAnnotation();
+      const newIds = readRecords('annotatedLayers')
+        .filter(newLayerSet => newLayerSet.originalId === layerSet.originalId)
+        .map(newLayerSet => newLayerSet.id);
+      settle(paintResult.status === 'success' ? readNewSnapshot(newIds) : null);
+      return null;
     });
-    return {
-      documentSettings: newDocumentSettings,
-      pluginSettings: newPluginSettings,
-      changed: settingsChanged,
-    };
-  }
 
-  /**
-   * @description A helper function to set up the `documentSettings` structure for migrations.
-   *
-   * @kind function
-   * @name initializeMigrationsSchema
-   */
-  initializeMigrationsSchema() {
-    let documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+    // dimensions: re-measure and redraw (width and height are stored as separate records)
+    const dimensionIds = {};
+    (documentSettings.annotatedDimensions || []).forEach((dimensionSet) => {
+      if (!dimensionIds[dimensionSet.originalId]) {
+        dimensionIds[dimensionSet.originalId] = [];
+      }
+      dimensionIds[dimensionSet.originalId].push(dimensionSet.id);
+    });
 
-    if (!documentSettings) {
-      documentSettings = {};
-    }
+    Object.keys(dimensionIds).forEach((originalId) => {
+      const originalLayer = this.document.getLayerWithID(originalId);
+      if (!originalLayer) {
+        report.deleted.push(dimensionIds[originalId].map(describeAnnotation).join(', '));
+        return null;
+      }
 
-    if (!documentSettings.migrations) {
-      documentSettings.migrations = [];
+      const label = `dimensions of “${originalLayer.name}”`;
+      const settle = compareSnapshots(label, dimensionIds[originalId]);
+      const painter = new Painter({ for: originalLayer.sketchObject, in: this.document });
+      const paintResult = painter.addDimMeasurement();
+      const newIds = readRecords('annotatedDimensions')
+        .filter(newDimensionSet => newDimensionSet.originalId === originalId)
+        .map(newDimensionSet => newDimensionSet.id);
+      settle(paintResult.status === 'success' ? readNewSnapshot(newIds) : null);
+      return null;
+    });
 
-      Settings.setDocumentSettingForKey(
+    // spacing: re-measure the pair of layers and redraw
+    (documentSettings.annotatedSpacings || []).forEach((spacingSet) => {
+      const layerA = this.document.getLayerWithID(spacingSet.layerAId);
+      const layerB = this.document.getLayerWithID(spacingSet.layerBId);
+      if (!layerA || !layerB) {
+        report.deleted.push(describeAnnotation(spacingSet.id));
+        return null;
+      }
+
+      const label = `${spacingSet.direction} spacing for “${layerA.name}” and “${layerB.name}”`;
+      const settle = compareSnapshots(label, [spacingSet.id]);
+      const crawler = new Crawler({ for: [layerA.sketchObject, layerB.sketchObject] });
+
+      // make sure the layers can still be measured the same way
+      let frames = null;
+      if (spacingSet.direction === 'gap') {
+        frames = crawler.gapFrame();
+      } else {
+        frames = crawler.overlapFrames();
+        if (
+          frames
+          && (
+            frames[spacingSet.direction].width <= 2
+            || frames[spacingSet.direction].height <= 2
+          )
+        ) {
+          frames = null;
+        }
+      }
+
+      if (!frames) {
+        report.unresolved.push(label);
+        return null;
+      }
+
+      // the layers may have swapped places; remove the old annotation before redrawing
+      const commitResult = commitDocumentSettings(
         this.document,
-        PLUGIN_IDENTIFIER,
-        documentSettings,
+        updateArray(
+          'annotatedSpacings',
+          { id: spacingSet.id },
+          Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER),
+          'remove',
+        ),
       );
+      if (commitResult.status === 'error') {
+        this.messenger.log(commitResult.messages.log, 'error');
+        report.unresolved.push(label);
+        return null;
+      }
+      const painter = new Painter({ for: crawler.first(), in: this.document });
+      painter.removeAnnotation(spacingSet);
+
+      let paintResult = null;
+      if (spacingSet.direction === 'gap') {
+        paintResult = painter.addGapMeasurement(frames);
+      } else {
+        paintResult = painter.addOverlapMeasurements(frames, [spacingSet.direction]);
+      }
+
+      const newIds = readRecords('annotatedSpacings')
+        .filter(newSpacingSet => (
+          newSpacingSet.direction === spacingSet.direction
+          && newSpacingSet.layerAId === frames.layerAId
+          && newSpacingSet.layerBId === frames.layerBId
+        ))
+        .map(newSpacingSet => newSpacingSet.id);
+      settle(paintResult.status === 'success' ? readNewSnapshot(newIds) : null);
+      return null;
+    });
+
+    // log the details
+    if (report.changed.length > 0) {
+      this.messenger.log(`Re-annotate: updated ${report.changed.join('; ')}`);
     }
-    return null;
+    if (report.deleted.length > 0) {
+      this.messenger.log(`Re-annotate: original layer(s) deleted for ${report.deleted.join('; ')}`);
+    }
+    if (report.unresolved.length > 0) {
+      this.messenger.log(`Re-annotate: could not resolve ${report.unresolved.join('; ')}`, 'error');
+    }
+
+    const total = report.changed.length + report.unchanged.length;
+    result.status = 'success';
+    result.messages.log = `Re-annotated ${total} annotation(s): ${report.changed.length} changed, ${report.deleted.length} deleted, ${report.unresolved.length} unresolved`;
+    result.messages.toast = `🔄 ${report.changed.length} annotation(s) updated`;
+    if (report.deleted.length > 0) {
+      result.messages.toast = `${result.messages.toast}, ${report.deleted.length} with deleted layers`;
+    }
+    if (report.unresolved.length > 0) {
+      result.messages.toast = `${result.messages.toast}, ${report.unresolved.length} could not be resolved`;
+    }
+    return result;
   }
 
   /**
-   * @description Iterates through the list of available migrations. Skips any migration
-   * older than the creation of the Sketch file. And skips any migration that has already
-   * been run on the file. Remaining migrations are run in order (oldest-to-newest) and then
-   * marked as run, if successful, so that they do not run twice.
+   * @description Re-writes the text of existing dimension and spacing annotations using the
+   * document’s current units and design tokens. Dimension annotations drawn before
+   * measurements were recorded are read from their (dp) label text.
    *
    * @kind function
-   * @name runMigrations
+   * @name relabelMeasurements
+   *
+   * @returns {Object} A result object containing success/error status and log/toast messages.
    */
-  runMigrations() {
-    this.initializeMigrationsSchema();
+  relabelMeasurements() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const readResult = readDocumentSettings(this.document);
+    const { documentSettings } = readResult;
+    const preferences = new Preferences({ for: this.document });
+    const formatMeasurement = measurement => preferences.formatMeasurement(measurement);
+    let relabeledCount = 0;
+
+    // the document settings must be valid before the records are updated
+    if (readResult.status === 'error') {
+      return readResult;
+    }
 
-    // get the file creation date as a timestamp
-    const fileTimestamp = documentCreationTimestamp(this.document);
+    // this document does not have any annotations; no further work needed
+    if (!documentSettings) {
+      result.status = 'success';
+      result.messages.log = 'No measurements to relabel';
+      return result;
+    }
 
-    // iterrate through available migrations, oldest to newest
-    migrationKeys.sort().forEach((migrationKey) => {
-      // don’t bother with a migration that is older than the creation of the file
-      if (fileTimestamp > migrationKey) {
+    // relabel dimensions
+    const annotatedDimensions = documentSettings.annotatedDimensions || [];
+    annotatedDimensions.forEach((dimensionSet) => {
+      const groupLayer = this.document.getLayerWithID(dimensionSet.id);
+      if (!groupLayer) {
         return null;
       }
 
-      // assume it will not run
-      let runMigration = false;
-
-      // some migrations will likely update document settings, so do a fresh lookup
-      const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+      // older annotations only have the measurement in their (dp) label
+      let { measurement } = dimensionSet;
+      if (measurement === undefined) {
+        const textLayer = groupLayer.layers.find(layer => layer.type === 'Text');
+        measurement = textLayer ? parseFloat(textLayer.text) : NaN;
+      }
 
-      // check to see if the migration has already been run; enable if it has not
-      if (!documentSettings.migrations.includes(migrationKey)) {
-        runMigration = true;
+      if (Number.isNaN(measurement)) {
+        return null;
       }
 
-      if (runMigration) {
-        // run the migration
-        const migrationResult = this[`migration${migrationKey}`]();
+      const dimensionSetToUpdate = dimensionSet;
+      dimensionSetToUpdate.measurement = measurement;
+      if (!dimensionSetToUpdate.dimension) {
+        dimensionSetToUpdate.dimension = groupLayer.name.includes('Height') ? 'height' : 'width';
+      }
 
-        // only mark the migration as run if successful
-        if (migrationResult.status === 'success') {
-          // some migrations will likely update document settings, so do a fresh lookup
-          const latestDocumentSettings = Settings.documentSettingForKey(
-            this.document, PLUGIN_IDENTIFIER,
-          );
+      const annotationText = preferences.labelWithToken(
+        'size',
+        measurement,
+        formatMeasurement(measurement),
+      );
+      if (updateAnnotationText(groupLayer, annotationText)) {
+        relabeledCount += 1;
+      }
+      return null;
+    });
 
-          latestDocumentSettings.migrations.push(migrationKey);
+    // relabel spacing (labels with a raw measurement, or with a design token, can change)
+    const annotatedSpacings = documentSettings.annotatedSpacings || [];
+    annotatedSpacings.forEach((spacingSet) => {
+      const groupLayer = this.document.getLayerWithID(spacingSet.id);
+      const spacingScale = SPACING_SCALES[spacingSet.spacingScale];
+      if (
+        !groupLayer
+        || !spacingScale
+        || (spacingSet.measurement === undefined)
+      ) {
+        return null;
+      }
 
-          Settings.setDocumentSettingForKey(
-            this.document,
-            PLUGIN_IDENTIFIER,
-            latestDocumentSettings,
-          );
-        }
+      const { annotationText } = setSpacingText(
+        spacingSet.measurement,
+        spacingScale,
+        spacingSet.isOffGrid,
+        formatMeasurement,
+        spacingSet.sides,
+        spacingSet.repeatCount,
+        (value, text) => preferences.labelWithToken('spacing', value, text),
+      );
 
-        // log any output
-        if (migrationResult.messages.log) {
-          const logType = migrationResult.status === 'success' ? null : 'error';
-          this.messenger.log(migrationResult.messages.log, logType);
-        }
+      if (updateAnnotationText(groupLayer, annotationText)) {
+        relabeledCount += 1;
       }
       return null;
     });
 
-    return null;
+    // commit the `Settings` update (older dimension sets now include their measurement)
+    const commitResult = commitDocumentSettings(this.document, documentSettings);
+    if (commitResult.status === 'error') {
+      return commitResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Relabeled ${relabeledCount} measurement annotation(s)`;
+    return result;
   }
 
   /**
@@ -274,11 +2224,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1566025200026
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1566025200026() {
+  migration1566025200026(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -295,11 +2252,30 @@ export default class Housekeeper {
       return result;
     }
 
-    this.messenger.log(`Run “${migrationName}” migration…`);
+    if (!isDryRun) {
+      this.messenger.log(`Run “${migrationName}” migration…`);
+    }
 
     // default the changes flag to false
     let keystonesRemoved = false;
 
+    // helper to re-adjust an inner container group’s frame boundaries and unlock it
+    const unlockInnerGroup = (innerGroupId) => {
+      const innerGroup = this.document.getLayerWithID(innerGroupId);
+      if (!innerGroup) {
+        return null;
+      }
+
+      if (fromNative(innerGroup).locked) {
+        result.changes.layers.push(innerGroup.name);
+      }
+      if (!isDryRun) {
+        fromNative(innerGroup).adjustToFit();
+        fromNative(innerGroup).locked = false;
+      }
+      return null;
+    };
+
     documentSettings.containerGroups.forEach((containerGroup) => {
       const containerGroupLayer = this.document.getLayerWithID(containerGroup.id);
       if (containerGroupLayer) {
@@ -307,8 +2283,12 @@ export default class Housekeeper {
         const innerLayers = containerGroupLayer.sketchObject.children();
         innerLayers.forEach((layer) => {
           if (layer.name().includes('--- keystone')) {
+            result.changes.layers.push(layer.name());
+
             // remove the keystone layer
-            fromNative(layer).remove();
+            if (!isDryRun) {
+              fromNative(layer).remove();
+            }
 
             // set flag
             keystonesRemoved = true;
@@ -317,47 +2297,15 @@ export default class Housekeeper {
 
         // re-adjust group frame boundaries across all container groups
         // unlocked container layers
-        const boundingBoxGroup = this.document.getLayerWithID(
-          containerGroup.boundingInnerGroupId,
-        );
-        if (boundingBoxGroup) {
-          fromNative(boundingBoxGroup).adjustToFit();
-          fromNative(boundingBoxGroup).locked = false;
-        }
-
-        const componentGroup = this.document.getLayerWithID(
-          containerGroup.componentInnerGroupId,
-        );
-        if (componentGroup) {
-          fromNative(componentGroup).adjustToFit();
-          fromNative(componentGroup).locked = false;
-        }
-
-        const dimensionBoxGroup = this.document.getLayerWithID(
-          containerGroup.dimensionInnerGroupId,
-        );
-        if (dimensionBoxGroup) {
-          fromNative(dimensionBoxGroup).adjustToFit();
-          fromNative(dimensionBoxGroup).locked = false;
+        unlockInnerGroup(containerGroup.boundingInnerGroupId);
+        unlockInnerGroup(containerGroup.componentInnerGroupId);
+        unlockInnerGroup(containerGroup.dimensionInnerGroupId);
+        unlockInnerGroup(containerGroup.spacingInnerGroupId);
+        unlockInnerGroup(containerGroup.styleInnerGroupId);
+
+        if (!isDryRun) {
+          fromNative(containerGroupLayer).adjustToFit();
         }
-
-        const spacingBoxGroup = this.document.getLayerWithID(
-          containerGroup.spacingInnerGroupId,
-        );
-        if (spacingBoxGroup) {
-          fromNative(spacingBoxGroup).adjustToFit();
-          fromNative(spacingBoxGroup).locked = false;
-        }
-
-        const styleGroup = this.document.getLayerWithID(
-          containerGroup.styleInnerGroupId,
-        );
-        if (styleGroup) {
-          fromNative(styleGroup).adjustToFit();
-          fromNative(styleGroup).locked = false;
-        }
-
-        fromNative(containerGroupLayer).adjustToFit();
       }
     });
 
@@ -381,11 +2329,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1566025200012
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1566025200012() {
+  migration1566025200012(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -402,7 +2357,9 @@ export default class Housekeeper {
       return result;
     }
 
-    this.messenger.log(`Run “${migrationName}” migration…`);
+    if (!isDryRun) {
+      this.messenger.log(`Run “${migrationName}” migration…`);
+    }
 
     // default the changes flag to false
     let dimensionsTransitioned = false;
@@ -430,6 +2387,14 @@ export default class Housekeeper {
             );
           }
 
+          result.changes.layers.push(...dimensionLayers.map(layer => layer.name));
+          if (!dimensionContainer) {
+            result.changes.settings.push('containerGroups');
+          }
+          if (isDryRun) {
+            return null;
+          }
+
           // create the Dimension container if it does not exist already
           if (!dimensionContainer) {
             const outerGroupLayer = this.document.getLayerWithID(
@@ -503,6 +2468,7 @@ export default class Housekeeper {
           dimensionContainer.adjustToFit();
         }
       }
+      return null;
     });
 
     if (dimensionsTransitioned) {
@@ -530,11 +2496,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1566025200002
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1566025200002() {
+  migration1566025200002(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -551,7 +2524,9 @@ export default class Housekeeper {
       return result;
     }
 
-    this.messenger.log(`Run “${migrationName}” migration…`);
+    if (!isDryRun) {
+      this.messenger.log(`Run “${migrationName}” migration…`);
+    }
 
     // default the changes flag to false
     let measurementsTransitioned = false;
@@ -563,6 +2538,11 @@ export default class Housekeeper {
       );
 
       if (measurementContainer) {
+        result.changes.settings.push('containerGroups');
+        if (isDryRun) {
+          return null;
+        }
+
         const outerGroupId = containerGroup.id;
         const { measurementInnerGroupId } = containerGroup;
         const newContainerGroup = containerGroup;
@@ -591,6 +2571,7 @@ export default class Housekeeper {
         // note the change
         measurementsTransitioned = true;
       }
+      return null;
     });
 
     if (measurementsTransitioned) {
@@ -618,11 +2599,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1563951600000
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1563951600000() {
+  migration1563951600000(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -643,8 +2631,8 @@ export default class Housekeeper {
 
     // helper function to iterate through all children of a group layer (even sub-groups)
     // and call the appropriate instance of `updateColor`
-    const updateChildrenColors = (children, groupType) => {
-      const nativeLayers = children();
+    const updateChildrenColors = (containerLayer, groupType) => {
+      const nativeLayers = containerLayer.sketchObject.children();
       nativeLayers.forEach((nativeLayer) => {
         const layer = fromNative(nativeLayer);
         let colorDidUpdate = false;
@@ -656,10 +2644,10 @@ export default class Housekeeper {
             case 'dimension':
             case 'spacing':
             case 'style':
-              colorDidUpdate = updateColor(layer, COLORS[groupType]);
+              colorDidUpdate = updateColor(layer, COLORS[groupType], 'ff', isDryRun);
               break;
             case 'bounding':
-              colorDidUpdate = updateColor(layer, COLORS.style, '4d');
+              colorDidUpdate = updateColor(layer, COLORS.style, '4d', isDryRun);
               break;
             default:
               return null;
@@ -667,13 +2655,16 @@ export default class Housekeeper {
         }
 
         if (colorDidUpdate) {
+          result.changes.layers.push(layer.parent.name);
           colorsUpdated = true;
         }
         return null;
       });
     };
 
-    this.messenger.log('Run “update colors” migration…');
+    if (!isDryRun) {
+      this.messenger.log('Run “update colors” migration…');
+    }
 
     documentSettings.containerGroups.forEach((containerGroup) => {
       const boundingBoxContainer = this.document.getLayerWithID(
@@ -691,22 +2682,22 @@ export default class Housekeeper {
 
       // convert component boxes
       if (componentBoxContainer && componentBoxContainer.sketchObject.children) {
-        updateChildrenColors(componentBoxContainer.sketchObject.children, 'component');
+        updateChildrenColors(componentBoxContainer, 'component');
       }
 
       // convert bounding boxes
       if (boundingBoxContainer && boundingBoxContainer.sketchObject.children) {
-        updateChildrenColors(boundingBoxContainer.sketchObject.children, 'bounding');
+        updateChildrenColors(boundingBoxContainer, 'bounding');
       }
 
       // convert measurement annotations
       if (measurementContainer && measurementContainer.sketchObject.children) {
-        updateChildrenColors(measurementContainer.sketchObject.children, 'measure');
+        updateChildrenColors(measurementContainer, 'measure');
       }
 
       // convert style annotations
       if (styleContainer && styleContainer.sketchObject.children) {
-        updateChildrenColors(styleContainer.sketchObject.children, 'style');
+        updateChildrenColors(styleContainer, 'style');
       }
     });
 
@@ -729,11 +2720,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1561504830674
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1561504830674() {
+  migration1561504830674(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -763,7 +2761,9 @@ export default class Housekeeper {
         newMainKey: 'annotatedLayers',
         secondaryKey: 'originalId',
       };
-      this.messenger.log('Run “labeledLayers” settings migration…');
+      if (!isDryRun) {
+        this.messenger.log('Run “labeledLayers” settings migration…');
+      }
 
       // if a `labeledLayer` in the plugin settings matches a layer in the docoment,
       // it will be migrated and removed from `pluginSettings`
@@ -776,6 +2776,9 @@ export default class Housekeeper {
 
     // update the document settings, if necessary
     if (settingsToUpdate.changed) {
+      result.changes.settings.push('annotatedLayers');
+    }
+    if (settingsToUpdate.changed && !isDryRun) {
       Settings.setDocumentSettingForKey(
         this.document,
         PLUGIN_IDENTIFIER,
@@ -800,11 +2803,18 @@ export default class Housekeeper {
    * @kind function
    * @name migration1561504830674
    *
-   * @returns {Object} A result object containing success/error status and log/toast messages.
+   * @param {boolean} isDryRun When `true`, nothing is changed; the result only lists the
+   * `changes` the migration would make.
+   * @returns {Object} A result object containing success/error status and log/toast messages,
+   * plus the `changes` (settings keys and layer names) the migration made.
    */
-  migration1561503084281() {
+  migration1561503084281(isDryRun = false) {
     const result = {
       status: null,
+      changes: {
+        settings: [],
+        layers: [],
+      },
       messages: {
         toast: null,
         log: null,
@@ -833,7 +2843,9 @@ export default class Housekeeper {
         mainKey: 'containerGroups',
         secondaryKey: 'artboardId',
       };
-      this.messenger.log(`Run “containerGroups” (${migrationKey}) settings migration…`);
+      if (!isDryRun) {
+        this.messenger.log(`Run “containerGroups” (${migrationKey}) settings migration…`);
+      }
 
       // if a `containerGroup` in the plugin settings matches a layer in the docoment,
       // it will be migrated and removed from `pluginSettings`
@@ -846,6 +2858,9 @@ export default class Housekeeper {
 
     // update the document settings, if necessary
     if (settingsToUpdate.changed) {
+      result.changes.settings.push('containerGroups');
+    }
+    if (settingsToUpdate.changed && !isDryRun) {
       Settings.setDocumentSettingForKey(
         this.document,
         PLUGIN_IDENTIFIER,
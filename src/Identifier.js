@@ -1,6 +1,8 @@
 import { fromNative, Settings } from 'sketch';
-import { getInputFromUser, INPUT_TYPE } from 'sketch/ui';
-import { PLUGIN_IDENTIFIER } from './constants';
+import { INPUT_TYPE } from 'sketch/ui';
+import Preferences from './Preferences';
+import { askUser } from './Tools';
+import { NAME_RESOLVERS, PLUGIN_IDENTIFIER } from './constants';
 
 // --- private functions
 /**
@@ -12,6 +14,9 @@ import { PLUGIN_IDENTIFIER } from './constants';
  * @param {string} annotationSecondaryText Optional text to add to the layer’s settings.
  * @param {string} annotationType The type of annotation (`custom`, `component`, `style`).
  * @param {Object} layer The Sketch layer object receiving the settings update.
+ * @param {string} annotationMode How the text was found (optional): `type` for a typography
+ * spec (see `getTypeSpec`) or `style` for a style spec (see `getStyleSpec`). Names and custom
+ * text do not set a mode.
  * @private
  */
 const setAnnotationTextSettings = (
@@ -19,6 +24,7 @@ const setAnnotationTextSettings = (
   annotationSecondaryText,
   annotationType,
   layer,
+  annotationMode = null,
 ) => {
   let layerSettings = Settings.layerSettingForKey(layer, PLUGIN_IDENTIFIER);
 
@@ -35,6 +41,13 @@ const setAnnotationTextSettings = (
     layerSettings.annotationType = annotationType;
   }
 
+  // only specs are remembered; everything else clears the mode
+  if (annotationMode) {
+    layerSettings.annotationMode = annotationMode;
+  } else {
+    delete layerSettings.annotationMode;
+  }
+
   // commit the settings update
   Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, layerSettings);
 
@@ -173,6 +186,309 @@ const parseOverrides = (layer, document, workingName = null) => {
   return setOverridesText;
 };
 
+/**
+ * @description The names for Sketch’s font weights (`0`–`12`), as used in typography specs.
+ *
+ * @kind constant
+ * @name FONT_WEIGHT_NAMES
+ * @type {Array}
+ * @private
+ */
+const FONT_WEIGHT_NAMES = [
+  'Ultralight',
+  'Ultralight',
+  'Thin',
+  'Light',
+  'Book',
+  'Regular',
+  'Medium',
+  'Demibold',
+  'Semibold',
+  'Bold',
+  'Extra Bold',
+  'Heavy',
+  'Black',
+];
+
+/**
+ * @description Formats a color for a typography or style spec: the hex color, with its
+ * opacity if it is not fully opaque (i.e. “#1f1f1f” or “#1f1f1f 60%”).
+ *
+ * @kind function
+ * @name formatColor
+ * @param {string} colorHex The color as an 8-digit hex string (i.e. `#1f1f1fff`).
+ * @returns {string} The formatted color.
+ * @private
+ */
+const formatColor = (colorHex) => {
+  const color = `${colorHex || '#000000ff'}`.toLowerCase();
+  const opacity = (color.length === 9) ? parseInt(color.slice(7), 16) / 255 : 1;
+  const hex = color.slice(0, 7);
+  return (opacity < 1) ? `${hex} ${Math.round(opacity * 100)}%` : hex;
+};
+
+/**
+ * @description The text properties read for a typography spec, keyed by their name in a
+ * Sketch text style. Each has a `label` (used when the property overrides the shared text
+ * style) and a function to `format` its value. Properties with a `tokenKind` are matched
+ * against the document’s design tokens, using `tokenValues` (if set) to read the value(s)
+ * to match.
+ *
+ * @kind constant
+ * @name TYPE_PROPERTIES
+ * @type {Object}
+ * @private
+ */
+const TYPE_PROPERTIES = {
+  fontFamily: {
+    label: 'family',
+    format: value => `${value}`,
+    tokenKind: 'fontFamily',
+  },
+  fontWeight: {
+    label: 'weight',
+    format: value => FONT_WEIGHT_NAMES[value] || `${value}`,
+    tokenKind: 'fontWeight',
+    tokenValues: value => FONT_WEIGHT_NAMES[value],
+  },
+  fontSize: {
+    label: 'size',
+    format: (value, formatMeasurement) => formatMeasurement(value),
+    tokenKind: 'fontSize',
+  },
+  lineHeight: {
+    label: 'line height',
+    format: (value, formatMeasurement) => (
+      (value === null || value === undefined) ? 'auto' : formatMeasurement(value)
+    ),
+    tokenKind: 'lineHeight',
+    // line height tokens can be in dp or relative to the font size (i.e. `1.5`)
+    tokenValues: (value, style) => [
+      value,
+      style.fontSize ? Math.round((value / style.fontSize) * 100) / 100 : null,
+    ],
+  },
+  kerning: {
+    label: 'letter spacing',
+    format: value => `${value || 0}`,
+  },
+  alignment: {
+    label: 'alignment',
+    format: value => `${value}`.charAt(0).toUpperCase() + `${value}`.slice(1),
+  },
+  textColor: {
+    label: 'color',
+    format: value => formatColor(value),
+    tokenKind: 'color',
+  },
+  textTransform: {
+    label: 'transform',
+    format: value => `${value}`.charAt(0).toUpperCase() + `${value}`.slice(1),
+  },
+};
+
+/**
+ * @description Lists the enabled fills, borders, and shadows of a layer style, and its opacity,
+ * for a style spec. Each entry has the `property` it belongs to (`fill`, `border`, `shadow`,
+ * or `opacity`), its formatted `value`, and its `colorHex` (if it is a solid color).
+ *
+ * @kind function
+ * @name readStyleEntries
+ * @param {Object} style The Sketch layer style.
+ * @param {Function} formatMeasurement Formats a raw measurement in the document’s units.
+ * @returns {Array} The style entries, in order.
+ * @private
+ */
+const readStyleEntries = (style, formatMeasurement) => {
+  const entries = [];
+  const isEnabled = fill => fill.enabled !== false;
+  const formatFill = (fill) => {
+    switch (fill.fillType) {
+      case 'Gradient':
+        return `${(fill.gradient && fill.gradient.gradientType) || 'Linear'} gradient`;
+      case 'Pattern':
+        return 'Image';
+      default:
+        return formatColor(fill.color);
+    }
+  };
+
+  (style.fills || []).filter(isEnabled).forEach(fill => entries.push({
+    property: 'fill',
+    value: formatFill(fill),
+    colorHex: (fill.fillType === 'Color') ? fill.color : null,
+  }));
+  (style.borders || []).filter(isEnabled).forEach(border => entries.push({
+    property: 'border',
+    value: `${formatMeasurement(border.thickness)} ${`${border.position || 'Center'}`.toLowerCase()} ${formatFill(border)}`,
+    colorHex: (border.fillType === 'Color') ? border.color : null,
+  }));
+  (style.shadows || []).filter(isEnabled).forEach(shadow => entries.push({
+    property: 'shadow',
+    value: `${shadow.x}/${shadow.y}, blur ${shadow.blur}, spread ${shadow.spread} ${formatColor(shadow.color)}`,
+    colorHex: shadow.color,
+  }));
+  entries.push({
+    property: 'opacity',
+    value: `${Math.round(((style.opacity !== undefined) ? style.opacity : 1) * 100)}%`,
+    colorHex: null,
+  });
+
+  return entries;
+};
+
+/**
+ * @description Looks a layer up in the connected Lingo Kit: symbols by their master symbol,
+ * other layers by their ID, and shared styles by their style ID.
+ *
+ * @kind function
+ * @name resolveLingoName
+ * @param {Object} options The layer (`layerJSON`) and the `documentData` to look in.
+ * @returns {Object} The Kit `name` and `annotationType`, or `null` if there is no match
+ * (or Lingo is not connected).
+ * @private
+ */
+const resolveLingoName = ({ layerJSON, documentData }) => {
+  const lingoInfo = documentData.userInfo()['com.lingoapp.lingo'];
+  if (!lingoInfo || !lingoInfo.storage || !lingoInfo.storage.hashes) {
+    return null;
+  }
+
+  // lingo data from their storage hashes (a Kit may not have every kind of hash)
+  const {
+    layers = {},
+    layerStyles = {},
+    symbols = {},
+    textStyles = {},
+  } = lingoInfo.storage.hashes;
+  const { id, sharedStyleId, symbolId } = layerJSON;
+
+  // locate a symbol: use the API to find the master symbol based on the `symbolId`
+  if (symbolId) {
+    const masterSymbol = documentData.symbolWithID(symbolId);
+    const kitSymbol = masterSymbol ? symbols[fromNative(masterSymbol).id] : null;
+    return kitSymbol ? {
+      name: kitSymbol.name,
+      annotationType: checkNameForType(kitSymbol.name),
+    } : null;
+  }
+
+  // locate a layer
+  const kitLayer = layers[id];
+  if (kitLayer) {
+    return {
+      name: kitLayer.name,
+      annotationType: checkNameForType(kitLayer.name),
+    };
+  }
+
+  // locate a shared style
+  const kitStyle = sharedStyleId
+    ? (layerStyles[sharedStyleId] || textStyles[sharedStyleId])
+    : null;
+  return kitStyle ? { name: kitStyle.name, annotationType: 'style' } : null;
+};
+
+/**
+ * @description Looks up the Sketch Library a symbol’s master (or a layer’s shared style)
+ * was imported from.
+ *
+ * @kind function
+ * @name resolveLibraryName
+ * @param {Object} options The layer (`layerJSON`) and the `document` to look in.
+ * @returns {Object} The symbol (or style) `name` with its path, the `annotationType`, and
+ * the name of the library as its `source`, or `null` if it is not from a library.
+ * @private
+ */
+const resolveLibraryName = ({ layerJSON, document }) => {
+  const { sharedStyle, symbolId } = layerJSON;
+  const imported = symbolId ? document.getSymbolMasterWithID(symbolId) : sharedStyle;
+  const library = (imported && imported.getLibrary) ? imported.getLibrary() : null;
+  if (!library) {
+    return null;
+  }
+
+  return {
+    name: imported.name,
+    annotationType: symbolId ? checkNameForType(imported.name) : 'style',
+    source: library.name,
+  };
+};
+
+/**
+ * @description Looks up the name of a symbol’s master, or of a layer’s shared style, in the
+ * document.
+ *
+ * @kind function
+ * @name resolveLocalName
+ * @param {Object} options The layer (`layerJSON`) and the `document` to look in.
+ * @returns {Object} The master (or style) `name` and `annotationType`, or `null` if the
+ * layer is neither a symbol nor uses a shared style.
+ * @private
+ */
+const resolveLocalName = ({ layerJSON, document }) => {
+  const { sharedStyle, symbolId } = layerJSON;
+
+  if (symbolId) {
+    const masterSymbol = document.getSymbolMasterWithID(symbolId);
+    return masterSymbol ? {
+      name: masterSymbol.name,
+      annotationType: checkNameForType(masterSymbol.name),
+    } : null;
+  }
+
+  return (sharedStyle && sharedStyle.name)
+    ? { name: sharedStyle.name, annotationType: 'style' }
+    : null;
+};
+
+/**
+ * @description Looks a layer up in the document’s component name mapping (see
+ * `Preferences.chooseNameResolvers`): by its `symbolId`, then its layer ID, then its shared
+ * style ID.
+ *
+ * @kind function
+ * @name resolveMappedName
+ * @param {Object} options The layer (`layerJSON`) and the document’s `preferences`.
+ * @returns {Object} The mapped `name` and `annotationType`, or `null` if the layer is not
+ * mapped.
+ * @private
+ */
+const resolveMappedName = ({ layerJSON, preferences }) => {
+  const nameMapping = preferences.get('nameMapping');
+  if (!nameMapping || !nameMapping.names) {
+    return null;
+  }
+
+  const { id, sharedStyleId, symbolId } = layerJSON;
+  const { names } = nameMapping;
+  if (symbolId && names[symbolId]) {
+    return { name: names[symbolId], annotationType: checkNameForType(names[symbolId]) };
+  }
+  if (names[id]) {
+    return { name: names[id], annotationType: checkNameForType(names[id]) };
+  }
+  return (sharedStyleId && names[sharedStyleId])
+    ? { name: names[sharedStyleId], annotationType: 'style' }
+    : null;
+};
+
+/**
+ * @description The function used by each name resolver (see `NAME_RESOLVERS`) to look up a
+ * layer’s name.
+ *
+ * @kind constant
+ * @name RESOLVERS
+ * @type {Object}
+ * @private
+ */
+const RESOLVERS = {
+  lingo: resolveLingoName,
+  library: resolveLibraryName,
+  local: resolveLocalName,
+  mapping: resolveMappedName,
+};
+
 // --- main Identifier class function
 /**
  * @description A class to handle identifying a Sketch layer as a valid part of the Design System.
@@ -200,17 +516,19 @@ export default class Identifier {
   }
 
   /**
-   * @description Identifies the Kit-verified master symbol name of a symbol, or the linked
-   * layer name of a layer, and adds the name to the layer’s `annotationText` settings object:
-   * The identification is achieved by cross-referencing a symbol’s `symbolId` with the master
-   * symbol instance, and then looking the name up in the connected Lingo Kit symbols, or by
-   * matching the layer to the Lingo Kit list of layers.
+   * @description Identifies the name of a symbol, layer, or shared style and adds it to the
+   * layer’s `annotationText` settings object. The document’s name resolvers (see
+   * `NAME_RESOLVERS`) are tried in the order the document has chosen (see
+   * `Preferences.nameResolvers`), and the first name found is used: the connected Lingo Kit,
+   * the Sketch Library a symbol or style comes from, the local symbol master or shared style,
+   * and then the document’s component name mapping. The resolver that found the name is
+   * reported in the log.
    *
    * @kind function
-   * @name getLingoName
+   * @name getName
    * @returns {Object} A result object containing success/error status and log/toast messages.
    */
-  getLingoName() {
+  getName() {
     const result = {
       status: null,
       messages: {
@@ -218,112 +536,320 @@ export default class Identifier {
         log: null,
       },
     };
+    const preferences = new Preferences({ for: this.document });
+    const resolverIds = preferences.nameResolvers();
 
-    // check for Lingo data - not much else we can do at the moment if it does not exist
-    if (
-      !this.documentData.userInfo()['com.lingoapp.lingo']
-      || !this.documentData.userInfo()['com.lingoapp.lingo'].storage
-    ) {
+    // convert layer to be identified into json to expose params to match with the resolvers
+    const layerJSON = fromNative(this.layer);
+
+    this.messenger.log(`Simple name for layer: ${this.layer.name()}`);
+
+    // try each resolver in order, until one of them finds a name
+    let match = null;
+    const resolverId = resolverIds.find((id) => {
+      match = RESOLVERS[id]({
+        layerJSON,
+        document: this.document,
+        documentData: this.documentData,
+        preferences,
+      });
+      return !!match;
+    });
+
+    // could not find the layer with any of the resolvers
+    if (!match) {
+      const resolverNames = resolverIds.map(id => NAME_RESOLVERS[id].name);
       result.status = 'error';
-      result.messages.log = 'No data from Lingo in the file';
-      result.messages.toast = '🆘 Lingo does not seem to be connected to this file.';
+      result.messages.log = `${layerJSON.id} was not found (tried ${resolverNames.join(', ') || 'no resolvers'})`;
+      result.messages.toast = `😢 This layer could not be found in ${resolverNames.join(', ') || 'any name resolver'}.`;
       return result;
     }
 
-    // lingo data from their storage hashes
-    const lingoData = this.documentData.userInfo()['com.lingoapp.lingo'].storage.hashes;
+    // take only the last segment of the name (after a “/”, if available)
+    const textToSet = cleanName(match.name);
+    const subtextToSet = layerJSON.symbolId
+      ? parseOverrides(this.layer, this.document, textToSet)
+      : null;
+
+    // set `annotationText` on the layer settings as the name
+    // set option `subtextToSet` on the layer settings based on existing overrides
+    setAnnotationTextSettings(textToSet, subtextToSet, match.annotationType, this.layer);
+
+    // log the name alongside the original layer name and the resolver that found it
+    result.status = 'success';
+    result.messages.log = `Name for “${this.layer.name()}” is “${textToSet}” (found with ${NAME_RESOLVERS[resolverId].name}: ${match.source ? `${match.source} › ` : ''}${match.name})`;
+    return result;
+  }
+
+  /**
+   * @description Reads the typography of a text layer (family, weight, size, line height,
+   * letter spacing, alignment, color, and text transform) and adds it to the layer’s settings
+   * object as a multi-line Foundation annotation: the name of the layer’s text style (from the
+   * connected Lingo Kit or the document’s shared text styles) with the spec underneath. Any
+   * properties that differ from the shared text style are listed as overrides. If the
+   * document uses a token file, the family, weight, size, line height, and color are labeled
+   * with their design tokens (see `Preferences.labelWithToken`).
+   *
+   * @kind function
+   * @name getTypeSpec
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  getTypeSpec() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
 
-    // convert layer to be identified into json to expose params to match with Lingo
     const layerJSON = fromNative(this.layer);
-    const {
-      id,
-      sharedStyleId,
-      symbolId,
-    } = layerJSON;
+    const { sharedStyle, sharedStyleId, style } = layerJSON;
 
-    this.messenger.log(`Simple name for layer: ${this.layer.name()}`);
+    // only text layers have a typography spec
+    if (layerJSON.type !== 'Text') {
+      result.status = 'error';
+      result.messages.log = `“${this.layer.name()}” is not a text layer`;
+      result.messages.toast = '🆘 Only text layers can be annotated with their type';
+      return result;
+    }
 
-    // locate a symbol in Lingo
-    if (symbolId) {
-      // use the API to find the MasterSymbol instance based on the `symbolId`
-      const masterSymbol = this.documentData.symbolWithID(symbolId);
-      const masterSymbolJSON = fromNative(masterSymbol);
-      const masterSymbolId = masterSymbolJSON.id;
-
-      // parse the connected Lingo Kit data and find the corresponding Kit Symbol
-      const kitSymbol = lingoData.symbols[masterSymbolId];
-
-      // could not find a matching master symbol in the Lingo Kit
-      if (!kitSymbol) {
-        result.status = 'error';
-        result.messages.log = `${masterSymbolId} was not found in a connected Lingo Kit`;
-        result.messages.toast = '😢 This symbol could not be found in a connected Lingo Kit. Please make sure your Kits are up-to-date.';
-        return result;
-      }
+    // name the text style: the Lingo Kit name first, then the shared style name
+    let textToSet = null;
+    const lingoInfo = this.documentData.userInfo()['com.lingoapp.lingo'];
+    const lingoData = (lingoInfo && lingoInfo.storage) ? lingoInfo.storage.hashes : null;
+    if (sharedStyleId && lingoData && lingoData.textStyles) {
+      const kitStyle = lingoData.textStyles[sharedStyleId];
+      textToSet = kitStyle ? cleanName(kitStyle.name) : null;
+    }
+    if (!textToSet && sharedStyle && sharedStyle.name) {
+      textToSet = cleanName(sharedStyle.name);
+    }
+    if (!textToSet) {
+      textToSet = 'No text style';
+    }
 
-      // sets symbol type to `foundation` or `component` based on name checks
-      const symbolType = checkNameForType(kitSymbol.name);
-      // take only the last segment of the name (after a “/”, if available)
-      const textToSet = cleanName(kitSymbol.name);
-      const subtextToSet = parseOverrides(this.layer, this.document, textToSet);
+    // format each property, and compare it to the shared text style
+    const preferences = new Preferences({ for: this.document });
+    const formatMeasurement = measurement => preferences.formatMeasurement(measurement);
+    const spec = {};
+    const overrides = [];
+    Object.keys(TYPE_PROPERTIES).forEach((key) => {
+      const {
+        label,
+        format,
+        tokenKind,
+        tokenValues,
+      } = TYPE_PROPERTIES[key];
+      spec[key] = format(style[key], formatMeasurement);
+
+      if (
+        sharedStyle
+        && (sharedStyle.style[key] !== undefined)
+        && (spec[key] !== format(sharedStyle.style[key], formatMeasurement))
+      ) {
+        overrides.push(label);
+      }
 
-      // set `annotationText` on the layer settings as the kit symbol name
-      // set option `subtextToSet` on the layer settings based on existing overrides
-      setAnnotationTextSettings(textToSet, subtextToSet, symbolType, this.layer);
+      // label the value with its design token (if the document uses a token file)
+      if (tokenKind && (style[key] !== null) && (style[key] !== undefined)) {
+        spec[key] = preferences.labelWithToken(
+          tokenKind,
+          tokenValues ? tokenValues(style[key], style) : style[key],
+          spec[key],
+        );
+      }
+    });
 
-      // log the official name alongside the original layer name and set as success
-      result.status = 'success';
-      result.messages.log = `Name in Lingo Kit for “${this.layer.name()}” is “${textToSet}”`;
-      return result;
+    const specLines = [
+      `${spec.fontFamily} ${spec.fontWeight}`,
+      `${spec.fontSize} / ${spec.lineHeight}`,
+      [
+        `Letter spacing ${spec.kerning}`,
+        spec.alignment,
+        spec.textColor,
+        (style.textTransform && (style.textTransform !== 'none')) ? spec.textTransform : null,
+      ].filter(text => text).join(' · '),
+    ];
+    if (overrides.length > 0) {
+      specLines.push(`${overrides.length > 1 ? 'Overrides' : 'Override'}: ${overrides.join(', ')}`);
     }
 
-    // locate a layer in Lingo
-    const kitLayer = lingoData.layers[id];
+    // set `annotationText` on the layer settings as the style name, with the spec underneath
+    setAnnotationTextSettings(textToSet, specLines.join('\n'), 'style', this.layer, 'type');
 
-    if (kitLayer) {
-      const symbolType = checkNameForType(kitLayer.name);
-      // take only the last segment of the name (after a “/”, if available)
-      const textToSet = cleanName(kitLayer.name);
+    result.status = 'success';
+    result.messages.log = `Type spec for “${this.layer.name()}” is “${textToSet}” (${specLines.join('; ')})`;
+    if (overrides.length > 0) {
+      result.messages.toast = `⚠️ “${this.layer.name()}” overrides its text style (${overrides.join(', ')})`;
+    }
+    return result;
+  }
 
-      // set `annotationText` on the layer settings as the kit layer name
-      setAnnotationTextSettings(textToSet, null, symbolType, this.layer);
+  /**
+   * @description Reads the style of a shape (fills, borders, shadows, corner radius, and
+   * opacity) and adds it to the layer’s settings object as a multi-line Foundation annotation:
+   * the name of the layer’s shared style (from the connected Lingo Kit or the document’s
+   * shared layer styles) with the spec underneath. Colors that match one of the document’s
+   * color variables (swatches or document colors) are labeled with its name. If the document
+   * uses a token file, colors and corner radii are labeled with their design tokens as well.
+   * Values that come from neither the shared style nor a color variable (or token) are listed
+   * at the end.
+   *
+   * @kind function
+   * @name getStyleSpec
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  getStyleSpec() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
 
-      // log the official name alongside the original layer name and set as success
-      result.status = 'success';
-      result.messages.log = `Name in Lingo Kit for “${this.layer.name()}” is “${textToSet}”`;
+    const layerJSON = fromNative(this.layer);
+    const { sharedStyle, sharedStyleId, style } = layerJSON;
+
+    // only shapes have a style spec
+    if ((layerJSON.type !== 'ShapePath') && (layerJSON.type !== 'Shape')) {
+      result.status = 'error';
+      result.messages.log = `“${this.layer.name()}” is not a shape`;
+      result.messages.toast = '🆘 Only shapes can be annotated with their style';
       return result;
     }
 
-    // locate a shared style in Lingo
-    if (sharedStyleId) {
-      const kitStyle = lingoData.layerStyles[sharedStyleId] || lingoData.textStyles[sharedStyleId];
-      let textToSet = null;
+    // name the layer style: the Lingo Kit name first, then the shared style name
+    let textToSet = null;
+    const lingoInfo = this.documentData.userInfo()['com.lingoapp.lingo'];
+    const lingoData = (lingoInfo && lingoInfo.storage) ? lingoInfo.storage.hashes : null;
+    if (sharedStyleId && lingoData && lingoData.layerStyles) {
+      const kitStyle = lingoData.layerStyles[sharedStyleId];
+      textToSet = kitStyle ? cleanName(kitStyle.name) : null;
+    }
+    if (!textToSet && sharedStyle && sharedStyle.name) {
+      textToSet = cleanName(sharedStyle.name);
+    }
+    if (!textToSet) {
+      textToSet = 'No layer style';
+    }
 
-      if (kitStyle) {
-        // take only the last segment of the name (after a “/”, if available)
-        textToSet = cleanName(kitStyle.name);
-        result.messages.log = `Style Name in Lingo Kit for “${this.layer.name()}” is “${textToSet}”`;
+    // color variables to match colors against
+    const colorVariables = [
+      ...(this.document.swatches || []),
+      ...(this.document.colors || []),
+    ].filter(colorVariable => colorVariable.name && colorVariable.color);
+    const findColorVariable = colorHex => colorVariables.find(colorVariable => (
+      formatColor(colorVariable.color) === formatColor(colorHex)
+    ));
+
+    // list each value, and work out where it comes from
+    const preferences = new Preferences({ for: this.document });
+    const formatMeasurement = measurement => preferences.formatMeasurement(measurement);
+    const entries = readStyleEntries(style, formatMeasurement);
+    const sharedEntries = sharedStyle ? readStyleEntries(sharedStyle.style, formatMeasurement) : [];
+    const readValues = (styleEntries, property) => styleEntries
+      .filter(entry => entry.property === property)
+      .map(entry => entry.value)
+      .join(', ');
+
+    const specLines = [];
+    const localProperties = [];
+    entries.forEach(({ property, value, colorHex }) => {
+      const colorVariable = colorHex ? findColorVariable(colorHex) : null;
+      const colorToken = colorHex ? preferences.findToken('color', colorHex) : null;
+      const isShared = !!sharedStyle
+        && (readValues(entries, property) === readValues(sharedEntries, property));
+      const isDefault = (property === 'opacity') && (value === '100%');
+
+      if (
+        !isShared
+        && !colorVariable
+        && !colorToken
+        && !isDefault
+        && !localProperties.includes(property)
+      ) {
+        localProperties.push(property);
       }
 
-      if (!textToSet && layerJSON.sharedStyle && layerJSON.sharedStyle.name) {
-        textToSet = cleanName(layerJSON.sharedStyle.name);
-        result.messages.log = `Style Name in Shared Styles for “${this.layer.name()}” is “${textToSet}”`;
-      }
+      const label = property.charAt(0).toUpperCase() + property.slice(1);
+      const valueText = colorHex ? preferences.labelWithToken('color', colorHex, value) : value;
+      specLines.push(`${label} ${valueText}${colorVariable ? ` (${cleanName(colorVariable.name)})` : ''}`);
+    });
 
-      if (textToSet) {
-        // set `annotationText` on the layer settings as the kit layer name
-        setAnnotationTextSettings(textToSet, null, 'style', this.layer);
+    // corner radius is part of the shape, not the style
+    const cornerRadii = (layerJSON.points || []).map(point => point.cornerRadius || 0);
+    const formatRadius = cornerRadius => preferences.labelWithToken(
+      'radius',
+      cornerRadius,
+      formatMeasurement(cornerRadius),
+    );
+    if (cornerRadii.some(cornerRadius => cornerRadius > 0)) {
+      const isUniform = cornerRadii.every(cornerRadius => cornerRadius === cornerRadii[0]);
+      specLines.push(isUniform
+        ? `Corner radius ${formatRadius(cornerRadii[0])}`
+        : `Corner radii ${cornerRadii.map(formatRadius).join(' / ')}`);
+    }
 
-        // log the official name alongside the original layer name and set as success
-        result.status = 'success';
-        return result;
-      }
+    if (localProperties.length > 0) {
+      specLines.push(`Not from a style or variable: ${localProperties.join(', ')}`);
+    }
+
+    // set `annotationText` on the layer settings as the style name, with the spec underneath
+    setAnnotationTextSettings(textToSet, specLines.join('\n'), 'style', this.layer, 'style');
+
+    result.status = 'success';
+    result.messages.log = `Style spec for “${this.layer.name()}” is “${textToSet}” (${specLines.join('; ')})`;
+    if (localProperties.length > 0) {
+      result.messages.toast = `⚠️ “${this.layer.name()}” uses values that are not from a style or variable (${localProperties.join(', ')})`;
+    }
+    return result;
+  }
+
+  /**
+   * @description Reads the spec a layer was last annotated with (see `hasSpec`) again:
+   * a typography spec (see `getTypeSpec`) or a style spec (see `getStyleSpec`).
+   *
+   * @kind function
+   * @name getSpec
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  getSpec() {
+    const layerSettings = Settings.layerSettingForKey(this.layer, PLUGIN_IDENTIFIER) || {};
+    if (layerSettings.annotationMode === 'style') {
+      return this.getStyleSpec();
+    }
+    return this.getTypeSpec();
+  }
+
+  /**
+   * @description Checks the layer’s settings object for a typography or style spec (see
+   * `getTypeSpec` and `getStyleSpec`), which needs to be read again each time the layer is
+   * annotated.
+   *
+   * @kind function
+   * @name hasSpec
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  hasSpec() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const layerSettings = Settings.layerSettingForKey(this.layer, PLUGIN_IDENTIFIER);
+
+    if (layerSettings && ['style', 'type'].includes(layerSettings.annotationMode)) {
+      result.status = 'success';
+      result.messages.log = `“${this.layer.name()}” is annotated with its ${layerSettings.annotationMode}`;
+    } else {
+      result.status = 'error';
+      result.messages.log = `“${this.layer.name()}” is not annotated with a spec`;
     }
 
-    // could not find a matching layer in the Lingo Kit
-    result.status = 'error';
-    result.messages.log = `${id} was not found in a connected Lingo Kit`;
-    result.messages.toast = '😢 This layer could not be found in a connected Lingo Kit.';
     return result;
   }
 
@@ -385,15 +911,9 @@ export default class Identifier {
       initialValue = layerSettings.annotationText;
     }
 
-    let customInput = null;
-    getInputFromUser('Set the annotation’s text:', {
+    const customInput = askUser('Set the annotation’s text:', {
       type: INPUT_TYPE.string,
       initialValue,
-    }, (error, value) => {
-      customInput = {
-        error,
-        value,
-      };
     });
 
     if (customInput.error) {
@@ -5,9 +5,19 @@ import {
   ShapePath,
   Text,
 } from 'sketch/dom';
-import { getPositionOnArtboard, updateArray } from './Tools';
+import Preferences from './Preferences';
+import {
+  findContrastColors,
+  getFrameOnArtboard,
+  getPositionOnArtboard,
+  readBackgroundColor,
+  toHexOpacity,
+  updateArray,
+} from './Tools';
+import { commitDocumentSettings, readDocumentSettings } from './Validator';
 import {
   COLORS,
+  DEFAULT_THEME,
   PLUGIN_IDENTIFIER,
   PLUGIN_NAME,
 } from './constants';
@@ -34,6 +44,32 @@ const checkInstalledFont = (fontFamily) => {
   return familyExists;
 };
 
+/**
+ * @description Picks the typeface for annotation text: the theme’s font family if it is
+ * installed, otherwise Helvetica Neue, Lato, or the system font (in that order).
+ *
+ * @kind function
+ * @name setFontFamily
+ * @param {Object} theme The theme to draw with (see `DEFAULT_THEME`).
+ * @returns {string} The name of the font family.
+ * @private
+ */
+export const setFontFamily = (theme) => {
+  let { fontFamily } = theme;
+  // set backups
+  if (!checkInstalledFont(fontFamily)) {
+    fontFamily = 'Helvetica Neue';
+  }
+  if (!checkInstalledFont(fontFamily)) {
+    fontFamily = 'Lato';
+  }
+  // revert to system default
+  if (!checkInstalledFont(fontFamily)) {
+    fontFamily = 'system';
+  }
+  return fontFamily;
+};
+
 /**
  * @description Builds the initial annotation elements in Sketch (diamond, rectangle, text).
  *
@@ -42,10 +78,18 @@ const checkInstalledFont = (fontFamily) => {
  * @param {Object} parent The artboard or layer to draw within.
  * @param {string} colorHex A string representing the hex color for the icon.
  * @param {string} orientation A string representing the orientation (optional).
+ * @param {Object} theme The theme to draw with (optional; see `DEFAULT_THEME`).
  * @returns {Object} Layer group containing the icon.
  * @private
  */
-const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
+const buildMeasureIcon = (
+  parent,
+  colorHex,
+  orientation = 'horizontal',
+  theme = DEFAULT_THEME,
+) => {
+  const fillColor = `${colorHex}${toHexOpacity(theme.opacity)}`;
+
   // horizontal orientation lines
   let line1Params = {
     x: 0,
@@ -96,7 +140,7 @@ const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
         enabled: false,
         thickness: 0,
       }],
-      fills: [`${colorHex}ff`],
+      fills: [fillColor],
     },
   });
 
@@ -108,7 +152,7 @@ const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
         enabled: false,
         thickness: 0,
       }],
-      fills: [`${colorHex}ff`],
+      fills: [fillColor],
     },
   });
 
@@ -120,7 +164,7 @@ const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
         enabled: false,
         thickness: 0,
       }],
-      fills: [`${colorHex}ff`],
+      fills: [fillColor],
     },
   });
 
@@ -154,6 +198,113 @@ const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
   return group;
 };
 
+/**
+ * @description Builds a small warning badge (a “!” in a circle) that flags an annotation
+ * needing attention (i.e. a measurement that is not on the spacing scale).
+ *
+ * @kind function
+ * @name buildWarningBadge
+ * @param {Object} parent The artboard or layer to draw within.
+ * @param {string} badgeName The name of the badge group (defaults to “Warning”).
+ * @param {string} badgeText The character inside the badge (defaults to “!”).
+ * @param {string} badgeColorHex The badge color (defaults to `COLORS.warning`).
+ * @param {number} badgeSize The diameter of the badge (defaults to 12).
+ * @returns {Object} Layer group containing the badge.
+ * @private
+ */
+const buildWarningBadge = (
+  parent,
+  badgeName = 'Warning',
+  badgeText = '!',
+  badgeColorHex = COLORS.warning,
+  badgeSize = 12,
+) => {
+  const circle = new ShapePath({
+    frame: new Rectangle(0, 0, badgeSize, badgeSize),
+    parent,
+    style: {
+      borders: [{
+        color: '#ffffffff',
+        enabled: true,
+        thickness: 1,
+      }],
+      fills: [`${badgeColorHex}ff`],
+    },
+  });
+
+  // round the corners into a circle
+  const { points } = circle;
+  points.forEach((point) => {
+    point.cornerRadius = badgeSize / 2; // eslint-disable-line no-param-reassign
+    return null;
+  });
+
+  const text = new Text({
+    frame: {
+      x: 0,
+      y: 0,
+      height: badgeSize,
+      width: badgeSize,
+    },
+    parent,
+    text: badgeText,
+    style: {
+      alignment: Text.Alignment.center,
+      fontSize: (badgeSize > 12) ? 11 : 9,
+      fontWeight: 9,
+      lineHeight: badgeSize,
+      textColor: '#ffffffff',
+    },
+  });
+  text.adjustToFit();
+  text.frame.x = (badgeSize - text.frame.width) / 2;
+
+  const group = new Group({
+    name: badgeName,
+    parent,
+  });
+
+  circle.parent = group;
+  text.parent = group;
+  group.adjustToFit();
+
+  return group;
+};
+
+/**
+ * @description Looks up the color used for a type of annotation.
+ *
+ * @kind function
+ * @name setAnnotationColor
+ * @param {string} annotationType A string representing the type of annotation.
+ * @param {Object} theme The theme to take the color from (optional; see `DEFAULT_THEME`).
+ * @returns {string} The hex color; `component` is the default.
+ * @private
+ */
+const setAnnotationColor = (annotationType, theme = DEFAULT_THEME) => {
+  let colorHex = null;
+  switch (annotationType) {
+    case 'component':
+      colorHex = theme.colors.component;
+      break;
+    case 'custom':
+      colorHex = theme.colors.custom;
+      break;
+    case 'dimension':
+      colorHex = theme.colors.dimension;
+      break;
+    case 'spacing':
+      colorHex = theme.colors.spacing;
+      break;
+    case 'style':
+      colorHex = theme.colors.style;
+      break;
+    default:
+      colorHex = theme.colors.component;
+  }
+  return colorHex;
+};
+
 /**
  * @description Builds the initial annotation elements in Sketch (diamond, rectangle, text).
  *
@@ -161,12 +312,20 @@ const buildMeasureIcon = (parent, colorHex, orientation = 'horizontal') => {
  * @name buildAnnotation
  *
  * @param {Object} annotationText The text for the annotation.
- * @param {Object} annotationSecondaryText Optional secondary text for the annotation.
+ * @param {Object} annotationSecondaryText Optional secondary text for the annotation (one or
+ * more lines, separated by “\n”).
  * @param {string} annotationType A string representing the type of annotation
  * (component or foundation).
  * @param {Object} artboard The artboard to draw within.
+ * @param {string} warningType Flags the annotation with a warning badge (optional):
+ * `offScale` (the measurement is not on the spacing scale) or `offGrid` (the measurement
+ * does not exactly match the scale value; the annotation is also drawn in the warning color).
+ * @param {Object} theme The theme to draw with (optional; see `DEFAULT_THEME`).
+ * @param {string} backgroundHex The color underneath the annotation (defaults to white). On
+ * dark backgrounds, the colors are adjusted to keep the annotation readable.
  *
- * @returns {Object} Each annotation element (`diamond`, `rectangle`, `text`, and `icon`).
+ * @returns {Object} Each annotation element (`diamond`, `rectangle`, `text`, `icon`,
+ * and `warning`), plus the `colorHex` and `theme` used.
  * @private
  */
 const buildAnnotation = (
@@ -174,39 +333,25 @@ const buildAnnotation = (
   annotationSecondaryText,
   annotationType = 'component',
   artboard,
+  warningType = null,
+  theme = DEFAULT_THEME,
+  backgroundHex = '#ffffff',
 ) => {
   // set the dominant color
-  let colorHex = null;
-  switch (annotationType) {
-    case 'component':
-      colorHex = COLORS.component;
-      break;
-    case 'custom':
-      colorHex = COLORS.custom;
-      break;
-    case 'dimension':
-      colorHex = COLORS.dimension;
-      break;
-    case 'spacing':
-      colorHex = COLORS.spacing;
-      break;
-    case 'style':
-      colorHex = COLORS.style;
-      break;
-    default:
-      colorHex = COLORS.component;
+  let colorHex = setAnnotationColor(annotationType, theme);
+
+  // off-grid measurements stand out in the warning color
+  if (warningType === 'offGrid') {
+    colorHex = COLORS.warning;
   }
 
+  // keep the annotation readable against what is underneath it
+  const contrastColors = findContrastColors(colorHex, backgroundHex);
+  ({ colorHex } = contrastColors);
+  const fillColor = `${colorHex}${toHexOpacity(theme.opacity)}`;
+
   // set the typeface
-  let fontFamily = 'Helvetica Neue';
-  // set backup
-  if (!checkInstalledFont(fontFamily)) {
-    fontFamily = 'Lato';
-  }
-  // revert to system default
-  if (!checkInstalledFont(fontFamily)) {
-    fontFamily = 'system';
-  }
+  const fontFamily = setFontFamily(theme);
 
   let isMeasurement = false;
   if (
@@ -227,10 +372,10 @@ const buildAnnotation = (
     textFrame.y = -1;
   }
 
-  // adjustment for two-line annotations
+  // adjustment for multi-line annotations (each line of secondary text adds a line)
   let rectTextBuffer = 0;
   if (annotationSecondaryText) {
-    rectTextBuffer = 22;
+    rectTextBuffer = 22 * `${annotationSecondaryText}`.split('\n').length;
   }
 
   let setText = annotationText;
@@ -252,11 +397,11 @@ const buildAnnotation = (
         enabled: false,
       }],
       fontFamily,
-      fontSize: 12,
-      fontWeight: 4,
+      fontSize: theme.fontSize,
+      fontWeight: theme.fontWeight,
       kerning: 0,
       lineHeight: 22,
-      textColor: '#ffffffff',
+      textColor: `${contrastColors.textColorHex}ff`,
     },
   });
   // need to fire `adjustToFit` after creating the text for it to be effective
@@ -272,14 +417,14 @@ const buildAnnotation = (
         enabled: false,
         thickness: 0,
       }],
-      fills: [`${colorHex}ff`],
+      fills: [fillColor],
     },
   });
 
   // set rounded corners of the rectangle
   const { points } = rectangle;
   points.forEach((point) => {
-    point.cornerRadius = 2; // eslint-disable-line no-param-reassign
+    point.cornerRadius = theme.cornerRadius; // eslint-disable-line no-param-reassign
     return null;
   });
 
@@ -294,7 +439,7 @@ const buildAnnotation = (
         enabled: false,
         thickness: 0,
       }],
-      fills: [`${colorHex}ff`],
+      fills: [fillColor],
     },
     transform: {
       rotation: 45,
@@ -318,21 +463,56 @@ const buildAnnotation = (
 
   let icon = null;
   if (isMeasurement) {
-    icon = buildMeasureIcon(artboard, colorHex);
+    icon = buildMeasureIcon(artboard, colorHex, 'horizontal', theme);
     icon.moveToBack();
     icon.frame.x = diamondMidX - 2;
     icon.frame.y = rectangle.frame.height + 4;
   }
 
+  let warning = null;
+  if (warningType) {
+    warning = buildWarningBadge(artboard);
+  }
+
   // return an object with each element
   return {
+    colorHex,
+    theme,
     diamond,
     rectangle,
     text,
     icon,
+    warning,
   };
 };
 
+/**
+ * @description Reads the color underneath a new annotation: the artboard background or, if
+ * the document samples under labels, whatever sits just above the layer (where labels are
+ * tried first).
+ *
+ * @kind function
+ * @name readLabelBackground
+ * @param {Object} artboard The artboard the annotation is drawn on.
+ * @param {Object} document The Sketch document that contains the artboard.
+ * @param {Object} layerFrame The frame (relative to the artboard) of the layer (or spacing)
+ * being annotated.
+ * @returns {string} The hex color.
+ * @private
+ */
+const readLabelBackground = (artboard, document, layerFrame) => {
+  if (!new Preferences({ for: document }).get('sampleUnderLabels')) {
+    return readBackgroundColor(artboard);
+  }
+
+  return readBackgroundColor(artboard, {
+    x: layerFrame.x,
+    y: layerFrame.y - 30,
+    width: layerFrame.width,
+    height: 30,
+  });
+};
+
 /**
  * @description Builds the rectangle shape styled as a bounding box.
  *
@@ -340,12 +520,13 @@ const buildAnnotation = (
  * @name buildBoundingBox
  * @param {Object} frame The frame coordinates (`x`, `y`, `width`, and `height`) for the box.
  * @param {Object} containerGroup The container group to draw within.
+ * @param {Object} theme The theme to draw with (optional; see `DEFAULT_THEME`).
  * @returns {Object} The Sketch ShapePath object for the box.
  * @private
  */
-const buildBoundingBox = (frame, containerGroup) => {
-  const colorHex = COLORS.style;
-  const colorOpactiy = '4d'; // 30% opacity
+const buildBoundingBox = (frame, containerGroup, theme = DEFAULT_THEME) => {
+  const colorHex = theme.colors.style;
+  const colorOpactiy = toHexOpacity(theme.boundingBoxOpacity); // i.e. `4d` for 30% opacity
 
   // find container frame, relative to artboard
   const relativeGroupFrame = getPositionOnArtboard(containerGroup.sketchObject);
@@ -371,6 +552,218 @@ const buildBoundingBox = (frame, containerGroup) => {
   return boundingBox;
 };
 
+/**
+ * @description The labels used for each alignment edge (see `Crawler.alignments`).
+ *
+ * @kind constant
+ * @name ALIGNMENT_LABELS
+ * @type {Object}
+ * @private
+ */
+const ALIGNMENT_LABELS = {
+  left: 'Left',
+  center: 'Center',
+  right: 'Right',
+  top: 'Top',
+  baseline: 'Baseline',
+};
+
+/**
+ * @description Builds a small label (a rounded rectangle with text) for alignment guides and
+ * near-miss markers.
+ *
+ * @kind function
+ * @name buildGuideLabel
+ * @param {Object} parent The layer group to draw within.
+ * @param {string} labelText The text for the label.
+ * @param {string} colorHex A string representing the hex color for the label.
+ * @param {Object} theme The theme to draw with (see `DEFAULT_THEME`).
+ * @returns {Object} Layer group containing the label.
+ * @private
+ */
+const buildGuideLabel = (parent, labelText, colorHex, theme) => {
+  // keep the label readable against the artboard
+  const contrastColors = findContrastColors(colorHex, '#ffffff');
+
+  const group = new Group({
+    name: 'Label',
+    parent,
+  });
+
+  const text = new Text({
+    frame: {
+      x: 4,
+      y: 0,
+      height: 18,
+      width: 200,
+    },
+    parent: group,
+    text: labelText,
+    style: {
+      alignment: Text.Alignment.left,
+      fontFamily: setFontFamily(theme),
+      fontSize: theme.fontSize - 2,
+      fontWeight: theme.fontWeight,
+      kerning: 0,
+      lineHeight: 18,
+      textColor: `${contrastColors.textColorHex}ff`,
+    },
+  });
+  text.adjustToFit();
+
+  const rectangle = new ShapePath({
+    frame: new Rectangle(0, 0, text.frame.width + 8, 18),
+    parent: group,
+    style: {
+      borders: [{
+        enabled: false,
+        thickness: 0,
+      }],
+      fills: [`${contrastColors.colorHex}${toHexOpacity(theme.opacity)}`],
+    },
+  });
+  rectangle.points.forEach((point) => {
+    point.cornerRadius = theme.cornerRadius; // eslint-disable-line no-param-reassign
+    return null;
+  });
+  rectangle.moveToBack();
+
+  group.adjustToFit();
+  return group;
+};
+
+/**
+ * @description Builds a dashed alignment guide along a shared edge, spanning the layers that
+ * share it, with a label at its start (above a vertical guide, or to the left of a
+ * horizontal guide).
+ *
+ * @kind function
+ * @name buildAlignmentGuide
+ * @param {Object} parent The layer group to draw within.
+ * @param {Object} alignment The alignment (see `Crawler.alignments`).
+ * @param {Object} origin The `x`/`y` position of `parent` on the artboard.
+ * @param {string} colorHex A string representing the hex color for the guide.
+ * @param {Object} theme The theme to draw with (see `DEFAULT_THEME`).
+ * @returns {Object} Layer group containing the guide.
+ * @private
+ */
+const buildAlignmentGuide = (parent, alignment, origin, colorHex, theme) => {
+  const { edge, layers, orientation } = alignment;
+  const position = Math.round(alignment.position);
+  const group = new Group({
+    name: `Alignment Guide (${edge})`,
+    parent,
+  });
+
+  // extend the guide a little past the layers at either end
+  const overhang = 8;
+  const isVertical = orientation === 'vertical';
+  const starts = layers.map(({ frame }) => (isVertical ? frame.y : frame.x));
+  const ends = layers.map(({ frame }) => (
+    isVertical ? (frame.y + frame.height) : (frame.x + frame.width)
+  ));
+  const start = Math.min(...starts) - overhang;
+  const length = (Math.max(...ends) + overhang) - start;
+
+  const guideFrame = isVertical
+    ? new Rectangle(position - origin.x, start - origin.y, 1, length)
+    : new Rectangle(start - origin.x, position - origin.y, length, 1);
+  new ShapePath({ // eslint-disable-line no-new
+    frame: guideFrame,
+    name: 'Guide',
+    parent: group,
+    style: {
+      borderOptions: {
+        dashPattern: [4, 2],
+      },
+      borders: [{
+        color: `${colorHex}ff`,
+        enabled: true,
+        position: 'Inside',
+        thickness: 1,
+      }],
+      fills: [],
+    },
+  });
+
+  // labels that would bleed off the artboard move to the other end of the guide
+  const label = buildGuideLabel(group, `${ALIGNMENT_LABELS[edge]} aligned`, colorHex, theme);
+  if (isVertical) {
+    label.frame.x = guideFrame.x - Math.round(label.frame.width / 2);
+    label.frame.y = ((start - label.frame.height - 2) < 0)
+      ? (guideFrame.y + length + 2)
+      : (guideFrame.y - label.frame.height - 2);
+  } else {
+    label.frame.x = ((start - label.frame.width - 2) < 0)
+      ? (guideFrame.x + length + 2)
+      : (guideFrame.x - label.frame.width - 2);
+    label.frame.y = guideFrame.y - Math.round(label.frame.height / 2);
+  }
+
+  group.adjustToFit();
+  return group;
+};
+
+/**
+ * @description Builds a warning marker for a layer that is almost (but not exactly) on an
+ * alignment: a warning badge on the layer’s edge and a label with the offset. Markers sit on
+ * the middle of the edge, so markers for different edges of a layer do not overlap.
+ *
+ * @kind function
+ * @name buildMisalignmentMarker
+ * @param {Object} parent The layer group to draw within.
+ * @param {string} edge The edge of the alignment (see `Crawler.alignments`).
+ * @param {Object} misalignedLayer The misaligned layer’s `frame` and `offset`.
+ * @param {Object} origin The `x`/`y` position of `parent` on the artboard.
+ * @param {Object} theme The theme to draw with (see `DEFAULT_THEME`).
+ * @returns {Object} Layer group containing the marker.
+ * @private
+ */
+const buildMisalignmentMarker = (parent, edge, misalignedLayer, origin, theme) => {
+  const { frame, offset } = misalignedLayer;
+  const group = new Group({
+    name: `Misalignment (${edge})`,
+    parent,
+  });
+
+  // find the point on the layer’s edge
+  let pointX = frame.x + (frame.width / 2);
+  let pointY = frame.y + (frame.height / 2);
+  switch (edge) {
+    case 'left':
+      pointX = frame.x;
+      break;
+    case 'right':
+      pointX = frame.x + frame.width;
+      break;
+    case 'top':
+      pointY = frame.y;
+      break;
+    case 'baseline':
+      pointY = frame.baseline;
+      break;
+    default: // center
+      pointY = frame.y;
+  }
+
+  const badgeSize = 12;
+  const badge = buildWarningBadge(group);
+  badge.frame.x = Math.round(pointX - origin.x - (badgeSize / 2));
+  badge.frame.y = Math.round(pointY - origin.y - (badgeSize / 2));
+
+  const label = buildGuideLabel(
+    group,
+    `${Math.abs(offset)}px off ${ALIGNMENT_LABELS[edge].toLowerCase()}`,
+    COLORS.warning,
+    theme,
+  );
+  label.frame.x = badge.frame.x + badgeSize + 2;
+  label.frame.y = badge.frame.y + Math.round((badgeSize - label.frame.height) / 2);
+
+  group.adjustToFit();
+  return group;
+};
+
 /**
  * @description Takes the individual annotation elements, the specs for the layer(s) receiving
  * the annotation, and adds the annotation to the container group in the proper position.
@@ -400,10 +793,13 @@ const positionAnnotation = (
   orientation = 'top',
 ) => {
   const {
+    colorHex,
+    theme,
     diamond,
     rectangle,
     text,
     icon,
+    warning,
   } = annotation;
 
   const { artboardWidth, artboardHeight } = layerFrame;
@@ -437,6 +833,9 @@ const positionAnnotation = (
   if (icon) {
     icon.parent = group;
   }
+  if (warning) {
+    warning.parent = group;
+  }
 
   // ------- position the group within the artboard, above the layer receiving the annotation
   let artboardEdge = null;
@@ -612,8 +1011,7 @@ const positionAnnotation = (
     icon.remove();
 
     // redraw icon in vertical orientation
-    const measureIconColor = (annotationType === 'spacing' ? COLORS.spacing : COLORS.dimension);
-    const iconNew = buildMeasureIcon(group, measureIconColor, 'vertical');
+    const iconNew = buildMeasureIcon(group, colorHex, 'vertical', theme);
 
     // resize icon based on gap/layer height
     iconNew.frame.height = layerHeight;
@@ -640,6 +1038,13 @@ const positionAnnotation = (
     iconNew.adjustToFit();
   }
 
+  // pin the warning badge (if any) to the top-right corner of the rectangle
+  if (warning) {
+    warning.frame.x = rectangle.frame.x + rectangle.frame.width - (warning.frame.width / 2);
+    warning.frame.y = rectangle.frame.y - (warning.frame.height / 2);
+    warning.moveToFront();
+  }
+
   group.adjustToFit();
   containerGroup.adjustToFit();
   containerGroup.parent.adjustToFit();
@@ -657,9 +1062,12 @@ const positionAnnotation = (
  * @returns {string} The name of the group getting painted.
  * @private
  */
-const setGroupName = (elementType) => {
+export const setGroupName = (elementType) => {
   let groupName = null;
   switch (elementType) {
+    case 'alignment':
+      groupName = 'Alignment Guides';
+      break;
     case 'boundingBox':
       groupName = 'Bounding Boxes';
       break;
@@ -696,6 +1104,9 @@ const setGroupName = (elementType) => {
 const setGroupKey = (elementType) => {
   let groupKey = null;
   switch (elementType) {
+    case 'alignment':
+      groupKey = 'alignmentInnerGroupId';
+      break;
     case 'boundingBox':
       groupKey = 'boundingInnerGroupId';
       break;
@@ -719,66 +1130,699 @@ const setGroupKey = (elementType) => {
 };
 
 /**
- * @description Determines the spacing value (`IS-X`) based on length and returns
- * the appropriate spacing annotation text.
+ * @description Builds an elbow-shaped leader line (three 1px segments) that connects an
+ * annotation that had to move away from its layer back to the layer, optionally ending in
+ * a dot on the layer.
  *
  * @kind function
- * @name retrieveSpacingValue
- * @param {number} length A number representing length.
- * @returns {string} A text label based on the spacing value.
+ * @name buildLeaderLine
+ * @param {Object} parent The layer group to draw within.
+ * @param {string} colorHex A string representing the hex color for the line.
+ * @param {Object} start The `x`/`y` point (relative to `parent`) at the annotation.
+ * @param {Object} end The `x`/`y` point (relative to `parent`) at the layer.
+ * @param {string} direction The axis the line leaves the annotation on (`vertical` for
+ * annotations above/below a layer, `horizontal` for annotations beside a layer).
+ * @param {number} elbowAt Where (on the `direction` axis) the line jogs across; defaults to
+ * half-way between the points.
+ * @param {boolean} hasDot Whether or not to end the line in a dot.
+ * @returns {Object} Layer group containing the line.
  * @private
  */
-const retrieveSpacingValue = (length) => {
-  let itemSpacingValue = null;
-
-  // IS-X spacing is not an even scale
-  // set some breakpoints and “round” `length` to the nearest proper IS-X number
-  // ignore anything so large that it’s above `IS-9`
-  switch (true) {
-    case (length >= 128): // based on 160 – IS-10 (not actually specc'd in Art Deco)
-      return itemSpacingValue;
-    case (length >= 80): // 96 – IS-9
-      itemSpacingValue = 9;
-      break;
-    case (length >= 56): // 64 – IS-8
-      itemSpacingValue = 8;
-      break;
-    case (length >= 40): // 48 – IS-7
-      itemSpacingValue = 7;
-      break;
-    case (length >= 28): // 32 – IS-6
-      itemSpacingValue = 6;
-      break;
-    case (length >= 20): // 24 – IS-5
-      itemSpacingValue = 5;
-      break;
-    case (length >= 16): // 16 – IS-4
-      itemSpacingValue = 4;
-      break;
-    default:
-      itemSpacingValue = Math.round(length / 4);
+const buildLeaderLine = (
+  parent,
+  colorHex,
+  start,
+  end,
+  direction = 'vertical',
+  elbowAt = null,
+  hasDot = false,
+) => {
+  const group = new Group({
+    name: 'Leader Line',
+    parent,
+  });
+
+  // draws one straight (horizontal or vertical) segment between two points
+  const drawSegment = (pointA, pointB) => {
+    const x = Math.min(pointA.x, pointB.x);
+    const y = Math.min(pointA.y, pointB.y);
+    return new ShapePath({
+      frame: new Rectangle(
+        x,
+        y,
+        Math.max(Math.abs(pointA.x - pointB.x), 1),
+        Math.max(Math.abs(pointA.y - pointB.y), 1),
+      ),
+      parent: group,
+      style: {
+        borders: [{
+          enabled: false,
+          thickness: 0,
+        }],
+        fills: [`${colorHex}ff`],
+      },
+    });
+  };
+
+  // leave the annotation, jog across at the half-way point, and arrive at the layer
+  if (direction === 'vertical') {
+    const midY = (elbowAt !== null) ? elbowAt : Math.round((start.y + end.y) / 2);
+    drawSegment(start, { x: start.x, y: midY });
+    if (Math.abs(start.x - end.x) >= 1) {
+      drawSegment({ x: start.x, y: midY }, { x: end.x, y: midY });
+    }
+    drawSegment({ x: end.x, y: midY }, end);
+  } else {
+    const midX = (elbowAt !== null) ? elbowAt : Math.round((start.x + end.x) / 2);
+    drawSegment(start, { x: midX, y: start.y });
+    if (Math.abs(start.y - end.y) >= 1) {
+      drawSegment({ x: midX, y: start.y }, { x: midX, y: end.y });
+    }
+    drawSegment({ x: midX, y: end.y }, end);
+  }
+
+  // mark the spot on the layer
+  if (hasDot) {
+    const dot = new ShapePath({
+      frame: new Rectangle(end.x - 3, end.y - 3, 6, 6),
+      name: 'Dot',
+      parent: group,
+      style: {
+        borders: [{
+          enabled: false,
+          thickness: 0,
+        }],
+        fills: [`${colorHex}ff`],
+      },
+    });
+    dot.points.forEach((point) => {
+      point.cornerRadius = 3; // eslint-disable-line no-param-reassign
+      return null;
+    });
   }
 
-  return itemSpacingValue;
+  group.adjustToFit();
+  group.moveToBack();
+  return group;
 };
 
 /**
- * @description Resets the layer order for the Component, Foundation, and Bounding Box layers
- * within the outer container group layer.
+ * @description Measures how much two frames overlap.
  *
  * @kind function
- * @name orderContainerLayers
- * @param {string} outerGroupId String ID for finding the outer container group.
- * @param {Object} document The document containing the outer container group.
+ * @name overlapArea
+ * @param {Object} frameA The first frame (`x`, `y`, `width`, and `height`).
+ * @param {Object} frameB The second frame.
+ * @returns {number} The area the two frames share (`0` if they do not overlap).
+ * @private
+ */
+const overlapArea = (frameA, frameB) => {
+  const overlapWidth = Math.min(frameA.x + frameA.width, frameB.x + frameB.width)
+    - Math.max(frameA.x, frameB.x);
+  const overlapHeight = Math.min(frameA.y + frameA.height, frameB.y + frameB.height)
+    - Math.max(frameA.y, frameB.y);
+
+  if (overlapWidth <= 0 || overlapHeight <= 0) {
+    return 0;
+  }
+  return overlapWidth * overlapHeight;
+};
+
+/**
+ * @description Collects the frames (relative to the artboard) of the annotations already
+ * drawn in a container group, so that new annotations can be placed around them. Bounding
+ * boxes are skipped because they cover layers by design. Leader lines are left out of each
+ * annotation’s frame.
  *
+ * @kind function
+ * @name readAnnotationFrames
+ * @param {Object} containerGroup The outer container group for the artboard.
+ * @param {Object} skipGroup The annotation group being placed, which is left out.
+ * @returns {Array} The annotation frames.
  * @private
  */
-const orderContainerLayers = (outerGroupId, document) => {
-  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
-  let boundingGroupId = null;
-  let componentGroupId = null;
-  let dimensionGroupId = null;
-  let spacingGroupId = null;
+const readAnnotationFrames = (containerGroup, skipGroup) => {
+  const annotationFrames = [];
+  fromNative(containerGroup).layers.forEach((innerGroup) => {
+    if (
+      (innerGroup.name === setGroupName('boundingBox'))
+      || (innerGroup.name === setGroupName('alignment'))
+    ) {
+      return null;
+    }
+
+    (innerGroup.layers || []).forEach((annotationGroup) => {
+      if (annotationGroup.id === skipGroup.id) {
+        return null;
+      }
+
+      const groupPosition = getPositionOnArtboard(annotationGroup.sketchObject);
+      const elementFrames = (annotationGroup.layers || [annotationGroup])
+        .filter(element => element.name !== 'Leader Line')
+        .map(element => (
+          element === annotationGroup ? { ...element.frame, x: 0, y: 0 } : element.frame
+        ));
+      if (elementFrames.length === 0) {
+        return null;
+      }
+
+      const minX = Math.min(...elementFrames.map(frame => frame.x));
+      const minY = Math.min(...elementFrames.map(frame => frame.y));
+      annotationFrames.push({
+        x: groupPosition.x + minX,
+        y: groupPosition.y + minY,
+        width: Math.max(...elementFrames.map(frame => frame.x + frame.width)) - minX,
+        height: Math.max(...elementFrames.map(frame => frame.y + frame.height)) - minY,
+      });
+      return null;
+    });
+    return null;
+  });
+  return annotationFrames;
+};
+
+/**
+ * @description Looks for a spot for an annotation label that overlaps the other annotations
+ * on the artboard (and the layer itself) as little as possible and, after that, covers as
+ * little of the other layers on the artboard as possible. Placements above, below, to the
+ * right, and to the left of the layer are tried, each with small offsets along and away from
+ * the layer. Placements closer to the layer (and earlier in that list) win ties.
+ *
+ * @kind function
+ * @name findAnnotationPlacement
+ * @param {Object} labelSize The `width` and `height` of the label (the annotation rectangle).
+ * @param {Object} layerFrame The frame of the layer receiving the annotation (relative to the
+ * artboard) + the artboard width/height (`artboardWidth` / `artboardHeight`).
+ * @param {Array} obstacleFrames The frames (relative to the artboard) to stay clear of.
+ * @param {Array} artboardLayerFrames The frames of the other layers on the artboard, which
+ * are better left uncovered.
+ * @returns {Object} The `side` (`top`, `bottom`, `right`, or `left`), `distance` (how much
+ * further from the layer than usual), `frame` of the label, and its `overlap`.
+ * @private
+ */
+const findAnnotationPlacement = (
+  labelSize,
+  layerFrame,
+  obstacleFrames,
+  artboardLayerFrames = [],
+) => {
+  const { artboardWidth, artboardHeight } = layerFrame;
+  const { width, height } = labelSize;
+  const gap = 8; // room for the diamond between the label and the layer
+  const distances = [0, 12, 24, 48];
+  const shifts = [0, -16, 16, -32, 32, -64, 64];
+  const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+  const layerMidX = layerFrame.x + (layerFrame.width / 2);
+  const layerMidY = layerFrame.y + (layerFrame.height / 2);
+
+  let bestPlacement = null;
+  ['top', 'bottom', 'right', 'left'].forEach((side, sideIndex) => {
+    distances.forEach((distance) => {
+      shifts.forEach((shift) => {
+        let x = null;
+        let y = null;
+        switch (side) {
+          case 'bottom':
+            x = layerMidX - (width / 2) + shift;
+            y = layerFrame.y + layerFrame.height + gap + distance;
+            break;
+          case 'right':
+            x = layerFrame.x + layerFrame.width + gap + distance;
+            y = layerMidY - (height / 2) + shift;
+            break;
+          case 'left':
+            x = layerFrame.x - gap - width - distance;
+            y = layerMidY - (height / 2) + shift;
+            break;
+          default: // top
+            x = layerMidX - (width / 2) + shift;
+            y = layerFrame.y - gap - height - distance;
+        }
+
+        // keep the label on the artboard
+        const frame = {
+          x: clamp(x, 5, artboardWidth - width - 5),
+          y: clamp(y, 5, artboardHeight - height - 5),
+          width,
+          height,
+        };
+        const overlap = [layerFrame, ...obstacleFrames].reduce(
+          (total, obstacleFrame) => total + overlapArea(frame, obstacleFrame),
+          0,
+        );
+        const coveredArea = artboardLayerFrames.reduce(
+          (total, artboardLayerFrame) => total + overlapArea(frame, artboardLayerFrame),
+          0,
+        );
+        const cost = (overlap * 1000) + coveredArea + (distance * 4) + Math.abs(shift) + sideIndex;
+
+        if (!bestPlacement || (cost < bestPlacement.cost)) {
+          bestPlacement = {
+            cost,
+            distance,
+            frame,
+            overlap,
+            side,
+          };
+        }
+        return null;
+      });
+      return null;
+    });
+    return null;
+  });
+
+  return bestPlacement;
+};
+
+/**
+ * @description Moves an annotation (already grouped and positioned above its layer by
+ * `positionAnnotation`) out of the way of the other annotations on the artboard, if it
+ * overlaps any of them. The diamond is moved to the side of the label facing the layer and,
+ * if the label ends up away from the layer, a leader line connects the two. Only labels
+ * (not measurements, which are drawn to the size of what they measure) are moved.
+ *
+ * @kind function
+ * @name avoidCollisions
+ * @param {Object} containerGroup The outer container group for the artboard.
+ * @param {Object} group The annotation group to place.
+ * @param {Object} annotation Each annotation element (`diamond`, `rectangle`, `text`),
+ * plus the `colorHex` used.
+ * @param {Object} layerFrame The frame of the layer receiving the annotation (relative to the
+ * artboard) + the artboard width/height (`artboardWidth` / `artboardHeight`).
+ * @returns {Object} The annotation group.
+ * @private
+ */
+const avoidCollisions = (containerGroup, group, annotation, layerFrame) => {
+  const { colorHex, diamond, rectangle } = annotation;
+  const obstacleFrames = readAnnotationFrames(containerGroup, group);
+  const groupPosition = getPositionOnArtboard(group.sketchObject);
+  const labelFrame = {
+    x: groupPosition.x + rectangle.frame.x,
+    y: groupPosition.y + rectangle.frame.y,
+    width: rectangle.frame.width,
+    height: rectangle.frame.height,
+  };
+
+  // leave the default placement alone if nothing is in the way
+  const currentOverlap = obstacleFrames.reduce(
+    (total, obstacleFrame) => total + overlapArea(labelFrame, obstacleFrame),
+    0,
+  );
+  if (currentOverlap === 0) {
+    return group;
+  }
+
+  // the other (top-level) layers on the artboard are better left uncovered, too
+  const artboardLayerFrames = fromNative(containerGroup).parent.layers
+    .filter(layer => (layer.id !== fromNative(containerGroup).id))
+    .map(layer => layer.frame)
+    .filter(frame => overlapArea(frame, layerFrame) === 0);
+
+  const placement = findAnnotationPlacement(
+    labelFrame,
+    layerFrame,
+    obstacleFrames,
+    artboardLayerFrames,
+  );
+  if (placement.overlap >= currentOverlap) {
+    return group;
+  }
+
+  // move the group so that the label lands on the new frame
+  const { frame, side } = placement;
+  group.frame.x += frame.x - labelFrame.x; // eslint-disable-line no-param-reassign
+  group.frame.y += frame.y - labelFrame.y; // eslint-disable-line no-param-reassign
+
+  // point the diamond at the layer, from the side of the label facing it
+  const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+  const layerMidX = layerFrame.x + (layerFrame.width / 2);
+  const layerMidY = layerFrame.y + (layerFrame.height / 2);
+  const rectFrame = rectangle.frame;
+  let leaderStart = null;
+  let leaderEnd = null;
+  if (side === 'top' || side === 'bottom') {
+    diamond.frame.x = clamp(
+      layerMidX - frame.x + rectFrame.x - 3,
+      rectFrame.x + 2,
+      rectFrame.x + rectFrame.width - 8,
+    );
+    diamond.frame.y = (side === 'top')
+      ? rectFrame.y + rectFrame.height - 3
+      : rectFrame.y - 3;
+    leaderStart = {
+      x: diamond.frame.x + 3,
+      y: (side === 'top') ? diamond.frame.y + 6 : diamond.frame.y,
+    };
+    leaderEnd = {
+      x: layerMidX - frame.x + rectFrame.x,
+      y: ((side === 'top') ? layerFrame.y : layerFrame.y + layerFrame.height)
+        - frame.y + rectFrame.y,
+    };
+  } else {
+    diamond.frame.x = (side === 'left')
+      ? rectFrame.x + rectFrame.width - 3
+      : rectFrame.x - 3;
+    diamond.frame.y = clamp(
+      layerMidY - frame.y + rectFrame.y - 3,
+      rectFrame.y + 2,
+      rectFrame.y + rectFrame.height - 8,
+    );
+    leaderStart = {
+      x: (side === 'left') ? diamond.frame.x + 6 : diamond.frame.x,
+      y: diamond.frame.y + 3,
+    };
+    leaderEnd = {
+      x: ((side === 'left') ? layerFrame.x : layerFrame.x + layerFrame.width)
+        - frame.x + rectFrame.x,
+      y: layerMidY - frame.y + rectFrame.y,
+    };
+  }
+
+  // connect labels that had to move away from the layer (or off to the side of it)
+  const isAway = (placement.distance > 0)
+    || (Math.abs(leaderStart.x - leaderEnd.x) > 1 && (side === 'top' || side === 'bottom'))
+    || (Math.abs(leaderStart.y - leaderEnd.y) > 1 && (side === 'left' || side === 'right'));
+  if (isAway) {
+    buildLeaderLine(
+      group,
+      colorHex,
+      leaderStart,
+      leaderEnd,
+      (side === 'top' || side === 'bottom') ? 'vertical' : 'horizontal',
+    );
+  }
+
+  group.adjustToFit();
+  group.parent.adjustToFit();
+  containerGroup.adjustToFit();
+  return group;
+};
+
+/**
+ * @description Matches a length to a value on a spacing scale, using the scale’s
+ * `rounding` rule. Lengths at or above the scale’s `max`, or less than half of the smallest
+ * value, are off-scale.
+ *
+ * @kind function
+ * @name retrieveSpacingValue
+ * @param {number} length A number representing length.
+ * @param {Object} spacingScale The spacing scale to use (see `SPACING_SCALES`).
+ * @returns {number} The index of the matching value in the scale (or `null` if off-scale).
+ * @private
+ */
+const retrieveSpacingValue = (length, spacingScale) => {
+  const { max, rounding, values } = spacingScale;
+  let itemSpacingIndex = -1;
+
+  // ignore anything too large (or too small) to be on the scale
+  if ((max && length >= max) || (length < (values[0] / 2))) {
+    return null;
+  }
+
+  switch (rounding) {
+    case 'up':
+      itemSpacingIndex = values.findIndex(value => value >= length);
+      break;
+    case 'down':
+      values.forEach((value, index) => {
+        if (value <= length) {
+          itemSpacingIndex = index;
+        }
+      });
+      break;
+    default: {
+      // nearest value; a length exactly between two values rounds up
+      let closestDistance = null;
+      values.forEach((value, index) => {
+        const distance = Math.abs(value - length);
+        if ((closestDistance === null) || (distance <= closestDistance)) {
+          closestDistance = distance;
+          itemSpacingIndex = index;
+        }
+      });
+    }
+  }
+
+  return itemSpacingIndex > -1 ? itemSpacingIndex : null;
+};
+
+/**
+ * @description Builds the label for a value on a spacing scale based on the scale’s
+ * `labelFormat`.
+ *
+ * @kind function
+ * @name setSpacingLabel
+ * @param {number} index The index of the value in the scale.
+ * @param {Object} spacingScale The spacing scale to use (see `SPACING_SCALES`).
+ * @returns {string} The label text (i.e. “IS-4”).
+ * @private
+ */
+const setSpacingLabel = (index, spacingScale) => {
+  const { labelFormat, names, values } = spacingScale;
+  return labelFormat
+    .replace('{step}', index + 1)
+    .replace('{value}', values[index])
+    .replace('{name}', names ? names[index] : values[index]);
+};
+
+/**
+ * @description The labels added to spacing annotations that stand in for more than one side
+ * (see `addOverlapMeasurements`), keyed by the `sides` stored with the annotation.
+ *
+ * @kind constant
+ * @name SPACING_SIDES
+ * @type {Object}
+ * @private
+ */
+const SPACING_SIDES = {
+  all: {
+    label: 'all sides',
+    directions: ['top', 'bottom', 'right', 'left'],
+  },
+  topBottom: {
+    label: 'top & bottom',
+    directions: ['top', 'bottom'],
+  },
+  leftRight: {
+    label: 'left & right',
+    directions: ['right', 'left'],
+  },
+};
+
+/**
+ * @description Builds the text for a spacing annotation: the matching label on the spacing
+ * scale, or the raw measurement if the measurement is off-scale. In strict mode, measurements
+ * that had to be rounded to the scale show both the actual measurement and the valid value.
+ *
+ * @kind function
+ * @name setSpacingText
+ * @param {number} measurement The measurement (in dp).
+ * @param {Object} spacingScale The spacing scale to use (see `SPACING_SCALES`).
+ * @param {boolean} isStrict Whether or not to flag measurements that are not exact.
+ * @param {Function} formatMeasurement Formats a raw measurement in the document’s units.
+ * @param {string} sides The sides the annotation stands in for (optional; see
+ * `SPACING_SIDES`), added to the end of the text (i.e. “IS-4 all sides”).
+ * @param {number} repeatCount The number of identical gaps the annotation stands in for
+ * (optional), added to the end of the text (i.e. “IS-3 ×5 between items”).
+ * @param {Function} labelWithToken Adds the matching design token to the text for a value
+ * (optional; see `Preferences.labelWithToken`). The token is matched against the value on the
+ * scale, or the raw measurement if it is off-scale.
+ * @returns {Object} The `annotationText` and whether or not the measurement
+ * `isOffScale` or `isOffGrid`.
+ * @private
+ */
+export const setSpacingText = (
+  measurement,
+  spacingScale,
+  isStrict,
+  formatMeasurement,
+  sides = null,
+  repeatCount = null,
+  labelWithToken = null,
+) => {
+  const spacingIndex = retrieveSpacingValue(measurement, spacingScale);
+
+  // if there is no `spacingIndex`, the measurement is not on the scale;
+  // label it with the raw measurement
+  const isOffScale = (spacingIndex === null);
+  let annotationText = isOffScale
+    ? formatMeasurement(measurement)
+    : setSpacingLabel(spacingIndex, spacingScale);
+
+  if (labelWithToken) {
+    annotationText = labelWithToken(
+      isOffScale ? measurement : spacingScale.values[spacingIndex],
+      annotationText,
+    );
+  }
+
+  // in strict mode, flag measurements that had to be rounded to match the scale
+  const isOffGrid = (
+    !isOffScale
+    && !!isStrict
+    && (measurement !== spacingScale.values[spacingIndex])
+  );
+  if (isOffGrid) {
+    const validValue = formatMeasurement(spacingScale.values[spacingIndex]);
+    const validText = annotationText === validValue ? validValue : `${annotationText} (${validValue})`;
+    annotationText = `${formatMeasurement(measurement)} → ${validText}`;
+  }
+
+  if (SPACING_SIDES[sides]) {
+    annotationText = `${annotationText} ${SPACING_SIDES[sides].label}`;
+  }
+
+  if (repeatCount > 1) {
+    annotationText = `${annotationText} ×${repeatCount} between items`;
+  }
+
+  return {
+    annotationText,
+    isOffGrid,
+    isOffScale,
+  };
+};
+
+/**
+ * @description Replaces the text of an existing annotation and re-sizes its rectangle to
+ * fit. The rectangle stays attached to its diamond (the diamond and measure icon stay in place).
+ *
+ * @kind function
+ * @name updateAnnotationText
+ * @param {Object} annotationGroup The annotation group layer.
+ * @param {string} annotationText The new text.
+ * @returns {boolean} Whether or not the text was updated.
+ * @private
+ */
+export const updateAnnotationText = (annotationGroup, annotationText) => {
+  const group = fromNative(annotationGroup);
+  const text = group.layers.find(layer => layer.type === 'Text');
+  const rectangle = group.layers.find(layer => (
+    (layer.type === 'ShapePath') && (layer.name !== 'Diamond')
+  ));
+  const warning = group.layers.find(layer => layer.name === 'Warning');
+
+  if (!text || !rectangle) {
+    return false;
+  }
+
+  if (text.text === annotationText) {
+    return true;
+  }
+
+  // keep the same padding around the text
+  const textPadding = rectangle.frame.width - text.frame.width;
+  const textOffsetX = text.frame.x - rectangle.frame.x;
+  const rectangleLeft = rectangle.frame.x;
+  const rectangleRight = rectangle.frame.x + rectangle.frame.width;
+  const diamond = group.layers.find(layer => layer.name === 'Diamond');
+  const diamondMidX = diamond ? diamond.frame.x + (diamond.frame.width / 2) : null;
+
+  text.text = annotationText;
+  text.adjustToFit();
+  rectangle.frame.width = text.frame.width + textPadding;
+
+  // left/right annotations stay attached to the diamond; top/bottom annotations stay centered
+  if ((diamondMidX !== null) && (diamondMidX <= rectangleLeft + 1)) {
+    rectangle.frame.x = rectangleLeft;
+  } else if ((diamondMidX !== null) && (diamondMidX >= rectangleRight - 1)) {
+    rectangle.frame.x = rectangleRight - rectangle.frame.width;
+  } else {
+    rectangle.frame.x = ((rectangleLeft + rectangleRight) / 2) - (rectangle.frame.width / 2);
+  }
+  text.frame.x = rectangle.frame.x + textOffsetX;
+
+  if (warning) {
+    warning.frame.x = rectangle.frame.x + rectangle.frame.width - (warning.frame.width / 2);
+  }
+
+  const staleBadge = group.layers.find(layer => layer.name.startsWith('Stale'));
+  if (staleBadge) {
+    staleBadge.frame.x = rectangle.frame.x - (staleBadge.frame.width / 2);
+  }
+
+  group.adjustToFit();
+  return true;
+};
+
+/**
+ * @description Keeps a copy of an annotation’s record in the annotation group’s own
+ * settings (without the IDs of the group and its container group, which change when the
+ * layers are copied), so that a lost record can be rebuilt by “Repair Document”.
+ *
+ * @kind function
+ * @name setRecordSettings
+ * @param {Object} group The annotation group layer.
+ * @param {Object} layerSet The record stored in the document settings.
+ * @private
+ */
+const setRecordSettings = (group, layerSet) => {
+  const { containerGroupId, id, ...record } = layerSet;
+  Settings.setLayerSettingForKey(group, PLUGIN_IDENTIFIER, record);
+};
+
+/**
+ * @description Adds (or removes) the badge that flags an annotation as stale: its original
+ * layer has moved, been resized, renamed, or deleted since the annotation was drawn. The
+ * reasons are listed in the badge’s layer name (i.e. “Stale (moved, renamed)”).
+ *
+ * @kind function
+ * @name setStaleBadge
+ * @param {Object} annotationGroup The annotation group layer.
+ * @param {Array} staleReasons The reasons the annotation is stale (empty if it is not).
+ * @returns {boolean} Whether or not the annotation was changed.
+ * @private
+ */
+export const setStaleBadge = (annotationGroup, staleReasons) => {
+  const group = fromNative(annotationGroup);
+  const badgeName = staleReasons.length > 0 ? `Stale (${staleReasons.join(', ')})` : null;
+  const existingBadge = group.layers.find(layer => layer.name.startsWith('Stale'));
+
+  // nothing has changed since the last check
+  if ((existingBadge ? existingBadge.name : null) === badgeName) {
+    return false;
+  }
+
+  if (existingBadge) {
+    existingBadge.remove();
+  }
+
+  if (badgeName) {
+    const rectangle = group.layers.find(layer => (
+      (layer.type === 'ShapePath') && (layer.name !== 'Diamond')
+    ));
+    const badge = buildWarningBadge(group, badgeName, '?', COLORS.stale);
+
+    // place the badge on the top-left corner (warnings are on the top-right)
+    if (rectangle) {
+      badge.frame.x = rectangle.frame.x - (badge.frame.width / 2);
+      badge.frame.y = rectangle.frame.y - (badge.frame.height / 2);
+    }
+  }
+
+  group.adjustToFit();
+  return true;
+};
+
+/**
+ * @description Resets the layer order for the Component, Foundation, Alignment Guide, and
+ * Bounding Box layers within the outer container group layer.
+ *
+ * @kind function
+ * @name orderContainerLayers
+ * @param {string} outerGroupId String ID for finding the outer container group.
+ * @param {Object} document The document containing the outer container group.
+ *
+ * @private
+ */
+const orderContainerLayers = (outerGroupId, document) => {
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  let alignmentGroupId = null;
+  let boundingGroupId = null;
+  let componentGroupId = null;
+  let dimensionGroupId = null;
+  let spacingGroupId = null;
 
   // find the correct group set and inner groups based on the `outerGroupId`
   documentSettings.containerGroups.forEach((groupSet) => {
@@ -787,6 +1831,7 @@ const orderContainerLayers = (outerGroupId, document) => {
       dimensionGroupId = groupSet.dimensionInnerGroupId;
       spacingGroupId = groupSet.spacingInnerGroupId;
       boundingGroupId = groupSet.boundingInnerGroupId;
+      alignmentGroupId = groupSet.alignmentInnerGroupId;
     }
     return null;
   });
@@ -799,18 +1844,24 @@ const orderContainerLayers = (outerGroupId, document) => {
 
   // foundations group remains second from top without moving
 
-  // always move spacing annotations group to third from bottom of list
+  // always move spacing annotations group to fourth from bottom of list
   const spacingBoxGroup = document.getLayerWithID(spacingGroupId);
   if (spacingBoxGroup) {
     fromNative(spacingBoxGroup).moveToBack();
   }
 
-  // always move dimension annotations group to second from bottom of list
+  // always move dimension annotations group to third from bottom of list
   const dimensionBoxGroup = document.getLayerWithID(dimensionGroupId);
   if (dimensionBoxGroup) {
     fromNative(dimensionBoxGroup).moveToBack();
   }
 
+  // always move alignment guides group to second from bottom of list
+  const alignmentGroup = document.getLayerWithID(alignmentGroupId);
+  if (alignmentGroup) {
+    fromNative(alignmentGroup).moveToBack();
+  }
+
   // always move bounding box group to bottom of list
   const boundingBoxGroup = document.getLayerWithID(boundingGroupId);
   if (boundingBoxGroup) {
@@ -959,7 +2010,8 @@ const createOuterGroup = (
  * @param {Object} artboard The artboard to draw within.
  * @param {Object} document The document to draw within.
  * @param {string} elementType A string representing the type of annotation to draw.
- * @returns {Object} The container group layer.
+ * @returns {Object} The container group layers (`containerGroup` and `innerContainerGroup`),
+ * or an `errorResult` (with empty groups) if the document settings could not be updated.
  * @private
  */
 const setContainerGroups = (artboard, document, elementType) => {
@@ -1030,12 +2082,21 @@ const setContainerGroups = (artboard, document, elementType) => {
       );
     }
 
-    // commit the `Settings` update
-    Settings.setDocumentSettingForKey(
-      document,
-      PLUGIN_IDENTIFIER,
-      newDocumentSettings,
-    );
+    // commit the `Settings` update; if it is rejected, take the new groups back out so that
+    // nothing is left on the artboard without a record
+    const commitResult = commitDocumentSettings(document, newDocumentSettings);
+    if (commitResult.status === 'error') {
+      if (!outerGroupSet || (outerGroup.id !== outerGroupSet.id)) {
+        fromNative(outerGroup).remove();
+      } else {
+        fromNative(innerGroup).remove();
+      }
+      return {
+        containerGroup: null,
+        innerContainerGroup: null,
+        errorResult: commitResult,
+      };
+    }
   }
 
   // move the outer container layer to the front
@@ -1047,9 +2108,390 @@ const setContainerGroups = (artboard, document, elementType) => {
   return {
     containerGroup: outerGroup,
     innerContainerGroup: innerGroup,
+    errorResult: null,
   };
 };
 
+/**
+ * @description Collects the labels (component, style, and custom annotations) drawn for an
+ * artboard, along with their records and original layers. Labels whose original layer was
+ * deleted are kept (with `originalLayer` set to `null`) and placed by the layer’s last
+ * recorded frame, so that they still take up their place in a gutter or in the numbering of
+ * the callouts.
+ *
+ * @kind function
+ * @name readLabels
+ * @param {Object} document The Sketch document that contains the artboard.
+ * @param {Object} documentSettings The document settings.
+ * @param {Object} containerGroupSet The container group record for the artboard.
+ * @returns {Array} The `annotationGroup`, `layerSet`, `originalLayer`, and `layerFrame`
+ * (relative to the artboard) of each label.
+ * @private
+ */
+const readLabels = (document, documentSettings, containerGroupSet) => {
+  const labels = [];
+  (documentSettings.annotatedLayers || []).forEach((layerSet) => {
+    const annotationGroup = document.getLayerWithID(layerSet.id);
+    if ((layerSet.containerGroupId !== containerGroupSet.id) || !annotationGroup) {
+      return null;
+    }
+
+    // records from before frames were kept fall back to where the label is drawn
+    const originalLayer = document.getLayerWithID(layerSet.originalId) || null;
+    let layerFrame = layerSet.originalFrame || getFrameOnArtboard(annotationGroup.sketchObject);
+    if (originalLayer) {
+      layerFrame = getFrameOnArtboard(originalLayer.sketchObject);
+    }
+
+    labels.push({
+      annotationGroup,
+      layerSet,
+      originalLayer,
+      layerFrame,
+    });
+    return null;
+  });
+  return labels;
+};
+
+/**
+ * @description Lays out the labels (component, style, and custom annotations) for an
+ * artboard in a gutter beside it, when the document’s `placement` preference is
+ * `gutterRight` or `gutterLeft`. Labels are stacked in a column, in the order of their
+ * layers’ vertical positions, and each is connected to its layer by an elbow line ending in
+ * a dot. Artboards clip anything outside of their bounds, so the gutter is a group on the
+ * page (tracked as `gutterGroupId` in the artboard’s container group record). An empty
+ * gutter is removed.
+ *
+ * @kind function
+ * @name layoutGutter
+ * @param {Object} artboard The artboard the labels belong to.
+ * @param {Object} document The Sketch document that contains the artboard.
+ * @param {string} placement The document’s `placement` preference.
+ * @returns {Object} An error result if the document settings could not be updated (or `null`).
+ * @private
+ */
+const layoutGutter = (artboard, document, placement) => {
+  const artboardJS = fromNative(artboard);
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  const containerGroupSet = documentSettings && (documentSettings.containerGroups || []).find(
+    containerGroup => containerGroup.artboardId === artboardJS.id,
+  );
+  if (!containerGroupSet) {
+    return null;
+  }
+
+  let gutterGroup = document.getLayerWithID(containerGroupSet.gutterGroupId);
+  const isGutter = (placement === 'gutterRight') || (placement === 'gutterLeft');
+  const isRight = (placement === 'gutterRight');
+
+  // a legend (from callout placement) is not needed in the gutter
+  if (gutterGroup) {
+    gutterGroup.layers
+      .filter(layer => layer.name === 'Legend Row')
+      .forEach(layer => layer.remove());
+  }
+
+  // collect the labels (and their layers), top to bottom; callouts still waiting to be
+  // redrawn as labels are left where they are
+  const labels = readLabels(document, documentSettings, containerGroupSet).filter(
+    ({ annotationGroup }) => !annotationGroup.layers.find(layer => layer.name === 'Callout'),
+  );
+  labels.sort((labelA, labelB) => (
+    (labelA.layerFrame.y + (labelA.layerFrame.height / 2))
+    - (labelB.layerFrame.y + (labelB.layerFrame.height / 2))
+  ));
+
+  // without any labels to hold (or when placing labels on the artboard), the gutter goes
+  if (!isGutter || labels.length === 0) {
+    if (gutterGroup && gutterGroup.layers.length === 0) {
+      gutterGroup.remove();
+      delete containerGroupSet.gutterGroupId;
+      const commitResult = commitDocumentSettings(document, documentSettings);
+      if (commitResult.status === 'error') {
+        return commitResult;
+      }
+    }
+    return null;
+  }
+
+  // set up the gutter group, lined up with the artboard
+  if (!gutterGroup) {
+    gutterGroup = new Group({
+      parent: artboardJS.parent,
+      locked: true,
+    });
+    containerGroupSet.gutterGroupId = gutterGroup.id;
+    const commitResult = commitDocumentSettings(document, documentSettings);
+    if (commitResult.status === 'error') {
+      gutterGroup.remove();
+      return commitResult;
+    }
+  }
+  gutterGroup.name = `+++ ${PLUGIN_NAME} Gutter +++`;
+  gutterGroup.frame.x = artboardJS.frame.x;
+  gutterGroup.frame.y = artboardJS.frame.y;
+
+  // stack the labels (positions are relative to the artboard)
+  const gutterOffset = 64;
+  const elbowOffset = 24;
+  const labelSpacing = 8;
+  let nextLabelY = 0;
+  labels.forEach(({ annotationGroup, layerFrame }) => {
+    const group = annotationGroup;
+    group.parent = gutterGroup;
+
+    // the diamond (and any previous connector) are replaced by the new connector
+    group.layers
+      .filter(layer => (layer.name === 'Diamond') || (layer.name === 'Leader Line'))
+      .forEach(layer => layer.remove());
+    group.adjustToFit();
+
+    const rectangle = group.layers.find(layer => (
+      (layer.type === 'ShapePath') && (layer.name !== 'Diamond')
+    ));
+    const colorHex = rectangle.style.fills[0].color.substring(0, 7);
+    const layerMidY = layerFrame.y + (layerFrame.height / 2);
+
+    // place the label in the column, as close to level with its layer as possible
+    group.frame.x = isRight
+      ? artboardJS.frame.width + gutterOffset - rectangle.frame.x
+      : -gutterOffset - rectangle.frame.x - rectangle.frame.width;
+    group.frame.y = Math.max(
+      layerMidY - rectangle.frame.y - (rectangle.frame.height / 2),
+      nextLabelY - rectangle.frame.y,
+    );
+    nextLabelY = group.frame.y + group.frame.height + labelSpacing;
+
+    // connect the label to its layer
+    const start = {
+      x: isRight ? rectangle.frame.x : rectangle.frame.x + rectangle.frame.width,
+      y: rectangle.frame.y + (rectangle.frame.height / 2),
+    };
+    const end = {
+      x: (isRight ? layerFrame.x + layerFrame.width : layerFrame.x) - group.frame.x,
+      y: layerMidY - group.frame.y,
+    };
+    const elbowAt = (isRight ? artboardJS.frame.width + elbowOffset : -elbowOffset)
+      - group.frame.x;
+    buildLeaderLine(group, colorHex, start, end, 'horizontal', elbowAt, true);
+    group.adjustToFit();
+    return null;
+  });
+
+  gutterGroup.adjustToFit();
+  gutterGroup.moveToFront();
+  return null;
+};
+
+/**
+ * @description Draws the labels (component, style, and custom annotations) for an artboard
+ * as small numbered badges on the corners of their layers, and lists the annotation text for
+ * each number in a legend beside the artboard. Callouts are numbered in reading order (top to
+ * bottom, then left to right), so the numbers only change when the layers move or callouts
+ * are added or removed. Like the gutter, the legend is a group on the page, tracked as
+ * `gutterGroupId` in the artboard’s container group record.
+ *
+ * @kind function
+ * @name layoutCallouts
+ * @param {Object} artboard The artboard the labels belong to.
+ * @param {Object} document The Sketch document that contains the artboard.
+ * @returns {Object} An error result if the document settings could not be updated (or `null`).
+ * @private
+ */
+const layoutCallouts = (artboard, document) => {
+  const artboardJS = fromNative(artboard);
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  const containerGroupSet = documentSettings && (documentSettings.containerGroups || []).find(
+    containerGroup => containerGroup.artboardId === artboardJS.id,
+  );
+  if (!containerGroupSet) {
+    return null;
+  }
+
+  // number the callouts in reading order
+  const theme = new Preferences({ for: document }).theme();
+  const callouts = readLabels(document, documentSettings, containerGroupSet);
+  callouts.sort((calloutA, calloutB) => {
+    if (Math.abs(calloutA.layerFrame.y - calloutB.layerFrame.y) > 4) {
+      return calloutA.layerFrame.y - calloutB.layerFrame.y;
+    }
+    return calloutA.layerFrame.x - calloutB.layerFrame.x;
+  });
+
+  // redraw each label as a badge on the top-left corner of its layer
+  const badgeSize = 18;
+  let commitError = null;
+  const legendEntries = callouts.map(({
+    annotationGroup,
+    layerSet,
+    originalLayer,
+    layerFrame,
+  }, index) => {
+    const group = annotationGroup;
+    const layerSettings = (originalLayer && Settings.layerSettingForKey(
+      originalLayer.sketchObject,
+      PLUGIN_IDENTIFIER,
+    )) || {};
+    const annotationType = layerSettings.annotationType || layerSet.annotationType;
+    const colorHex = setAnnotationColor(annotationType, theme);
+    const number = `${index + 1}`;
+
+    // labels coming back from the gutter return to the artboard
+    if (group.parent.id === containerGroupSet.gutterGroupId) {
+      const { innerContainerGroup, errorResult } = setContainerGroups(
+        artboard,
+        document,
+        annotationType,
+      );
+      if (errorResult) {
+        commitError = errorResult;
+      } else {
+        group.parent = innerContainerGroup;
+      }
+    }
+
+    [...group.layers].forEach(layer => layer.remove());
+    buildWarningBadge(group, 'Callout', number, colorHex, badgeSize);
+    group.adjustToFit();
+
+    const parentPosition = getPositionOnArtboard(group.parent.sketchObject);
+    group.frame.x = Math.max(
+      0,
+      Math.min(layerFrame.x - (badgeSize / 2), artboardJS.frame.width - badgeSize),
+    ) - parentPosition.x;
+    group.frame.y = Math.max(
+      0,
+      Math.min(layerFrame.y - (badgeSize / 2), artboardJS.frame.height - badgeSize),
+    ) - parentPosition.y;
+    group.parent.adjustToFit();
+
+    // the text of a callout whose layer was deleted went with the layer
+    if (!originalLayer) {
+      return {
+        colorHex,
+        number,
+        text: `${layerSet.originalName || 'Layer'} (deleted)`,
+      };
+    }
+
+    return {
+      colorHex,
+      number,
+      text: [layerSettings.annotationText, layerSettings.annotationSecondaryText]
+        .filter(text => text)
+        .join(' · ')
+        .replace(/\n/g, ' · '),
+    };
+  });
+
+  // drawing the badges can add inner container groups, so re-read the container group record
+  const latestSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  const latestContainerGroupSet = latestSettings.containerGroups.find(
+    containerGroup => containerGroup.artboardId === artboardJS.id,
+  );
+  let legendGroup = document.getLayerWithID(latestContainerGroupSet.gutterGroupId);
+  if (legendGroup) {
+    legendGroup.layers
+      .filter(layer => layer.name === 'Legend Row')
+      .forEach(layer => layer.remove());
+  }
+
+  // without any callouts, the legend goes
+  if (legendEntries.length === 0) {
+    if (legendGroup && legendGroup.layers.length === 0) {
+      legendGroup.remove();
+      delete latestContainerGroupSet.gutterGroupId;
+      const commitResult = commitDocumentSettings(document, latestSettings);
+      if (commitResult.status === 'error') {
+        return commitResult;
+      }
+    }
+    return null;
+  }
+
+  // set up the legend group, to the right of the artboard
+  if (!legendGroup) {
+    legendGroup = new Group({
+      parent: artboardJS.parent,
+      locked: true,
+    });
+    latestContainerGroupSet.gutterGroupId = legendGroup.id;
+    const commitResult = commitDocumentSettings(document, latestSettings);
+    if (commitResult.status === 'error') {
+      legendGroup.remove();
+      return commitResult;
+    }
+  }
+  legendGroup.name = `+++ ${PLUGIN_NAME} Legend +++`;
+  legendGroup.frame.x = artboardJS.frame.x + artboardJS.frame.width + 64;
+  legendGroup.frame.y = artboardJS.frame.y;
+
+  // list each callout’s text next to its number
+  const rowHeight = badgeSize + 8;
+  legendEntries.forEach(({ colorHex, number, text }, index) => {
+    const row = new Group({
+      name: 'Legend Row',
+      parent: legendGroup,
+    });
+    const badge = buildWarningBadge(row, 'Callout', number, colorHex, badgeSize);
+    badge.frame.x = 0;
+    badge.frame.y = 0;
+
+    const rowText = new Text({
+      frame: {
+        x: badgeSize + 8,
+        y: 0,
+        height: badgeSize,
+        width: 200,
+      },
+      parent: row,
+      text,
+      style: {
+        alignment: Text.Alignment.left,
+        fontFamily: setFontFamily(theme),
+        fontSize: theme.fontSize,
+        fontWeight: theme.fontWeight,
+        lineHeight: badgeSize,
+        textColor: `${theme.colors.legend}ff`,
+      },
+    });
+    rowText.adjustToFit();
+
+    row.adjustToFit();
+    row.frame.x = 0;
+    row.frame.y = index * rowHeight;
+    return null;
+  });
+
+  legendGroup.adjustToFit();
+  legendGroup.moveToFront();
+  return commitError;
+};
+
+/**
+ * @description Lays out the labels (component, style, and custom annotations) for an
+ * artboard to match the document’s `placement` preference: in a gutter beside the artboard
+ * (`gutterRight` or `gutterLeft`), or as numbered callouts with a legend (`callouts`). When
+ * labels are placed on the artboard (`inline`), any leftover gutter or legend is removed.
+ * Run it again whenever a label is added or removed.
+ *
+ * @kind function
+ * @name layoutLabels
+ * @param {Object} artboard The artboard the labels belong to.
+ * @param {Object} document The Sketch document that contains the artboard.
+ * @returns {Object} An error result if the document settings could not be updated (or `null`).
+ * @private
+ */
+export const layoutLabels = (artboard, document) => {
+  const placement = new Preferences({ for: document }).get('placement');
+
+  if (placement === 'callouts') {
+    return layoutCallouts(artboard, document);
+  }
+  return layoutGutter(artboard, document, placement);
+};
+
 // --- main Painter class function
 /**
  * @description A class to add elements to the Sketch file.
@@ -1060,12 +2502,14 @@ const setContainerGroups = (artboard, document, elementType) => {
  * @constructor
  *
  * @property layer The layer in the Sketch file that we want to annotate or modify.
+ * @property theme The theme used to draw annotations in the document.
  */
 export default class Painter {
   constructor({ for: layer, in: document }) {
     this.layer = layer;
     this.document = document;
     this.artboard = this.layer.parentArtboard();
+    this.theme = new Preferences({ for: document }).theme();
   }
 
   /**
@@ -1119,6 +2563,12 @@ export default class Painter {
       return result;
     }
 
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
     // set up some information
     const {
       annotationText,
@@ -1130,21 +2580,31 @@ export default class Painter {
     const groupName = `Annotation for ${layerName}`;
 
     // create or locate the container group
-    const { containerGroup, innerContainerGroup } = setContainerGroups(
+    const { containerGroup, innerContainerGroup, errorResult } = setContainerGroups(
       this.artboard,
       this.document,
       annotationType,
     );
+    if (errorResult) {
+      return errorResult;
+    }
 
     // retrieve document settings
     const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
     let newDocumentSettings = documentSettings;
 
     // check if we have already annotated this element and remove the old annotation
+    const removedGroups = [];
     if (documentSettings && documentSettings.annotatedLayers) {
       // remove the old ID pair(s) from the `newDocumentSettings` array
       documentSettings.annotatedLayers.forEach((layerSet) => {
         if (layerSet.originalId === layerId) {
+          // hold on to the old annotation in case the new one cannot be recorded
+          const removedGroup = this.document.getLayerWithID(layerSet.id);
+          if (removedGroup) {
+            const { index, parent } = fromNative(removedGroup);
+            removedGroups.push({ layer: fromNative(removedGroup), index, parent });
+          }
           this.removeAnnotation(layerSet);
 
           // remove the layerSet from the `newDocumentSettings` array
@@ -1159,11 +2619,19 @@ export default class Painter {
     }
 
     // construct the base annotation elements
+    const backgroundHex = readLabelBackground(
+      this.artboard,
+      this.document,
+      getFrameOnArtboard(this.layer),
+    );
     const annotation = buildAnnotation(
       annotationText,
       annotationSecondaryText,
       annotationType,
       this.artboard,
+      null, // warningType
+      this.theme,
+      backgroundHex,
     );
 
     // group and position the base annotation elements
@@ -1184,11 +2652,21 @@ export default class Painter {
       layerFrame,
     );
 
+    // move the annotation out of the way of any others on the artboard (unless the labels
+    // are laid out in a gutter or as callouts; that happens once the annotation is recorded)
+    const isInline = new Preferences({ for: this.document }).get('placement') === 'inline';
+    if (isInline) {
+      avoidCollisions(containerGroup, group, annotation, layerFrame);
+    }
+
     // new object with IDs to add to settings
     const newAnnotatedLayerSet = {
       containerGroupId: fromNative(containerGroup).id,
       id: group.id,
       originalId: layerId,
+      originalName: layerName,
+      originalFrame: getFrameOnArtboard(this.layer),
+      annotationType,
     };
 
     // update the `newDocumentSettings` array
@@ -1199,12 +2677,26 @@ export default class Painter {
       'add',
     );
 
-    // commit the `Settings` update
-    Settings.setDocumentSettingForKey(
-      this.document,
-      PLUGIN_IDENTIFIER,
-      newDocumentSettings,
-    );
+    // commit the `Settings` update; an annotation that cannot be recorded is removed and
+    // the old annotation (if there was one) is put back where it was
+    const commitResult = commitDocumentSettings(this.document, newDocumentSettings);
+    if (commitResult.status === 'error') {
+      group.remove();
+      removedGroups.reverse().forEach(({ layer, index, parent }) => {
+        const removedGroup = layer;
+        removedGroup.parent = parent;
+        removedGroup.index = index;
+      });
+      return commitResult;
+    }
+
+    // re-flow the gutter (or re-number the callouts) to make room for the new label
+    if (!isInline) {
+      const layoutResult = layoutLabels(this.artboard, this.document);
+      if (layoutResult) {
+        return layoutResult;
+      }
+    }
 
     // return a successful result
     result.status = 'success';
@@ -1229,15 +2721,24 @@ export default class Painter {
       },
     };
 
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
     // create or locate the container group
-    const { containerGroup, innerContainerGroup } = setContainerGroups(
+    const { containerGroup, innerContainerGroup, errorResult } = setContainerGroups(
       this.artboard,
       this.document,
       'boundingBox',
     );
+    if (errorResult) {
+      return errorResult;
+    }
 
     // draw the bounding box
-    const boundingBox = buildBoundingBox(frame, innerContainerGroup);
+    const boundingBox = buildBoundingBox(frame, innerContainerGroup, this.theme);
 
     if (!boundingBox) {
       result.status = 'error';
@@ -1255,6 +2756,121 @@ export default class Painter {
     return result;
   }
 
+  /**
+   * @description Takes the `alignments` found by Crawler and draws a dashed guide (with a
+   * label) for each edge that two or more layers share exactly, and a warning marker for each
+   * layer that misses an alignment by a few pixels. Guides and markers from an earlier check
+   * of the same layers are replaced.
+   *
+   * @kind function
+   * @name addAlignmentGuides
+   * @param {Array} alignments The alignments (see `Crawler.alignments`).
+   * @returns {Object} A result object container success/error status and log/toast messages.
+   */
+  addAlignmentGuides(alignments) {
+    const result = {
+      status: null,
+      messages: {
+        alert: null,
+        toast: null,
+        log: null,
+      },
+    };
+
+    // return an error if the selection is not placed on an artboard
+    if (!this.artboard) {
+      result.status = 'error';
+      result.messages.log = 'Selection not on artboard';
+      result.messages.alert = 'Your selection needs to be on an artboard';
+      return result;
+    }
+
+    // return an error if nothing lines up (or almost lines up)
+    if (!alignments || (alignments.length === 0)) {
+      result.status = 'error';
+      result.messages.log = 'No alignments found';
+      result.messages.alert = 'None of the layers in your selection are aligned (or close to it)';
+      return result;
+    }
+
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // create or locate the container group
+    const { containerGroup, innerContainerGroup, errorResult } = setContainerGroups(
+      this.artboard,
+      this.document,
+      'alignment',
+    );
+    if (errorResult) {
+      return errorResult;
+    }
+
+    // remove guides and markers drawn by an earlier check of these layers
+    const checkedLayerIds = [].concat(
+      ...alignments.map(({ layers }) => layers.map(({ id }) => id)),
+    );
+    [...innerContainerGroup.layers].forEach((guideGroup) => {
+      const guideSettings = Settings.layerSettingForKey(guideGroup, PLUGIN_IDENTIFIER);
+      if (
+        guideSettings
+        && guideSettings.layerIds
+        && guideSettings.layerIds.every(layerId => checkedLayerIds.includes(layerId))
+      ) {
+        guideGroup.remove();
+      }
+    });
+
+    // draw in artboard coordinates, offset by the inner group’s position
+    const origin = getPositionOnArtboard(innerContainerGroup.sketchObject);
+    let guideCount = 0;
+    const nearMisses = [];
+    alignments.forEach((alignment) => {
+      const { edge, layers } = alignment;
+      const alignedLayers = layers.filter(({ offset }) => offset === 0);
+      const layerIds = layers.map(({ id }) => id);
+
+      // only a shared edge gets a guide
+      if (alignedLayers.length > 1) {
+        const guideGroup = buildAlignmentGuide(
+          innerContainerGroup,
+          alignment,
+          origin,
+          this.theme.colors.spacing,
+          this.theme,
+        );
+        Settings.setLayerSettingForKey(guideGroup, PLUGIN_IDENTIFIER, { edge, layerIds });
+        guideCount += 1;
+      }
+
+      layers.filter(({ offset }) => offset !== 0).forEach((misalignedLayer) => {
+        const markerGroup = buildMisalignmentMarker(
+          innerContainerGroup,
+          edge,
+          misalignedLayer,
+          origin,
+          this.theme,
+        );
+        Settings.setLayerSettingForKey(markerGroup, PLUGIN_IDENTIFIER, { edge, layerIds });
+        nearMisses.push(`${edge}: ${Math.abs(misalignedLayer.offset)}px`);
+      });
+    });
+
+    innerContainerGroup.adjustToFit();
+    containerGroup.adjustToFit();
+
+    // return a successful result
+    result.status = 'success';
+    result.messages.log = `Alignment checked on “${this.artboard.name()}”: ${guideCount} guide(s), ${nearMisses.length} near-miss(es)`;
+    result.messages.toast = nearMisses.length > 0
+      ? `⚠️ Some layers are almost aligned (${nearMisses.join(', ')})`
+      : `📐 Found ${guideCount} alignment(s)`;
+    return result;
+  }
+
   /**
    * @description Takes a layer and creates two dimension annotations with the layer’s
    * `height` and `width`.
@@ -1282,17 +2898,27 @@ export default class Painter {
       return result;
     }
 
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
     // set up some information
     const annotationType = 'dimension';
     const layerId = fromNative(this.layer).id;
     const layerName = this.layer.name();
+    const preferences = new Preferences({ for: this.document });
 
     // create or locate the container group
-    const { containerGroup, innerContainerGroup } = setContainerGroups(
+    const { containerGroup, innerContainerGroup, errorResult } = setContainerGroups(
       this.artboard,
       this.document,
       annotationType,
     );
+    if (errorResult) {
+      return errorResult;
+    }
 
     // retrieve document settings
     const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
@@ -1328,15 +2954,24 @@ export default class Painter {
       index: fromNative(this.layer).index,
     };
 
+    const backgroundHex = readLabelBackground(this.artboard, this.document, layerFrame);
+
     // ------------------------
     // construct the width annotation elements
-    const annotationTextWidth = `${this.layer.frame().width()}dp`;
+    const annotationTextWidth = preferences.labelWithToken(
+      'size',
+      this.layer.frame().width(),
+      preferences.formatMeasurement(this.layer.frame().width()),
+    );
     const groupNameWidth = `Dimension Width for layer ${layerName}`;
     const annotationWidth = buildAnnotation(
       annotationTextWidth,
       null, // annotationSecondaryText
       annotationType,
       this.artboard,
+      null, // warningType
+      this.theme,
+      backgroundHex,
     );
 
     const annotationOrientation = 'top';
@@ -1354,6 +2989,10 @@ export default class Painter {
       containerGroupId: fromNative(containerGroup).id,
       id: group.id,
       originalId: layerId,
+      originalName: layerName,
+      originalFrame: getFrameOnArtboard(this.layer),
+      dimension: 'width',
+      measurement: this.layer.frame().width(),
     };
 
     // update the `newDocumentSettings` array
@@ -1363,16 +3002,24 @@ export default class Painter {
       newDocumentSettings,
       'add',
     );
+    setRecordSettings(group, newAnnotatedDimensionSetWidth);
 
     // ------------------------
     // construct the height annotation elements
-    const annotationTextHeight = `${this.layer.frame().height()}dp`;
+    const annotationTextHeight = preferences.labelWithToken(
+      'size',
+      this.layer.frame().height(),
+      preferences.formatMeasurement(this.layer.frame().height()),
+    );
     const groupNameHeight = `Dimension Height for layer ${layerName}`;
     const annotationHeight = buildAnnotation(
       annotationTextHeight,
       null, // annotationSecondaryText
       annotationType,
       this.artboard,
+      null, // warningType
+      this.theme,
+      backgroundHex,
     );
 
     const annotationOrientationHeight = 'right';
@@ -1390,6 +3037,10 @@ export default class Painter {
       containerGroupId: fromNative(containerGroup).id,
       id: groupHeight.id,
       originalId: layerId,
+      originalName: layerName,
+      originalFrame: getFrameOnArtboard(this.layer),
+      dimension: 'height',
+      measurement: this.layer.frame().height(),
     };
 
     // update the `newDocumentSettings` array
@@ -1399,15 +3050,17 @@ export default class Painter {
       newDocumentSettings,
       'add',
     );
+    setRecordSettings(groupHeight, newAnnotatedDimensionSetHeight);
 
     // ------------------------
 
-    // commit the `Settings` update
-    Settings.setDocumentSettingForKey(
-      this.document,
-      PLUGIN_IDENTIFIER,
-      newDocumentSettings,
-    );
+    // commit the `Settings` update; annotations that cannot be recorded are removed
+    const commitResult = commitDocumentSettings(this.document, newDocumentSettings);
+    if (commitResult.status === 'error') {
+      group.remove();
+      groupHeight.remove();
+      return commitResult;
+    }
 
     // return a successful result
     result.status = 'success';
@@ -1417,52 +3070,91 @@ export default class Painter {
 
   /**
    * @description Takes a `spacingFrame` object and creates a spacing measurement annotation
-   * with the correct spacing number (“IS-X”). If the calculated spacing number is larger
-   * than “IS-9”, the annotation is not created.
+   * labeled with the matching value on the document’s spacing scale (i.e. “IS-X”). If the
+   * measurement does not match any value on the scale, the raw measurement is used and the
+   * annotation is flagged with an “off-scale” warning badge. In strict mode, measurements that
+   * were rounded to a scale value are drawn in the warning style, showing both the actual
+   * measurement and the nearest valid value.
    *
    * @kind function
    * @name addSpacingAnnotation
    * @param {Object} spacingFrame The `x`, `y` coordinates, `width`, `height`, and `orientation`
    * of an entire selection. It should also includes layer IDs (`layerAId` and `layerBId`)
-   * for the two layers used to calculated the gap.
+   * for the two layers used to calculated the gap. An optional `sides` (see `SPACING_SIDES`)
+   * marks an annotation that stands in for more than one side; it replaces the annotations
+   * drawn for any of those sides before. Likewise, an optional `repeatCount` marks a gap
+   * annotation that stands in for a run of identical gaps, and `replaces` lists the layer ID
+   * pairs (`layerAId` and `layerBId`) of the other gaps in the run.
    *
-   * @returns {null}
+   * @returns {Object} The `annotationText` used and whether or not the measurement
+   * `isOffScale` or `isOffGrid` (or `null` if there is nothing to measure). If the annotation
+   * could not be recorded in the document settings, the error result is returned instead.
    */
   addSpacingAnnotation(spacingFrame) {
     // set up some information
     const measurementToUse = spacingFrame.orientation === 'vertical' ? spacingFrame.width : spacingFrame.height;
-    const spacingValue = retrieveSpacingValue(measurementToUse);
 
-    // if there is no `spacingValue`, the measurement is above an `IS-9` and
-    // isn’t considered valid
-    if (!spacingValue) {
+    // nothing to measure
+    if (!(measurementToUse > 0)) {
       return null;
     }
 
-    const annotationText = `IS-${spacingValue}`;
+    const preferences = new Preferences({ for: this.document });
+    const spacingScale = preferences.spacingScale();
+    const { annotationText, isOffGrid, isOffScale } = setSpacingText(
+      measurementToUse,
+      spacingScale,
+      preferences.get('strictSpacing'),
+      measurement => preferences.formatMeasurement(measurement),
+      spacingFrame.sides,
+      spacingFrame.repeatCount,
+      (value, text) => preferences.labelWithToken('spacing', value, text),
+    );
+
+    // flag measurements that are off-scale or (in strict mode) off-grid
+    let warningType = null;
+    if (isOffScale) {
+      warningType = 'offScale';
+    } else if (isOffGrid) {
+      warningType = 'offGrid';
+    }
+
     const annotationType = 'spacing';
     const layerName = this.layer.name();
     const groupName = `Spacing for ${layerName} (${spacingFrame.direction})`;
 
     // create or locate the container group
-    const { containerGroup, innerContainerGroup } = setContainerGroups(
+    const { containerGroup, innerContainerGroup, errorResult } = setContainerGroups(
       this.artboard,
       this.document,
       annotationType,
     );
+    if (errorResult) {
+      return errorResult;
+    }
 
     // retrieve document settings
     const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
     let newDocumentSettings = documentSettings;
 
     // check if we have already annotated this element and remove the old annotation
+    // (or, for an annotation that stands in for several sides or gaps, the old annotations)
+    const directions = SPACING_SIDES[spacingFrame.sides]
+      ? SPACING_SIDES[spacingFrame.sides].directions
+      : [spacingFrame.direction];
+    const layerPairs = [
+      { layerAId: spacingFrame.layerAId, layerBId: spacingFrame.layerBId },
+      ...(spacingFrame.replaces || []),
+    ];
     if (documentSettings && documentSettings.annotatedSpacings) {
       // remove the old ID pair(s) from the `newDocumentSettings` array
       documentSettings.annotatedSpacings.forEach((layerSet) => {
         if (
-          layerSet.layerAId === spacingFrame.layerAId
-          && layerSet.layerBId === spacingFrame.layerBId
-          && layerSet.direction === spacingFrame.direction
+          layerPairs.some(layerPair => (
+            layerSet.layerAId === layerPair.layerAId
+            && layerSet.layerBId === layerPair.layerBId
+          ))
+          && directions.includes(layerSet.direction)
         ) {
           this.removeAnnotation(layerSet);
 
@@ -1483,6 +3175,9 @@ export default class Painter {
       null, // annotationSecondaryText
       annotationType,
       this.artboard,
+      warningType,
+      this.theme,
+      readLabelBackground(this.artboard, this.document, spacingFrame),
     );
 
     // group and position the base annotation elements
@@ -1513,7 +3208,26 @@ export default class Painter {
       layerAId: spacingFrame.layerAId,
       layerBId: spacingFrame.layerBId,
       direction: spacingFrame.direction,
+      measurement: measurementToUse,
+      spacingScale: spacingScale.id,
+      isOffScale,
+      isOffGrid,
     };
+    if (SPACING_SIDES[spacingFrame.sides]) {
+      newAnnotatedSpacingSet.sides = spacingFrame.sides;
+    }
+    if (spacingFrame.repeatCount > 1) {
+      newAnnotatedSpacingSet.repeatCount = spacingFrame.repeatCount;
+    }
+
+    // keep the geometry of both layers to spot when the spacing is out of date
+    const layerA = this.document.getLayerWithID(spacingFrame.layerAId);
+    const layerB = this.document.getLayerWithID(spacingFrame.layerBId);
+    if (layerA && layerB) {
+      newAnnotatedSpacingSet.layerAFrame = getFrameOnArtboard(layerA.sketchObject);
+      newAnnotatedSpacingSet.layerBFrame = getFrameOnArtboard(layerB.sketchObject);
+    }
+    setRecordSettings(group, newAnnotatedSpacingSet);
 
     // update the `newDocumentSettings` array
     newDocumentSettings = updateArray(
@@ -1523,14 +3237,18 @@ export default class Painter {
       'add',
     );
 
-    // commit the `Settings` update
-    Settings.setDocumentSettingForKey(
-      this.document,
-      PLUGIN_IDENTIFIER,
-      newDocumentSettings,
-    );
+    // commit the `Settings` update; an annotation that cannot be recorded is removed
+    const commitResult = commitDocumentSettings(this.document, newDocumentSettings);
+    if (commitResult.status === 'error') {
+      group.remove();
+      return commitResult;
+    }
 
-    return null;
+    return {
+      annotationText,
+      isOffGrid,
+      isOffScale,
+    };
   }
 
   /**
@@ -1571,15 +3289,37 @@ export default class Painter {
       return result;
     }
 
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
     // set direction (type)
     spacingFrame.direction = 'gap'; // eslint-disable-line no-param-reassign
 
     // add the annotation
-    this.addSpacingAnnotation(spacingFrame);
+    const spacingResult = this.addSpacingAnnotation(spacingFrame);
+    if (spacingResult && (spacingResult.status === 'error')) {
+      return spacingResult;
+    }
 
     // return a successful result
     result.status = 'success';
     result.messages.log = `Spacing annotated for “${this.layer.name()}”`;
+
+    // flag measurements that are not on the spacing scale
+    if (spacingResult && spacingResult.isOffScale) {
+      const { name } = new Preferences({ for: this.document }).spacingScale();
+      result.messages.log = `Off-scale spacing (${spacingResult.annotationText}) annotated for “${this.layer.name()}”`;
+      result.messages.toast = `⚠️ That gap (${spacingResult.annotationText}) is not on the ${name} scale`;
+    }
+
+    // flag measurements that do not exactly match the spacing scale (strict mode)
+    if (spacingResult && spacingResult.isOffGrid) {
+      result.messages.log = `Off-grid spacing (${spacingResult.annotationText}) annotated for “${this.layer.name()}”`;
+      result.messages.toast = `⚠️ That gap is off-grid: ${spacingResult.annotationText}`;
+    }
     return result;
   }
 
@@ -1596,12 +3336,16 @@ export default class Painter {
    * overlapped areas.
    * @param {Array} directions An optional array containing 4 unique strings representating
    * the annotation directions: `top`, `bottom`, `right`, `left`.
+   * @param {boolean} collapseEqualSides Draw a single annotation for sides with the same
+   * measurement: “IS-4 all sides” if all four match, otherwise “top & bottom” and “left &
+   * right” pairs (optional; defaults to `false`).
    *
    * @returns {Object} A result object container success/error status and log/toast messages.
    */
   addOverlapMeasurements(
     overlapFrames,
     directions = ['top', 'bottom', 'right', 'left'],
+    collapseEqualSides = false,
   ) {
     const result = {
       status: null,
@@ -1628,7 +3372,47 @@ export default class Painter {
       return result;
     }
 
-    directions.forEach((direction) => {
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // decide which sides to draw; equal sides can share a single annotation
+    const measureSide = direction => (
+      overlapFrames[direction].orientation === 'vertical'
+        ? overlapFrames[direction].width
+        : overlapFrames[direction].height
+    );
+    const isDrawable = direction => (
+      directions.includes(direction)
+      && (overlapFrames[direction].width > 2)
+      && (overlapFrames[direction].height > 2)
+    );
+    let sidesToDraw = directions.map(direction => ({ direction, sides: null }));
+    if (collapseEqualSides) {
+      const collapsedSides = Object.keys(SPACING_SIDES).filter((sides) => {
+        const sideDirections = SPACING_SIDES[sides].directions;
+        return sideDirections.every(direction => (
+          isDrawable(direction)
+          && (measureSide(direction) === measureSide(sideDirections[0]))
+        ));
+      });
+
+      // all sides win over pairs
+      const sidesKeys = collapsedSides.includes('all') ? ['all'] : collapsedSides;
+      const collapsedDirections = [].concat(
+        ...sidesKeys.map(sides => SPACING_SIDES[sides].directions),
+      );
+      sidesToDraw = [
+        ...sidesKeys.map(sides => ({ direction: SPACING_SIDES[sides].directions[0], sides })),
+        ...sidesToDraw.filter(({ direction }) => !collapsedDirections.includes(direction)),
+      ];
+    }
+
+    const flaggedLabels = [];
+    let errorResult = null;
+    sidesToDraw.forEach(({ direction, sides }) => {
       // do not annotate if the results are negative, or less than a single
       // IS-X spacing unit
       if (overlapFrames[direction].width <= 2 || overlapFrames[direction].height <= 2) {
@@ -1653,14 +3437,139 @@ export default class Painter {
         layerAId: overlapFrames.layerAId,
         layerBId: overlapFrames.layerBId,
         direction,
+        sides,
       };
 
-      return this.addSpacingAnnotation(spacingFrame);
+      const spacingResult = this.addSpacingAnnotation(spacingFrame);
+      if (spacingResult && (spacingResult.status === 'error')) {
+        errorResult = spacingResult;
+      } else if (spacingResult && (spacingResult.isOffScale || spacingResult.isOffGrid)) {
+        flaggedLabels.push(`${sides ? SPACING_SIDES[sides].label : direction}: ${spacingResult.annotationText}`);
+      }
+      return null;
     });
 
+    // return the first error, if any annotation could not be recorded
+    if (errorResult) {
+      return errorResult;
+    }
+
     // return a successful result
     result.status = 'success';
     result.messages.log = `Spacing (${directions.join(', ')}) annotated for “${this.layer.name()}”`;
+
+    // flag measurements that are not on (or do not exactly match) the spacing scale
+    if (flaggedLabels.length > 0) {
+      const { name } = new Preferences({ for: this.document }).spacingScale();
+      result.messages.toast = `⚠️ Some spacing does not match the ${name} scale (${flaggedLabels.join(', ')})`;
+    }
+    return result;
+  }
+
+  /**
+   * @description Takes an array of `gapFrames` from Crawler (the gaps between neighbouring
+   * layers in a row or a column) and creates a spacing measurement annotation with the correct
+   * spacing number (“IS-X”) for each gap in one pass. When collapsing, a run of neighbouring
+   * gaps with the same measurement is drawn as a single annotation in the middle of the run
+   * (i.e. “IS-3 ×5 between items”).
+   *
+   * @kind function
+   * @name addGapChainMeasurements
+   * @param {Array} gapFrames The gap frames, in order. Each frame contains `x`, `y`
+   * coordinates, `width`, `height`, and `orientation`, and the layer IDs (`layerAId` and
+   * `layerBId`) for the two layers used to calculated the gap.
+   * @param {boolean} collapseRuns Draw a single annotation for each run of identical gaps
+   * (optional; defaults to `false`).
+   *
+   * @returns {Object} A result object container success/error status and log/toast messages.
+   */
+  addGapChainMeasurements(gapFrames, collapseRuns = false) {
+    const result = {
+      status: null,
+      messages: {
+        alert: null,
+        toast: null,
+        log: null,
+      },
+    };
+
+    // return an error if the selection is not placed on an artboard
+    if (!this.artboard) {
+      result.status = 'error';
+      result.messages.log = 'Selection not on artboard';
+      result.messages.alert = 'Your selection needs to be on an artboard';
+      return result;
+    }
+
+    // return an error if there are no gaps between the layers
+    if (!gapFrames || (gapFrames.length === 0)) {
+      result.status = 'error';
+      result.messages.log = 'gapFrames is missing';
+      result.messages.alert = 'Could not find any gaps between the layers in your selection';
+      return result;
+    }
+
+    // make sure the existing document settings can be read
+    const readResult = readDocumentSettings(this.document);
+    if (readResult.status === 'error') {
+      return readResult;
+    }
+
+    // group neighbouring gaps with the same measurement into runs
+    const measureGap = gapFrame => (
+      gapFrame.orientation === 'vertical' ? gapFrame.width : gapFrame.height
+    );
+    const runs = [];
+    gapFrames.forEach((gapFrame) => {
+      const currentRun = runs[runs.length - 1];
+      if (
+        collapseRuns
+        && currentRun
+        && (currentRun[0].orientation === gapFrame.orientation)
+        && (measureGap(currentRun[0]) === measureGap(gapFrame))
+      ) {
+        currentRun.push(gapFrame);
+      } else {
+        runs.push([gapFrame]);
+      }
+    });
+
+    const flaggedLabels = [];
+    let errorResult = null;
+    runs.forEach((run) => {
+      // a run is labeled once, in its middle gap; the other gaps’ annotations are replaced
+      const middleIndex = Math.floor((run.length - 1) / 2);
+      const spacingFrame = {
+        ...run[middleIndex],
+        direction: 'gap',
+      };
+      if (run.length > 1) {
+        spacingFrame.repeatCount = run.length;
+        spacingFrame.replaces = run.map(({ layerAId, layerBId }) => ({ layerAId, layerBId }));
+      }
+
+      const spacingResult = this.addSpacingAnnotation(spacingFrame);
+      if (spacingResult && (spacingResult.status === 'error')) {
+        errorResult = errorResult || spacingResult;
+      } else if (spacingResult && (spacingResult.isOffScale || spacingResult.isOffGrid)) {
+        flaggedLabels.push(spacingResult.annotationText);
+      }
+    });
+
+    // return the first error, if any annotation could not be recorded
+    if (errorResult) {
+      return errorResult;
+    }
+
+    // return a successful result
+    result.status = 'success';
+    result.messages.log = `Spacing annotated for ${gapFrames.length} gap(s) in ${runs.length} annotation(s)`;
+
+    // flag measurements that are not on (or do not exactly match) the spacing scale
+    if (flaggedLabels.length > 0) {
+      const { name } = new Preferences({ for: this.document }).spacingScale();
+      result.messages.toast = `⚠️ Some gaps do not match the ${name} scale (${flaggedLabels.join(', ')})`;
+    }
     return result;
   }
 }
@@ -0,0 +1,1363 @@
+import path from 'path';
+import { Settings } from 'sketch';
+import { INPUT_TYPE } from 'sketch/ui';
+import { askUser, readFile } from './Tools';
+import { commitDocumentSettings } from './Validator';
+import {
+  DEFAULT_THEME,
+  NAME_RESOLVERS,
+  PLUGIN_IDENTIFIER,
+  SPACING_SCALES,
+} from './constants';
+
+/**
+ * @description The value used for each document preference until one is chosen.
+ *
+ * @kind constant
+ * @name DEFAULT_PREFERENCES
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_PREFERENCES = {
+  collapseSpacing: false,
+  designTokens: null,
+  nameMapping: null,
+  nameResolvers: ['lingo', 'library', 'local', 'mapping'],
+  placement: 'inline',
+  remRootSize: 16,
+  sampleUnderLabels: false,
+  secondaryUnit: null,
+  spacingScale: 'art-deco',
+  strictSpacing: false,
+  theme: null,
+  tokenLabels: 'alongside',
+  unit: 'dp',
+};
+
+/**
+ * @description Rounds a converted measurement to (at most) two decimal places.
+ *
+ * @kind function
+ * @name roundMeasurement
+ * @param {number} value The measurement.
+ * @returns {number} The rounded measurement.
+ * @private
+ */
+const roundMeasurement = value => Math.round(value * 100) / 100;
+
+/**
+ * @description The units available for measurement labels. Each unit has a `name` for the
+ * settings dialog and converts a measurement (in dp) to the label text.
+ *
+ * @kind constant
+ * @name UNITS
+ * @type {Object}
+ * @private
+ */
+const UNITS = {
+  dp: {
+    name: 'dp (Android)',
+    label: value => `${roundMeasurement(value)}dp`,
+  },
+  pt: {
+    name: 'pt (iOS)',
+    label: value => `${roundMeasurement(value)}pt`,
+  },
+  px: {
+    name: 'px (Web)',
+    label: value => `${roundMeasurement(value)}px`,
+  },
+  rem: {
+    name: 'rem (Web)',
+    label: (value, remRootSize) => `${roundMeasurement(value / remRootSize)}rem`,
+  },
+  '2x': {
+    name: 'px @2x',
+    label: value => `${roundMeasurement(value * 2)}px @2x`,
+  },
+  '3x': {
+    name: 'px @3x',
+    label: value => `${roundMeasurement(value * 3)}px @3x`,
+  },
+};
+
+/**
+ * @description The ways labels (component, style, and custom annotations) can be placed,
+ * each with a `name` for the settings dialog.
+ *
+ * @kind constant
+ * @name PLACEMENTS
+ * @type {Object}
+ * @private
+ */
+const PLACEMENTS = {
+  inline: {
+    name: 'On the artboard, next to each layer',
+  },
+  gutterRight: {
+    name: 'In a gutter to the right of the artboard',
+  },
+  gutterLeft: {
+    name: 'In a gutter to the left of the artboard',
+  },
+  callouts: {
+    name: 'As numbered callouts, with a legend beside the artboard',
+  },
+};
+
+/**
+ * @description Reads a number from text and checks that it falls within a range.
+ *
+ * @kind function
+ * @name parseNumber
+ * @param {string} value The text entered by the user.
+ * @param {number} min The smallest allowed number.
+ * @param {number} max The largest allowed number.
+ * @returns {number} The number, or `null` if it is not a number or is out of range.
+ * @private
+ */
+const parseNumber = (value, min, max) => {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || (number < min) || (number > max)) {
+    return null;
+  }
+  return number;
+};
+
+/**
+ * @description Reads a hex color (i.e. `#9966ff` or `9966FF`) from text.
+ *
+ * @kind function
+ * @name parseColor
+ * @param {string} value The text entered by the user.
+ * @returns {string} The lowercase hex color, or `null` if it is not a six-digit hex color.
+ * @private
+ */
+const parseColor = (value) => {
+  const match = `${value}`.trim().match(/^#?([0-9a-f]{6})$/i);
+  return match ? `#${match[1].toLowerCase()}` : null;
+};
+
+/**
+ * @description The parts of a theme (see `DEFAULT_THEME`) that can be changed, each with a
+ * `name` for the settings dialog and a `parse` function that turns the text entered into a
+ * value (or `null` if the text is not valid). Colors are keyed by their path in the theme.
+ *
+ * @kind constant
+ * @name THEME_PROPERTIES
+ * @type {Object}
+ * @private
+ */
+const THEME_PROPERTIES = {
+  'colors.component': { name: 'Component color', parse: parseColor },
+  'colors.custom': { name: 'Custom annotation color', parse: parseColor },
+  'colors.dimension': { name: 'Dimension color', parse: parseColor },
+  'colors.legend': { name: 'Callout legend text color', parse: parseColor },
+  'colors.spacing': { name: 'Spacing color', parse: parseColor },
+  'colors.style': { name: 'Style color', parse: parseColor },
+  fontFamily: {
+    name: 'Font family',
+    parse: value => `${value}`.trim() || null,
+  },
+  fontSize: {
+    name: 'Font size (8–16)',
+    parse: value => parseNumber(value, 8, 16),
+  },
+  fontWeight: {
+    name: 'Font weight (0–12)',
+    parse: value => parseNumber(value, 0, 12),
+  },
+  cornerRadius: {
+    name: 'Corner radius (0–11)',
+    parse: value => parseNumber(value, 0, 11),
+  },
+  opacity: {
+    name: 'Opacity (0–1)',
+    parse: value => parseNumber(value, 0, 1),
+  },
+  boundingBoxOpacity: {
+    name: 'Bounding box opacity (0–1)',
+    parse: value => parseNumber(value, 0, 1),
+  },
+};
+
+/**
+ * @description Layers a set of (partial) theme settings on top of a complete theme.
+ *
+ * @kind function
+ * @name mergeTheme
+ * @param {Object} theme The complete theme.
+ * @param {Object} overrides The theme settings to apply on top (optional).
+ * @returns {Object} A new, complete theme.
+ * @private
+ */
+const mergeTheme = (theme, overrides) => {
+  if (!overrides) {
+    return theme;
+  }
+
+  return {
+    ...theme,
+    ...overrides,
+    colors: {
+      ...theme.colors,
+      ...(overrides.colors || {}),
+    },
+  };
+};
+
+/**
+ * @description The kinds of design tokens that annotations are matched against, in the order
+ * they are tried. A token’s kind is read from the segments of its name (i.e. `spacing` in
+ * `spacing.inline.md`) or, if none of them match, from its `type`. Segments and types are
+ * compared in lowercase, without dashes or underscores.
+ *
+ * @kind constant
+ * @name TOKEN_KINDS
+ * @type {Array}
+ * @private
+ */
+const TOKEN_KINDS = [
+  {
+    kind: 'color',
+    segments: ['color', 'colors'],
+    types: ['color'],
+  },
+  {
+    kind: 'fontFamily',
+    segments: ['fontfamily', 'fontfamilies', 'family'],
+    types: ['fontfamily', 'fontfamilies'],
+  },
+  {
+    kind: 'fontWeight',
+    segments: ['fontweight', 'fontweights', 'weight'],
+    types: ['fontweight', 'fontweights'],
+  },
+  {
+    kind: 'fontSize',
+    segments: ['fontsize', 'fontsizes'],
+    types: ['fontsize', 'fontsizes'],
+  },
+  {
+    kind: 'lineHeight',
+    segments: ['lineheight', 'lineheights', 'leading'],
+    types: ['lineheight', 'lineheights'],
+  },
+  {
+    kind: 'radius',
+    segments: ['radius', 'radii', 'borderradius', 'cornerradius'],
+    types: ['borderradius', 'radius'],
+  },
+  {
+    kind: 'spacing',
+    segments: ['spacing', 'space', 'spacer', 'gap', 'inset'],
+    types: ['spacing'],
+  },
+  {
+    kind: 'size',
+    segments: ['size', 'sizes', 'sizing', 'dimension', 'dimensions'],
+    types: ['size', 'sizing', 'dimension'],
+  },
+];
+
+/**
+ * @description CSS font weights, keyed by the names used for them in token files (and in
+ * typography specs), compared in lowercase without spaces, dashes, or underscores.
+ *
+ * @kind constant
+ * @name FONT_WEIGHTS
+ * @type {Object}
+ * @private
+ */
+const FONT_WEIGHTS = {
+  hairline: 100,
+  thin: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  book: 400,
+  normal: 400,
+  regular: 400,
+  medium: 500,
+  demibold: 600,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  heavy: 900,
+  black: 900,
+};
+
+/**
+ * @description Works out the kind of a design token (see `TOKEN_KINDS`) from its name and
+ * type. A `size` inside a font group (i.e. `font.size.md`) is a font size.
+ *
+ * @kind function
+ * @name readTokenKind
+ * @param {Array} names The segments of the token’s name.
+ * @param {string} type The token’s `type` (optional).
+ * @returns {string} The kind of token, or `null` if it is not used in annotations.
+ * @private
+ */
+const readTokenKind = (names, type) => {
+  const normalize = text => `${text}`.toLowerCase().replace(/[\s_-]/g, '');
+  let segments = names.map(normalize);
+  if (segments.some(segment => ['font', 'fonts', 'type', 'typography'].includes(segment))) {
+    segments = segments.map(segment => (['size', 'sizes'].includes(segment) ? 'fontsize' : segment));
+  }
+
+  const tokenKind = TOKEN_KINDS.find(({ segments: kindSegments }) => (
+    segments.some(segment => kindSegments.includes(segment))
+  )) || TOKEN_KINDS.find(({ types }) => type && types.includes(normalize(type)));
+  return tokenKind ? tokenKind.kind : null;
+};
+
+/**
+ * @description Reads a color written as hex (`#rgb`, `#rrggbb`, or with alpha) or as
+ * `rgb()`/`rgba()` in a token file (or a Sketch color).
+ *
+ * @kind function
+ * @name parseTokenColor
+ * @param {string} value The color.
+ * @returns {string} The color as a lowercase 8-digit hex string (i.e. `#1f1f1fff`), or
+ * `null` if it is not a color.
+ * @private
+ */
+const parseTokenColor = (value) => {
+  const text = `${value}`.trim().toLowerCase();
+  const toHex = number => Math.round(Math.min(Math.max(number, 0), 255))
+    .toString(16)
+    .padStart(2, '0');
+
+  const hexMatch = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length < 6) {
+      hex = hex.split('').map(digit => `${digit}${digit}`).join('');
+    }
+    return `#${hex}${hex.length === 6 ? 'ff' : ''}`;
+  }
+
+  const rgbMatch = text.match(/^rgba?\(([^)]+)\)$/);
+  if (rgbMatch) {
+    const [red, green, blue, alpha = '1'] = rgbMatch[1].split(/[\s,/]+/).filter(part => part);
+    const channels = [red, green, blue].map(channel => parseFloat(channel));
+    const opacity = alpha.endsWith('%') ? parseFloat(alpha) / 100 : parseFloat(alpha);
+    if (channels.some(channel => Number.isNaN(channel)) || Number.isNaN(opacity)) {
+      return null;
+    }
+    return `#${channels.map(toHex).join('')}${toHex(opacity * 255)}`;
+  }
+
+  return null;
+};
+
+/**
+ * @description Reads the value of a design token (or a value from a layer being annotated)
+ * so that the two can be compared: colors become 8-digit hex strings, font families their
+ * first family, font weights CSS weights, and everything else a number in dp (`rem` and
+ * `em` are converted with the root font size; unitless line heights stay as they are).
+ *
+ * @kind function
+ * @name parseTokenValue
+ * @param {string} kind The kind of token (see `TOKEN_KINDS`).
+ * @param {Object} value The value to read.
+ * @param {number} remRootSize The root font size (in px) used to convert `rem` and `em`.
+ * @returns {Object} The value, or `null` if it cannot be read.
+ * @private
+ */
+const parseTokenValue = (kind, value, remRootSize) => {
+  if ((value === null) || (value === undefined) || (typeof value === 'object')) {
+    return null;
+  }
+
+  const text = `${value}`.trim();
+  switch (kind) {
+    case 'color':
+      return parseTokenColor(text);
+    case 'fontFamily':
+      return text.split(',')[0].replace(/["']/g, '').trim().toLowerCase() || null;
+    case 'fontWeight': {
+      const weight = parseFloat(text);
+      if (!Number.isNaN(weight)) {
+        return weight;
+      }
+      return FONT_WEIGHTS[text.toLowerCase().replace(/[\s_-]/g, '')] || null;
+    }
+    default: {
+      const match = text.match(/^(-?[\d.]+)\s*(px|dp|pt|rem|em|%)?$/i);
+      if (!match || Number.isNaN(parseFloat(match[1]))) {
+        return null;
+      }
+
+      const number = parseFloat(match[1]);
+      switch ((match[2] || '').toLowerCase()) {
+        case 'rem':
+        case 'em':
+          return roundMeasurement(number * remRootSize);
+        case '%':
+          return (kind === 'lineHeight') ? roundMeasurement(number / 100) : null;
+        default:
+          return roundMeasurement(number);
+      }
+    }
+  }
+};
+
+/**
+ * @description Lists every token in a design token file (in the Style Dictionary format):
+ * each object with a `value` (or `$value`) is a token, named by the dot-separated keys
+ * that lead to it. Groups can set a `type` (or `$type`) for the tokens inside them.
+ *
+ * @kind function
+ * @name flattenTokens
+ * @param {Object} group The token file (or a group inside it).
+ * @param {Array} names The keys leading to the group.
+ * @param {string} groupType The `type` set by the group (or one of its parents).
+ * @returns {Array} The tokens, each with its `names`, `type`, and (raw) `value`.
+ * @private
+ */
+const flattenTokens = (group, names = [], groupType = null) => Object.keys(group)
+  .filter(key => !key.startsWith('$') && group[key] && (typeof group[key] === 'object'))
+  .reduce((tokens, key) => {
+    const node = group[key];
+    const type = node.$type || node.type || groupType;
+    const value = (node.$value !== undefined) ? node.$value : node.value;
+
+    if (value !== undefined) {
+      return [...tokens, { names: [...names, key], type, value }];
+    }
+    return [...tokens, ...flattenTokens(node, [...names, key], type)];
+  }, []);
+
+/**
+ * @description Reads the tokens that annotations are matched against from a design token
+ * file (in the Style Dictionary format), following references to other tokens
+ * (i.e. `{color.base.blue}`). Tokens that are not used in annotations (see `TOKEN_KINDS`),
+ * or whose value cannot be read, are left out.
+ *
+ * @kind function
+ * @name readDesignTokens
+ * @param {Object} tokenFile The parsed token file.
+ * @param {number} remRootSize The root font size (in px) used to convert `rem` and `em`.
+ * @returns {Array} The tokens, each with its `name`, `kind`, and `value`.
+ * @private
+ */
+const readDesignTokens = (tokenFile, remRootSize) => {
+  const rawTokens = flattenTokens(tokenFile).map(token => ({
+    ...token,
+    name: token.names.join('.'),
+  }));
+  const resolveValue = (value, depth = 0) => {
+    const match = `${value}`.match(/^\{([^}]+)\}$/);
+    if (!match) {
+      return value;
+    }
+
+    const name = match[1].replace(/\.\$?value$/, '');
+    const referencedToken = rawTokens.find(token => token.name === name);
+    return (referencedToken && (depth < 10))
+      ? resolveValue(referencedToken.value, depth + 1)
+      : null;
+  };
+
+  // tokens that refer to other tokens (usually the semantic ones, i.e. `color.brand.primary`)
+  // come first, so that they are matched before the base tokens they refer to
+  const isAlias = token => /^\{[^}]+\}$/.test(`${token.value}`);
+  return [
+    ...rawTokens.filter(isAlias),
+    ...rawTokens.filter(token => !isAlias(token)),
+  ].reduce((tokens, token) => {
+    const kind = readTokenKind(token.names, token.type);
+    const value = kind ? parseTokenValue(kind, resolveValue(token.value), remRootSize) : null;
+    if (value === null) {
+      return tokens;
+    }
+    return [...tokens, { name: token.name, kind, value }];
+  }, []);
+};
+
+/**
+ * @description Reads a JSON file chosen for a document (i.e. a design token file). Paths
+ * can be relative to the document.
+ *
+ * @kind function
+ * @name readDocumentJSON
+ * @param {Object} document The Sketch document the file is chosen for.
+ * @param {string} filePath The path entered by the user.
+ * @returns {Object} The full `filePath` (`null` if a relative path was entered for an unsaved
+ * document) and the parsed `contents` (`null` if the file is missing or is not JSON).
+ * @private
+ */
+const readDocumentJSON = (document, filePath) => {
+  if (!path.isAbsolute(filePath) && !document.path) {
+    return {
+      filePath: null,
+      contents: null,
+    };
+  }
+
+  const fullPath = path.resolve(path.dirname(document.path || '/'), filePath);
+  const text = readFile(fullPath);
+  let contents = null;
+  try {
+    contents = text ? JSON.parse(text) : null;
+  } catch (error) {
+    contents = null;
+  }
+
+  return {
+    filePath: fullPath,
+    contents: (contents && (typeof contents === 'object')) ? contents : null,
+  };
+};
+
+// --- main Preferences class function
+/**
+ * @description A class to read and update the preferences stored with a document
+ * (alongside the annotation data in the document settings).
+ *
+ * @class
+ * @name Preferences
+ *
+ * @constructor
+ *
+ * @property document The Sketch file the preferences belong to.
+ */
+export default class Preferences {
+  constructor({ for: document }) {
+    this.document = document;
+  }
+
+  /**
+   * @description Reads a preference from the document settings, falling back to the default.
+   *
+   * @kind function
+   * @name get
+   * @param {string} key The name of the preference.
+   * @returns {Object} The value of the preference.
+   */
+  get(key) {
+    const documentSettings = Settings.documentSettingForKey(this.document, PLUGIN_IDENTIFIER);
+
+    if (documentSettings && (documentSettings[key] !== undefined)) {
+      return documentSettings[key];
+    }
+    return DEFAULT_PREFERENCES[key];
+  }
+
+  /**
+   * @description Stores a preference in the document settings.
+   *
+   * @kind function
+   * @name set
+   * @param {string} key The name of the preference.
+   * @param {Object} value The new value of the preference.
+   * @returns {Object} The validation result; nothing is stored if its `status` is `error`.
+   */
+  set(key, value) {
+    return this.update({ [key]: value });
+  }
+
+  /**
+   * @description Stores several preferences in the document settings at once. The settings
+   * are validated first, so either all of the preferences are stored or none of them are.
+   *
+   * @kind function
+   * @name update
+   * @param {Object} values The new values, keyed by the name of the preference.
+   * @returns {Object} The validation result; nothing is stored if its `status` is `error`.
+   */
+  update(values) {
+    const documentSettings = Settings.documentSettingForKey(
+      this.document,
+      PLUGIN_IDENTIFIER,
+    ) || {};
+
+    // commit the `Settings` update
+    return commitDocumentSettings(this.document, {
+      ...documentSettings,
+      ...values,
+    });
+  }
+
+  /**
+   * @description Looks up the theme used to draw the document’s annotations: the plugin’s
+   * default theme (set for all documents), with the document’s own theme settings on top.
+   *
+   * @kind function
+   * @name theme
+   * @returns {Object} The complete theme (see `DEFAULT_THEME`).
+   */
+  theme() {
+    const pluginSettings = Settings.settingForKey(PLUGIN_IDENTIFIER) || {};
+    const pluginTheme = mergeTheme(DEFAULT_THEME, pluginSettings.theme);
+
+    return mergeTheme(pluginTheme, this.get('theme'));
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog boxes to allow the user to change
+   * one part of the theme (or reset it), either for the document or as the plugin’s default
+   * for all documents. Document theme settings win over the plugin’s default.
+   *
+   * @kind function
+   * @name chooseTheme
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  chooseTheme() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const resetName = 'Reset to the default theme';
+    const scopeNames = {
+      document: 'Only this document',
+      plugin: 'All documents (the plugin’s default)',
+    };
+    const propertyIds = Object.keys(THEME_PROPERTIES);
+    const propertyNames = propertyIds.map(propertyId => THEME_PROPERTIES[propertyId].name);
+
+    const propertyInput = askUser('Which part of the annotation theme should change?', {
+      type: INPUT_TYPE.selection,
+      initialValue: propertyNames[0],
+      possibleValues: [...propertyNames, resetName],
+    });
+
+    if (propertyInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set theme was canceled by user';
+      return result;
+    }
+
+    const scopeInput = askUser('Apply the change to:', {
+      type: INPUT_TYPE.selection,
+      initialValue: scopeNames.document,
+      possibleValues: [scopeNames.document, scopeNames.plugin],
+    });
+
+    if (scopeInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set theme was canceled by user';
+      return result;
+    }
+
+    const isPluginDefault = scopeInput.value === scopeNames.plugin;
+    const pluginSettings = Settings.settingForKey(PLUGIN_IDENTIFIER) || {};
+    const currentTheme = isPluginDefault ? mergeTheme(DEFAULT_THEME, pluginSettings.theme)
+      : this.theme();
+    let themeSettings = (isPluginDefault ? pluginSettings.theme : this.get('theme')) || {};
+    let propertyId = null;
+
+    if (propertyInput.value === resetName) {
+      themeSettings = null;
+    } else {
+      propertyId = propertyIds[propertyNames.indexOf(propertyInput.value)];
+      if (!propertyId) {
+        result.status = 'error';
+        result.messages.log = `Theme setting “${propertyInput.value}” does not exist`;
+        return result;
+      }
+
+      const [groupKey, colorKey] = propertyId.split('.');
+      const currentValue = colorKey ? currentTheme[groupKey][colorKey] : currentTheme[groupKey];
+      const valueInput = askUser(`${propertyInput.value}:`, {
+        type: INPUT_TYPE.string,
+        initialValue: `${currentValue}`,
+      });
+      const value = valueInput.error ? null : THEME_PROPERTIES[propertyId].parse(valueInput.value);
+
+      if (value === null) {
+        result.status = 'error';
+        result.messages.log = 'Set theme was canceled or the value was invalid';
+        result.messages.toast = valueInput.error ? null
+          : `“${valueInput.value}” is not a valid value for ${propertyInput.value.toLowerCase()}`;
+        return result;
+      }
+
+      if (colorKey) {
+        themeSettings = {
+          ...themeSettings,
+          colors: {
+            ...(themeSettings.colors || {}),
+            [colorKey]: value,
+          },
+        };
+      } else {
+        themeSettings = {
+          ...themeSettings,
+          [groupKey]: value,
+        };
+      }
+    }
+
+    if (isPluginDefault) {
+      Settings.setSettingForKey(PLUGIN_IDENTIFIER, {
+        ...pluginSettings,
+        theme: themeSettings,
+      });
+    } else {
+      const setResult = this.set('theme', themeSettings);
+      if (setResult.status === 'error') {
+        return setResult;
+      }
+    }
+
+    result.status = 'success';
+    result.messages.log = `Theme ${propertyId ? `setting “${propertyId}” changed` : 'reset'} for ${isPluginDefault ? 'all documents' : 'this document'}`;
+    result.messages.toast = propertyId
+      ? `🎨 ${propertyInput.value} updated`
+      : '🎨 The theme was reset';
+    return result;
+  }
+
+  /**
+   * @description Looks up the spacing scale selected for the document.
+   *
+   * @kind function
+   * @name spacingScale
+   * @returns {Object} The spacing scale (see `SPACING_SCALES`), including its `id`.
+   */
+  spacingScale() {
+    let scaleId = this.get('spacingScale');
+    if (!SPACING_SCALES[scaleId]) {
+      scaleId = DEFAULT_PREFERENCES.spacingScale;
+    }
+
+    return {
+      id: scaleId,
+      ...SPACING_SCALES[scaleId],
+    };
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog box to allow the user to choose
+   * the spacing scale used for the document’s spacing annotations.
+   *
+   * @kind function
+   * @name chooseSpacingScale
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  chooseSpacingScale() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const scaleIds = Object.keys(SPACING_SCALES);
+    const scaleNames = scaleIds.map(scaleId => SPACING_SCALES[scaleId].name);
+
+    const customInput = askUser('Choose the spacing scale for this document:', {
+      type: INPUT_TYPE.selection,
+      initialValue: this.spacingScale().name,
+      possibleValues: scaleNames,
+    });
+
+    if (customInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set spacing scale was canceled by user';
+      return result;
+    }
+
+    const scaleId = scaleIds[scaleNames.indexOf(customInput.value)];
+    if (!scaleId) {
+      result.status = 'error';
+      result.messages.log = `Spacing scale “${customInput.value}” does not exist`;
+      return result;
+    }
+
+    const setResult = this.set('spacingScale', scaleId);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Spacing scale set to “${scaleId}”`;
+    result.messages.toast = `📏 New spacing annotations will use the ${customInput.value} scale`;
+    return result;
+  }
+
+  /**
+   * @description Turns strict spacing on or off for the document. In strict mode, spacing
+   * that does not exactly match a value on the spacing scale is flagged instead of rounded.
+   *
+   * @kind function
+   * @name toggleStrictSpacing
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  toggleStrictSpacing() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const strictSpacing = !this.get('strictSpacing');
+
+    const setResult = this.set('strictSpacing', strictSpacing);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Strict spacing turned ${strictSpacing ? 'on' : 'off'}`;
+    result.messages.toast = strictSpacing
+      ? '📏 Strict spacing is on: off-grid spacing will be flagged'
+      : '📏 Strict spacing is off: spacing will be rounded to the scale';
+    return result;
+  }
+
+  /**
+   * @description Turns collapsed spacing on or off for the document. When it is on, “Measure
+   * Padding” draws a single annotation for sides with the same inset (i.e. “IS-4 all sides”)
+   * and measuring a row or column of layers draws a single annotation for each run of identical
+   * gaps (i.e. “IS-3 ×5 between items”).
+   *
+   * @kind function
+   * @name toggleCollapseSpacing
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  toggleCollapseSpacing() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const collapseSpacing = !this.get('collapseSpacing');
+
+    const setResult = this.set('collapseSpacing', collapseSpacing);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Collapsed spacing turned ${collapseSpacing ? 'on' : 'off'}`;
+    result.messages.toast = collapseSpacing
+      ? '📏 Collapsed spacing is on: equal padding and gaps will be labeled once'
+      : '📏 Collapsed spacing is off: every side and every gap will be labeled';
+    return result;
+  }
+
+  /**
+   * @description Turns sampling under labels on or off for the document. When it is on, the
+   * contrast of new annotations is checked against whatever is underneath them (i.e. a dark
+   * card) instead of only the artboard background.
+   *
+   * @kind function
+   * @name toggleSampleUnderLabels
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  toggleSampleUnderLabels() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const sampleUnderLabels = !this.get('sampleUnderLabels');
+
+    const setResult = this.set('sampleUnderLabels', sampleUnderLabels);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Sampling under labels turned ${sampleUnderLabels ? 'on' : 'off'}`;
+    result.messages.toast = sampleUnderLabels
+      ? '🌓 Contrast sampling under labels is on: labels will stand out from whatever is under them'
+      : '🌓 Contrast sampling under labels is off: labels will stand out from the artboard';
+    return result;
+  }
+
+  /**
+   * @description Formats a measurement (in dp) as label text using the document’s unit and,
+   * if one is set, secondary unit (i.e. “48dp · 3rem”).
+   *
+   * @kind function
+   * @name formatMeasurement
+   * @param {number} measurement The measurement in dp.
+   * @returns {string} The label text.
+   */
+  formatMeasurement(measurement) {
+    const remRootSize = this.get('remRootSize');
+    const unit = UNITS[this.get('unit')] ? this.get('unit') : DEFAULT_PREFERENCES.unit;
+    const secondaryUnit = this.get('secondaryUnit');
+    const labels = [UNITS[unit].label(measurement, remRootSize)];
+
+    if (UNITS[secondaryUnit] && (secondaryUnit !== unit)) {
+      labels.push(UNITS[secondaryUnit].label(measurement, remRootSize));
+    }
+
+    return labels.join(' · ');
+  }
+
+  /**
+   * @description Looks up the design tokens loaded for the document (see `loadDesignTokens`).
+   *
+   * @kind function
+   * @name designTokens
+   * @param {string} kind The kind of token to list (optional; see `TOKEN_KINDS`).
+   * @returns {Array} The tokens, each with its `name`, `kind`, and `value`, or `null` if the
+   * document does not use a token file.
+   */
+  designTokens(kind = null) {
+    const designTokens = this.get('designTokens');
+    if (!designTokens || !designTokens.tokens) {
+      return null;
+    }
+
+    return designTokens.tokens.filter(token => !kind || (token.kind === kind));
+  }
+
+  /**
+   * @description Finds the design token that matches a value read from a layer.
+   *
+   * @kind function
+   * @name findToken
+   * @param {string} kind The kind of token (see `TOKEN_KINDS`).
+   * @param {Object} values The value (or a list of values, tried in order) to match.
+   * @returns {Object} The matching token, or `null` if there is no match (or no token file).
+   */
+  findToken(kind, values) {
+    const tokens = this.designTokens(kind) || [];
+    const remRootSize = this.get('remRootSize');
+    const isMatch = (token, value) => (
+      (typeof token.value === 'number')
+        ? (Math.abs(token.value - value) < 0.01)
+        : (token.value === value)
+    );
+
+    let matchingToken = null;
+    [].concat(values).some((rawValue) => {
+      const value = parseTokenValue(kind, rawValue, remRootSize);
+      if (value !== null) {
+        matchingToken = tokens.find(token => isMatch(token, value)) || null;
+      }
+      return !!matchingToken;
+    });
+    return matchingToken;
+  }
+
+  /**
+   * @description Adds the name of the matching design token to the text for a value
+   * (i.e. “IS-2 · spacing.inline.md”), or uses the name instead of the text, depending on the
+   * document’s `tokenLabels`. Values without a matching token are marked (i.e. “18dp · no
+   * token”). Without a token file, the text is left as it is.
+   *
+   * @kind function
+   * @name labelWithToken
+   * @param {string} kind The kind of token (see `TOKEN_KINDS`).
+   * @param {Object} values The value (or a list of values, tried in order) to match.
+   * @param {string} text The text for the value.
+   * @returns {string} The label text.
+   */
+  labelWithToken(kind, values, text) {
+    if (!this.designTokens()) {
+      return text;
+    }
+
+    const token = this.findToken(kind, values);
+    if (!token) {
+      return `${text} · no token`;
+    }
+    return (this.get('tokenLabels') === 'instead') ? token.name : `${text} · ${token.name}`;
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog boxes to allow the user to load a
+   * design token file (JSON in the Style Dictionary format) for the document, and to choose
+   * whether token names are shown alongside values or instead of them. The path can be
+   * relative to the document; leaving it empty stops the document from using tokens. The
+   * tokens are stored with the document, so the file is only read again when it is reloaded.
+   *
+   * @kind function
+   * @name loadDesignTokens
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  loadDesignTokens() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const currentTokens = this.get('designTokens');
+    const labelOptions = {
+      alongside: 'Alongside the values (i.e. “IS-2 · spacing.inline.md”)',
+      instead: 'Instead of the values (i.e. “spacing.inline.md”)',
+    };
+
+    const pathInput = askUser('Design token file (Style Dictionary JSON), relative to this document. Leave empty to stop using tokens:', {
+      type: INPUT_TYPE.string,
+      initialValue: currentTokens ? currentTokens.path : 'tokens.json',
+    });
+
+    if (pathInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Load design tokens was canceled by user';
+      return result;
+    }
+
+    const tokenPath = `${pathInput.value || ''}`.trim();
+    if (!tokenPath) {
+      const setResult = this.set('designTokens', null);
+      if (setResult.status === 'error') {
+        return setResult;
+      }
+
+      result.status = 'success';
+      result.messages.log = 'Design tokens removed from the document';
+      result.messages.toast = '🎟 Annotations will no longer show design tokens';
+      return result;
+    }
+
+    // read and parse the file
+    const { filePath, contents: tokenFile } = readDocumentJSON(this.document, tokenPath);
+
+    if (!filePath) {
+      result.status = 'error';
+      result.messages.log = `Cannot find “${tokenPath}” relative to an unsaved document`;
+      result.messages.toast = '🆘 Save the document first, or use the full path to the token file';
+      return result;
+    }
+
+    if (!tokenFile) {
+      result.status = 'error';
+      result.messages.log = `Could not read design tokens from “${filePath}”`;
+      result.messages.toast = `🆘 “${tokenPath}” is missing or is not a JSON token file`;
+      return result;
+    }
+
+    const tokens = readDesignTokens(tokenFile, this.get('remRootSize'));
+    if (tokens.length < 1) {
+      result.status = 'error';
+      result.messages.log = `No spacing, size, radius, color, or type tokens found in “${filePath}”`;
+      result.messages.toast = `🆘 “${tokenPath}” does not have any tokens Specter can use`;
+      return result;
+    }
+
+    const labelInput = askUser('Show token names…', {
+      type: INPUT_TYPE.selection,
+      initialValue: labelOptions[this.get('tokenLabels')] || labelOptions.alongside,
+      possibleValues: Object.values(labelOptions),
+    });
+
+    if (labelInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Load design tokens was canceled by user';
+      return result;
+    }
+
+    const setResult = this.update({
+      designTokens: {
+        path: tokenPath,
+        tokens,
+      },
+      tokenLabels: Object.keys(labelOptions).find(
+        key => labelOptions[key] === labelInput.value,
+      ) || 'alongside',
+    });
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Loaded ${tokens.length} design token(s) from “${filePath}”`;
+    result.messages.toast = `🎟 Loaded ${tokens.length} design token(s) from “${tokenPath}”`;
+    return result;
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog boxes to allow the user to choose
+   * the unit (and an optional secondary unit) used in the document’s measurement labels. If
+   * `rem` is used, the root font size is requested as well.
+   *
+   * @kind function
+   * @name chooseUnits
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  chooseUnits() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const noneName = 'None';
+    const unitIds = Object.keys(UNITS);
+    const unitNames = unitIds.map(unitId => UNITS[unitId].name);
+    const currentSecondaryUnit = this.get('secondaryUnit');
+
+    const unitInput = askUser('Choose the unit for measurement labels:', {
+      type: INPUT_TYPE.selection,
+      initialValue: UNITS[this.get('unit')] ? UNITS[this.get('unit')].name : unitNames[0],
+      possibleValues: unitNames,
+    });
+
+    if (unitInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set units was canceled by user';
+      return result;
+    }
+
+    const secondaryInput = askUser('Show a second unit alongside it?', {
+      type: INPUT_TYPE.selection,
+      initialValue: UNITS[currentSecondaryUnit] ? UNITS[currentSecondaryUnit].name : noneName,
+      possibleValues: [noneName, ...unitNames],
+    });
+
+    if (secondaryInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set units was canceled by user';
+      return result;
+    }
+
+    const unit = unitIds[unitNames.indexOf(unitInput.value)];
+    const secondaryUnit = unitIds[unitNames.indexOf(secondaryInput.value)] || null;
+
+    if (!unit) {
+      result.status = 'error';
+      result.messages.log = `Unit “${unitInput.value}” does not exist`;
+      return result;
+    }
+
+    const unitSettings = {
+      unit,
+      secondaryUnit: (secondaryUnit !== unit) ? secondaryUnit : null,
+    };
+
+    // `rem` needs to know the root font size
+    if ((unit === 'rem') || (secondaryUnit === 'rem')) {
+      const rootSizeInput = askUser('Root font size (in px) used to convert to rem:', {
+        type: INPUT_TYPE.string,
+        initialValue: `${this.get('remRootSize')}`,
+      });
+      const remRootSize = rootSizeInput.error ? NaN : parseFloat(rootSizeInput.value);
+
+      if (!(remRootSize > 0)) {
+        result.status = 'error';
+        result.messages.log = 'Set units was canceled or the root font size was invalid';
+        result.messages.toast = 'The root font size needs to be a number larger than 0';
+        return result;
+      }
+
+      unitSettings.remRootSize = remRootSize;
+    }
+
+    const setResult = this.update(unitSettings);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Units set to “${unit}”${secondaryUnit ? ` and “${secondaryUnit}”` : ''}`;
+    result.messages.toast = `📏 Measurements will be labeled like “${this.formatMeasurement(48)}”`;
+    return result;
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog box to allow the user to choose
+   * where the document’s labels are placed: on the artboard, in a gutter beside it, or as
+   * numbered callouts with a legend.
+   *
+   * @kind function
+   * @name choosePlacement
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  choosePlacement() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const placementIds = Object.keys(PLACEMENTS);
+    const placementNames = placementIds.map(placementId => PLACEMENTS[placementId].name);
+    const currentPlacement = PLACEMENTS[this.get('placement')] || PLACEMENTS.inline;
+
+    const customInput = askUser('Where should labels be placed?', {
+      type: INPUT_TYPE.selection,
+      initialValue: currentPlacement.name,
+      possibleValues: placementNames,
+    });
+
+    if (customInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set placement was canceled by user';
+      return result;
+    }
+
+    const placement = placementIds[placementNames.indexOf(customInput.value)];
+    if (!placement) {
+      result.status = 'error';
+      result.messages.log = `Placement “${customInput.value}” does not exist`;
+      return result;
+    }
+
+    const setResult = this.set('placement', placement);
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    result.status = 'success';
+    result.messages.log = `Placement set to “${placement}”`;
+    result.messages.toast = `🏷 Labels will be placed ${customInput.value.charAt(0).toLowerCase()}${customInput.value.slice(1)}`;
+    return result;
+  }
+
+  /**
+   * @description Looks up the order in which the document’s name resolvers (see
+   * `NAME_RESOLVERS`) are tried when a layer is annotated.
+   *
+   * @kind function
+   * @name nameResolvers
+   * @returns {Array} The IDs of the resolvers to try, in order.
+   */
+  nameResolvers() {
+    const resolverIds = this.get('nameResolvers');
+    if (!Array.isArray(resolverIds)) {
+      return DEFAULT_PREFERENCES.nameResolvers;
+    }
+
+    return resolverIds.filter(resolverId => NAME_RESOLVERS[resolverId]);
+  }
+
+  /**
+   * @description Uses Sketch’s `getInputFromUser` dialog boxes to allow the user to choose
+   * which name resolvers (see `NAME_RESOLVERS`) the document uses, and in what order. If the
+   * component name mapping is used, the JSON file mapping symbol IDs (or layer and style IDs)
+   * to component names is requested as well; the path can be relative to the document. The
+   * mapping is stored with the document, so the file is only read again when it is chosen
+   * again.
+   *
+   * @kind function
+   * @name chooseNameResolvers
+   * @returns {Object} A result object containing success/error status and log/toast messages.
+   */
+  chooseNameResolvers() {
+    const result = {
+      status: null,
+      messages: {
+        toast: null,
+        log: null,
+      },
+    };
+    const currentMapping = this.get('nameMapping');
+
+    const resolverList = Object.keys(NAME_RESOLVERS)
+      .map(resolverId => `${resolverId} (${NAME_RESOLVERS[resolverId].name})`)
+      .join(', ');
+    const orderInput = askUser(`Look up layer names with, in order and separated by commas (leave any out to skip them): ${resolverList}`, {
+      type: INPUT_TYPE.string,
+      initialValue: this.nameResolvers().join(', '),
+    });
+
+    if (orderInput.error) {
+      // most likely the user canceled the input
+      result.status = 'error';
+      result.messages.log = 'Set name resolvers was canceled by user';
+      return result;
+    }
+
+    // every entry has to be one of the resolver IDs, used once
+    const resolverIds = `${orderInput.value || ''}`
+      .split(',')
+      .map(resolverId => resolverId.trim())
+      .filter(resolverId => resolverId);
+    const unknownIds = resolverIds.filter(resolverId => (
+      !Object.keys(NAME_RESOLVERS).includes(resolverId)
+    ));
+    const repeatedIds = resolverIds.filter(
+      (resolverId, index) => resolverIds.indexOf(resolverId) !== index,
+    );
+
+    if (unknownIds.length > 0) {
+      result.status = 'error';
+      result.messages.log = `Name resolvers “${unknownIds.join(', ')}” are not valid`;
+      result.messages.toast = `🆘 “${unknownIds[0]}” is not a name resolver; use one or more of: ${Object.keys(NAME_RESOLVERS).join(', ')}`;
+      return result;
+    }
+
+    if ((resolverIds.length < 1) || (repeatedIds.length > 0)) {
+      result.status = 'error';
+      result.messages.log = `Name resolvers “${orderInput.value}” are not valid`;
+      result.messages.toast = `🆘 Use each of ${Object.keys(NAME_RESOLVERS).join(', ')} once at most, separated by commas`;
+      return result;
+    }
+
+    // the mapping needs a file to read from
+    let nameMapping = currentMapping;
+    if (resolverIds.includes('mapping')) {
+      const pathInput = askUser('Component name mapping (JSON of symbol IDs to names), relative to this document:', {
+        type: INPUT_TYPE.string,
+        initialValue: currentMapping ? currentMapping.path : 'component-names.json',
+      });
+
+      if (pathInput.error) {
+        // most likely the user canceled the input
+        result.status = 'error';
+        result.messages.log = 'Set name resolvers was canceled by user';
+        return result;
+      }
+
+      const mappingPath = `${pathInput.value || ''}`.trim();
+      const { filePath, contents } = readDocumentJSON(this.document, mappingPath);
+
+      // keep the names that are text (or objects with a `name`)
+      const names = {};
+      Object.keys(contents || {}).forEach((id) => {
+        const entry = contents[id];
+        const name = (entry && (typeof entry === 'object')) ? entry.name : entry;
+        if ((typeof name === 'string') && name.trim()) {
+          names[id] = name.trim();
+        }
+      });
+
+      if (!filePath || (Object.keys(names).length < 1)) {
+        result.status = 'error';
+        result.messages.log = `Could not read a component name mapping from “${filePath || mappingPath}”`;
+        result.messages.toast = `🆘 “${mappingPath}” is missing or does not map any IDs to names`;
+        return result;
+      }
+
+      nameMapping = {
+        path: mappingPath,
+        names,
+      };
+    }
+
+    const setResult = this.update({
+      nameResolvers: resolverIds,
+      nameMapping,
+    });
+    if (setResult.status === 'error') {
+      return setResult;
+    }
+
+    const resolverNames = resolverIds.map(resolverId => NAME_RESOLVERS[resolverId].name);
+    result.status = 'success';
+    result.messages.log = `Name resolvers set to “${resolverIds.join(', ')}”${nameMapping && resolverIds.includes('mapping') ? ` (${Object.keys(nameMapping.names).length} mapped name(s))` : ''}`;
+    result.messages.toast = `🔎 Names will be looked up in: ${resolverNames.join(', then ')}`;
+    return result;
+  }
+}
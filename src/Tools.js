@@ -1,5 +1,7 @@
 import { toArray } from 'util';
 import { fromNative } from 'sketch';
+import { getInputFromUser } from 'sketch/ui';
+import { COLORS, PLUGIN_NAME } from './constants';
 
 // --- helper functions
 /**
@@ -37,6 +39,74 @@ const getDocument = (context = null) => {
  */
 const getSelection = objcDocument => objcDocument.selectedLayers().layers() || null;
 
+/**
+ * @description Writes a string (UTF-8) or a `Buffer` (i.e. an exported image) to a file on
+ * disk, replacing the file if it exists.
+ *
+ * @kind function
+ * @name writeFile
+ * @param {string} filePath The full path of the file to write.
+ * @param {Object} contents The string or `Buffer` to write.
+ * @returns {boolean} Whether or not the file was written.
+ */
+const writeFile = (filePath, contents) => {
+  if (typeof contents !== 'string') {
+    return !!contents.toNSData().writeToFile_atomically(filePath, true);
+  }
+
+  /* eslint-disable no-undef */
+  const nsString = NSString.stringWithString(contents);
+  return !!nsString.writeToFile_atomically_encoding_error(
+    filePath,
+    true,
+    NSUTF8StringEncoding,
+    nil,
+  );
+  /* eslint-enable no-undef */
+};
+
+/**
+ * @description Reads a text (UTF-8) file from disk.
+ *
+ * @kind function
+ * @name readFile
+ * @param {string} filePath The full path of the file to read.
+ * @returns {string} The contents of the file, or `null` if it could not be read.
+ */
+const readFile = (filePath) => {
+  /* eslint-disable no-undef */
+  const nsString = NSString.stringWithContentsOfFile_encoding_error(
+    filePath,
+    NSUTF8StringEncoding,
+    nil,
+  );
+  /* eslint-enable no-undef */
+  return nsString ? String(nsString) : null;
+};
+
+/**
+ * @description Asks the user for input with Sketch’s `getInputFromUser` dialog box. The
+ * dialog is modal, so the callback has run by the time this returns.
+ *
+ * @kind function
+ * @name askUser
+ * @param {string} message The question to show in the dialog box.
+ * @param {Object} options The dialog options (`type`, `initialValue`, `possibleValues`).
+ * @returns {Object} The `value` the user entered, or an `error` (most likely the user
+ * canceled the input).
+ */
+const askUser = (message, options) => {
+  let customInput = null;
+  getInputFromUser(message, options, (error, value) => {
+    customInput = {
+      error,
+      value,
+    };
+  });
+
+  return customInput;
+};
+
 /**
  * @description A conversion function to give us full js Array functions from an NSArray object.
  * Info {@link https://sketchplugins.com/d/113-how-to-iterate-through-selected-layers-in-sketchapi/8}
@@ -153,6 +223,26 @@ const getPositionOnArtboard = (layer) => {
   return coordinates;
 };
 
+/**
+ * @description Takes a Sketch layer object and returns its full `frame` (`x`, `y`, `width`,
+ * and `height`), positioned relative to the artboard the layer is on.
+ *
+ * @kind function
+ * @name getFrameOnArtboard
+ * @param {Object} layer The Sketch layer object.
+ * @returns {Object} A `frame` object with `x` and `y` coordinates, `width`, and `height`.
+ */
+const getFrameOnArtboard = (layer) => {
+  const coordinates = getPositionOnArtboard(layer);
+
+  return {
+    x: coordinates.x,
+    y: coordinates.y,
+    width: layer.frame().width(),
+    height: layer.frame().height(),
+  };
+};
+
 /**
  * @description Compensates for a mix of `Artboard` and non-artboard layers, and
  * groups and non-groups when determining a layer index. Artboard layer indexes
@@ -198,12 +288,183 @@ const getRelativeIndex = (layer) => {
   return layerIndex;
 };
 
+/**
+ * @description Converts an opacity (between 0 and 1) into the two-character hex value used
+ * at the end of a Sketch color string (i.e. `0.3` becomes `4d`).
+ *
+ * @kind function
+ * @name toHexOpacity
+ * @param {number} opacity The opacity, between 0 and 1.
+ * @returns {string} The hex value for the opacity.
+ */
+const toHexOpacity = (opacity) => {
+  const boundedOpacity = Math.min(Math.max(opacity, 0), 1);
+  return `0${Math.round(boundedOpacity * 255).toString(16)}`.slice(-2);
+};
+
+/**
+ * @description Works out the relative luminance of a hex color, as defined by WCAG 2.
+ *
+ * @kind function
+ * @name relativeLuminance
+ * @param {string} colorHex The hex color (i.e. `#9966ff`); any opacity is ignored.
+ * @returns {number} The relative luminance, between 0 (black) and 1 (white).
+ * @private
+ */
+const relativeLuminance = (colorHex) => {
+  const [red, green, blue] = [1, 3, 5].map((index) => {
+    const channel = parseInt(colorHex.slice(index, index + 2), 16) / 255;
+    return (channel <= 0.03928) ? (channel / 12.92) : (((channel + 0.055) / 1.055) ** 2.4);
+  });
+  return (0.2126 * red) + (0.7152 * green) + (0.0722 * blue);
+};
+
+/**
+ * @description Works out the WCAG 2 contrast ratio between two hex colors.
+ *
+ * @kind function
+ * @name contrastRatio
+ * @param {string} colorHexA The first hex color.
+ * @param {string} colorHexB The second hex color.
+ * @returns {number} The contrast ratio, between 1 and 21.
+ */
+const contrastRatio = (colorHexA, colorHexB) => {
+  const luminances = [relativeLuminance(colorHexA), relativeLuminance(colorHexB)];
+  return (Math.max(...luminances) + 0.05) / (Math.min(...luminances) + 0.05);
+};
+
+/**
+ * @description Mixes a hex color with another hex color.
+ *
+ * @kind function
+ * @name mixColors
+ * @param {string} colorHex The hex color to start with.
+ * @param {string} mixHex The hex color to mix in.
+ * @param {number} amount How much of `mixHex` to use, between 0 and 1.
+ * @returns {string} The mixed hex color.
+ * @private
+ */
+const mixColors = (colorHex, mixHex, amount) => {
+  const channels = [1, 3, 5].map((index) => {
+    const channel = parseInt(colorHex.slice(index, index + 2), 16);
+    const mixChannel = parseInt(mixHex.slice(index, index + 2), 16);
+    const mixed = Math.round(channel + ((mixChannel - channel) * amount));
+    return `0${mixed.toString(16)}`.slice(-2);
+  });
+  return `#${channels.join('')}`;
+};
+
+/**
+ * @description Picks the fill and text colors for an annotation drawn over a background.
+ * The text color with the most contrast against the fill is picked, and the fill is darkened
+ * (on light backgrounds) or lightened (on dark backgrounds) until it meets WCAG AA: at least
+ * 3:1 against the background and 4.5:1 against the text.
+ *
+ * @kind function
+ * @name findContrastColors
+ * @param {string} colorHex The annotation color from the theme.
+ * @param {string} backgroundHex The color underneath the annotation.
+ * @returns {Object} The `colorHex` for the fill and the `textColorHex` for the text.
+ */
+const findContrastColors = (colorHex, backgroundHex) => {
+  const isDarkBackground = contrastRatio(backgroundHex, COLORS.textLight)
+    > contrastRatio(backgroundHex, COLORS.textDark);
+  const mixHex = isDarkBackground ? '#ffffff' : '#000000';
+
+  const findTextColor = fillHex => (
+    (contrastRatio(fillHex, COLORS.textLight) >= contrastRatio(fillHex, COLORS.textDark))
+      ? COLORS.textLight
+      : COLORS.textDark
+  );
+  const meetsContrast = fillHex => (
+    (contrastRatio(fillHex, backgroundHex) >= 3)
+    && (contrastRatio(fillHex, findTextColor(fillHex)) >= 4.5)
+  );
+
+  let contrastHex = colorHex;
+  let step = 0;
+  while (!meetsContrast(contrastHex) && (step < 10)) {
+    step += 1;
+    contrastHex = mixColors(colorHex, mixHex, step / 10);
+  }
+
+  return {
+    colorHex: contrastHex,
+    textColorHex: findTextColor(contrastHex),
+  };
+};
+
+/**
+ * @description Reads the color underneath an area of an artboard: the fill of the top-most
+ * solid shape covering the middle of the area or, if there is none (or no area is given),
+ * the artboard background. Annotations drawn by the plugin are ignored. Artboards without a
+ * background are treated as white.
+ *
+ * @kind function
+ * @name readBackgroundColor
+ * @param {Object} artboard The Sketch artboard object.
+ * @param {Object} frame The area to sample (`x`, `y`, `width`, and `height`, relative to the
+ * artboard); optional.
+ * @returns {string} The hex color.
+ */
+const readBackgroundColor = (artboard, frame = null) => {
+  const artboardJS = fromNative(artboard);
+  const { background } = artboardJS;
+  let backgroundHex = (background && background.enabled) ? background.color.slice(0, 7)
+    : '#ffffff';
+
+  if (!frame) {
+    return backgroundHex;
+  }
+
+  // walk the layers bottom to top; the last solid shape covering the point wins
+  const point = {
+    x: frame.x + (frame.width / 2),
+    y: frame.y + (frame.height / 2),
+  };
+  const readLayers = (layers) => {
+    layers.forEach((layer) => {
+      if (layer.hidden || (layer.name === `+++ ${PLUGIN_NAME} +++`)) {
+        return null;
+      }
+
+      if (layer.type === 'Group') {
+        return readLayers(layer.layers);
+      }
+
+      const layerFrame = getFrameOnArtboard(layer.sketchObject);
+      const coversPoint = (point.x >= layerFrame.x)
+        && (point.x <= layerFrame.x + layerFrame.width)
+        && (point.y >= layerFrame.y)
+        && (point.y <= layerFrame.y + layerFrame.height);
+      const solidFills = (layer.style && layer.style.fills ? layer.style.fills : []).filter(
+        fill => fill.enabled && (fill.fillType === 'Color') && fill.color.endsWith('ff'),
+      );
+      if (coversPoint && solidFills.length > 0) {
+        backgroundHex = solidFills[solidFills.length - 1].color.slice(0, 7);
+      }
+      return null;
+    });
+  };
+  readLayers(artboardJS.layers);
+
+  return backgroundHex;
+};
+
 export {
+  askUser,
+  contrastRatio,
+  findContrastColors,
   findLayerById,
   getDocument,
+  getFrameOnArtboard,
   getPositionOnArtboard,
   getRelativeIndex,
   getSelection,
+  readBackgroundColor,
+  readFile,
   setArray,
+  toHexOpacity,
   updateArray,
+  writeFile,
 };
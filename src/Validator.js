@@ -0,0 +1,388 @@
+import { Settings } from 'sketch';
+import { NAME_RESOLVERS, PLUGIN_IDENTIFIER, SCHEMA_VERSION } from './constants';
+
+/**
+ * @description The rules for an ID (or any required string) in the document settings.
+ *
+ * @kind constant
+ * @name ID_RULE
+ * @type {Object}
+ * @private
+ */
+const ID_RULE = { type: 'string', required: true };
+
+/**
+ * @description The rules for a frame (`x`, `y`, `width`, and `height`) stored with a record.
+ *
+ * @kind constant
+ * @name FRAME_RULE
+ * @type {Object}
+ * @private
+ */
+const FRAME_RULE = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', required: true },
+    y: { type: 'number', required: true },
+    width: { type: 'number', required: true },
+    height: { type: 'number', required: true },
+  },
+};
+
+/**
+ * @description The schema of the document settings stored under `PLUGIN_IDENTIFIER`, as of
+ * `SCHEMA_VERSION`. Each rule has a `type` (`string`, `number`, `boolean`, `array`, or
+ * `object`) and can be `required` or `nullable`; arrays describe their `items`, objects their
+ * `properties`, and strings can be limited to a list of `values`. Keys that are not listed
+ * are allowed (and ignored) so that older versions of the plugin can open newer files.
+ *
+ * @kind constant
+ * @name SETTINGS_SCHEMA
+ * @type {Object}
+ * @private
+ */
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    schemaVersion: { type: 'number' },
+    migrations: {
+      type: 'array',
+      items: { type: 'number' },
+    },
+    migrationHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'number', required: true },
+          name: { type: 'string' },
+          status: {
+            type: 'string',
+            required: true,
+            values: ['applied', 'baseline', 'failed', 'rolledBack'],
+          },
+          date: { type: 'string' },
+          snapshot: { type: 'object', nullable: true },
+        },
+      },
+    },
+    containerGroups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: ID_RULE,
+          artboardId: ID_RULE,
+          alignmentInnerGroupId: { type: 'string' },
+          boundingInnerGroupId: { type: 'string' },
+          componentInnerGroupId: { type: 'string' },
+          dimensionInnerGroupId: { type: 'string' },
+          spacingInnerGroupId: { type: 'string' },
+          styleInnerGroupId: { type: 'string' },
+          gutterGroupId: { type: 'string' },
+        },
+      },
+    },
+    annotatedLayers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          containerGroupId: ID_RULE,
+          id: ID_RULE,
+          originalId: ID_RULE,
+          originalName: { type: 'string' },
+          originalFrame: FRAME_RULE,
+          annotationType: { type: 'string', values: ['component', 'custom', 'style'] },
+        },
+      },
+    },
+    annotatedDimensions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          containerGroupId: ID_RULE,
+          id: ID_RULE,
+          originalId: ID_RULE,
+          originalName: { type: 'string' },
+          originalFrame: FRAME_RULE,
+          dimension: { type: 'string', values: ['width', 'height'] },
+          measurement: { type: 'number' },
+        },
+      },
+    },
+    annotatedSpacings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          containerGroupId: ID_RULE,
+          id: ID_RULE,
+          layerAId: ID_RULE,
+          layerBId: ID_RULE,
+          layerAFrame: FRAME_RULE,
+          layerBFrame: FRAME_RULE,
+          direction: {
+            type: 'string',
+            required: true,
+            values: ['gap', 'top', 'bottom', 'left', 'right'],
+          },
+          measurement: { type: 'number' },
+          spacingScale: { type: 'string' },
+          isOffScale: { type: 'boolean' },
+          isOffGrid: { type: 'boolean' },
+          sides: { type: 'string', values: ['all', 'topBottom', 'leftRight'] },
+          repeatCount: { type: 'number' },
+        },
+      },
+    },
+    collapseSpacing: { type: 'boolean' },
+    designTokens: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        path: ID_RULE,
+        tokens: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              name: ID_RULE,
+              kind: {
+                type: 'string',
+                required: true,
+                values: [
+                  'color',
+                  'fontFamily',
+                  'fontWeight',
+                  'fontSize',
+                  'lineHeight',
+                  'radius',
+                  'spacing',
+                  'size',
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+    nameMapping: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        path: ID_RULE,
+        names: { type: 'object', required: true },
+      },
+    },
+    nameResolvers: {
+      type: 'array',
+      items: { type: 'string', values: Object.keys(NAME_RESOLVERS) },
+    },
+    placement: { type: 'string', values: ['inline', 'gutterRight', 'gutterLeft', 'callouts'] },
+    remRootSize: { type: 'number' },
+    sampleUnderLabels: { type: 'boolean' },
+    secondaryUnit: { type: 'string', nullable: true },
+    spacingScale: { type: 'string' },
+    strictSpacing: { type: 'boolean' },
+    tokenLabels: { type: 'string', values: ['alongside', 'instead'] },
+    theme: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        colors: {
+          type: 'object',
+          properties: {
+            component: { type: 'string' },
+            custom: { type: 'string' },
+            dimension: { type: 'string' },
+            legend: { type: 'string' },
+            spacing: { type: 'string' },
+            style: { type: 'string' },
+          },
+        },
+        fontFamily: { type: 'string' },
+        fontSize: { type: 'number' },
+        fontWeight: { type: 'number' },
+        cornerRadius: { type: 'number' },
+        opacity: { type: 'number' },
+        boundingBoxOpacity: { type: 'number' },
+      },
+    },
+    unit: { type: 'string' },
+  },
+};
+
+/**
+ * @description Checks a value against a schema rule and collects any problems.
+ *
+ * @kind function
+ * @name checkValue
+ * @param {Object} value The value to check.
+ * @param {Object} rule The schema rule for the value.
+ * @param {string} valuePath The path to the value (i.e. `annotatedLayers[2].id`), for errors.
+ * @param {Array} errors The list of problems found so far.
+ * @returns {Array} The list of problems found (including those found before).
+ * @private
+ */
+const checkValue = (value, rule, valuePath, errors) => {
+  if ((value === null) && rule.nullable) {
+    return errors;
+  }
+
+  const valueType = Array.isArray(value) ? 'array' : typeof value;
+  if ((valueType !== rule.type) || (value === null) || Number.isNaN(value)) {
+    errors.push(`${valuePath} should be a ${rule.type}`);
+    return errors;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    errors.push(`${valuePath} should be one of ${rule.values.join(', ')}`);
+  }
+
+  if (rule.items) {
+    value.forEach((item, index) => checkValue(item, rule.items, `${valuePath}[${index}]`, errors));
+  }
+
+  if (rule.properties) {
+    Object.keys(rule.properties).forEach((key) => {
+      const propertyRule = rule.properties[key];
+      const propertyPath = valuePath ? `${valuePath}.${key}` : key;
+
+      if (value[key] === undefined) {
+        if (propertyRule.required) {
+          errors.push(`${propertyPath} is missing`);
+        }
+        return null;
+      }
+
+      checkValue(value[key], propertyRule, propertyPath, errors);
+      return null;
+    });
+  }
+
+  return errors;
+};
+
+// --- main Validator class function
+/**
+ * @description A class to check the document settings against the versioned settings schema
+ * before they are read or written.
+ *
+ * @class
+ * @name Validator
+ *
+ * @constructor
+ *
+ * @property documentSettings The document settings object to check.
+ */
+export default class Validator {
+  constructor({ for: documentSettings }) {
+    this.documentSettings = documentSettings;
+  }
+
+  /**
+   * @description Checks the document settings against `SETTINGS_SCHEMA`. Documents without
+   * any settings are valid, as are documents saved before `schemaVersion` existed (they are
+   * checked against the current schema). Documents with a newer `schemaVersion` than this
+   * version of the plugin understands are not.
+   *
+   * @kind function
+   * @name validate
+   * @returns {Object} A result object containing success/error status and log/alert messages,
+   * plus the list of `errors` found.
+   */
+  validate() {
+    const result = {
+      status: null,
+      errors: [],
+      messages: {
+        alert: null,
+        toast: null,
+        log: null,
+      },
+    };
+
+    // nothing has been stored yet
+    if (this.documentSettings === undefined || this.documentSettings === null) {
+      result.status = 'success';
+      result.messages.log = 'Document settings are empty';
+      return result;
+    }
+
+    const { schemaVersion } = this.documentSettings;
+    if ((typeof schemaVersion === 'number') && (schemaVersion > SCHEMA_VERSION)) {
+      result.status = 'error';
+      result.errors.push(`schemaVersion ${schemaVersion} is newer than ${SCHEMA_VERSION}`);
+      result.messages.log = `Document settings use schema version ${schemaVersion}; this plugin supports up to ${SCHEMA_VERSION}`;
+      result.messages.alert = 'This document was annotated with a newer version of Specter. Please update the plugin to keep annotating it.';
+      return result;
+    }
+
+    result.errors = checkValue(this.documentSettings, SETTINGS_SCHEMA, '', []);
+    if (result.errors.length > 0) {
+      result.status = 'error';
+      result.messages.log = `Document settings are invalid: ${result.errors.join('; ')}`;
+      result.messages.alert = `The Specter data in this document is damaged (${result.errors[0]}${result.errors.length > 1 ? `, and ${result.errors.length - 1} more` : ''}). Run “Repair Document” to fix it.`;
+      return result;
+    }
+
+    result.status = 'success';
+    result.messages.log = 'Document settings are valid';
+    return result;
+  }
+}
+
+/**
+ * @description A shared helper function that validates the document settings and, only if
+ * they are valid, stamps them with the current `schemaVersion` and saves them. Settings that
+ * are still invalid can be saved anyway with `saveInvalid` (i.e. a partial repair).
+ *
+ * @kind function
+ * @name commitDocumentSettings
+ * @param {Object} document The Sketch document the settings belong to.
+ * @param {Object} documentSettings The updated document settings to save.
+ * @param {Object} options Set `saveInvalid` to save the settings even if they are invalid.
+ * @returns {Object} The result object from `Validator.validate`.
+ */
+export const commitDocumentSettings = (
+  document,
+  documentSettings,
+  { saveInvalid = false } = {},
+) => {
+  const validationResult = new Validator({ for: documentSettings }).validate();
+
+  if ((validationResult.status === 'success') || saveInvalid) {
+    const newDocumentSettings = documentSettings;
+    newDocumentSettings.schemaVersion = SCHEMA_VERSION;
+
+    Settings.setDocumentSettingForKey(
+      document,
+      PLUGIN_IDENTIFIER,
+      newDocumentSettings,
+    );
+  }
+
+  return validationResult;
+};
+
+/**
+ * @description A shared helper function that reads and validates the document settings.
+ *
+ * @kind function
+ * @name readDocumentSettings
+ * @param {Object} document The Sketch document the settings belong to.
+ * @returns {Object} The result object from `Validator.validate`, with the
+ * `documentSettings` that were read.
+ */
+export const readDocumentSettings = (document) => {
+  const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+  const validationResult = new Validator({ for: documentSettings }).validate();
+
+  return {
+    ...validationResult,
+    documentSettings,
+  };
+};
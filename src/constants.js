@@ -22,6 +22,17 @@ const PLUGIN_IDENTIFIER = 'com.linkedinlabs.sketch.auto-spec-plugin';
  */
 const PLUGIN_NAME = 'Specter';
 
+/**
+ * @description The version of the shape of the document settings stored under
+ * `PLUGIN_IDENTIFIER` (see `SETTINGS_SCHEMA` in Validator.js). Bump it whenever that shape
+ * changes in a way older versions of the plugin cannot read.
+ *
+ * @kind constant
+ * @name SCHEMA_VERSION
+ * @type {number}
+ */
+const SCHEMA_VERSION = 1;
+
 /**
  * @description An object containing the set of colors in-use by the plugin.
  *
@@ -33,13 +44,160 @@ const COLORS = {
   component: '#9966ff',
   custom: '#ff3399',
   dimension: '#99cc00',
+  legend: '#333333',
   spacing: '#00cc99',
+  stale: '#ff3333',
   style: '#ff6655',
+  textDark: '#1f1f1f',
+  textLight: '#ffffff',
+  warning: '#ffaa00',
+};
+
+/**
+ * @description The look of the annotations until a theme is set for the plugin (as the
+ * default for every document) or for a single document. Colors are set per type of
+ * annotation (and for the text of the callout legend); `opacity` applies to the annotation
+ * fills and `boundingBoxOpacity` to the semi-transparent bounding boxes. The `fontFamily`
+ * falls back to Helvetica Neue, Lato, and then the system font when it is not installed.
+ *
+ * @kind constant
+ * @name DEFAULT_THEME
+ * @type {Object}
+ */
+const DEFAULT_THEME = {
+  colors: {
+    component: COLORS.component,
+    custom: COLORS.custom,
+    dimension: COLORS.dimension,
+    legend: COLORS.legend,
+    spacing: COLORS.spacing,
+    style: COLORS.style,
+  },
+  fontFamily: 'Helvetica Neue',
+  fontSize: 12,
+  fontWeight: 4,
+  cornerRadius: 2,
+  opacity: 1,
+  boundingBoxOpacity: 0.3,
+};
+
+/**
+ * @description The ways a layer’s name can be looked up when it is annotated, each with a
+ * `name` for the settings dialog and the log. A document tries them in the order it has
+ * chosen, and uses the first one that finds a name.
+ *
+ * @kind constant
+ * @name NAME_RESOLVERS
+ * @type {Object}
+ */
+const NAME_RESOLVERS = {
+  lingo: {
+    name: 'Lingo Kits',
+  },
+  library: {
+    name: 'Sketch Libraries',
+  },
+  local: {
+    name: 'Local symbols and styles',
+  },
+  mapping: {
+    name: 'Component name mapping (JSON)',
+  },
+};
+
+/**
+ * @description The spacing scales available to a document. Each scale is defined by its
+ * `values` (ascending), an optional matching list of token `names`, a `labelFormat`
+ * (`{step}` is replaced with the 1-based position of the value, `{value}` with the value,
+ * and `{name}` with the token name), the `rounding` rule used to match a measurement to a
+ * value (`nearest`, `up`, or `down`), and a `max` measurement (anything at or above it is
+ * off-scale).
+ *
+ * @kind constant
+ * @name SPACING_SCALES
+ * @type {Object}
+ */
+const SPACING_SCALES = {
+  'art-deco': {
+    name: 'Art Deco (IS-X)',
+    values: [4, 8, 12, 16, 24, 32, 48, 64, 96],
+    labelFormat: 'IS-{step}',
+    rounding: 'nearest',
+    max: 128,
+  },
+  '8pt': {
+    name: '8pt Grid',
+    values: [8, 16, 24, 32, 40, 48, 56, 64, 72, 80, 88, 96],
+    labelFormat: '{value}dp',
+    rounding: 'nearest',
+    max: 128,
+  },
+  material: {
+    name: 'Material',
+    values: [4, 8, 12, 16, 24, 32, 40, 48, 56, 64, 72, 80, 96],
+    labelFormat: '{value}dp',
+    rounding: 'nearest',
+    max: 128,
+  },
+  tokens: {
+    name: 'Space Tokens (space-100)',
+    values: [4, 8, 12, 16, 24, 32, 48, 64, 96],
+    names: [
+      'space-050',
+      'space-100',
+      'space-150',
+      'space-200',
+      'space-300',
+      'space-400',
+      'space-600',
+      'space-800',
+      'space-1200',
+    ],
+    labelFormat: '{name}',
+    rounding: 'nearest',
+    max: 128,
+  },
+};
+
+/**
+ * @description Ready-made themes that can be applied to a whole document, each with a `name`
+ * for the settings dialog and the `theme` settings it gives the document (`null` goes back to
+ * the plugin’s default theme). The dark variant uses lighter colors that stand out on dark
+ * artboards (and a light legend for the dark canvas).
+ *
+ * @kind constant
+ * @name THEME_VARIANTS
+ * @type {Object}
+ */
+const THEME_VARIANTS = {
+  light: {
+    name: 'Light (the plugin’s default)',
+    theme: null,
+  },
+  dark: {
+    name: 'Dark',
+    theme: {
+      colors: {
+        component: '#b899ff',
+        custom: '#ff70b8',
+        dimension: '#c6e65c',
+        legend: '#e6e6e6',
+        spacing: '#4de0bd',
+        style: '#ff8c80',
+      },
+      boundingBoxOpacity: 0.4,
+    },
+  },
 };
 
 export {
   COLORS,
+  DEFAULT_THEME,
+  NAME_RESOLVERS,
   PLUGIN_IDENTIFIER,
   PLUGIN_NAME,
+  SCHEMA_VERSION,
+  SPACING_SCALES,
+  THEME_VARIANTS,
 };
 /* eslint-enable import/prefer-default-export */
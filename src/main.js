@@ -1,11 +1,15 @@
 import { fromNative } from 'sketch';
+import { INPUT_TYPE } from 'sketch/ui';
 
 import Crawler from './Crawler';
+import Exporter, { saveSpecSheet } from './Exporter';
 import Housekeeper from './Housekeeper';
 import Identifier from './Identifier';
 import Messenger from './Messenger';
 import Painter from './Painter';
-import { getDocument, getSelection } from './Tools';
+import Preferences from './Preferences';
+import { askUser, getDocument, getSelection } from './Tools';
+import { THEME_VARIANTS } from './constants';
 
 /**
  * @description A shared helper function to set up in-UI messages and the logger.
@@ -33,6 +37,38 @@ const assemble = (context = null) => {
   };
 };
 
+/**
+ * @description A shared helper function that asks which type of annotation to remove.
+ *
+ * @kind function
+ * @name chooseAnnotationType
+ * @returns {Object} The chosen `annotationType` (`null` for all types), or an `error`
+ * if the user canceled.
+ */
+const chooseAnnotationType = () => {
+  const annotationTypes = {
+    'All Types': null,
+    Component: 'component',
+    Style: 'style',
+    Custom: 'custom',
+    Spacing: 'spacing',
+    Dimension: 'dimension',
+    'Bounding Box': 'boundingBox',
+    'Alignment Guide': 'alignment',
+  };
+
+  const customInput = askUser('Which annotations should be removed?', {
+    type: INPUT_TYPE.selection,
+    initialValue: 'All Types',
+    possibleValues: Object.keys(annotationTypes),
+  });
+
+  return {
+    error: customInput.error,
+    annotationType: annotationTypes[customInput.value] || null,
+  };
+};
+
 // invoked commands -------------------------------------------------
 
 /**
@@ -77,10 +113,10 @@ const annotateLayer = (context = null) => {
 
     if (hasCustomTextResult.status === 'error') {
       let setTextResult = null;
-      const getLingoNameResult = layerToAnnotate.getLingoName();
-      messenger.handleResult(getLingoNameResult);
+      const getNameResult = layerToAnnotate.getName();
+      messenger.handleResult(getNameResult);
 
-      if (getLingoNameResult.status === 'error') {
+      if (getNameResult.status === 'error') {
         if (!multipleLayers) {
           setTextResult = layerToAnnotate.setText();
           messenger.handleResult(setTextResult);
@@ -175,13 +211,14 @@ const annotateLayerCustom = (context = null) => {
  * spacing number (“IS-X”) based on either the gap between the two layers or, if they
  * are overlapping, the 4 directions of overlap (top, bottom, right, and left). If
  * one layer is selected: annotates the height and width of the selected layer
- * in “dp” (digital points) units.
+ * in “dp” (digital points) units. If more than two layers are selected: sorts them into
+ * a row or a column and annotates each gap between neighbouring layers (if collapsed
+ * spacing is on, runs of identical gaps share a single annotation).
  *
  * @kind function
  * @name annotateMeasurement
  * @param {Object} context The current context (event) received from Sketch.
- * @returns {null} Shows a Toast in the UI if nothing is selected or
- * if more than two layers are selected.
+ * @returns {null} Shows a Toast in the UI if nothing is selected.
  */
 const annotateMeasurement = (context = null) => {
   const {
@@ -191,8 +228,8 @@ const annotateMeasurement = (context = null) => {
   } = assemble(context);
 
   // need a selected layer to annotate it
-  if (selection === null || selection.count() > 2) {
-    return messenger.alert('One or two layers must be selected');
+  if (selection === null) {
+    return messenger.alert('One or more layers must be selected');
   }
 
   // grab the gap frame from the selection
@@ -216,6 +253,11 @@ const annotateMeasurement = (context = null) => {
     }
   }
 
+  if (selection.count() > 2) {
+    const collapseSpacing = new Preferences({ for: document }).get('collapseSpacing');
+    paintResult = painter.addGapChainMeasurements(crawler.gapFrames(), collapseSpacing);
+  }
+
   if (selection.count() === 1) {
     paintResult = painter.addDimMeasurement();
   }
@@ -226,6 +268,123 @@ const annotateMeasurement = (context = null) => {
   return null;
 };
 
+/**
+ * @description Annotates the padding around the selected layer: the insets (“IS-X”) on all
+ * four sides between the layer and its container (the background shape, group, or artboard
+ * around it). If collapsed spacing is on, equal sides share a single annotation.
+ *
+ * @kind function
+ * @name annotatePadding
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null} Shows an alert in the UI if one layer is not selected or if the
+ * layer does not have a container.
+ */
+const annotatePadding = (context = null) => {
+  const {
+    document,
+    messenger,
+    selection,
+  } = assemble(context);
+
+  // need a single selected layer to measure its padding
+  if (selection === null || selection.count() !== 1) {
+    return messenger.alert('A single layer must be selected');
+  }
+
+  // find the insets between the layer and its container
+  const crawler = new Crawler({ for: selection });
+  const paddingFrames = crawler.paddingFrames();
+  if (!paddingFrames) {
+    return messenger.alert('The selected layer needs to be inside a group, an artboard, or on top of a background shape');
+  }
+
+  // set up Painter instance for the reference layer
+  const painter = new Painter({ for: crawler.first(), in: document });
+  const collapseSpacing = new Preferences({ for: document }).get('collapseSpacing');
+
+  // read the response from Painter; log and display message(s)
+  messenger.handleResult(painter.addOverlapMeasurements(
+    paddingFrames,
+    undefined, // directions
+    collapseSpacing,
+  ));
+
+  return null;
+};
+
+/**
+ * @description Annotates the selected layers (including layers inside selected groups) with a
+ * spec. Text layers get their typography (`type`): the text style name with the font family,
+ * weight, size, line height, letter spacing, alignment, color, and text transform underneath.
+ * Shapes get their style (`style`): the layer style name with the fills, borders, shadows,
+ * corner radius, and opacity underneath. Values that do not come from the shared style (or,
+ * for colors, a color variable) are flagged.
+ *
+ * @kind function
+ * @name annotateSpec
+ * @param {Object} context The current context (event) received from Sketch.
+ * @param {string} mode The kind of spec: `type` (default) or `style`.
+ * @returns {null} Shows an alert in the UI if no matching layers are selected.
+ */
+const annotateSpec = (context = null, mode = 'type') => {
+  const {
+    document,
+    documentData,
+    messenger,
+    selection,
+  } = assemble(context);
+  const layerTypes = (mode === 'style') ? ['Shape', 'ShapePath'] : ['Text'];
+  const selectionAlert = (mode === 'style')
+    ? 'A shape must be selected'
+    : 'A text layer must be selected';
+
+  // need a selected layer to annotate it
+  if (selection === null || selection.count() === 0) {
+    return messenger.alert(selectionAlert);
+  }
+
+  // only text layers have a typography spec, and only shapes have a style spec
+  const layers = new Crawler({ for: selection }).all().filter(layer => (
+    layerTypes.includes(fromNative(layer).type)
+  ));
+  if (layers.length === 0) {
+    return messenger.alert(selectionAlert);
+  }
+
+  layers.forEach((layer) => {
+    // set up Identifier and Painter instances for the layer
+    const layerToAnnotate = new Identifier({
+      for: layer,
+      document,
+      documentData,
+      messenger,
+    });
+    const painter = new Painter({ for: layer, in: document });
+
+    // read the spec and draw the annotation
+    const getSpecResult = (mode === 'style')
+      ? layerToAnnotate.getStyleSpec()
+      : layerToAnnotate.getTypeSpec();
+    messenger.handleResult(getSpecResult);
+    if (getSpecResult.status === 'success') {
+      const paintResult = painter.addAnnotation();
+
+      // read the response from Painter; if it was unsuccessful, log and display the error
+      if (paintResult && (paintResult.status === 'error')) {
+        return messenger.handleResult(paintResult);
+      }
+    }
+
+    return null;
+  });
+
+  return null;
+};
+
+// export some pre-defined `annotateSpec` aliases for `manifest` to use in the plugin menu
+const annotateType = (context = null) => annotateSpec(context, 'type');
+const annotateStyle = (context = null) => annotateSpec(context, 'style');
+
 /**
  * @description Annotates the selection with the spacing number (“IS-X”) based on either
  * the gap between the two layers or, if they are overlapping, the 4 directions of overlap
@@ -323,10 +482,624 @@ const drawBoundingBox = (context = null) => {
   return null;
 };
 
+/**
+ * @description Checks the selected layers (and the layers inside any selected groups) for
+ * shared left, center, right, top, and baseline alignments. Shared edges get a dashed
+ * alignment guide; layers that miss an alignment by 1–3px get a warning marker.
+ *
+ * @kind function
+ * @name checkAlignment
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null} Shows an alert in the UI if fewer than two layers are selected.
+ */
+const checkAlignment = (context = null) => {
+  const {
+    document,
+    messenger,
+    selection,
+  } = assemble(context);
+
+  // need at least two layers to compare
+  const crawler = new Crawler({ for: selection || [] });
+  if (selection === null || crawler.all().length < 2) {
+    return messenger.alert('At least two layers must be selected');
+  }
+
+  // set up Painter instance for the reference layer
+  const painter = new Painter({ for: crawler.first(), in: document });
+
+  // read the response from Painter; log and display message(s)
+  messenger.handleResult(painter.addAlignmentGuides(crawler.alignments()));
+
+  return null;
+};
+
+/**
+ * @description Refreshes every annotation in the document: names are looked up again,
+ * dimensions and spacing are re-measured, and each annotation is redrawn in place.
+ *
+ * @kind function
+ * @name reannotateAll
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const reannotateAll = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  // read the response from Housekeeper; log and display message(s)
+  messenger.handleResult(housekeeper.reannotateAll());
+
+  return null;
+};
+
+/**
+ * @description Removes annotations within a scope (the selected layers, the artboard(s)
+ * they are on, the current page, or the whole document), optionally limited to one type.
+ *
+ * @kind function
+ * @name removeAnnotations
+ * @param {Object} context The current context (event) received from Sketch.
+ * @param {string} scope The scope to remove annotations from. Valid inputs are
+ * `selection` (default), `artboard`, `page`, and `document`.
+ * @returns {null} Shows a Toast in the UI if nothing is selected.
+ */
+const removeAnnotations = (context = null, scope = 'selection') => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+    selection,
+  } = assemble(context);
+
+  // the selection and artboard scopes need a selected layer
+  if (
+    ((scope === 'selection') || (scope === 'artboard'))
+    && (selection === null || selection.count() === 0)
+  ) {
+    return messenger.alert('At least one layer must be selected');
+  }
+
+  // set up the scope for Housekeeper
+  let removalScope = {};
+  if (scope === 'selection') {
+    const layers = new Crawler({ for: selection }).all();
+    removalScope = { layerIds: layers.map(layer => fromNative(layer).id) };
+  } else if (scope === 'artboard') {
+    const artboards = new Crawler({ for: selection }).artboards();
+    if (artboards.length === 0) {
+      return messenger.alert('Your selection needs to be on an artboard');
+    }
+    removalScope = { artboardIds: artboards.map(artboard => fromNative(artboard).id) };
+  } else if (scope === 'page') {
+    const artboards = document.selectedPage.layers.filter(layer => layer.type === 'Artboard');
+    removalScope = { artboardIds: artboards.map(artboard => artboard.id) };
+  }
+
+  const { annotationType, error } = chooseAnnotationType();
+  if (error) {
+    // most likely the user canceled the input
+    messenger.log('Remove annotations was canceled by user');
+    return null;
+  }
+
+  // read the response from Housekeeper; log and display message(s)
+  messenger.handleResult(housekeeper.removeAnnotations(removalScope, annotationType));
+
+  return null;
+};
+// export some pre-defined `removeAnnotations` aliases for `manifest` to use in the plugin menu
+const removeAnnotationsSelection = (context = null) => removeAnnotations(context, 'selection');
+const removeAnnotationsArtboard = (context = null) => removeAnnotations(context, 'artboard');
+const removeAnnotationsPage = (context = null) => removeAnnotations(context, 'page');
+const removeAnnotationsDocument = (context = null) => removeAnnotations(context, 'document');
+
+/**
+ * @description Repairs the annotation records in the document settings so that they match
+ * the layers in the document (i.e. after artboards have been copied between files).
+ *
+ * @kind function
+ * @name repairDocument
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const repairDocument = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  // read the response from Housekeeper; log and display message(s)
+  messenger.handleResult(housekeeper.repairDocument());
+
+  return null;
+};
+
+/**
+ * @description Shows the migrations applied to the document (newest first), along with any
+ * migrations that would run the next time the document is opened.
+ *
+ * @kind function
+ * @name showMigrationHistory
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const showMigrationHistory = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const historyResult = housekeeper.readMigrationHistory();
+  const statusLabels = {
+    applied: 'Applied',
+    baseline: 'Not needed',
+    failed: 'Failed (rolled back)',
+    rolledBack: 'Rolled back',
+  };
+  const historyLines = historyResult.history.map(entry => (
+    `${entry.date.split('T')[0]} · ${statusLabels[entry.status]}: ${entry.name} (${entry.id})`
+  ));
+  const pendingLines = historyResult.pending.map(migration => (
+    `Pending: ${migration.name} (${migration.id})`
+  ));
+  const lines = [...pendingLines, ...historyLines];
+
+  messenger.log(historyResult.messages.log);
+  messenger.alert(
+    lines.length > 0 ? lines.join('\n') : 'No migrations have been run on this document',
+    'Migration History',
+  );
+
+  return null;
+};
+
+/**
+ * @description Shows what each migration that would run the next time the document is opened
+ * would change (the settings and layers it touches), without running any of them.
+ *
+ * @kind function
+ * @name previewMigrations
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const previewMigrations = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const dryRunResult = housekeeper.runMigrations(true);
+  const lines = dryRunResult.changes.map(({
+    error,
+    id,
+    isNeeded,
+    layers,
+    name,
+    settings,
+  }) => {
+    let description = 'No changes';
+    if (!isNeeded) {
+      description = 'Not needed';
+    } else if (error) {
+      description = `Would fail (${error})`;
+    } else if ((settings.length > 0) || (layers.length > 0)) {
+      description = [
+        ...settings.map(key => `settings “${key}”`),
+        ...layers.map(layerName => `layer “${layerName}”`),
+      ].join(', ');
+    }
+    return `${name} (${id}): ${description}`;
+  });
+
+  messenger.log(dryRunResult.messages.log);
+  messenger.alert(
+    lines.length > 0 ? lines.join('\n') : 'There are no migrations to run on this document',
+    'Migration Preview',
+  );
+
+  return null;
+};
+
+/**
+ * @description Lets the user choose an applied migration and rolls the document settings
+ * back to the snapshot taken before it ran.
+ *
+ * @kind function
+ * @name rollbackMigration
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const rollbackMigration = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const migrations = {};
+  housekeeper.readMigrationHistory().history
+    .filter(entry => entry.canRollBack)
+    .forEach((entry) => {
+      migrations[`${entry.name} (${entry.id})`] = entry.id;
+    });
+
+  if (Object.keys(migrations).length === 0) {
+    return messenger.toast('There are no migrations to roll back');
+  }
+
+  const customInput = askUser('Roll back which migration (and any applied after it)?', {
+    type: INPUT_TYPE.selection,
+    initialValue: Object.keys(migrations)[0],
+    possibleValues: Object.keys(migrations),
+  });
+
+  if (customInput.error || !migrations[customInput.value]) {
+    return null;
+  }
+
+  // read the response from Housekeeper; log and display message(s)
+  messenger.handleResult(housekeeper.rollbackMigration(migrations[customInput.value]));
+  return null;
+};
+
+/**
+ * @description Lets the user choose the spacing scale (i.e. “IS-X” or an 8pt grid) that
+ * new spacing annotations in the document are matched against.
+ *
+ * @kind function
+ * @name setSpacingScale
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const setSpacingScale = (context = null) => {
+  const {
+    document,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(preferences.chooseSpacingScale());
+
+  return null;
+};
+
+/**
+ * @description Turns strict spacing on or off for the document. When it is on, spacing
+ * annotations flag measurements that do not exactly match the spacing scale.
+ *
+ * @kind function
+ * @name toggleStrictSpacing
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const toggleStrictSpacing = (context = null) => {
+  const {
+    document,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(preferences.toggleStrictSpacing());
+
+  return null;
+};
+
+/**
+ * @description Lets the user choose the unit(s) used in measurement labels (i.e. “dp”,
+ * “pt”, or “rem”) and then relabels the measurements already annotated in the document.
+ *
+ * @kind function
+ * @name setUnits
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const setUnits = (context = null) => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+  const chooseUnitsResult = preferences.chooseUnits();
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(chooseUnitsResult);
+
+  // update the existing measurement annotations to match
+  if (chooseUnitsResult.status === 'success') {
+    messenger.handleResult(housekeeper.relabelMeasurements());
+  }
+
+  return null;
+};
+
+/**
+ * @description Lets the user load a design token file (Style Dictionary JSON) for the document
+ * and then relabels the measurements already annotated in the document with the tokens.
+ * Type and style specs pick up the tokens the next time they are annotated.
+ *
+ * @kind function
+ * @name loadDesignTokens
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const loadDesignTokens = (context = null) => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+  const loadTokensResult = preferences.loadDesignTokens();
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(loadTokensResult);
+
+  // update the existing measurement annotations to match
+  if (loadTokensResult.status === 'success') {
+    messenger.handleResult(housekeeper.relabelMeasurements());
+  }
+
+  return null;
+};
+
+/**
+ * @description Lets the user choose the name resolvers (i.e. Lingo Kits, Sketch Libraries, or
+ * a component name mapping) used to look up layer names in the document, and in what order.
+ *
+ * @kind function
+ * @name setNameResolvers
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const setNameResolvers = (context = null) => {
+  const {
+    document,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(preferences.chooseNameResolvers());
+
+  return null;
+};
+
+/**
+ * @description Lets the user choose where labels are placed (on the artboard, or in a gutter
+ * beside it) and then lays out the labels already annotated in the document to match.
+ *
+ * @kind function
+ * @name setPlacement
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const setPlacement = (context = null) => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+  const choosePlacementResult = preferences.choosePlacement();
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(choosePlacementResult);
+
+  // move the existing labels to match
+  if (choosePlacementResult.status === 'success') {
+    messenger.handleResult(housekeeper.relayoutAnnotations());
+  }
+
+  return null;
+};
+
+/**
+ * @description Lets the user change part of the annotation theme (colors, font, corner
+ * radius, or opacity) for the document or as the plugin’s default, and then restyles the
+ * annotations already drawn in the document to match.
+ *
+ * @kind function
+ * @name setTheme
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const setTheme = (context = null) => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+  const chooseThemeResult = preferences.chooseTheme();
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(chooseThemeResult);
+
+  // restyle the existing annotations to match
+  if (chooseThemeResult.status === 'success') {
+    messenger.handleResult(housekeeper.restyleAnnotations());
+  }
+
+  return null;
+};
+
+/**
+ * @description Lets the user pick a ready-made theme variant (i.e. the dark theme for
+ * dark-mode artboards) and applies it across the document.
+ *
+ * @kind function
+ * @name applyThemeVariant
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const applyThemeVariant = (context = null) => {
+  const {
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const variants = {};
+  Object.keys(THEME_VARIANTS).forEach((variantId) => {
+    variants[THEME_VARIANTS[variantId].name] = variantId;
+  });
+
+  const customInput = askUser('Apply which theme to this document?', {
+    type: INPUT_TYPE.selection,
+    initialValue: Object.keys(variants)[0],
+    possibleValues: Object.keys(variants),
+  });
+
+  if (customInput.error || !variants[customInput.value]) {
+    return null;
+  }
+
+  // read the response from Housekeeper; log and display message(s)
+  messenger.handleResult(housekeeper.applyThemeVariant(variants[customInput.value]));
+  return null;
+};
+
+/**
+ * @description Turns collapsed spacing on or off for the document. When it is on, “Measure
+ * Padding” labels equal sides once (i.e. “IS-4 all sides”) and measuring a row or column of
+ * layers labels each run of identical gaps once (i.e. “IS-3 ×5 between items”).
+ *
+ * @kind function
+ * @name toggleCollapseSpacing
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const toggleCollapseSpacing = (context = null) => {
+  const {
+    document,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(preferences.toggleCollapseSpacing());
+
+  return null;
+};
+
+/**
+ * @description Turns sampling under labels on or off for the document and then restyles the
+ * annotations already drawn, so their contrast is checked against the new background.
+ *
+ * @kind function
+ * @name toggleSampleUnderLabels
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null}
+ */
+const toggleSampleUnderLabels = (context = null) => {
+  const {
+    document,
+    housekeeper,
+    messenger,
+  } = assemble(context);
+
+  const preferences = new Preferences({ for: document });
+  const toggleResult = preferences.toggleSampleUnderLabels();
+
+  // read the response from Preferences; log and display message(s)
+  messenger.handleResult(toggleResult);
+
+  // restyle the existing annotations against the new background
+  if (toggleResult.status === 'success') {
+    messenger.handleResult(housekeeper.restyleAnnotations());
+  }
+
+  return null;
+};
+
+/**
+ * @description Exports the annotations, spacing, dimensions, and bounding boxes drawn on the
+ * selected artboard(s) as a JSON spec file saved next to the Sketch file.
+ *
+ * @kind function
+ * @name exportSpecJSON
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null} Shows a Toast in the UI if nothing is selected.
+ */
+const exportSpecJSON = (context = null) => {
+  const {
+    document,
+    messenger,
+    selection,
+  } = assemble(context);
+
+  // need a selected artboard (or a layer on one) to export it
+  if (selection === null || selection.count() === 0) {
+    return messenger.alert('An artboard (or a layer on one) must be selected');
+  }
+
+  const artboards = new Crawler({ for: selection }).artboards();
+
+  if (artboards.length === 0) {
+    return messenger.alert('Your selection needs to be on an artboard');
+  }
+
+  artboards.forEach((artboard) => {
+    const exporter = new Exporter({ for: artboard, in: document });
+
+    // read the response from Exporter; log and display message(s)
+    messenger.handleResult(exporter.exportJSON());
+  });
+
+  return null;
+};
+
+/**
+ * @description Builds a spec sheet for the selected artboard(s) from their existing
+ * annotations: a Markdown file (with a numbered PNG of each artboard) and a
+ * self-contained HTML file, saved next to the Sketch file.
+ *
+ * @kind function
+ * @name exportSpecSheet
+ * @param {Object} context The current context (event) received from Sketch.
+ * @returns {null} Shows a Toast in the UI if nothing is selected.
+ */
+const exportSpecSheet = (context = null) => {
+  const {
+    document,
+    messenger,
+    selection,
+  } = assemble(context);
+
+  // need a selected artboard (or a layer on one) to export it
+  if (selection === null || selection.count() === 0) {
+    return messenger.alert('An artboard (or a layer on one) must be selected');
+  }
+
+  const artboards = new Crawler({ for: selection }).artboards();
+
+  if (artboards.length === 0) {
+    return messenger.alert('Your selection needs to be on an artboard');
+  }
+
+  // read the response from Exporter; log and display message(s)
+  messenger.handleResult(saveSpecSheet(artboards, document));
+
+  return null;
+};
+
 // listeners -------------------------------------------------
 
 /**
- * @description Displays a Toast in the UI with the document ID on open.
+ * @description Logs the document ID on open, runs any migrations, and flags annotations
+ * that are out of date with a Toast in the UI.
  *
  * @kind function
  * @name onOpenDocument
@@ -344,7 +1117,10 @@ const onOpenDocument = (context) => {
       messenger.log(`Document “${document.id}” Opened 😻`);
 
       setTimeout(() => {
-        housekeeper.runMigrations();
+        messenger.handleResult(housekeeper.runMigrations());
+
+        // flag annotations that no longer match their original layers
+        messenger.handleResult(housekeeper.findStaleAnnotations());
       }, 500);
     }
   }
@@ -355,10 +1131,35 @@ export {
   annotateLayer,
   annotateLayerCustom,
   annotateMeasurement,
+  annotatePadding,
   annotateSpacingTop,
   annotateSpacingBottom,
   annotateSpacingLeft,
   annotateSpacingRight,
+  annotateStyle,
+  annotateType,
+  applyThemeVariant,
+  checkAlignment,
   drawBoundingBox,
+  exportSpecJSON,
+  exportSpecSheet,
+  loadDesignTokens,
   onOpenDocument,
+  previewMigrations,
+  reannotateAll,
+  removeAnnotationsArtboard,
+  removeAnnotationsDocument,
+  removeAnnotationsPage,
+  removeAnnotationsSelection,
+  repairDocument,
+  rollbackMigration,
+  setNameResolvers,
+  setPlacement,
+  setSpacingScale,
+  setTheme,
+  showMigrationHistory,
+  setUnits,
+  toggleCollapseSpacing,
+  toggleSampleUnderLabels,
+  toggleStrictSpacing,
 };
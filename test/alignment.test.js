@@ -0,0 +1,167 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '../harness/sketch';
+import { resetHarness, select, state } from '../harness/index';
+import { checkAlignment } from '../src/main';
+import Crawler from '../src/Crawler';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+/**
+ * @description Builds a column of three layers: `a` and `b` share their left edge, and `c`
+ * sits 2px to the right of it (and shares its width with `a`).
+ *
+ * @kind function
+ * @name buildColumn
+ * @returns {Object} The `document`, `artboard`, and `layers`.
+ */
+const buildColumn = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const layers = {
+    a: buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 100,
+      height: 32,
+    }, { name: 'A' }),
+    b: buildShape(artboard, {
+      x: 20,
+      y: 100,
+      width: 60,
+      height: 32,
+    }, { name: 'B' }),
+    c: buildShape(artboard, {
+      x: 22,
+      y: 160,
+      width: 100,
+      height: 32,
+    }, { name: 'C' }),
+  };
+  return { artboard, document, layers };
+};
+
+/**
+ * @description Lists the alignments found by Crawler in a readable form.
+ *
+ * @kind function
+ * @name readAlignments
+ * @param {Object} document The harness document.
+ * @param {Array} alignments The alignments from `Crawler.alignments`.
+ * @returns {Array} Each alignment’s `edge`, `position`, and the layers’ names with their
+ * offsets (i.e. `C +2`).
+ */
+const readAlignments = (document, alignments) => alignments.map(
+  ({ edge, position, layers }) => ({
+    edge,
+    position,
+    layers: layers.map(({ id, offset }) => `${document.getLayerWithID(id).name} +${offset}`),
+  }),
+);
+
+describe('Crawler.alignments', () => {
+  beforeEach(() => resetHarness());
+
+  it('finds shared edges and the layers that almost share them', () => {
+    const { document, layers } = buildColumn();
+
+    const alignments = new Crawler({
+      for: [layers.a.sketchObject, layers.b.sketchObject, layers.c.sketchObject],
+    }).alignments();
+
+    assert.deepEqual(readAlignments(document, alignments), [
+      { edge: 'left', position: 20, layers: ['A +0', 'B +0', 'C +2'] },
+      { edge: 'center', position: 70, layers: ['A +0', 'C +2'] },
+      { edge: 'right', position: 120, layers: ['A +0', 'C +2'] },
+    ]);
+  });
+
+  it('ignores misalignments beyond the tolerance', () => {
+    const { document, layers } = buildColumn();
+
+    const alignments = new Crawler({
+      for: [layers.a.sketchObject, layers.c.sketchObject],
+    }).alignments(1);
+
+    assert.deepEqual(readAlignments(document, alignments), []);
+  });
+
+  it('finds shared top and baseline edges in a row', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const icon = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 24,
+      height: 24,
+    }, { name: 'Icon' });
+    const badge = buildShape(artboard, {
+      x: 200,
+      y: 40,
+      width: 40,
+      height: 24,
+    }, { name: 'Badge' });
+
+    const alignments = new Crawler({ for: [icon.sketchObject, badge.sketchObject] }).alignments();
+
+    assert.deepEqual(readAlignments(document, alignments), [
+      { edge: 'top', position: 40, layers: ['Icon +0', 'Badge +0'] },
+      { edge: 'baseline', position: 64, layers: ['Icon +0', 'Badge +0'] },
+    ]);
+  });
+
+  it('ignores hidden layers', () => {
+    const { layers } = buildColumn();
+    layers.b.hidden = true;
+
+    const alignments = new Crawler({
+      for: [layers.a.sketchObject, layers.b.sketchObject],
+    }).alignments();
+
+    assert.deepEqual(alignments, []);
+  });
+});
+
+describe('Check Alignment', () => {
+  beforeEach(() => resetHarness());
+
+  it('draws a guide for a shared edge and a marker for each near-miss', () => {
+    const { artboard, document, layers } = buildColumn();
+
+    checkAlignment(select(document, [layers.a, layers.b, layers.c]));
+    const [guideGroup] = document.getLayersNamed('Alignment Guides');
+
+    assert.deepEqual(guideGroup.layers.map(layer => layer.name), [
+      'Alignment Guide (left)',
+      'Misalignment (left)',
+      'Misalignment (center)',
+      'Misalignment (right)',
+    ]);
+    assert.deepEqual(readTexts(artboard).filter(text => text.includes('px off')), [
+      '2px off left',
+      '2px off center',
+      '2px off right',
+    ]);
+    assert.deepEqual(state.messages, [
+      '⚠️ Some layers are almost aligned (left: 2px, center: 2px, right: 2px)',
+    ]);
+  });
+
+  it('replaces the guides from an earlier check of the same layers', () => {
+    const { document, layers } = buildColumn();
+    checkAlignment(select(document, [layers.a, layers.b, layers.c]));
+
+    checkAlignment(select(document, [layers.a, layers.b, layers.c]));
+
+    assert.equal(document.getLayersNamed('Alignment Guides')[0].layers.length, 4);
+  });
+
+  it('needs at least two layers', () => {
+    const { document, layers } = buildColumn();
+
+    checkAlignment(select(document, [layers.a]));
+
+    assert.deepEqual(state.alerts.map(alert => alert.text), [
+      'At least two layers must be selected',
+    ]);
+  });
+});
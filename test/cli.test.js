@@ -0,0 +1,182 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  it,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { resetHarness } from '../harness/index';
+import run from '../cli/index';
+import { readSketchFile, writeSketchFile } from '../cli/file';
+
+const color = (red, green, blue, alpha = 1) => ({
+  _class: 'color',
+  alpha,
+  blue,
+  green,
+  red,
+});
+
+const frame = (x, y, width, height) => ({
+  _class: 'rect',
+  height,
+  width,
+  x,
+  y,
+});
+
+const buildPageJSON = () => ({
+  _class: 'page',
+  do_objectID: 'page-1',
+  name: 'Page 1',
+  frame: frame(0, 0, 0, 0),
+  layers: [{
+    _class: 'artboard',
+    do_objectID: 'artboard-1',
+    name: 'Home',
+    frame: frame(0, 0, 360, 640),
+    backgroundColor: color(1, 1, 1),
+    hasBackgroundColor: false,
+    layers: [
+      {
+        _class: 'rectangle',
+        do_objectID: 'card-1',
+        name: 'Card',
+        frame: frame(20, 200, 100, 40),
+        style: {
+          _class: 'style',
+          borderOptions: { _class: 'borderOptions', dashPattern: [], lineCapStyle: 1 },
+          borders: [{
+            _class: 'border',
+            color: color(0, 0, 0),
+            fillType: 0,
+            isEnabled: true,
+            position: 1,
+            thickness: 1,
+          }],
+          contextSettings: { _class: 'graphicsContextSettings', blendMode: 3, opacity: 1 },
+          fills: [{
+            _class: 'fill',
+            color: color(1, 0, 0),
+            fillType: 1,
+            gradient: { _class: 'gradient', gradientType: 1, stops: ['kept'] },
+            isEnabled: true,
+          }],
+          shadows: [],
+        },
+      },
+      {
+        _class: 'text',
+        do_objectID: 'label-1',
+        name: 'Label',
+        frame: frame(20, 40, 100, 20),
+      },
+    ],
+  }],
+});
+
+const writeFixture = async (filePath) => {
+  const zip = new JSZip();
+  zip.file('document.json', JSON.stringify({
+    _class: 'document',
+    do_objectID: 'document-1',
+    pages: [{ _class: 'MSJSONFileReference', _ref: 'pages/page-1' }],
+    userInfo: {
+      'com.lingoapp.lingo': {
+        storage: {
+          hashes: {
+            layers: { 'card-1': { name: 'Cards/Product Card' } },
+            layerStyles: {},
+            symbols: {},
+            textStyles: {},
+          },
+        },
+      },
+    },
+  }));
+  zip.file('pages/page-1.json', JSON.stringify(buildPageJSON()));
+  zip.file('meta.json', JSON.stringify({ app: 'com.bohemiancoding.sketch3' }));
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+};
+
+const readPageJSON = async (filePath) => {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  return JSON.parse(await zip.file('pages/page-1.json').async('string'));
+};
+
+describe('CLI file round-trip', () => {
+  let directory = null;
+  let filePath = null;
+
+  beforeEach(async () => {
+    resetHarness();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'specter-'));
+    filePath = path.join(directory, 'Designs.sketch');
+    await writeFixture(filePath);
+  });
+
+  afterEach(() => fs.rmSync(directory, { force: true, recursive: true }));
+
+  it('keeps unchanged layers as they were in the file', async () => {
+    const sketchFile = await readSketchFile(filePath);
+    await writeSketchFile(sketchFile, filePath);
+    const [artboardJSON] = (await readPageJSON(filePath)).layers;
+    const [cardJSON, labelJSON] = artboardJSON.layers;
+
+    assert.deepEqual(cardJSON.style, buildPageJSON().layers[0].layers[0].style);
+    assert.equal(labelJSON.attributedString, undefined);
+  });
+
+  it('writes the full changed style over the original', async () => {
+    const sketchFile = await readSketchFile(filePath);
+    const card = sketchFile.document.getLayerWithID('card-1');
+    card.style.fills = [{ ...card.style.fills[0], color: '#0000ffff' }];
+    card.style.borders = [{ ...card.style.borders[0], thickness: 4 }];
+    card.style.shadows = [{ color: '#00000080', blur: 8 }];
+    card.style.opacity = 0.5;
+    card.style.borderOptions = { dashPattern: [4, 2] };
+    await writeSketchFile(sketchFile, filePath);
+
+    const [cardJSON] = (await readPageJSON(filePath)).layers[0].layers;
+    const { style } = cardJSON;
+
+    assert.deepEqual(style.fills[0].color, color(0, 0, 1));
+    assert.equal(style.fills[0].fillType, 1);
+    assert.deepEqual(style.fills[0].gradient.stops, ['kept']);
+    assert.equal(style.borders[0].thickness, 4);
+    assert.equal(style.borders[0].position, 1);
+    assert.equal(style.shadows[0].blurRadius, 8);
+    assert.equal(style.contextSettings.opacity, 0.5);
+    assert.equal(style.contextSettings.blendMode, 3);
+    assert.deepEqual(style.borderOptions.dashPattern, [4, 2]);
+    assert.equal(style.borderOptions.lineCapStyle, 1);
+  });
+
+  it('writes text back for a text layer read without an attributed string', async () => {
+    const sketchFile = await readSketchFile(filePath);
+    const label = sketchFile.document.getLayerWithID('label-1');
+    label.text = 'Hello';
+    await writeSketchFile(sketchFile, filePath);
+
+    const [, labelJSON] = (await readPageJSON(filePath)).layers[0].layers;
+
+    assert.equal(labelJSON.attributedString.string, 'Hello');
+  });
+
+  it('annotates a file and saves the annotations', async () => {
+    const outputPath = path.join(directory, 'Designs-annotated.sketch');
+    const exitCode = await run(['annotate', filePath, '--layer', 'Card', '--output', outputPath]);
+
+    const { document } = await readSketchFile(outputPath);
+    const annotation = document.getLayersNamed('Annotation for Card')[0];
+
+    assert.equal(exitCode, 0);
+    assert.ok(annotation);
+    assert.ok(annotation.layers.some(layer => layer.text === 'Product Card'));
+    assert.deepEqual(await readPageJSON(filePath), buildPageJSON());
+  });
+});
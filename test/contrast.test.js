@@ -0,0 +1,166 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document, Settings } from '../harness/sketch';
+import { resetHarness, select, state } from '../harness/index';
+import { annotateLayer, toggleSampleUnderLabels } from '../src/main';
+import Preferences from '../src/Preferences';
+import { contrastRatio, findContrastColors, readBackgroundColor } from '../src/Tools';
+import { COLORS, PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape } from './helpers';
+
+/**
+ * @description Reads the fill and text colors of the label drawn for a layer.
+ *
+ * @kind function
+ * @name readLabelColors
+ * @param {Object} document The harness document.
+ * @param {string} name The name of the annotated layer.
+ * @returns {Object} The label’s `colorHex` and `textColorHex` (without opacity).
+ */
+const readLabelColors = (document, name) => {
+  const [group] = document.getLayersNamed(`Annotation for ${name}`);
+  const rectangle = group.layers.find(
+    layer => (layer.type === 'ShapePath') && (layer.name !== 'Diamond'),
+  );
+  const text = group.layers.find(layer => layer.type === 'Text');
+  return {
+    colorHex: rectangle.style.fills[0].color.slice(0, 7),
+    textColorHex: text.style.textColor.slice(0, 7),
+  };
+};
+
+/**
+ * @description Builds a document with a dark card on a light artboard, and a layer with custom
+ * annotation text on the card.
+ *
+ * @kind function
+ * @name buildCardDocument
+ * @returns {Object} The `document`, `artboard`, and `layer`.
+ */
+const buildCardDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  buildShape(artboard, {
+    x: 0,
+    y: 100,
+    width: 360,
+    height: 200,
+  }, { name: 'Card', style: { fills: ['#1f1f1fff'] } });
+  const layer = buildShape(artboard, {
+    x: 100,
+    y: 220,
+    width: 40,
+    height: 24,
+  }, { name: 'Button' });
+  Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  return { artboard, document, layer };
+};
+
+describe('Contrast colors', () => {
+  const themeColors = ['component', 'custom', 'dimension', 'spacing', 'style', 'warning'];
+
+  themeColors.forEach((type) => {
+    ['#ffffff', '#1f1f1f'].forEach((backgroundHex) => {
+      it(`makes the ${type} color readable on ${backgroundHex}`, () => {
+        const { colorHex, textColorHex } = findContrastColors(COLORS[type], backgroundHex);
+
+        assert.ok(contrastRatio(colorHex, backgroundHex) >= 3);
+        assert.ok(contrastRatio(colorHex, textColorHex) >= 4.5);
+      });
+    });
+  });
+
+  it('darkens a pale color on a light background', () => {
+    const { colorHex, textColorHex } = findContrastColors('#ffff66', '#ffffff');
+
+    assert.notEqual(colorHex, '#ffff66');
+    assert.ok(contrastRatio(colorHex, '#ffffff') >= 3);
+    assert.ok(contrastRatio(colorHex, textColorHex) >= 4.5);
+  });
+
+  it('keeps a color that already stands out', () => {
+    assert.deepEqual(findContrastColors('#333333', '#ffffff'), {
+      colorHex: '#333333',
+      textColorHex: COLORS.textLight,
+    });
+  });
+});
+
+describe('Background sampling', () => {
+  beforeEach(() => resetHarness());
+
+  it('treats an artboard without a background as white', () => {
+    const artboard = buildArtboard(new Document());
+
+    assert.equal(readBackgroundColor(artboard.sketchObject), '#ffffff');
+  });
+
+  it('reads the artboard background', () => {
+    const artboard = buildArtboard(new Document(), {
+      background: { enabled: true, color: '#1f1f1fff' },
+    });
+
+    assert.equal(readBackgroundColor(artboard.sketchObject), '#1f1f1f');
+  });
+
+  it('reads the solid shape under an area', () => {
+    const { artboard } = buildCardDocument();
+    const frame = {
+      x: 100,
+      y: 200,
+      width: 80,
+      height: 20,
+    };
+
+    assert.equal(readBackgroundColor(artboard.sketchObject, frame), '#1f1f1f');
+    assert.equal(readBackgroundColor(artboard.sketchObject, { ...frame, y: 20 }), '#ffffff');
+  });
+
+  it('checks the contrast of a label against the shape under it', () => {
+    const { document, layer } = buildCardDocument();
+    new Preferences({ for: document }).set('sampleUnderLabels', true);
+
+    annotateLayer(select(document, [layer]));
+    const { colorHex, textColorHex } = readLabelColors(document, 'Button');
+
+    assert.ok(contrastRatio(colorHex, '#1f1f1f') >= 3);
+    assert.ok(contrastRatio(colorHex, textColorHex) >= 4.5);
+  });
+});
+
+describe('Toggle Sample Under Labels', () => {
+  beforeEach(() => resetHarness());
+
+  it('restyles the existing annotations', () => {
+    const { document, layer } = buildCardDocument();
+    const preferences = new Preferences({ for: document });
+    preferences.set('theme', { colors: { custom: '#333333' } });
+    annotateLayer(select(document, [layer]));
+    state.messages = [];
+
+    toggleSampleUnderLabels(select(document, []));
+
+    assert.equal(preferences.get('sampleUnderLabels'), true);
+    assert.ok(contrastRatio(readLabelColors(document, 'Button').colorHex, '#1f1f1f') >= 3);
+    assert.deepEqual(state.messages, [
+      '🌓 Contrast sampling under labels is on: labels will stand out from whatever is under them',
+      '🎨 Restyled 1 annotation(s)',
+    ]);
+  });
+
+  it('does not restyle the annotations when the setting cannot be stored', () => {
+    const document = new Document();
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+      annotatedLayers: [{ containerGroupId: 'group-1', originalId: 'layer-1' }],
+    });
+
+    toggleSampleUnderLabels(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).get('sampleUnderLabels'), false);
+    assert.ok(!state.messages.some(message => message.startsWith('🎨')));
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  it,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resetHarness, select, state } from '../harness/index';
+import { Document, Settings } from '../harness/sketch';
+import {
+  annotateLayer,
+  annotateMeasurement,
+  exportSpecJSON,
+  exportSpecSheet,
+} from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape } from './helpers';
+
+/**
+ * @description Builds a saved document with an artboard holding a custom annotation, a
+ * spacing annotation, and a dimension annotation.
+ *
+ * @kind function
+ * @name buildAnnotatedDocument
+ * @param {string} directory The directory the document is saved in.
+ * @returns {Object} The `document` and its `artboard`.
+ */
+const buildAnnotatedDocument = (directory) => {
+  const document = new Document({ path: path.join(directory, 'Designs.sketch') });
+  const artboard = buildArtboard(document, { name: 'Home' });
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 48,
+    height: 24,
+  }, { name: 'Button' });
+  const card = buildShape(artboard, {
+    x: 84,
+    y: 40,
+    width: 40,
+    height: 24,
+  }, { name: 'Card' });
+
+  Settings.setLayerSettingForKey(button, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  annotateLayer(select(document, [button]));
+  annotateMeasurement(select(document, [card]));
+  annotateMeasurement(select(document, [button, card]));
+
+  return { artboard, document };
+};
+
+describe('Export Spec as JSON', () => {
+  let directory = null;
+
+  beforeEach(() => {
+    resetHarness();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'specter-'));
+  });
+
+  afterEach(() => fs.rmSync(directory, { force: true, recursive: true }));
+
+  it('saves the annotations, spacing, and dimensions of the artboard next to the file', () => {
+    const { artboard, document } = buildAnnotatedDocument(directory);
+
+    exportSpecJSON(select(document, [artboard]));
+    const spec = JSON.parse(fs.readFileSync(path.join(directory, 'Home Spec.json'), 'utf8'));
+
+    assert.deepEqual(state.messages, ['📐 Spec saved as “Home Spec.json”']);
+    assert.equal(spec.artboard.name, 'Home');
+    assert.deepEqual(spec.annotations.map(({ name, type }) => ({ name, type })), [{
+      name: 'Primary Button',
+      type: 'custom',
+    }]);
+    assert.equal(spec.spacings.length, 1);
+    assert.equal(spec.spacings[0].label, 'IS-4');
+    assert.equal(spec.spacings[0].measurement, 16);
+    assert.deepEqual(spec.spacings[0].layers.map(layer => layer.name), ['Button', 'Card']);
+    assert.equal(spec.dimensions.length, 1);
+    assert.equal(spec.dimensions[0].layer.name, 'Card');
+    assert.deepEqual(spec.dimensions[0].labels, { width: '40dp', height: '24dp' });
+  });
+
+  it('leaves out records whose layers were deleted', () => {
+    const { artboard, document } = buildAnnotatedDocument(directory);
+    document.getLayersNamed('Card')[0].remove();
+
+    exportSpecJSON(select(document, [artboard]));
+    const spec = JSON.parse(fs.readFileSync(path.join(directory, 'Home Spec.json'), 'utf8'));
+
+    assert.equal(spec.annotations.length, 1);
+    assert.deepEqual(spec.spacings, []);
+    assert.deepEqual(spec.dimensions, []);
+  });
+
+  it('asks for the document to be saved first', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+
+    exportSpecJSON(select(document, [artboard]));
+
+    assert.equal(state.alerts.length, 1);
+    assert.match(state.alerts[0].text, /save your document/);
+    assert.deepEqual(fs.readdirSync(directory), []);
+  });
+
+  it('does not export damaged document settings', () => {
+    const { artboard, document } = buildAnnotatedDocument(directory);
+    const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+      ...documentSettings,
+      annotatedLayers: [{ containerGroupId: 'group-1', originalId: 'layer-1' }],
+    });
+
+    exportSpecJSON(select(document, [artboard]));
+
+    assert.equal(state.alerts.length, 1);
+    assert.match(state.alerts[0].text, /Run “Repair Document” to fix it/);
+    assert.deepEqual(fs.readdirSync(directory), []);
+  });
+});
+
+describe('Export Spec Sheet', () => {
+  let directory = null;
+
+  beforeEach(() => {
+    resetHarness();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'specter-'));
+  });
+
+  afterEach(() => fs.rmSync(directory, { force: true, recursive: true }));
+
+  it('saves a Markdown and an HTML sheet with a numbered row per annotation', () => {
+    const { artboard, document } = buildAnnotatedDocument(directory);
+
+    exportSpecSheet(select(document, [artboard]));
+    const markdown = fs.readFileSync(path.join(directory, 'Designs Spec.md'), 'utf8');
+    const html = fs.readFileSync(path.join(directory, 'Designs Spec.html'), 'utf8');
+
+    assert.deepEqual(fs.readdirSync(directory).sort(), [
+      'Designs Spec - Home.png',
+      'Designs Spec.html',
+      'Designs Spec.md',
+    ]);
+    assert.match(markdown, /^# Designs Spec\n\n## Home\n\n!\[Home\]\(Designs%20Spec%20-%20Home\.png\)/);
+    assert.ok(markdown.includes('| 1 | Button | Primary Button | – | 20, 40 | 48 × 24dp |'));
+    assert.ok(markdown.includes('| 2 | Button ↔ Card | gap | IS-4 |'));
+    assert.ok(markdown.includes('| 3 | Card | 40dp | 24dp |'));
+    assert.ok(html.includes('<td>Primary Button</td>'));
+    assert.ok(html.includes('src="data:image/png;base64,'));
+  });
+
+  it('removes the temporary markers after exporting the image', () => {
+    const { artboard, document } = buildAnnotatedDocument(directory);
+    const layerCount = artboard.layers.length;
+
+    exportSpecSheet(select(document, [artboard]));
+
+    assert.equal(state.exports.length, 1);
+    assert.equal(artboard.layers.length, layerCount);
+  });
+
+  it('notes artboards without annotations', () => {
+    const document = new Document({ path: path.join(directory, 'Designs.sketch') });
+    const artboard = buildArtboard(document, { name: 'Empty' });
+
+    exportSpecSheet(select(document, [artboard]));
+    const markdown = fs.readFileSync(path.join(directory, 'Designs Spec.md'), 'utf8');
+
+    assert.ok(markdown.includes('_No annotations on this artboard._'));
+  });
+});
@@ -0,0 +1,143 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '../harness/sketch';
+import { resetHarness, select } from '../harness/index';
+import { annotateMeasurement } from '../src/main';
+import Crawler from '../src/Crawler';
+import Preferences from '../src/Preferences';
+import {
+  buildArtboard,
+  buildShape,
+  readDocumentSettings,
+  readTexts,
+} from './helpers';
+
+/**
+ * @description Builds a row of chips on an artboard: three 12px gaps followed by a 20px gap.
+ *
+ * @kind function
+ * @name buildRow
+ * @returns {Object} The `document`, `artboard`, and `chips` (left to right).
+ */
+const buildRow = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const chips = [20, 92, 164, 236, 316].map((x, index) => buildShape(artboard, {
+    x,
+    y: 100,
+    width: 60,
+    height: 32,
+  }, { name: `Chip ${index + 1}` }));
+  return { artboard, chips, document };
+};
+
+/**
+ * @description Lists the gaps (as pairs of layer names) measured by a set of gap frames.
+ *
+ * @kind function
+ * @name readGapPairs
+ * @param {Object} document The harness document.
+ * @param {Array} gapFrames The gap frames from `Crawler.gapFrames`.
+ * @returns {Array} The names of the two layers on either side of each gap.
+ */
+const readGapPairs = (document, gapFrames) => gapFrames.map(({ layerAId, layerBId }) => [
+  document.getLayerWithID(layerAId).name,
+  document.getLayerWithID(layerBId).name,
+]);
+
+describe('Crawler.gapFrames', () => {
+  beforeEach(() => resetHarness());
+
+  it('sorts a row from left to right, whatever the selection order', () => {
+    const { chips, document } = buildRow();
+    const [chip1, chip2, chip3] = chips;
+
+    const gapFrames = new Crawler({
+      for: [chip3.sketchObject, chip1.sketchObject, chip2.sketchObject],
+    }).gapFrames();
+
+    assert.deepEqual(readGapPairs(document, gapFrames), [
+      ['Chip 1', 'Chip 2'],
+      ['Chip 2', 'Chip 3'],
+    ]);
+    assert.deepEqual(gapFrames.map(({ width, orientation }) => ({ width, orientation })), [
+      { width: 12, orientation: 'vertical' },
+      { width: 12, orientation: 'vertical' },
+    ]);
+  });
+
+  it('sorts a column from top to bottom', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const items = [40, 96, 152].map((y, index) => buildShape(artboard, {
+      x: 20,
+      y,
+      width: 200,
+      height: 48,
+    }, { name: `Item ${index + 1}` }));
+
+    const gapFrames = new Crawler({
+      for: [...items].reverse().map(item => item.sketchObject),
+    }).gapFrames();
+
+    assert.deepEqual(readGapPairs(document, gapFrames), [
+      ['Item 1', 'Item 2'],
+      ['Item 2', 'Item 3'],
+    ]);
+    assert.ok(gapFrames.every(({ height, orientation }) => (
+      (height === 8) && (orientation === 'horizontal')
+    )));
+  });
+
+  it('skips neighbours that overlap', () => {
+    const { artboard, chips, document } = buildRow();
+    const overlapping = buildShape(artboard, {
+      x: 60,
+      y: 100,
+      width: 20,
+      height: 32,
+    }, { name: 'Badge' });
+
+    const gapFrames = new Crawler({
+      for: [chips[0].sketchObject, overlapping.sketchObject, chips[1].sketchObject],
+    }).gapFrames();
+
+    assert.deepEqual(readGapPairs(document, gapFrames), [['Badge', 'Chip 2']]);
+  });
+});
+
+describe('Measuring a row of layers', () => {
+  beforeEach(() => resetHarness());
+
+  it('annotates every gap', () => {
+    const { artboard, chips, document } = buildRow();
+
+    annotateMeasurement(select(document, [...chips].reverse()));
+
+    assert.deepEqual(readTexts(artboard), ['IS-3', 'IS-3', 'IS-3', 'IS-5']);
+    assert.equal(readDocumentSettings(document).annotatedSpacings.length, 4);
+  });
+
+  it('collapses runs of identical gaps when collapsed spacing is on', () => {
+    const { artboard, chips, document } = buildRow();
+    new Preferences({ for: document }).set('collapseSpacing', true);
+
+    annotateMeasurement(select(document, chips));
+    const { annotatedSpacings } = readDocumentSettings(document);
+
+    assert.deepEqual(readTexts(artboard), ['IS-3 ×3 between items', 'IS-5']);
+    assert.deepEqual(annotatedSpacings.map(({ repeatCount }) => repeatCount), [3, undefined]);
+    assert.equal(document.getLayerWithID(annotatedSpacings[0].layerAId).name, 'Chip 2');
+  });
+
+  it('replaces the single gaps of a run that is measured again collapsed', () => {
+    const { artboard, chips, document } = buildRow();
+    annotateMeasurement(select(document, chips));
+
+    new Preferences({ for: document }).set('collapseSpacing', true);
+    annotateMeasurement(select(document, chips));
+
+    assert.deepEqual(readTexts(artboard), ['IS-3 ×3 between items', 'IS-5']);
+    assert.equal(readDocumentSettings(document).annotatedSpacings.length, 2);
+  });
+});
@@ -0,0 +1,301 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Document,
+  fromNative,
+  Page,
+  Settings,
+  SymbolInstance,
+  SymbolMaster,
+} from '../harness/sketch';
+import { resetHarness, state } from '../harness/index';
+import Crawler from '../src/Crawler';
+import Identifier from '../src/Identifier';
+import Messenger from '../src/Messenger';
+import Painter from '../src/Painter';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape } from './helpers';
+
+describe('Crawler', () => {
+  beforeEach(() => resetHarness());
+
+  it('measures the gap between two side-by-side layers', () => {
+    const artboard = buildArtboard();
+    const layerA = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 40,
+      height: 40,
+    });
+    const layerB = buildShape(artboard, {
+      x: 76,
+      y: 40,
+      width: 40,
+      height: 40,
+    });
+
+    const gapFrame = new Crawler({ for: [layerB.sketchObject, layerA.sketchObject] }).gapFrame();
+
+    assert.equal(gapFrame.orientation, 'vertical');
+    assert.equal(gapFrame.x, 60);
+    assert.equal(gapFrame.width, 16);
+    assert.equal(gapFrame.height, 40);
+    assert.equal(gapFrame.layerAId, layerA.id);
+    assert.equal(gapFrame.layerBId, layerB.id);
+  });
+
+  it('measures the gap between two stacked layers', () => {
+    const artboard = buildArtboard();
+    const layerA = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 100,
+      height: 40,
+    });
+    const layerB = buildShape(artboard, {
+      x: 20,
+      y: 104,
+      width: 100,
+      height: 40,
+    });
+
+    const gapFrame = new Crawler({ for: [layerA.sketchObject, layerB.sketchObject] }).gapFrame();
+
+    assert.equal(gapFrame.orientation, 'horizontal');
+    assert.equal(gapFrame.y, 80);
+    assert.equal(gapFrame.height, 24);
+  });
+
+  it('measures the space around a layer placed on top of another', () => {
+    const artboard = buildArtboard();
+    const outer = buildShape(artboard, {
+      x: 20,
+      y: 20,
+      width: 200,
+      height: 100,
+    });
+    const inner = buildShape(artboard, {
+      x: 36,
+      y: 28,
+      width: 100,
+      height: 40,
+    });
+
+    const crawler = new Crawler({ for: [outer.sketchObject, inner.sketchObject] });
+    const overlapFrames = crawler.overlapFrames();
+
+    assert.equal(crawler.gapFrame(), null);
+    assert.equal(overlapFrames.layerAId, outer.id);
+    assert.equal(overlapFrames.layerBId, inner.id);
+    assert.equal(overlapFrames.top.height, 8);
+    assert.equal(overlapFrames.left.width, 16);
+    assert.equal(overlapFrames.bottom.height, 52);
+    assert.equal(overlapFrames.right.width, 84);
+  });
+
+  it('does not measure overlaps for layers side by side', () => {
+    const artboard = buildArtboard();
+    const layerA = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 40,
+      height: 40,
+    });
+    const layerB = buildShape(artboard, {
+      x: 76,
+      y: 40,
+      width: 40,
+      height: 40,
+    });
+
+    const crawler = new Crawler({ for: [layerA.sketchObject, layerB.sketchObject] });
+
+    assert.equal(crawler.overlapFrames(), null);
+  });
+});
+
+describe('Painter.addAnnotation', () => {
+  beforeEach(() => resetHarness());
+
+  it('draws the annotation text set on the layer and records it', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 200,
+      width: 100,
+      height: 40,
+    });
+    Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+      annotationText: 'Button',
+      annotationSecondaryText: null,
+      annotationType: 'component',
+    });
+
+    const result = new Painter({ for: layer.sketchObject, in: document }).addAnnotation();
+    const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+    const [layerSet] = documentSettings.annotatedLayers;
+    const annotation = document.getLayerWithID(layerSet.id);
+
+    assert.equal(result.status, 'success');
+    assert.equal(layerSet.originalId, layer.id);
+    assert.ok(annotation.layers.some(child => (child.type === 'Text') && (child.text === 'Button')));
+  });
+
+  it('replaces the earlier annotation when a layer is annotated again', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 200,
+      width: 100,
+      height: 40,
+    });
+    const annotate = (annotationText) => {
+      Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+        annotationText,
+        annotationSecondaryText: null,
+        annotationType: 'component',
+      });
+      return new Painter({ for: layer.sketchObject, in: document }).addAnnotation();
+    };
+
+    annotate('Button');
+    annotate('Primary Button');
+    const documentSettings = Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER);
+
+    assert.equal(documentSettings.annotatedLayers.length, 1);
+    const annotation = document.getLayerWithID(documentSettings.annotatedLayers[0].id);
+    assert.ok(annotation.layers.some(child => child.text === 'Primary Button'));
+  });
+
+  it('does not draw anything for a layer without annotation text', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 200,
+      width: 100,
+      height: 40,
+    });
+
+    const result = new Painter({ for: layer.sketchObject, in: document }).addAnnotation();
+
+    assert.equal(result.status, 'error');
+    assert.equal(artboard.layers.length, 1);
+  });
+});
+
+describe('Identifier name look-ups', () => {
+  beforeEach(() => resetHarness());
+
+  const buildKitDocument = (hashes) => {
+    const symbolsPage = new Page({ name: 'Symbols' });
+    const document = new Document({
+      pages: [new Page({ name: 'Page 1' }), symbolsPage],
+      userInfo: { 'com.lingoapp.lingo': { storage: { hashes } } },
+    });
+    const master = new SymbolMaster({
+      name: 'Buttons/Primary',
+      parent: symbolsPage,
+      frame: {
+        x: 0,
+        y: 0,
+        width: 80,
+        height: 32,
+      },
+    });
+    const artboard = buildArtboard(document);
+    const instance = new SymbolInstance({
+      name: 'btn',
+      symbolId: master.symbolId,
+      parent: artboard,
+      frame: {
+        x: 20,
+        y: 100,
+        width: 80,
+        height: 32,
+      },
+    });
+    return { document, instance, master };
+  };
+
+  const identify = (document, layer) => new Identifier({
+    for: layer.sketchObject,
+    document,
+    documentData: document.sketchObject.documentData(),
+    messenger: new Messenger({ for: null, in: document }),
+  });
+
+  it('names a symbol after its Lingo Kit symbol', () => {
+    const { document, instance, master } = buildKitDocument({
+      symbols: {},
+      layers: {},
+      layerStyles: {},
+      textStyles: {},
+    });
+    document.sketchObject.documentData().userInfo()['com.lingoapp.lingo'].storage.hashes.symbols[
+      fromNative(master).id
+    ] = { name: 'Web Kit/Buttons/Primary Button' };
+
+    const result = identify(document, instance).getName();
+    const layerSettings = Settings.layerSettingForKey(instance, PLUGIN_IDENTIFIER);
+
+    assert.equal(result.status, 'success');
+    assert.equal(layerSettings.annotationText, 'Primary Button');
+    assert.equal(layerSettings.annotationType, 'component');
+    assert.match(result.messages.log, /Lingo Kits/);
+  });
+
+  it('names a plain layer after its Lingo Kit layer', () => {
+    const document = new Document({
+      userInfo: {
+        'com.lingoapp.lingo': {
+          storage: {
+            hashes: {
+              symbols: {},
+              layers: {},
+              layerStyles: {},
+              textStyles: {},
+            },
+          },
+        },
+      },
+    });
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 24,
+      height: 24,
+    });
+    document.sketchObject.documentData().userInfo()['com.lingoapp.lingo'].storage.hashes.layers[
+      layer.id
+    ] = { name: 'Icons/Close' };
+
+    const result = identify(document, layer).getName();
+    const layerSettings = Settings.layerSettingForKey(layer, PLUGIN_IDENTIFIER);
+
+    assert.equal(result.status, 'success');
+    assert.equal(layerSettings.annotationText, 'Close');
+    assert.equal(layerSettings.annotationType, 'style');
+  });
+
+  it('reports a layer that cannot be found', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 24,
+      height: 24,
+    });
+
+    const result = identify(document, layer).getName();
+
+    assert.equal(result.status, 'error');
+    assert.ok(result.messages.toast);
+    assert.equal(Settings.layerSettingForKey(layer, PLUGIN_IDENTIFIER), undefined);
+    assert.ok(state.logs.length > 0);
+  });
+});
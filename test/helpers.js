@@ -0,0 +1,89 @@
+/**
+ * @description Builders shared by the tests: artboards and layers in a harness document, and
+ * a helper that reads back the label text the plugin drew.
+ */
+import {
+  Artboard,
+  Document,
+  Settings,
+  ShapePath,
+  Text,
+} from '../harness/sketch';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+
+/**
+ * @description Adds an artboard to the selected page of a document.
+ *
+ * @kind function
+ * @name buildArtboard
+ * @param {Object} document The harness document (a new one is created if not supplied).
+ * @param {Object} props Any other artboard properties (i.e. `background`).
+ * @returns {Object} The harness artboard.
+ */
+const buildArtboard = (document = new Document(), props = {}) => new Artboard({
+  parent: document.selectedPage,
+  frame: {
+    x: 0,
+    y: 0,
+    width: 360,
+    height: 640,
+  },
+  ...props,
+});
+
+/**
+ * @description Adds a shape to an artboard (or group).
+ *
+ * @kind function
+ * @name buildShape
+ * @param {Object} parent The harness artboard or group.
+ * @param {Object} frame The `x`, `y`, `width`, and `height` of the shape.
+ * @param {Object} props Any other layer properties (i.e. `name` or `style`).
+ * @returns {Object} The harness shape.
+ */
+const buildShape = (parent, frame, props = {}) => new ShapePath({ parent, frame, ...props });
+
+/**
+ * @description Adds a text layer to an artboard (or group).
+ *
+ * @kind function
+ * @name buildText
+ * @param {Object} parent The harness artboard or group.
+ * @param {Object} frame The `x`, `y`, `width`, and `height` of the text layer.
+ * @param {Object} props Any other layer properties (i.e. `text` or `style`).
+ * @returns {Object} The harness text layer.
+ */
+const buildText = (parent, frame, props = {}) => new Text({ parent, frame, ...props });
+
+/**
+ * @description Lists the text of every text layer below a layer, in layer order.
+ *
+ * @kind function
+ * @name readTexts
+ * @param {Object} layer The harness layer (or page) to read.
+ * @returns {Array} The text of each text layer.
+ */
+const readTexts = layer => (layer.layers || []).reduce((texts, innerLayer) => (
+  (innerLayer.type === 'Text') ? [...texts, innerLayer.text] : [...texts, ...readTexts(innerLayer)]
+), []);
+
+/**
+ * @description Reads the plugin’s settings from a document.
+ *
+ * @kind function
+ * @name readDocumentSettings
+ * @param {Object} document The harness document.
+ * @returns {Object} The document settings (or `undefined` if none are set).
+ */
+const readDocumentSettings = document => Settings.documentSettingForKey(
+  document,
+  PLUGIN_IDENTIFIER,
+);
+
+export {
+  buildArtboard,
+  buildShape,
+  buildText,
+  readDocumentSettings,
+  readTexts,
+};
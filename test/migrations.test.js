@@ -0,0 +1,177 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Document, Group, Settings } from '../harness/sketch';
+import { resetHarness, select, state } from '../harness/index';
+import Housekeeper from '../src/Housekeeper';
+import Messenger from '../src/Messenger';
+import { previewMigrations } from '../src/main';
+import { PLUGIN_IDENTIFIER, SCHEMA_VERSION } from '../src/constants';
+import { buildArtboard, readDocumentSettings } from './helpers';
+
+/**
+ * @description Builds a document annotated by an early version of the plugin: its container
+ * group record still points at the deprecated `measurementInnerGroupId`.
+ *
+ * @kind function
+ * @name buildLegacyDocument
+ * @returns {Object} The `document` and its container group `record`.
+ */
+const buildLegacyDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const outerGroup = new Group({ name: '+++ Specter +++', parent: artboard });
+  const measurementGroup = new Group({ name: 'Measurements', parent: outerGroup });
+  const record = {
+    id: outerGroup.id,
+    artboardId: artboard.id,
+    measurementInnerGroupId: measurementGroup.id,
+  };
+  Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+    containerGroups: [record],
+  });
+
+  return { document, record };
+};
+
+/**
+ * @description Sets up a `Housekeeper` for a document.
+ *
+ * @kind function
+ * @name housekeeperFor
+ * @param {Object} document The harness document.
+ * @returns {Object} The `Housekeeper`.
+ */
+const housekeeperFor = document => new Housekeeper({
+  in: document,
+  messenger: new Messenger({ for: null, in: document }),
+});
+
+describe('Migrations', () => {
+  beforeEach(() => resetHarness());
+
+  it('stamps a new document without running any migrations', () => {
+    const document = new Document();
+    buildArtboard(document);
+
+    const result = housekeeperFor(document).runMigrations();
+    const documentSettings = readDocumentSettings(document);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.messages.log, 'Migrations: nothing to run');
+    assert.equal(documentSettings.schemaVersion, SCHEMA_VERSION);
+    assert.equal(documentSettings.migrations.length, result.pending.length);
+    assert.ok(documentSettings.migrationHistory.every(entry => entry.status === 'baseline'));
+  });
+
+  it('only records migrations that changed something as applied', () => {
+    const { document, record } = buildLegacyDocument();
+
+    const result = housekeeperFor(document).runMigrations();
+    const documentSettings = readDocumentSettings(document);
+    const applied = documentSettings.migrationHistory.filter(
+      entry => entry.status === 'applied',
+    );
+
+    assert.equal(result.messages.log, 'Migrations: applied separate measurement types');
+    assert.deepEqual(applied.map(entry => entry.name), ['separate measurement types']);
+    assert.deepEqual(Object.keys(applied[0].snapshot), ['documentSettings']);
+    assert.deepEqual(applied[0].snapshot.documentSettings.containerGroups, [record]);
+    assert.equal(
+      documentSettings.containerGroups[0].spacingInnerGroupId,
+      record.measurementInnerGroupId,
+    );
+    assert.equal(documentSettings.schemaVersion, SCHEMA_VERSION);
+  });
+
+  it('reports the settings and layers each migration would change without changing them', () => {
+    const { document } = buildLegacyDocument();
+    const settingsBefore = readDocumentSettings(document);
+
+    const result = housekeeperFor(document).runMigrations(true);
+    const changes = result.changes.filter(
+      ({ settings, layers }) => (settings.length > 0) || (layers.length > 0),
+    );
+
+    assert.deepEqual(changes.map(({ name, settings, layers }) => ({ name, settings, layers })), [
+      { name: 'separate measurement types', settings: ['containerGroups'], layers: [] },
+    ]);
+    assert.match(result.messages.log, /separate measurement types: settings containerGroups/);
+    assert.deepEqual(readDocumentSettings(document), settingsBefore);
+  });
+
+  it('lists the layers a migration would change', () => {
+    const { document, record } = buildLegacyDocument();
+    const measurementGroup = document.getLayerWithID(record.measurementInnerGroupId);
+    measurementGroup.locked = true;
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+      containerGroups: [{ ...record, spacingInnerGroupId: record.measurementInnerGroupId }],
+    });
+
+    const result = housekeeperFor(document).runMigrations(true);
+    const keystoneChanges = result.changes.find(({ name }) => name === 'remove keystone layers');
+
+    assert.deepEqual(keystoneChanges.layers, ['Measurements']);
+    assert.equal(measurementGroup.locked, true);
+  });
+
+  it('leaves the plugin settings alone when a migration fails', () => {
+    const { document, record } = buildLegacyDocument();
+    const housekeeper = housekeeperFor(document);
+    Settings.setSettingForKey(PLUGIN_IDENTIFIER, { theme: { fontSize: 14 } });
+    housekeeper.migration1566025200002 = () => {
+      Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, { containerGroups: [] });
+      Settings.setSettingForKey(PLUGIN_IDENTIFIER, { theme: { fontSize: 18 } });
+      throw new Error('Unexpected layer');
+    };
+
+    const result = housekeeper.runMigrations();
+    const documentSettings = readDocumentSettings(document);
+
+    assert.equal(result.status, 'error');
+    assert.deepEqual(documentSettings.containerGroups, [record]);
+    assert.equal(documentSettings.migrationHistory.slice(-1)[0].status, 'failed');
+    assert.deepEqual(Settings.settingForKey(PLUGIN_IDENTIFIER), { theme: { fontSize: 18 } });
+  });
+
+  it('rolls back the document settings only', () => {
+    const { document, record } = buildLegacyDocument();
+    const housekeeper = housekeeperFor(document);
+    housekeeper.runMigrations();
+    Settings.setSettingForKey(PLUGIN_IDENTIFIER, { theme: { fontSize: 18 } });
+
+    const result = housekeeper.rollbackMigration(1566025200002);
+    const documentSettings = readDocumentSettings(document);
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(documentSettings.containerGroups, [record]);
+    assert.ok(!documentSettings.migrations.includes(1566025200002));
+    assert.deepEqual(Settings.settingForKey(PLUGIN_IDENTIFIER), { theme: { fontSize: 18 } });
+  });
+});
+
+describe('Preview Migrations', () => {
+  beforeEach(() => resetHarness());
+
+  it('is registered as a command', () => {
+    const manifest = JSON.parse(fs.readFileSync('src/manifest.json', 'utf8'));
+
+    assert.ok(manifest.commands.find(command => command.handler === 'previewMigrations'));
+    assert.equal(typeof previewMigrations, 'function');
+  });
+
+  it('shows what each pending migration would change', () => {
+    const { document } = buildLegacyDocument();
+
+    previewMigrations(select(document, []));
+
+    assert.equal(state.alerts.length, 1);
+    assert.equal(state.alerts[0].title, 'Migration Preview');
+    assert.match(
+      state.alerts[0].text,
+      /separate measurement types \(1566025200002\): settings “containerGroups”/,
+    );
+    assert.match(state.alerts[0].text, /move container groups \(1561503084281\): No changes/);
+    assert.equal(readDocumentSettings(document).migrationHistory, undefined);
+  });
+});
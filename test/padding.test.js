@@ -0,0 +1,150 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document, Group } from '../harness/sketch';
+import { resetHarness, select, state } from '../harness/index';
+import { annotatePadding, toggleCollapseSpacing } from '../src/main';
+import Crawler from '../src/Crawler';
+import Preferences from '../src/Preferences';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+/**
+ * @description Builds a chip: a group with a background shape and a label inset 8px
+ * (top and bottom) and 16px (left and right).
+ *
+ * @kind function
+ * @name buildChip
+ * @param {Object} artboard The harness artboard.
+ * @returns {Object} The `group`, its `background`, and the `label`.
+ */
+const buildChip = (artboard) => {
+  const group = new Group({ name: 'Chip', parent: artboard });
+  const background = buildShape(group, {
+    x: 0,
+    y: 0,
+    width: 96,
+    height: 32,
+  }, { name: 'Background' });
+  const label = buildShape(group, {
+    x: 16,
+    y: 8,
+    width: 64,
+    height: 16,
+  }, { name: 'Label' });
+  return { background, group, label };
+};
+
+/**
+ * @description Reads the names of the spacing annotations drawn on an artboard.
+ *
+ * @kind function
+ * @name readSpacingNames
+ * @param {Object} document The harness document.
+ * @returns {Array} The name of each spacing annotation.
+ */
+const readSpacingNames = document => document.getLayersNamed('Spacing Annotations')[0].layers
+  .map(layer => layer.name);
+
+describe('Crawler.container', () => {
+  beforeEach(() => resetHarness());
+
+  it('prefers a background shape behind the layer', () => {
+    const document = new Document();
+    const { background, label } = buildChip(buildArtboard(document));
+
+    const crawler = new Crawler({ for: [label.sketchObject] });
+
+    assert.equal(crawler.container(), background.sketchObject);
+  });
+
+  it('falls back to the artboard', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 24,
+      y: 40,
+      width: 64,
+      height: 16,
+    }, { name: 'Title' });
+
+    const crawler = new Crawler({ for: [layer.sketchObject] });
+
+    assert.equal(crawler.container(), artboard.sketchObject);
+  });
+});
+
+describe('Measure Padding', () => {
+  beforeEach(() => resetHarness());
+
+  it('measures all four insets', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const { label } = buildChip(artboard);
+
+    annotatePadding(select(document, [label]));
+
+    assert.deepEqual(readSpacingNames(document), [
+      'Spacing for Label (top)',
+      'Spacing for Label (bottom)',
+      'Spacing for Label (right)',
+      'Spacing for Label (left)',
+    ]);
+    assert.deepEqual(readTexts(artboard).slice(-4), ['IS-2', 'IS-2', 'IS-4', 'IS-4']);
+  });
+
+  it('collapses equal sides when collapsed spacing is on', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const { label } = buildChip(artboard);
+    toggleCollapseSpacing(select(document, []));
+
+    annotatePadding(select(document, [label]));
+
+    assert.equal(state.messages[0], '📏 Collapsed spacing is on: equal padding and gaps will be labeled once');
+    assert.deepEqual(readTexts(artboard).slice(-2).sort(), [
+      'IS-2 top & bottom',
+      'IS-4 left & right',
+    ]);
+  });
+
+  it('uses a single “all sides” label when every inset matches', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    buildShape(artboard, {
+      x: 20,
+      y: 100,
+      width: 200,
+      height: 100,
+    }, { name: 'Card' });
+    const layer = buildShape(artboard, {
+      x: 36,
+      y: 116,
+      width: 168,
+      height: 68,
+    }, { name: 'Content' });
+    new Preferences({ for: document }).set('collapseSpacing', true);
+
+    annotatePadding(select(document, [layer]));
+
+    assert.deepEqual(readTexts(artboard).slice(-1), ['IS-4 all sides']);
+    assert.equal(readSpacingNames(document).length, 1);
+  });
+
+  it('needs a single layer', () => {
+    const document = new Document();
+    const { background, label } = buildChip(buildArtboard(document));
+
+    annotatePadding(select(document, [background, label]));
+
+    assert.deepEqual(state.alerts.map(alert => alert.text), ['A single layer must be selected']);
+  });
+
+  it('needs a container around the layer', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, { ...artboard.frame, x: 0, y: 0 }, { name: 'Cover' });
+
+    annotatePadding(select(document, [layer]));
+
+    assert.match(state.alerts[0].text, /needs to be inside a group/);
+  });
+});
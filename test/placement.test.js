@@ -0,0 +1,403 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document, Settings } from '../harness/sketch';
+import { queueInput, resetHarness, select } from '../harness/index';
+import {
+  annotateLayer,
+  removeAnnotationsSelection,
+  setPlacement,
+} from '../src/main';
+import Preferences from '../src/Preferences';
+import { getPositionOnArtboard } from '../src/Tools';
+import { COLORS, PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+/**
+ * @description Adds a layer with custom annotation text to an artboard.
+ *
+ * @kind function
+ * @name buildLabeledShape
+ * @param {Object} artboard The harness artboard.
+ * @param {Object} frame The `x`, `y`, `width`, and `height` of the layer.
+ * @param {string} name The name of the layer (also used for its annotation text).
+ * @returns {Object} The harness shape.
+ */
+const buildLabeledShape = (artboard, frame, name) => {
+  const layer = buildShape(artboard, frame, { name });
+  Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+    annotationText: `Icon ${name}`,
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  return layer;
+};
+
+/**
+ * @description Reads the labels drawn for the layers on an artboard.
+ *
+ * @kind function
+ * @name readLabels
+ * @param {Object} document The harness document.
+ * @returns {Array} Each label’s `name`, `frame` (relative to the artboard), and whether or
+ * not it has a `leaderLine`.
+ */
+const readLabels = document => document.getLayersNamed('Component Annotations')[0].layers.map(
+  (group) => {
+    const rectangle = group.layers.find(
+      layer => (layer.type === 'ShapePath') && (layer.name !== 'Diamond'),
+    );
+    const position = getPositionOnArtboard(rectangle.sketchObject);
+    return {
+      name: group.name,
+      frame: {
+        x: position.x,
+        y: position.y,
+        width: rectangle.frame.width,
+        height: rectangle.frame.height,
+      },
+      leaderLine: group.layers.some(layer => layer.name === 'Leader Line'),
+    };
+  },
+);
+
+/**
+ * @description Checks whether or not two frames overlap.
+ *
+ * @kind function
+ * @name overlaps
+ * @param {Object} frameA The first frame.
+ * @param {Object} frameB The second frame.
+ * @returns {boolean} Whether or not the frames overlap.
+ */
+const overlaps = (frameA, frameB) => (
+  (frameA.x < frameB.x + frameB.width)
+  && (frameB.x < frameA.x + frameA.width)
+  && (frameA.y < frameB.y + frameB.height)
+  && (frameB.y < frameA.y + frameA.height)
+);
+
+/**
+ * @description Reads the position of a layer on its page.
+ *
+ * @kind function
+ * @name readPagePosition
+ * @param {Object} layer The harness layer.
+ * @returns {Object} The `x` and `y` of the layer on the page.
+ */
+const readPagePosition = (layer) => {
+  const position = { x: 0, y: 0 };
+  let parent = layer;
+  while (parent && (parent.type !== 'Page')) {
+    position.x += parent.frame.x;
+    position.y += parent.frame.y;
+    ({ parent } = parent);
+  }
+  return position;
+};
+
+/**
+ * @description Builds a document with labeled layers at different heights on an artboard.
+ *
+ * @kind function
+ * @name buildStackedDocument
+ * @returns {Object} The `document`, `artboard`, and `layers` (top to bottom: `b`, `c`, `a`).
+ */
+const buildStackedDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const buildLayer = (name, x, y) => buildLabeledShape(artboard, {
+    x,
+    y,
+    width: 40,
+    height: 24,
+  }, name);
+  const layers = {
+    a: buildLayer('A', 20, 400),
+    b: buildLayer('B', 100, 100),
+    c: buildLayer('C', 200, 250),
+  };
+  return { artboard, document, layers };
+};
+
+describe('Collision-aware placement', () => {
+  beforeEach(() => resetHarness());
+
+  it('places a label above its layer when nothing is in the way', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildLabeledShape(artboard, {
+      x: 120,
+      y: 200,
+      width: 40,
+      height: 24,
+    }, 'A');
+
+    annotateLayer(select(document, [layer]));
+    const [label] = readLabels(document);
+
+    assert.ok(label.frame.y + label.frame.height <= 200);
+    assert.equal(label.leaderLine, false);
+  });
+
+  it('moves a new label out of the way of an existing one', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layerA = buildLabeledShape(artboard, {
+      x: 20,
+      y: 200,
+      width: 40,
+      height: 24,
+    }, 'A');
+    const layerB = buildLabeledShape(artboard, {
+      x: 70,
+      y: 200,
+      width: 40,
+      height: 24,
+    }, 'B');
+
+    annotateLayer(select(document, [layerA]));
+    const [labelBefore] = readLabels(document);
+    annotateLayer(select(document, [layerB]));
+    const [labelA, labelB] = readLabels(document);
+
+    assert.deepEqual(labelA, labelBefore);
+    assert.equal(overlaps(labelA.frame, labelB.frame), false);
+  });
+
+  it('keeps the labels of a batch apart, with leader lines for labels moved away', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layers = ['A', 'B', 'C', 'D', 'E', 'F', 'G'].map((name, index) => buildLabeledShape(
+      artboard,
+      {
+        x: 100 + (index * 28),
+        y: 300,
+        width: 24,
+        height: 24,
+      },
+      name,
+    ));
+
+    annotateLayer(select(document, layers));
+    const labels = readLabels(document);
+
+    assert.equal(labels.length, 7);
+    labels.forEach((label, index) => labels.slice(index + 1).forEach((otherLabel) => {
+      assert.equal(overlaps(label.frame, otherLabel.frame), false, `${label.name} / ${otherLabel.name}`);
+    }));
+    assert.ok(labels.some(label => label.leaderLine));
+  });
+});
+
+describe('Gutter placement', () => {
+  beforeEach(() => resetHarness());
+
+  /**
+   * @description Reads the labels in the gutter beside an artboard, top to bottom.
+   *
+   * @kind function
+   * @name readGutterLabels
+   * @param {Object} document The harness document.
+   * @returns {Array} Each label’s `name`, `x` and `y` on the page, and whether or not it is
+   * connected to its layer (`connector`).
+   */
+  const readGutterLabels = document => document.getLayersNamed('+++ Specter Gutter +++')[0].layers
+    .map((group) => {
+      const rectangle = group.layers.find(layer => layer.type === 'ShapePath');
+      const connector = group.layers.find(layer => layer.name === 'Leader Line');
+      return {
+        name: group.name,
+        ...readPagePosition(rectangle),
+        connector: !!connector && connector.layers.some(layer => layer.name === 'Dot'),
+      };
+    })
+    .sort((labelA, labelB) => labelA.y - labelB.y);
+
+  it('stacks the labels beside the artboard in the order of their layers', () => {
+    const { artboard, document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'gutterRight');
+
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+    const labels = readGutterLabels(document);
+
+    assert.deepEqual(labels.map(label => label.name), [
+      'Annotation for B',
+      'Annotation for C',
+      'Annotation for A',
+    ]);
+    assert.ok(labels.every(label => label.x >= artboard.frame.x + artboard.frame.width));
+    assert.ok(labels.every(label => label.connector));
+  });
+
+  it('puts the gutter on the left of the artboard', () => {
+    const { artboard, document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'gutterLeft');
+
+    annotateLayer(select(document, [layers.a, layers.b]));
+    const labels = readGutterLabels(document);
+
+    assert.equal(labels.length, 2);
+    assert.ok(labels.every(label => label.x < artboard.frame.x));
+  });
+
+  it('re-lays out the gutter when an annotation is removed', () => {
+    const { document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'gutterRight');
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+
+    removeAnnotationsSelection(select(document, [layers.b]));
+    const labels = readGutterLabels(document);
+
+    assert.deepEqual(labels.map(label => label.name), ['Annotation for C', 'Annotation for A']);
+    assert.ok(labels.every(label => label.connector));
+  });
+
+  it('moves the labels back onto the artboard and removes the gutter', () => {
+    const { document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'gutterRight');
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+
+    queueInput('On the artboard, next to each layer');
+    setPlacement(select(document, []));
+
+    assert.equal(document.getLayersNamed('+++ Specter Gutter +++').length, 0);
+    assert.deepEqual(readLabels(document).map(label => label.name).sort(), [
+      'Annotation for A',
+      'Annotation for B',
+      'Annotation for C',
+    ]);
+  });
+});
+
+describe('Callout placement', () => {
+  beforeEach(() => resetHarness());
+
+  /**
+   * @description Reads the numbered callouts on an artboard, in number order.
+   *
+   * @kind function
+   * @name readCallouts
+   * @param {Object} document The harness document.
+   * @returns {Array} Each callout’s `name`, `number`, and badge `color`.
+   */
+  const readCallouts = document => document.getLayersNamed('Component Annotations')[0].layers
+    .map((group) => {
+      const [callout] = group.layers;
+      return {
+        name: group.name,
+        number: readTexts(callout)[0],
+        color: callout.layers.find(layer => layer.type === 'ShapePath').style.fills[0].color,
+      };
+    })
+    .sort((calloutA, calloutB) => calloutA.number - calloutB.number);
+
+  /**
+   * @description Reads the rows of the legend beside an artboard, top to bottom.
+   *
+   * @kind function
+   * @name readLegend
+   * @param {Object} document The harness document.
+   * @returns {Array} The number and text of each row (i.e. `1 Icon B`).
+   */
+  const readLegend = document => document.getLayersNamed('+++ Specter Legend +++')[0].layers
+    .filter(layer => layer.name === 'Legend Row')
+    .sort((rowA, rowB) => rowA.frame.y - rowB.frame.y)
+    .map(row => readTexts(row).join(' '));
+
+  it('numbers the callouts in reading order and lists them in a legend', () => {
+    const { document, layers } = buildStackedDocument();
+    Settings.setLayerSettingForKey(layers.b, PLUGIN_IDENTIFIER, {
+      annotationText: 'Icon B',
+      annotationSecondaryText: 'Hover',
+      annotationType: 'custom',
+    });
+    new Preferences({ for: document }).set('placement', 'callouts');
+
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+
+    assert.deepEqual(readCallouts(document), [
+      { name: 'Annotation for B', number: '1', color: `${COLORS.custom}ff` },
+      { name: 'Annotation for C', number: '2', color: `${COLORS.custom}ff` },
+      { name: 'Annotation for A', number: '3', color: `${COLORS.custom}ff` },
+    ]);
+    assert.deepEqual(readLegend(document), ['1 Icon B · Hover', '2 Icon C', '3 Icon A']);
+  });
+
+  it('re-numbers the callouts when annotations are added or removed', () => {
+    const { artboard, document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'callouts');
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+
+    removeAnnotationsSelection(select(document, [layers.b]));
+
+    assert.deepEqual(readLegend(document), ['1 Icon C', '2 Icon A']);
+
+    const layerD = buildLabeledShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 40,
+      height: 24,
+    }, 'D');
+    annotateLayer(select(document, [layerD]));
+
+    assert.deepEqual(readCallouts(document).map(callout => callout.name), [
+      'Annotation for D',
+      'Annotation for C',
+      'Annotation for A',
+    ]);
+    assert.deepEqual(readLegend(document), ['1 Icon D', '2 Icon C', '3 Icon A']);
+  });
+
+  it('keeps numbering the callouts of deleted layers', () => {
+    const { artboard, document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'callouts');
+    annotateLayer(select(document, [layers.a, layers.b, layers.c]));
+    layers.c.remove();
+
+    const layerD = buildLabeledShape(artboard, {
+      x: 20,
+      y: 300,
+      width: 40,
+      height: 24,
+    }, 'D');
+    annotateLayer(select(document, [layerD]));
+
+    assert.deepEqual(readCallouts(document).map(({ name, number }) => `${number} ${name}`), [
+      '1 Annotation for B',
+      '2 Annotation for C',
+      '3 Annotation for D',
+      '4 Annotation for A',
+    ]);
+    assert.deepEqual(readLegend(document), [
+      '1 Icon B',
+      '2 C (deleted)',
+      '3 Icon D',
+      '4 Icon A',
+    ]);
+  });
+
+  it('draws the legend with the document’s theme', () => {
+    const { document, layers } = buildStackedDocument();
+    const preferences = new Preferences({ for: document });
+    preferences.set('placement', 'callouts');
+    preferences.set('theme', { fontSize: 14, colors: { legend: '#666666' } });
+
+    annotateLayer(select(document, [layers.a]));
+    const [row] = document.getLayersNamed('Legend Row');
+    const text = row.layers.find(layer => (layer.type === 'Text') && (layer.text === 'Icon A'));
+
+    assert.equal(text.style.fontSize, 14);
+    assert.equal(text.style.fontFamily, 'Helvetica Neue');
+    assert.equal(text.style.textColor, '#666666ff');
+  });
+
+  it('removes the legend with the last callout', () => {
+    const { document, layers } = buildStackedDocument();
+    new Preferences({ for: document }).set('placement', 'callouts');
+    annotateLayer(select(document, [layers.a]));
+
+    removeAnnotationsSelection(select(document, [layers.a]));
+
+    assert.equal(document.getLayersNamed('+++ Specter Legend +++').length, 0);
+  });
+});
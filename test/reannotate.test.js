@@ -0,0 +1,87 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetHarness, select, state } from '../harness/index';
+import { Document, Settings } from '../harness/sketch';
+import { annotateLayer, annotateMeasurement, reannotateAll } from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+/**
+ * @description Builds a document with a custom annotation on one layer, the dimensions of a
+ * second layer, and the spacing between the two.
+ *
+ * @kind function
+ * @name buildAnnotatedDocument
+ * @returns {Object} The `document` and the `button` and `card` layers.
+ */
+const buildAnnotatedDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 48,
+    height: 24,
+  }, { name: 'Button' });
+  const card = buildShape(artboard, {
+    x: 84,
+    y: 40,
+    width: 40,
+    height: 24,
+  }, { name: 'Card' });
+
+  Settings.setLayerSettingForKey(button, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  annotateLayer(select(document, [button]));
+  annotateMeasurement(select(document, [card]));
+  annotateMeasurement(select(document, [button, card]));
+  state.messages = [];
+
+  return { button, card, document };
+};
+
+describe('Re-annotate Everything', () => {
+  beforeEach(() => resetHarness());
+
+  it('leaves annotations that are up-to-date as they are', () => {
+    const { document } = buildAnnotatedDocument();
+    const texts = readTexts(document.selectedPage);
+
+    reannotateAll(select(document, []));
+
+    assert.deepEqual(readTexts(document.selectedPage).sort(), texts.sort());
+    assert.deepEqual(state.messages, ['🔄 0 annotation(s) updated']);
+  });
+
+  it('re-measures dimensions and spacing after layers change', () => {
+    const { card, document } = buildAnnotatedDocument();
+    card.frame.x = 92;
+    card.frame.width = 56;
+
+    reannotateAll(select(document, []));
+    const texts = readTexts(document.selectedPage);
+
+    assert.ok(texts.includes('56dp'));
+    assert.ok(texts.includes('IS-5'));
+    assert.ok(!texts.includes('40dp'));
+    assert.deepEqual(state.messages, ['🔄 2 annotation(s) updated']);
+  });
+
+  it('reports annotations whose layers were deleted', () => {
+    const { card, document } = buildAnnotatedDocument();
+    card.remove();
+
+    reannotateAll(select(document, []));
+
+    assert.deepEqual(state.messages, ['🔄 0 annotation(s) updated, 2 with deleted layers']);
+  });
+
+  it('needs annotations to refresh', () => {
+    reannotateAll(select(new Document(), []));
+
+    assert.deepEqual(state.messages, ['This document does not have any annotations yet']);
+  });
+});
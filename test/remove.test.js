@@ -0,0 +1,182 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { Document, Page, Settings } from '../harness/sketch';
+import {
+  annotateLayer,
+  annotateMeasurement,
+  drawBoundingBox,
+  removeAnnotationsArtboard,
+  removeAnnotationsDocument,
+  removeAnnotationsPage,
+  removeAnnotationsSelection,
+} from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readDocumentSettings } from './helpers';
+
+/**
+ * @description Adds an artboard with a custom annotation on one layer, the dimensions of a
+ * second layer, and the spacing between the two.
+ *
+ * @kind function
+ * @name buildAnnotatedArtboard
+ * @param {Object} document The harness document.
+ * @returns {Object} The `artboard` and the `button` and `card` layers.
+ */
+const buildAnnotatedArtboard = (document) => {
+  const artboard = buildArtboard(document);
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 48,
+    height: 24,
+  }, { name: 'Button' });
+  const card = buildShape(artboard, {
+    x: 84,
+    y: 40,
+    width: 40,
+    height: 24,
+  }, { name: 'Card' });
+
+  Settings.setLayerSettingForKey(button, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  annotateLayer(select(document, [button]));
+  annotateMeasurement(select(document, [card]));
+  annotateMeasurement(select(document, [button, card]));
+  state.messages = [];
+
+  return { artboard, button, card };
+};
+
+/**
+ * @description Counts the records of each kind left in the document settings.
+ *
+ * @kind function
+ * @name countRecords
+ * @param {Object} document The harness document.
+ * @returns {Object} The number of `layers`, `dimensions`, and `spacings` records.
+ */
+const countRecords = (document) => {
+  const documentSettings = readDocumentSettings(document);
+  return {
+    layers: documentSettings.annotatedLayers.length,
+    dimensions: documentSettings.annotatedDimensions.length,
+    spacings: documentSettings.annotatedSpacings.length,
+  };
+};
+
+describe('Remove Annotations', () => {
+  beforeEach(() => resetHarness());
+
+  it('removes every annotation drawn for the selected layers', () => {
+    const document = new Document();
+    const { button } = buildAnnotatedArtboard(document);
+
+    queueInput('All Types');
+    removeAnnotationsSelection(select(document, [button]));
+
+    assert.deepEqual(countRecords(document), { layers: 0, dimensions: 2, spacings: 0 });
+    assert.deepEqual(state.messages, ['🗑 Removed 2 annotation(s)']);
+    assert.equal(document.getLayersNamed('Annotation for Button').length, 0);
+  });
+
+  it('limits the removal to one type of annotation', () => {
+    const document = new Document();
+    buildAnnotatedArtboard(document);
+
+    queueInput('Spacing');
+    removeAnnotationsDocument(select(document, []));
+
+    assert.deepEqual(countRecords(document), { layers: 1, dimensions: 2, spacings: 0 });
+    assert.deepEqual(state.messages, ['🗑 Removed 1 annotation(s)']);
+  });
+
+  it('keeps the type of a custom annotation whose layer was deleted', () => {
+    const document = new Document();
+    const { button } = buildAnnotatedArtboard(document);
+    button.remove();
+
+    queueInput('Component');
+    removeAnnotationsDocument(select(document, []));
+
+    assert.equal(countRecords(document).layers, 1);
+    assert.equal(document.getLayersNamed('Annotation for Button').length, 1);
+
+    queueInput('Custom');
+    removeAnnotationsDocument(select(document, []));
+
+    assert.equal(countRecords(document).layers, 0);
+    assert.equal(document.getLayersNamed('Annotation for Button').length, 0);
+  });
+
+  it('only removes the annotations on the selected artboard', () => {
+    const document = new Document();
+    const { card } = buildAnnotatedArtboard(document);
+    const other = buildAnnotatedArtboard(document);
+
+    queueInput('All Types');
+    removeAnnotationsArtboard(select(document, [card]));
+    const documentSettings = readDocumentSettings(document);
+
+    assert.deepEqual(countRecords(document), { layers: 1, dimensions: 2, spacings: 1 });
+    assert.equal(documentSettings.annotatedLayers[0].originalId, other.button.id);
+    assert.equal(documentSettings.containerGroups.length, 1);
+    assert.equal(documentSettings.containerGroups[0].artboardId, other.artboard.id);
+  });
+
+  it('only removes the annotations on the selected page', () => {
+    const document = new Document({ pages: [new Page(), new Page()] });
+    buildAnnotatedArtboard(document);
+    [, document.selectedPage] = document.pages;
+    buildAnnotatedArtboard(document);
+
+    queueInput('All Types');
+    removeAnnotationsPage(select(document, []));
+
+    assert.deepEqual(countRecords(document), { layers: 1, dimensions: 2, spacings: 1 });
+  });
+
+  it('removes bounding boxes, which are not recorded in the settings', () => {
+    const document = new Document();
+    const { card } = buildAnnotatedArtboard(document);
+    drawBoundingBox(select(document, [card]));
+    const [containerGroup] = readDocumentSettings(document).containerGroups;
+    const boundingGroup = document.getLayerWithID(containerGroup.boundingInnerGroupId);
+    assert.equal(boundingGroup.layers.length, 1);
+
+    queueInput('Bounding Box');
+    removeAnnotationsSelection(select(document, [card]));
+
+    assert.equal(boundingGroup.layers.length, 0);
+    assert.deepEqual(countRecords(document), { layers: 1, dimensions: 2, spacings: 1 });
+    assert.deepEqual(state.messages, ['🗑 Removed 1 annotation(s)']);
+  });
+
+  it('keeps everything when the user cancels', () => {
+    const document = new Document();
+    buildAnnotatedArtboard(document);
+
+    queueInput(null, new Error('canceled'));
+    removeAnnotationsDocument(select(document, []));
+
+    assert.deepEqual(countRecords(document), { layers: 1, dimensions: 2, spacings: 1 });
+    assert.deepEqual(state.messages, []);
+  });
+
+  it('needs a selection for the selection scope', () => {
+    const document = new Document();
+    buildAnnotatedArtboard(document);
+
+    removeAnnotationsSelection(select(document, []));
+
+    assert.equal(state.alerts.length, 1);
+  });
+});
@@ -0,0 +1,207 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetHarness, select, state } from '../harness/index';
+import { Document, Group, Settings } from '../harness/sketch';
+import { annotateLayer, annotateMeasurement, repairDocument } from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readDocumentSettings } from './helpers';
+
+/**
+ * @description Builds a document with a custom annotation on one layer, the dimensions of a
+ * second layer, and the spacing between the two.
+ *
+ * @kind function
+ * @name buildAnnotatedDocument
+ * @returns {Object} The `document` and the `button` and `card` layers.
+ */
+const buildAnnotatedDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 48,
+    height: 24,
+  }, { name: 'Button' });
+  const card = buildShape(artboard, {
+    x: 84,
+    y: 40,
+    width: 40,
+    height: 24,
+  }, { name: 'Card' });
+
+  Settings.setLayerSettingForKey(button, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  annotateLayer(select(document, [button]));
+  annotateMeasurement(select(document, [card]));
+  annotateMeasurement(select(document, [button, card]));
+  state.messages = [];
+
+  return { button, card, document };
+};
+
+/**
+ * @description Forgets every annotation record in the document settings, like an artboard
+ * pasted into another file, and keeps the container groups.
+ *
+ * @kind function
+ * @name forgetRecords
+ * @param {Object} document The harness document.
+ * @returns {Object} The document settings before the records were forgotten.
+ */
+const forgetRecords = (document) => {
+  const documentSettings = readDocumentSettings(document);
+  Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+    ...documentSettings,
+    annotatedLayers: [],
+    annotatedDimensions: [],
+    annotatedSpacings: [],
+  });
+  return documentSettings;
+};
+
+const sortById = records => [...records].sort((a, b) => a.id.localeCompare(b.id));
+
+describe('Repair Document', () => {
+  beforeEach(() => resetHarness());
+
+  it('finds nothing to repair in a healthy document', () => {
+    const { document } = buildAnnotatedDocument();
+
+    repairDocument(select(document, []));
+
+    assert.deepEqual(state.messages, ['🩺 No problems found']);
+  });
+
+  it('rebuilds the annotation, dimension, and spacing records that were lost', () => {
+    const { document } = buildAnnotatedDocument();
+    const documentSettings = forgetRecords(document);
+
+    repairDocument(select(document, []));
+    const repairedSettings = readDocumentSettings(document);
+
+    assert.deepEqual(state.messages, ['🩺 Repaired: 4 annotation(s) re-linked']);
+    assert.deepEqual(
+      repairedSettings.annotatedLayers.map(({ id, originalId }) => ({ id, originalId })),
+      documentSettings.annotatedLayers.map(({ id, originalId }) => ({ id, originalId })),
+    );
+    assert.deepEqual(
+      sortById(repairedSettings.annotatedDimensions),
+      sortById(documentSettings.annotatedDimensions),
+    );
+    assert.deepEqual(repairedSettings.annotatedSpacings, documentSettings.annotatedSpacings);
+  });
+
+  it('matches older dimension annotations to their layer by name', () => {
+    const { card, document } = buildAnnotatedDocument();
+    const documentSettings = forgetRecords(document);
+    documentSettings.annotatedDimensions.forEach((layerSet) => {
+      Settings.setLayerSettingForKey(
+        document.getLayerWithID(layerSet.id),
+        PLUGIN_IDENTIFIER,
+        undefined,
+      );
+    });
+
+    repairDocument(select(document, []));
+    const { annotatedDimensions } = readDocumentSettings(document);
+
+    assert.equal(annotatedDimensions.length, 2);
+    assert.ok(annotatedDimensions.every(layerSet => layerSet.originalId === card.id));
+    assert.deepEqual(annotatedDimensions.map(layerSet => layerSet.dimension).sort(), [
+      'height',
+      'width',
+    ]);
+  });
+
+  it('reports spacing annotations that cannot be re-linked', () => {
+    const { document } = buildAnnotatedDocument();
+    const documentSettings = forgetRecords(document);
+    const [spacingSet] = documentSettings.annotatedSpacings;
+    Settings.setLayerSettingForKey(
+      document.getLayerWithID(spacingSet.id),
+      PLUGIN_IDENTIFIER,
+      undefined,
+    );
+
+    repairDocument(select(document, []));
+
+    assert.deepEqual(readDocumentSettings(document).annotatedSpacings, []);
+    assert.match(state.messages[0], /\(1 annotation\(s\) could not be re-linked\)$/);
+  });
+
+  it('removes annotations for deleted layers and records for deleted annotations', () => {
+    const { button, card, document } = buildAnnotatedDocument();
+    const documentSettings = readDocumentSettings(document);
+    card.remove();
+    document.getLayerWithID(documentSettings.annotatedLayers[0].id).remove();
+
+    repairDocument(select(document, []));
+    const repairedSettings = readDocumentSettings(document);
+
+    assert.deepEqual(repairedSettings.annotatedLayers, []);
+    assert.deepEqual(repairedSettings.annotatedDimensions, []);
+    assert.deepEqual(repairedSettings.annotatedSpacings, []);
+    assert.equal(document.getLayersNamed(`Spacing for ${button.name} (gap)`).length, 0);
+    assert.deepEqual(state.messages, [
+      '🩺 Repaired: 1 record(s) for missing annotations removed, 3 annotation(s) for deleted layers removed',
+    ]);
+  });
+
+  it('merges a second container group on the same artboard into the first', () => {
+    const { button, document } = buildAnnotatedDocument();
+    const documentSettings = readDocumentSettings(document);
+    const [containerGroup] = documentSettings.containerGroups;
+    const [layerSet] = documentSettings.annotatedLayers;
+    const artboard = button.parent;
+    const duplicateGroup = new Group({ name: '+++ Specter +++', parent: artboard });
+    const duplicateInnerGroup = new Group({
+      name: 'Component Annotations',
+      parent: duplicateGroup,
+    });
+    const annotationGroup = document.getLayerWithID(layerSet.id);
+    annotationGroup.parent = duplicateInnerGroup;
+    layerSet.containerGroupId = duplicateGroup.id;
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, documentSettings);
+
+    repairDocument(select(document, []));
+    const repairedSettings = readDocumentSettings(document);
+
+    assert.deepEqual(
+      artboard.layers.filter(layer => layer.name === '+++ Specter +++').map(layer => layer.id),
+      [containerGroup.id],
+    );
+    assert.equal(document.getLayerWithID(duplicateGroup.id), undefined);
+    assert.equal(annotationGroup.parent.id, containerGroup.componentInnerGroupId);
+    assert.deepEqual(
+      repairedSettings.containerGroups.map(containerGroupSet => containerGroupSet.id),
+      [containerGroup.id],
+    );
+    assert.equal(repairedSettings.annotatedLayers[0].containerGroupId, containerGroup.id);
+    assert.deepEqual(state.messages, [
+      '🩺 Repaired: 1 record(s) re-linked to their container group, 1 untracked container group(s) adopted, 1 duplicate container group(s) merged, 1 inner container group(s) re-linked',
+    ]);
+  });
+
+  it('saves its repairs and logs what it could not fix', () => {
+    const { document } = buildAnnotatedDocument();
+    const documentSettings = forgetRecords(document);
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+      ...readDocumentSettings(document),
+      placement: 'sideways',
+    });
+
+    repairDocument(select(document, []));
+    const repairedSettings = readDocumentSettings(document);
+
+    assert.equal(repairedSettings.annotatedLayers.length, documentSettings.annotatedLayers.length);
+    assert.equal(repairedSettings.placement, 'sideways');
+    assert.deepEqual(state.messages, [
+      '🩺 Repaired: 4 annotation(s) re-linked; 1 problem(s) could not be repaired',
+    ]);
+    assert.ok(state.logs.some(message => /Repair: still invalid: placement/.test(message)));
+  });
+});
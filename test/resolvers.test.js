@@ -0,0 +1,195 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  it,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  Document,
+  Page,
+  Settings,
+  SymbolInstance,
+  SymbolMaster,
+} from '../harness/sketch';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { annotateLayer, setNameResolvers } from '../src/main';
+import Preferences from '../src/Preferences';
+import Validator from '../src/Validator';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+/**
+ * @description Builds a saved document with a local “Buttons/Primary” symbol and an instance
+ * of it on an artboard.
+ *
+ * @kind function
+ * @name buildSymbolDocument
+ * @param {Object} props Any other document properties (i.e. `path` or `userInfo`).
+ * @returns {Object} The `document`, `artboard`, `master`, and `instance`.
+ */
+const buildSymbolDocument = (props = {}) => {
+  const symbolsPage = new Page({ name: 'Symbols' });
+  const document = new Document({
+    ...props,
+    pages: [new Page({ name: 'Page 1' }), symbolsPage],
+  });
+  const master = new SymbolMaster({
+    name: 'Buttons/Primary',
+    parent: symbolsPage,
+    frame: {
+      x: 0,
+      y: 0,
+      width: 80,
+      height: 32,
+    },
+  });
+  const artboard = buildArtboard(document);
+  const instance = new SymbolInstance({
+    name: 'btn',
+    symbolId: master.symbolId,
+    parent: artboard,
+    frame: {
+      x: 20,
+      y: 100,
+      width: 80,
+      height: 32,
+    },
+  });
+  return {
+    artboard,
+    document,
+    instance,
+    master,
+  };
+};
+
+/**
+ * @description Chooses the document’s name resolvers with the “Set Name Resolvers” command.
+ *
+ * @kind function
+ * @name chooseResolvers
+ * @param {Object} document The harness document.
+ * @param {Array} inputs The responses to each dialog (the order, then the mapping file).
+ */
+const chooseResolvers = (document, inputs) => {
+  inputs.forEach((input) => {
+    queueInput(input);
+  });
+  setNameResolvers(select(document, []));
+};
+
+describe('Name resolvers', () => {
+  let directory = null;
+
+  beforeEach(() => {
+    resetHarness();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'specter-'));
+  });
+
+  afterEach(() => fs.rmSync(directory, { force: true, recursive: true }));
+
+  it('names a symbol after its local master by default', () => {
+    const { artboard, document, instance } = buildSymbolDocument();
+
+    annotateLayer(select(document, [instance]));
+
+    assert.deepEqual(readTexts(artboard), ['Primary']);
+  });
+
+  it('asks for the name of a symbol when the local masters are left out', () => {
+    const { artboard, document, instance } = buildSymbolDocument();
+    chooseResolvers(document, ['lingo, library']);
+    state.messages = [];
+
+    queueInput('Checkout Button');
+    annotateLayer(select(document, [instance]));
+
+    assert.deepEqual(new Preferences({ for: document }).nameResolvers(), ['lingo', 'library']);
+    assert.deepEqual(state.messages, [
+      '😢 This layer could not be found in Lingo Kits, Sketch Libraries.',
+    ]);
+    assert.deepEqual(readTexts(artboard), ['Checkout Button']);
+  });
+
+  it('reads a Lingo Kit that does not have every kind of hash', () => {
+    const { artboard, document, instance } = buildSymbolDocument({
+      userInfo: { 'com.lingoapp.lingo': { storage: { hashes: { symbols: {} } } } },
+    });
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 200,
+      width: 24,
+      height: 24,
+    }, { name: 'Close', sharedStyleId: 'style-1' });
+
+    annotateLayer(select(document, [instance]));
+    queueInput('Close Icon');
+    annotateLayer(select(document, [layer]));
+
+    assert.deepEqual(readTexts(artboard), ['Primary', 'Close Icon']);
+  });
+
+  it('names a symbol from the component name mapping', () => {
+    const { artboard, document, instance } = buildSymbolDocument({
+      path: path.join(directory, 'Designs.sketch'),
+    });
+    fs.writeFileSync(path.join(directory, 'component-names.json'), JSON.stringify({
+      [instance.symbolId]: { name: 'Web/Checkout Button' },
+    }));
+    chooseResolvers(document, ['mapping', 'component-names.json']);
+
+    annotateLayer(select(document, [instance]));
+
+    assert.deepEqual(state.messages, ['🔎 Names will be looked up in: Component name mapping (JSON)']);
+    assert.deepEqual(readTexts(artboard), ['Checkout Button']);
+  });
+
+  it('rejects entries that are not name resolvers', () => {
+    const { document } = buildSymbolDocument();
+
+    chooseResolvers(document, ['lingo, figma']);
+    chooseResolvers(document, ['Lingo']);
+
+    assert.deepEqual(state.messages, [
+      '🆘 “figma” is not a name resolver; use one or more of: lingo, library, local, mapping',
+      '🆘 “Lingo” is not a name resolver; use one or more of: lingo, library, local, mapping',
+    ]);
+    assert.deepEqual(new Preferences({ for: document }).nameResolvers(), [
+      'lingo',
+      'library',
+      'local',
+      'mapping',
+    ]);
+  });
+
+  it('rejects an empty or repeated order', () => {
+    const { document } = buildSymbolDocument();
+
+    chooseResolvers(document, ['lingo, local, lingo']);
+    chooseResolvers(document, [' ']);
+
+    assert.deepEqual(state.messages, [
+      '🆘 Use each of lingo, library, local, mapping once at most, separated by commas',
+      '🆘 Use each of lingo, library, local, mapping once at most, separated by commas',
+    ]);
+    assert.equal(Settings.documentSettingForKey(document, PLUGIN_IDENTIFIER), undefined);
+  });
+
+  it('does not accept stored resolvers it does not know', () => {
+    const result = new Validator({ for: { nameResolvers: ['lingo', 'figma'] } }).validate();
+
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.errors, [
+      'nameResolvers[1] should be one of lingo, library, local, mapping',
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { Document } from '../harness/sketch';
+import {
+  annotateMeasurement,
+  setSpacingScale,
+  toggleStrictSpacing,
+} from '../src/main';
+import { buildArtboard, buildShape, readDocumentSettings } from './helpers';
+
+/**
+ * @description Measures the gap between two layers placed side by side on a new artboard.
+ *
+ * @kind function
+ * @name measureGap
+ * @param {Object} document The harness document.
+ * @param {number} gap The width of the gap between the layers.
+ * @returns {Object} The spacing record stored for the annotation.
+ */
+const measureGap = (document, gap) => {
+  const artboard = buildArtboard(document);
+  const layerA = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 40,
+    height: 40,
+  });
+  const layerB = buildShape(artboard, {
+    x: 60 + gap,
+    y: 40,
+    width: 40,
+    height: 40,
+  });
+
+  annotateMeasurement(select(document, [layerA, layerB]));
+  const { annotatedSpacings } = readDocumentSettings(document);
+  const spacingRecord = annotatedSpacings[annotatedSpacings.length - 1];
+  const annotation = document.getLayerWithID(spacingRecord.id);
+
+  return {
+    ...spacingRecord,
+    text: annotation.layers.find(layer => layer.type === 'Text').text,
+  };
+};
+
+describe('Spacing scales', () => {
+  beforeEach(() => resetHarness());
+
+  it('labels gaps with the IS-X scale by default', () => {
+    const spacing = measureGap(new Document(), 16);
+
+    assert.equal(spacing.text, 'IS-4');
+    assert.equal(spacing.spacingScale, 'art-deco');
+    assert.equal(spacing.isOffScale, false);
+  });
+
+  it('rounds gaps to the nearest value on the scale', () => {
+    assert.equal(measureGap(new Document(), 18).text, 'IS-4');
+    assert.equal(measureGap(new Document(), 20).text, 'IS-5');
+  });
+
+  it('labels gaps with the scale chosen for the document', () => {
+    const document = new Document();
+
+    queueInput('8pt Grid');
+    setSpacingScale(select(document, []));
+    const spacing = measureGap(document, 40);
+
+    assert.equal(spacing.text, '40dp');
+    assert.equal(spacing.spacingScale, '8pt');
+  });
+
+  it('labels gaps with named steps', () => {
+    const document = new Document();
+
+    queueInput('Space Tokens (space-100)');
+    setSpacingScale(select(document, []));
+
+    assert.equal(measureGap(document, 24).text, 'space-300');
+  });
+
+  it('flags gaps that are off the scale with their raw measurement', () => {
+    const spacing = measureGap(new Document(), 130);
+
+    assert.equal(spacing.text, '130dp');
+    assert.equal(spacing.isOffScale, true);
+  });
+
+  it('keeps the scale when the user cancels', () => {
+    const document = new Document();
+
+    queueInput(null, new Error('canceled'));
+    setSpacingScale(select(document, []));
+
+    assert.equal(measureGap(document, 16).text, 'IS-4');
+  });
+});
+
+describe('Strict spacing', () => {
+  beforeEach(() => resetHarness());
+
+  it('flags gaps that had to be rounded to the scale', () => {
+    const document = new Document();
+
+    toggleStrictSpacing(select(document, []));
+    const spacing = measureGap(document, 18);
+
+    assert.deepEqual(state.messages, [
+      '📏 Strict spacing is on: off-grid spacing will be flagged',
+      '⚠️ That gap is off-grid: 18dp → IS-4 (16dp)',
+    ]);
+    assert.equal(spacing.text, '18dp → IS-4 (16dp)');
+    assert.equal(spacing.isOffGrid, true);
+  });
+
+  it('does not flag gaps that match the scale', () => {
+    const document = new Document();
+
+    toggleStrictSpacing(select(document, []));
+    const spacing = measureGap(document, 16);
+
+    assert.equal(spacing.text, 'IS-4');
+    assert.equal(spacing.isOffGrid, false);
+  });
+
+  it('shows the valid value once when it is also the label', () => {
+    const document = new Document();
+
+    queueInput('8pt Grid');
+    setSpacingScale(select(document, []));
+    toggleStrictSpacing(select(document, []));
+
+    assert.equal(measureGap(document, 20).text, '20dp → 24dp');
+  });
+
+  it('rounds again once strict spacing is turned off', () => {
+    const document = new Document();
+
+    toggleStrictSpacing(select(document, []));
+    toggleStrictSpacing(select(document, []));
+    const spacing = measureGap(document, 18);
+
+    assert.equal(spacing.text, 'IS-4');
+    assert.equal(spacing.isOffGrid, false);
+  });
+});
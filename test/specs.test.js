@@ -0,0 +1,220 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '../harness/sketch';
+import { resetHarness, select, state } from '../harness/index';
+import { annotateStyle, annotateType } from '../src/main';
+import { buildArtboard, buildShape, buildText } from './helpers';
+
+const BODY_STYLE = {
+  alignment: 'left',
+  fontFamily: 'Inter',
+  fontSize: 16,
+  fontWeight: 5,
+  kerning: 0,
+  lineHeight: 24,
+  textColor: '#333333ff',
+};
+
+/**
+ * @description Builds a document with a shared “Type/Body” text style and a text layer on an
+ * artboard.
+ *
+ * @kind function
+ * @name buildTypeDocument
+ * @param {Object} style The text layer’s style, on top of the shared style.
+ * @param {Object} userInfo The document’s metadata (i.e. Lingo Kit data).
+ * @returns {Object} The `document`, `artboard`, and `layer`.
+ */
+const buildTypeDocument = (style = {}, userInfo = {}) => {
+  const document = new Document({
+    sharedTextStyles: [{ id: 'style-1', name: 'Type/Body', style: BODY_STYLE }],
+    userInfo,
+  });
+  const artboard = buildArtboard(document);
+  const layer = buildText(artboard, {
+    x: 20,
+    y: 40,
+    width: 200,
+    height: 24,
+  }, {
+    name: 'Intro',
+    text: 'Hello',
+    sharedStyleId: 'style-1',
+    style: { ...BODY_STYLE, ...style },
+  });
+  return { artboard, document, layer };
+};
+
+/**
+ * @description Builds a document with a shared “Surfaces/Card” layer style and a “Brand/Primary”
+ * swatch, and a card (using the shared style) and a button (with local values) on an artboard.
+ *
+ * @kind function
+ * @name buildStyleDocument
+ * @param {Object} userInfo The document’s metadata (i.e. Lingo Kit data).
+ * @returns {Object} The `document`, `artboard`, `card`, and `button`.
+ */
+const buildStyleDocument = (userInfo = {}) => {
+  const cardStyle = { fills: ['#ffffffff'], borders: ['#ddddddff'] };
+  const document = new Document({
+    sharedLayerStyles: [{ id: 'style-2', name: 'Surfaces/Card', style: cardStyle }],
+    userInfo,
+  });
+  document.swatches = [{ name: 'Brand/Primary', color: '#3366ffff' }];
+  const artboard = buildArtboard(document);
+  const card = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 200,
+    height: 100,
+  }, { name: 'Card', sharedStyleId: 'style-2', style: cardStyle });
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 200,
+    width: 100,
+    height: 40,
+  }, { name: 'Button', style: { fills: ['#3366ffff'], shadows: [{}] } });
+  return {
+    artboard,
+    button,
+    card,
+    document,
+  };
+};
+
+/**
+ * @description Reads the text of the annotation drawn for a layer.
+ *
+ * @kind function
+ * @name readAnnotationText
+ * @param {Object} document The harness document.
+ * @param {string} name The name of the annotated layer.
+ * @returns {string} The annotation’s text (lines separated by `\n`).
+ */
+const readAnnotationText = (document, name) => document
+  .getLayersNamed(`Annotation for ${name}`)[0].layers
+  .find(layer => layer.type === 'Text').text;
+
+describe('Type specs', () => {
+  beforeEach(() => resetHarness());
+
+  it('lists the typography under the text style’s name', () => {
+    const { document, layer } = buildTypeDocument();
+
+    annotateType(select(document, [layer]));
+
+    assert.equal(readAnnotationText(document, 'Intro'), [
+      'Body',
+      'Inter Regular',
+      '16dp / 24dp',
+      'Letter spacing 0 · Left · #333333',
+    ].join('\n'));
+    assert.deepEqual(state.messages, []);
+  });
+
+  it('flags properties that override the text style', () => {
+    const { document, layer } = buildTypeDocument({ fontSize: 18 });
+
+    annotateType(select(document, [layer]));
+
+    assert.match(readAnnotationText(document, 'Intro'), /18dp \/ 24dp\nLetter spacing 0 · Left · #333333\nOverride: size$/);
+    assert.deepEqual(state.messages, ['⚠️ “Intro” overrides its text style (size)']);
+  });
+
+  it('names the text style after the connected Lingo Kit', () => {
+    const { document, layer } = buildTypeDocument({}, {
+      'com.lingoapp.lingo': {
+        storage: { hashes: { textStyles: { 'style-1': { name: 'Kit/Body Large' } } } },
+      },
+    });
+
+    annotateType(select(document, [layer]));
+
+    assert.match(readAnnotationText(document, 'Intro'), /^Body Large\n/);
+  });
+
+  it('falls back to the shared style when the Lingo Kit has no text styles', () => {
+    const { document, layer } = buildTypeDocument({}, {
+      'com.lingoapp.lingo': { storage: {} },
+    });
+
+    annotateType(select(document, [layer]));
+
+    assert.match(readAnnotationText(document, 'Intro'), /^Body\n/);
+  });
+
+  it('needs a text layer', () => {
+    const { artboard, document } = buildTypeDocument();
+    const shape = buildShape(artboard, {
+      x: 20,
+      y: 100,
+      width: 40,
+      height: 40,
+    }, { name: 'Box' });
+
+    annotateType(select(document, [shape]));
+
+    assert.deepEqual(state.alerts.map(alert => alert.text), ['A text layer must be selected']);
+  });
+});
+
+describe('Style specs', () => {
+  beforeEach(() => resetHarness());
+
+  it('lists the style under the shared style’s name', () => {
+    const { card, document } = buildStyleDocument();
+
+    annotateStyle(select(document, [card]));
+
+    assert.equal(readAnnotationText(document, 'Card'), [
+      'Card',
+      'Fill #ffffff',
+      'Border 1dp center #dddddd',
+      'Opacity 100%',
+    ].join('\n'));
+    assert.deepEqual(state.messages, []);
+  });
+
+  it('labels color variables and flags values that are not from a style or variable', () => {
+    const { button, document } = buildStyleDocument();
+    button.points.forEach((point) => {
+      point.cornerRadius = 4; // eslint-disable-line no-param-reassign
+    });
+
+    annotateStyle(select(document, [button]));
+
+    assert.equal(readAnnotationText(document, 'Button'), [
+      'No layer style',
+      'Fill #3366ff (Primary)',
+      'Shadow 0/2, blur 4, spread 0 #000000 50%',
+      'Opacity 100%',
+      'Corner radius 4dp',
+      'Not from a style or variable: shadow',
+    ].join('\n'));
+    assert.deepEqual(state.messages, [
+      '⚠️ “Button” uses values that are not from a style or variable (shadow)',
+    ]);
+  });
+
+  it('names the layer style after the connected Lingo Kit', () => {
+    const { card, document } = buildStyleDocument({
+      'com.lingoapp.lingo': {
+        storage: { hashes: { layerStyles: { 'style-2': { name: 'Kit/Elevated Card' } } } },
+      },
+    });
+
+    annotateStyle(select(document, [card]));
+
+    assert.match(readAnnotationText(document, 'Card'), /^Elevated Card\n/);
+  });
+
+  it('falls back to the shared style when the Lingo Kit has no layer styles', () => {
+    const { card, document } = buildStyleDocument({
+      'com.lingoapp.lingo': { storage: { hashes: {} } },
+    });
+
+    annotateStyle(select(document, [card]));
+
+    assert.match(readAnnotationText(document, 'Card'), /^Card\n/);
+  });
+});
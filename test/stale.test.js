@@ -0,0 +1,174 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contextFor,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { Document, Settings } from '../harness/sketch';
+import Housekeeper from '../src/Housekeeper';
+import Messenger from '../src/Messenger';
+import { annotateLayer, annotateMeasurement, onOpenDocument } from '../src/main';
+import { PLUGIN_IDENTIFIER } from '../src/constants';
+import { buildArtboard, buildShape, readDocumentSettings } from './helpers';
+
+/**
+ * @description Builds a document with a custom annotation on one layer, the dimensions of a
+ * second layer, and the spacing between the two.
+ *
+ * @kind function
+ * @name buildAnnotatedDocument
+ * @returns {Object} The `document` and the `button` and `card` layers.
+ */
+const buildAnnotatedDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document);
+  const button = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 48,
+    height: 24,
+  }, { name: 'Button' });
+  const card = buildShape(artboard, {
+    x: 84,
+    y: 40,
+    width: 40,
+    height: 24,
+  }, { name: 'Card' });
+
+  Settings.setLayerSettingForKey(button, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  annotateLayer(select(document, [button]));
+  annotateMeasurement(select(document, [card]));
+  annotateMeasurement(select(document, [button, card]));
+  state.messages = [];
+
+  return { button, card, document };
+};
+
+/**
+ * @description Lists the stale badge on each kind of annotation in a document.
+ *
+ * @kind function
+ * @name readBadges
+ * @param {Object} document The harness document.
+ * @returns {Object} The badge names (or `null`) for the `layers`, `dimensions`, and
+ * `spacings` records.
+ */
+const readBadges = (document) => {
+  const documentSettings = readDocumentSettings(document);
+  const readBadge = (layerSet) => {
+    const badge = document.getLayerWithID(layerSet.id).layers
+      .find(layer => layer.name.startsWith('Stale'));
+    return badge ? badge.name : null;
+  };
+
+  return {
+    layers: documentSettings.annotatedLayers.map(readBadge),
+    dimensions: documentSettings.annotatedDimensions.map(readBadge),
+    spacings: documentSettings.annotatedSpacings.map(readBadge),
+  };
+};
+
+const findStaleAnnotations = document => new Housekeeper({
+  in: document,
+  messenger: new Messenger({ for: null, in: document }),
+}).findStaleAnnotations();
+
+describe('Stale annotations', () => {
+  beforeEach(() => resetHarness());
+
+  it('stores the frames of both layers with spacing records', () => {
+    const { button, card, document } = buildAnnotatedDocument();
+    const [spacingSet] = readDocumentSettings(document).annotatedSpacings;
+
+    assert.equal(spacingSet.layerAId, button.id);
+    assert.deepEqual(spacingSet.layerAFrame, {
+      x: 20,
+      y: 40,
+      width: 48,
+      height: 24,
+    });
+    assert.equal(spacingSet.layerBId, card.id);
+    assert.deepEqual(spacingSet.layerBFrame, {
+      x: 84,
+      y: 40,
+      width: 40,
+      height: 24,
+    });
+  });
+
+  it('does not flag annotations that are up-to-date', () => {
+    const { document } = buildAnnotatedDocument();
+
+    const result = findStaleAnnotations(document);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.messages.toast, null);
+    assert.deepEqual(readBadges(document), {
+      layers: [null],
+      dimensions: [null, null],
+      spacings: [null],
+    });
+  });
+
+  it('flags annotations whose layers moved, were resized, or renamed', () => {
+    const { button, card, document } = buildAnnotatedDocument();
+    button.name = 'Button (old)';
+    card.frame.width = 56;
+
+    const result = findStaleAnnotations(document);
+
+    assert.deepEqual(readBadges(document), {
+      layers: ['Stale (renamed)'],
+      dimensions: ['Stale (resized)', 'Stale (resized)'],
+      spacings: ['Stale (resized)'],
+    });
+    assert.match(result.messages.toast, /^🕸 4 annotation\(s\) are out of date/);
+  });
+
+  it('flags spacing when either layer moves', () => {
+    const { button, document } = buildAnnotatedDocument();
+    button.frame.x = 12;
+
+    findStaleAnnotations(document);
+
+    assert.deepEqual(readBadges(document).spacings, ['Stale (moved)']);
+  });
+
+  it('flags spacing once when both layers changed the same way', () => {
+    const { button, card, document } = buildAnnotatedDocument();
+    button.frame.y = 60;
+    card.frame.y = 60;
+
+    findStaleAnnotations(document);
+
+    assert.deepEqual(readBadges(document).spacings, ['Stale (moved)']);
+  });
+
+  it('removes the badge once the layer is back in place', () => {
+    const { card, document } = buildAnnotatedDocument();
+    card.frame.width = 56;
+    findStaleAnnotations(document);
+    card.frame.width = 40;
+
+    findStaleAnnotations(document);
+
+    assert.deepEqual(readBadges(document).spacings, [null]);
+    assert.deepEqual(readBadges(document).dimensions, [null, null]);
+  });
+
+  it('checks the annotations when the document is opened', async () => {
+    const { card, document } = buildAnnotatedDocument();
+    card.remove();
+
+    onOpenDocument(contextFor(document, 'OpenDocument'));
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    assert.ok(state.messages.some(message => /3 deleted/.test(message)));
+  });
+});
@@ -0,0 +1,144 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document, Settings } from '../harness/sketch';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { annotateLayer, applyThemeVariant, setTheme } from '../src/main';
+import Preferences from '../src/Preferences';
+import { PLUGIN_IDENTIFIER, THEME_VARIANTS } from '../src/constants';
+import { buildArtboard, buildShape } from './helpers';
+
+/**
+ * @description Builds a document with a dark artboard and a layer with custom annotation
+ * text (the theme colors used here all stand out against the artboard as they are).
+ *
+ * @kind function
+ * @name buildThemeDocument
+ * @returns {Object} The `document` and the `layer`.
+ */
+const buildThemeDocument = () => {
+  const document = new Document();
+  const artboard = buildArtboard(document, { background: { enabled: true, color: '#1f1f1fff' } });
+  const layer = buildShape(artboard, {
+    x: 100,
+    y: 200,
+    width: 40,
+    height: 24,
+  }, { name: 'Button' });
+  Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+    annotationText: 'Primary Button',
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  return { document, layer };
+};
+
+/**
+ * @description Reads the style of the label drawn for a layer.
+ *
+ * @kind function
+ * @name readLabelStyle
+ * @param {Object} document The harness document.
+ * @returns {Object} The label’s fill `color`, and its text’s `fontSize` and `fontFamily`.
+ */
+const readLabelStyle = (document) => {
+  const [group] = document.getLayersNamed('Annotation for Button');
+  const rectangle = group.layers.find(
+    layer => (layer.type === 'ShapePath') && (layer.name !== 'Diamond'),
+  );
+  const text = group.layers.find(layer => layer.type === 'Text');
+  return {
+    color: rectangle.style.fills[0].color,
+    fontSize: text.style.fontSize,
+    fontFamily: text.style.fontFamily,
+  };
+};
+
+describe('Annotation themes', () => {
+  beforeEach(() => resetHarness());
+
+  it('draws with the document’s theme on top of the plugin’s default theme', () => {
+    const { document, layer } = buildThemeDocument();
+    Settings.setSettingForKey(PLUGIN_IDENTIFIER, {
+      theme: { fontSize: 14, colors: { custom: '#33ccff' } },
+    });
+    new Preferences({ for: document }).set('theme', { colors: { custom: '#66ff66' } });
+
+    annotateLayer(select(document, [layer]));
+
+    assert.deepEqual(readLabelStyle(document), {
+      color: '#66ff66ff',
+      fontSize: 14,
+      fontFamily: 'Helvetica Neue',
+    });
+  });
+
+  it('restyles the existing annotations when the document’s theme changes', () => {
+    const { document, layer } = buildThemeDocument();
+    annotateLayer(select(document, [layer]));
+    state.messages = [];
+
+    queueInput('Custom annotation color');
+    queueInput('Only this document');
+    queueInput('#33ccff');
+    setTheme(select(document, []));
+
+    assert.equal(readLabelStyle(document).color, '#33ccffff');
+    assert.deepEqual(new Preferences({ for: document }).get('theme'), {
+      colors: { custom: '#33ccff' },
+    });
+    assert.deepEqual(state.messages, [
+      '🎨 Custom annotation color updated',
+      '🎨 Restyled 1 annotation(s)',
+    ]);
+  });
+
+  it('sets the plugin’s default theme for every document', () => {
+    const { document, layer } = buildThemeDocument();
+    annotateLayer(select(document, [layer]));
+
+    queueInput('Font size (8–16)');
+    queueInput('All documents (the plugin’s default)');
+    queueInput('14');
+    setTheme(select(document, []));
+
+    assert.equal(readLabelStyle(document).fontSize, 14);
+    assert.deepEqual(Settings.settingForKey(PLUGIN_IDENTIFIER), { theme: { fontSize: 14 } });
+    assert.equal(new Preferences({ for: new Document() }).theme().fontSize, 14);
+  });
+
+  it('does not change the theme for a value out of range', () => {
+    const { document, layer } = buildThemeDocument();
+    annotateLayer(select(document, [layer]));
+    state.messages = [];
+
+    queueInput('Font size (8–16)');
+    queueInput('Only this document');
+    queueInput('40');
+    setTheme(select(document, []));
+
+    assert.equal(readLabelStyle(document).fontSize, 12);
+    assert.equal(new Preferences({ for: document }).get('theme'), null);
+    assert.deepEqual(state.messages, ['“40” is not a valid value for font size (8–16)']);
+  });
+
+  it('applies a theme variant and resets it', () => {
+    const { document, layer } = buildThemeDocument();
+    annotateLayer(select(document, [layer]));
+
+    queueInput('Dark');
+    applyThemeVariant(select(document, []));
+
+    assert.equal(readLabelStyle(document).color, `${THEME_VARIANTS.dark.theme.colors.custom}ff`);
+
+    queueInput('Light (the plugin’s default)');
+    applyThemeVariant(select(document, []));
+
+    assert.equal(readLabelStyle(document).color, '#ff3399ff');
+    assert.equal(new Preferences({ for: document }).get('theme'), null);
+  });
+});
@@ -0,0 +1,206 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  it,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Document } from '../harness/sketch';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { annotateMeasurement, annotateType, loadDesignTokens } from '../src/main';
+import Preferences from '../src/Preferences';
+import {
+  buildArtboard,
+  buildShape,
+  buildText,
+  readTexts,
+} from './helpers';
+
+const TOKEN_FILE = {
+  color: {
+    base: { blue: { value: '#3366ff' } },
+    brand: { primary: { value: '{color.base.blue}' } },
+  },
+  spacing: {
+    inline: {
+      sm: { value: '8px' },
+      md: { value: '0.75rem' },
+    },
+  },
+  size: { icon: { value: '24px' } },
+  font: {
+    family: { body: { value: 'Inter' } },
+    size: { body: { value: '16px' } },
+  },
+};
+
+const LABEL_OPTIONS = {
+  alongside: 'Alongside the values (i.e. “IS-2 · spacing.inline.md”)',
+  instead: 'Instead of the values (i.e. “spacing.inline.md”)',
+};
+
+/**
+ * @description Builds a saved document with an icon and a badge on an artboard: the icon
+ * is 24px square, the badge is 30px tall, and they are 12px apart.
+ *
+ * @kind function
+ * @name buildTokenDocument
+ * @param {string} directory The directory the document is saved in.
+ * @returns {Object} The `document`, `artboard`, `icon`, and `badge`.
+ */
+const buildTokenDocument = (directory) => {
+  const document = new Document({ path: path.join(directory, 'Designs.sketch') });
+  const artboard = buildArtboard(document);
+  const icon = buildShape(artboard, {
+    x: 20,
+    y: 40,
+    width: 24,
+    height: 24,
+  }, { name: 'Icon' });
+  const badge = buildShape(artboard, {
+    x: 56,
+    y: 40,
+    width: 24,
+    height: 30,
+  }, { name: 'Badge' });
+  return {
+    artboard,
+    badge,
+    document,
+    icon,
+  };
+};
+
+/**
+ * @description Loads a token file with the “Load Design Tokens” command.
+ *
+ * @kind function
+ * @name loadTokens
+ * @param {Object} document The harness document.
+ * @param {string} tokenPath The path entered for the token file.
+ * @param {string} labels How token names are shown (`alongside` or `instead`).
+ */
+const loadTokens = (document, tokenPath, labels = 'alongside') => {
+  queueInput(tokenPath);
+  queueInput(LABEL_OPTIONS[labels]);
+  loadDesignTokens(select(document, []));
+};
+
+describe('Design tokens', () => {
+  let directory = null;
+
+  beforeEach(() => {
+    resetHarness();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'specter-'));
+    fs.writeFileSync(path.join(directory, 'tokens.json'), JSON.stringify(TOKEN_FILE));
+  });
+
+  afterEach(() => fs.rmSync(directory, { force: true, recursive: true }));
+
+  it('relabels the measurements already in the document', () => {
+    const {
+      artboard,
+      badge,
+      document,
+      icon,
+    } = buildTokenDocument(directory);
+    annotateMeasurement(select(document, [icon, badge]));
+    annotateMeasurement(select(document, [badge]));
+
+    loadTokens(document, 'tokens.json');
+
+    assert.deepEqual(state.messages, ['🎟 Loaded 7 design token(s) from “tokens.json”']);
+    assert.deepEqual(readTexts(artboard), [
+      '24dp · size.icon',
+      '30dp · no token',
+      'IS-3 · spacing.inline.md',
+    ]);
+  });
+
+  it('shows token names instead of the values', () => {
+    const { artboard, document, icon } = buildTokenDocument(directory);
+    loadTokens(document, 'tokens.json', 'instead');
+
+    annotateMeasurement(select(document, [icon]));
+
+    assert.deepEqual(readTexts(artboard), ['size.icon', 'size.icon']);
+  });
+
+  it('labels a type spec with semantic tokens before the base tokens they refer to', () => {
+    const { artboard, document } = buildTokenDocument(directory);
+    const layer = buildText(artboard, {
+      x: 20,
+      y: 200,
+      width: 200,
+      height: 24,
+    }, {
+      name: 'Intro',
+      text: 'Hello',
+      style: {
+        alignment: 'left',
+        fontFamily: 'Inter',
+        fontSize: 16,
+        fontWeight: 5,
+        kerning: 0,
+        lineHeight: 24,
+        textColor: '#3366ffff',
+      },
+    });
+    loadTokens(document, 'tokens.json');
+
+    annotateType(select(document, [layer]));
+
+    assert.deepEqual(readTexts(artboard).slice(-1)[0].split('\n').slice(1), [
+      'Inter · font.family.body Regular · no token',
+      '16dp · font.size.body / 24dp · no token',
+      'Letter spacing 0 · Left · #3366ff · color.brand.primary',
+    ]);
+  });
+
+  it('stops using tokens when the path is left empty', () => {
+    const {
+      artboard,
+      badge,
+      document,
+      icon,
+    } = buildTokenDocument(directory);
+    annotateMeasurement(select(document, [icon, badge]));
+    loadTokens(document, 'tokens.json');
+
+    queueInput('');
+    loadDesignTokens(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).designTokens(), null);
+    assert.deepEqual(readTexts(artboard), ['IS-3']);
+    assert.equal(state.messages.slice(-1)[0], '🎟 Annotations will no longer show design tokens');
+  });
+
+  it('does not load a missing token file', () => {
+    const { document } = buildTokenDocument(directory);
+
+    queueInput('missing.json');
+    loadDesignTokens(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).designTokens(), null);
+    assert.deepEqual(state.messages, ['🆘 “missing.json” is missing or is not a JSON token file']);
+  });
+
+  it('needs a saved document for a relative path', () => {
+    const document = new Document();
+
+    queueInput('tokens.json');
+    loadDesignTokens(select(document, []));
+
+    assert.deepEqual(state.messages, [
+      '🆘 Save the document first, or use the full path to the token file',
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  queueInput,
+  resetHarness,
+  select,
+  state,
+} from '../harness/index';
+import { Document } from '../harness/sketch';
+import { annotateMeasurement, setUnits } from '../src/main';
+import Preferences from '../src/Preferences';
+import { askUser } from '../src/Tools';
+import { buildArtboard, buildShape, readTexts } from './helpers';
+
+describe('askUser', () => {
+  beforeEach(() => resetHarness());
+
+  it('returns the value the user entered', () => {
+    queueInput('8pt grid');
+
+    assert.deepEqual(askUser('Choose a scale:', { type: 'selection' }), {
+      error: null,
+      value: '8pt grid',
+    });
+  });
+
+  it('returns the error when the user cancels', () => {
+    const error = new Error('canceled');
+    queueInput(null, error);
+
+    assert.equal(askUser('Choose a scale:', { type: 'selection' }).error, error);
+  });
+});
+
+describe('Measurement units', () => {
+  beforeEach(() => resetHarness());
+
+  it('labels measurements in dp by default', () => {
+    assert.equal(new Preferences({ for: new Document() }).formatMeasurement(48), '48dp');
+  });
+
+  it('sets a unit and a secondary unit, and relabels existing measurements', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 48,
+      height: 24,
+    });
+    annotateMeasurement(select(document, [layer]));
+
+    queueInput('px (Web)');
+    queueInput('rem (Web)');
+    queueInput('16');
+    setUnits(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).formatMeasurement(48), '48px · 3rem');
+    assert.deepEqual(readTexts(document.selectedPage), ['48px · 3rem', '24px · 1.5rem']);
+    assert.deepEqual(state.messages, ['📏 Measurements will be labeled like “48px · 3rem”']);
+  });
+
+  it('converts to device pixels', () => {
+    const document = new Document();
+
+    queueInput('px @3x');
+    queueInput('None');
+    setUnits(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).formatMeasurement(16), '48px @3x');
+  });
+
+  it('rejects a root font size that is not a positive number', () => {
+    const document = new Document();
+
+    queueInput('rem (Web)');
+    queueInput('None');
+    queueInput('0');
+    setUnits(select(document, []));
+
+    assert.equal(new Preferences({ for: document }).formatMeasurement(48), '48dp');
+    assert.deepEqual(state.messages, ['The root font size needs to be a number larger than 0']);
+  });
+});
@@ -0,0 +1,152 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document, Settings } from '../harness/sketch';
+import { resetHarness } from '../harness/index';
+import Painter from '../src/Painter';
+import Preferences from '../src/Preferences';
+import Validator, { commitDocumentSettings } from '../src/Validator';
+import { PLUGIN_IDENTIFIER, SCHEMA_VERSION } from '../src/constants';
+import {
+  buildArtboard,
+  buildShape,
+  readDocumentSettings,
+  readTexts,
+} from './helpers';
+
+/**
+ * @description Annotates a layer with custom text.
+ *
+ * @kind function
+ * @name annotate
+ * @param {Object} document The harness document.
+ * @param {Object} layer The harness layer to annotate.
+ * @param {string} annotationText The text of the annotation.
+ * @returns {Object} The result of `Painter.addAnnotation`.
+ */
+const annotate = (document, layer, annotationText) => {
+  Settings.setLayerSettingForKey(layer, PLUGIN_IDENTIFIER, {
+    annotationText,
+    annotationSecondaryText: null,
+    annotationType: 'custom',
+  });
+  return new Painter({ for: layer.sketchObject, in: document }).addAnnotation();
+};
+
+describe('Validator', () => {
+  beforeEach(() => resetHarness());
+
+  it('accepts documents without settings', () => {
+    const result = new Validator({ for: undefined }).validate();
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.errors, []);
+  });
+
+  it('lists every problem with the settings', () => {
+    const result = new Validator({
+      for: {
+        annotatedLayers: [{ containerGroupId: 'group-1', originalId: 'layer-1' }],
+        placement: 'sideways',
+        strictSpacing: 'yes',
+      },
+    }).validate();
+
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.errors, [
+      'annotatedLayers[0].id is missing',
+      'placement should be one of inline, gutterRight, gutterLeft, callouts',
+      'strictSpacing should be a boolean',
+    ]);
+    assert.match(result.messages.alert, /Repair Document/);
+  });
+
+  it('rejects settings saved by a newer version of the plugin', () => {
+    const result = new Validator({ for: { schemaVersion: SCHEMA_VERSION + 1 } }).validate();
+
+    assert.equal(result.status, 'error');
+    assert.match(result.messages.alert, /newer version of Specter/);
+  });
+
+  it('stamps the schema version on settings it commits', () => {
+    const document = new Document();
+    const result = commitDocumentSettings(document, { placement: 'callouts' });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(readDocumentSettings(document), {
+      placement: 'callouts',
+      schemaVersion: SCHEMA_VERSION,
+    });
+  });
+
+  it('does not commit invalid settings', () => {
+    const document = new Document();
+    commitDocumentSettings(document, { placement: 'callouts' });
+    const result = commitDocumentSettings(document, { placement: 'sideways' });
+
+    assert.equal(result.status, 'error');
+    assert.equal(readDocumentSettings(document).placement, 'callouts');
+  });
+});
+
+describe('Validated preference writes', () => {
+  beforeEach(() => resetHarness());
+
+  it('does not store a preference with an invalid value', () => {
+    const document = new Document();
+    const preferences = new Preferences({ for: document });
+    const result = preferences.set('placement', 'sideways');
+
+    assert.equal(result.status, 'error');
+    assert.equal(readDocumentSettings(document), undefined);
+    assert.equal(preferences.get('placement'), 'inline');
+  });
+
+  it('does not toggle a preference in a damaged document', () => {
+    const document = new Document();
+    Settings.setDocumentSettingForKey(document, PLUGIN_IDENTIFIER, {
+      annotatedLayers: [{ containerGroupId: 'group-1', originalId: 'layer-1' }],
+    });
+    const preferences = new Preferences({ for: document });
+    const result = preferences.toggleStrictSpacing();
+
+    assert.equal(result.status, 'error');
+    assert.equal(preferences.get('strictSpacing'), false);
+  });
+
+  it('stores several preferences at once', () => {
+    const document = new Document();
+    const preferences = new Preferences({ for: document });
+    const result = preferences.update({ unit: 'px', secondaryUnit: 'rem', remRootSize: 10 });
+
+    assert.equal(result.status, 'success');
+    assert.equal(preferences.formatMeasurement(48), '48px · 4.8rem');
+  });
+});
+
+describe('Painter.addAnnotation (settings that cannot be recorded)', () => {
+  beforeEach(() => resetHarness());
+
+  it('keeps the earlier annotation when the new one cannot be recorded', () => {
+    const document = new Document();
+    const artboard = buildArtboard(document);
+    const layer = buildShape(artboard, {
+      x: 20,
+      y: 40,
+      width: 48,
+      height: 24,
+    }, { name: 'Button' });
+    annotate(document, layer, 'Primary Button');
+    const [layerSet] = readDocumentSettings(document).annotatedLayers;
+
+    // a frame that cannot be measured cannot be recorded
+    layer.frame.width = NaN;
+    const result = annotate(document, layer, 'Secondary Button');
+    const annotation = document.getLayerWithID(layerSet.id);
+
+    assert.equal(result.status, 'error');
+    assert.match(result.messages.log, /originalFrame.width should be a number/);
+    assert.deepEqual(readDocumentSettings(document).annotatedLayers, [layerSet]);
+    assert.ok(annotation);
+    assert.deepEqual(readTexts(artboard), ['Primary Button']);
+  });
+});